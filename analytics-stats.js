@@ -0,0 +1,120 @@
+// Statystyki nauczania dla prowadzących (GET /api/analytics).
+// Wejściem są odpowiedzi z tabeli attempt_answers zgrupowane zapytaniem
+// w server.js: { room, item_id, value, first_try, is_correct, answers }.
+// Etykiety (treść pytań, tytuły elementów) pochodzą ze scenariusza.
+
+const { ROOM_ORDER } = require("./game-rules");
+
+// Odsetek w pełnych procentach; null, gdy nie ma jeszcze żadnych odpowiedzi
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : null;
+}
+
+function sumAnswers(rows, predicate) {
+  return rows
+    .filter(predicate)
+    .reduce((sum, row) => sum + Number(row.answers), 0);
+}
+
+function summarizeAnswers(scenario, rows) {
+  const forItem = (room, itemId) =>
+    rows.filter((row) => row.room === room && row.item_id === itemId);
+
+  // Quiz - poprawne odpowiedzi w pierwszej próbie
+  const quiz = scenario.quiz.map((question) => {
+    const firstTry = forItem("quiz", question.id).filter(
+      (row) => Number(row.first_try) === 1
+    );
+    const answers = sumAnswers(firstTry, () => true);
+    const correct = sumAnswers(firstTry, (row) => Number(row.is_correct) === 1);
+    return {
+      id: question.id,
+      label: question.question,
+      answers,
+      correct,
+      rate: percent(correct, answers),
+    };
+  });
+
+  // Backlog - must have pominięte, pozostałe elementy wciągnięte do Sprintu
+  const backlog = scenario.backlog.map((item) => {
+    const itemRows = forItem("backlog", item.id);
+    const answers = sumAnswers(itemRows, () => true);
+    const leftOut = item.mustHave
+      ? sumAnswers(itemRows, (row) => row.value === "product")
+      : 0;
+    const pulledIn = item.mustHave
+      ? 0
+      : sumAnswers(itemRows, (row) => row.value === "sprint");
+    return {
+      id: item.id,
+      label: item.title,
+      mustHave: Boolean(item.mustHave),
+      answers,
+      leftOut,
+      pulledIn,
+      rate: percent(item.mustHave ? leftOut : pulledIn, answers),
+    };
+  });
+
+  // User Stories - odsetek błędnych klasyfikacji
+  const stories = scenario.stories.map((story) => {
+    const storyRows = forItem("stories", story.id);
+    const answers = sumAnswers(storyRows, () => true);
+    const wrong = sumAnswers(storyRows, (row) => Number(row.is_correct) === 0);
+    return {
+      id: story.id,
+      label: story.text,
+      matchesGoal: Boolean(story.matchesGoal),
+      answers,
+      wrong,
+      rate: percent(wrong, answers),
+    };
+  });
+
+  // Konflikt - jak często wybierano każdą opcję
+  const conflictRows = forItem("conflict", "choice");
+  const totalPicks = sumAnswers(conflictRows, () => true);
+  const conflict = scenario.conflict.options.map((option) => {
+    const picks = sumAnswers(conflictRows, (row) => row.value === option.id);
+    return {
+      id: option.id,
+      label: option.text,
+      correct: Boolean(option.correct),
+      picks,
+      rate: percent(picks, totalPicks),
+    };
+  });
+
+  return { quiz, backlog, stories, conflict };
+}
+
+// Gdzie uciekał czas: średni czas w pokojach z tabeli room_times
+// ({ room, games, average_seconds }) i jego udział w średniej całej gry
+function summarizeRoomTimes(rows) {
+  const averages = ROOM_ORDER.map((room) => {
+    const row = rows.find((entry) => entry.room === room);
+    return {
+      room,
+      games: row ? Number(row.games) : 0,
+      averageSeconds: row ? Math.round(Number(row.average_seconds)) : null,
+    };
+  });
+  const total = averages.reduce(
+    (sum, entry) => sum + (entry.averageSeconds || 0),
+    0
+  );
+  return averages.map((entry) => ({
+    ...entry,
+    rate:
+      entry.averageSeconds === null
+        ? null
+        : percent(entry.averageSeconds, total),
+  }));
+}
+
+module.exports = {
+  percent,
+  summarizeAnswers,
+  summarizeRoomTimes,
+};
@@ -0,0 +1,206 @@
+// Analityka nauczania - wykresy z GET /api/analytics dla prowadzących
+
+function $(selector) {
+  return document.querySelector(selector);
+}
+
+const ROOM_LABELS = {
+  quiz: "Quiz",
+  backlog: "Sprint Backlog",
+  stories: "User Stories",
+  tests: "Testy",
+  conflict: "Konflikt PO–Dev",
+};
+
+function formatTime(totalSeconds) {
+  const m = Math.floor(totalSeconds / 60)
+    .toString()
+    .padStart(2, "0");
+  const s = (totalSeconds % 60).toString().padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+function setStatus(text) {
+  $("#analytics-status").textContent = text;
+}
+
+async function loadScenarioList() {
+  const select = $("#analytics-scenario");
+  try {
+    const response = await fetch("/api/scenarios");
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    select.innerHTML = "";
+    (data.scenarios || []).forEach((entry) => {
+      const option = document.createElement("option");
+      option.value = entry.id;
+      option.textContent = entry.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error("Błąd wczytywania listy scenariuszy:", error);
+    setStatus("Nie udało się wczytać scenariuszy");
+  }
+}
+
+// Kody sesji zależą od scenariusza - lista odświeżana po każdym zapytaniu
+function renderSessionOptions(roomCodes, selected) {
+  const select = $("#analytics-session");
+  select.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = "Wszystkie";
+  select.appendChild(all);
+  roomCodes.forEach((code) => {
+    const option = document.createElement("option");
+    option.value = code;
+    option.textContent = code;
+    select.appendChild(option);
+  });
+  select.value = roomCodes.includes(selected) ? selected : "";
+}
+
+// Wykres słupkowy: etykieta, pasek z odsetkiem i liczby, z których wyliczono odsetek
+function renderChart(container, rows) {
+  container.innerHTML = "";
+  if (rows.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "ranking-empty";
+    empty.textContent = "Brak elementów w scenariuszu";
+    container.appendChild(empty);
+    return;
+  }
+
+  rows.forEach((row) => {
+    const item = document.createElement("div");
+    item.className = "chart-row";
+
+    const label = document.createElement("span");
+    label.className = "chart-label";
+    label.textContent = row.label;
+    if (row.tag) {
+      const tag = document.createElement("small");
+      tag.className = "chart-tag";
+      tag.textContent = row.tag;
+      label.appendChild(tag);
+    }
+
+    const track = document.createElement("span");
+    track.className = "chart-track";
+    const bar = document.createElement("span");
+    bar.className = `chart-bar ${row.tone || ""}`;
+    bar.style.width = `${row.rate || 0}%`;
+    track.appendChild(bar);
+
+    const value = document.createElement("span");
+    value.className = "chart-value";
+    value.textContent =
+      row.rate === null ? "brak danych" : `${row.rate}% (${row.detail})`;
+
+    item.append(label, track, value);
+    container.appendChild(item);
+  });
+}
+
+function renderAnalytics(data) {
+  $("#analytics-sessions").textContent = data.sessions;
+  $("#analytics-average").textContent =
+    data.averageScore === null ? "–" : `${data.averageScore} pkt`;
+
+  renderChart(
+    $("#chart-quiz"),
+    data.quiz.map((q) => ({
+      label: q.label,
+      rate: q.rate,
+      detail: `${q.correct} z ${q.answers}`,
+      tone: "good",
+    })),
+  );
+  renderChart(
+    $("#chart-backlog"),
+    data.backlog.map((item) => ({
+      label: item.label,
+      tag: item.mustHave ? "must have" : "",
+      rate: item.rate,
+      detail: item.mustHave
+        ? `pominięty ${item.leftOut} z ${item.answers}`
+        : `w Sprincie ${item.pulledIn} z ${item.answers}`,
+      tone: item.mustHave ? "bad" : "neutral",
+    })),
+  );
+  renderChart(
+    $("#chart-stories"),
+    data.stories.map((story) => ({
+      label: story.label,
+      tag: story.matchesGoal ? "cel Sprintu" : "poza celem",
+      rate: story.rate,
+      detail: `${story.wrong} z ${story.answers}`,
+      tone: "bad",
+    })),
+  );
+  renderChart(
+    $("#chart-conflict"),
+    data.conflict.map((option) => ({
+      label: option.label,
+      tag: option.correct ? "poprawna" : "",
+      rate: option.rate,
+      detail: `${option.picks} wyborów`,
+      tone: option.correct ? "good" : "neutral",
+    })),
+  );
+  renderChart(
+    $("#chart-room-times"),
+    data.roomTimes.map((entry) => ({
+      label: ROOM_LABELS[entry.room],
+      rate: entry.rate,
+      detail:
+        entry.averageSeconds === null
+          ? ""
+          : `średnio ${formatTime(entry.averageSeconds)}, ${entry.games} gier`,
+      tone: "neutral",
+    })),
+  );
+}
+
+async function loadAnalytics() {
+  const params = new URLSearchParams();
+  const filters = {
+    scenario: $("#analytics-scenario").value,
+    from: $("#analytics-from").value,
+    to: $("#analytics-to").value,
+    session: $("#analytics-session").value,
+  };
+  Object.keys(filters).forEach((key) => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+
+  setStatus("Wczytywanie...");
+  try {
+    const response = await fetch(`/api/analytics?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      setStatus((data.errors || [data.error]).join(". "));
+      return;
+    }
+    renderSessionOptions(data.roomCodes, filters.session);
+    renderAnalytics(data);
+    setStatus(data.message || "");
+  } catch (error) {
+    console.error("Błąd pobierania analityki:", error);
+    setStatus("Serwer niedostępny - analityka wymaga uruchomionego serwera");
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  $("#analytics-filters").addEventListener("submit", (e) => {
+    e.preventDefault();
+    loadAnalytics();
+  });
+  $("#analytics-scenario").addEventListener("change", () => {
+    $("#analytics-session").value = "";
+    loadAnalytics();
+  });
+
+  await loadScenarioList();
+  loadAnalytics();
+});
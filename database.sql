@@ -1,5 +1,6 @@
 -- Baza danych dla Escape Room: Release Day
--- Uruchom ten skrypt w MySQL, aby utworzyć bazę danych i tabelę
+-- Uruchom ten skrypt w MySQL, aby utworzyć bazę danych i tabele
+-- (schemat po wszystkich migracjach z migrations.js)
 
 CREATE DATABASE IF NOT EXISTS escape_room_game CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 
@@ -11,14 +12,129 @@ CREATE TABLE IF NOT EXISTS scores (
   score INT NOT NULL,
   time_seconds INT NOT NULL,
   mode VARCHAR(50) NOT NULL,
+  scenario_id VARCHAR(64) NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  -- Identyfikator wyniku z kolejki offline (ponowne wysłanie nie dubluje wyniku)
+  client_id VARCHAR(64) NULL,
   INDEX idx_score (score DESC),
   INDEX idx_time (time_seconds ASC),
-  INDEX idx_created (created_at DESC)
+  INDEX idx_created (created_at DESC),
+  INDEX idx_scores_scenario (scenario_id),
+  INDEX idx_scores_team (team_name),
+  UNIQUE INDEX idx_scores_client (client_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 
+-- Scenariusze utworzone w edytorze (pełna treść scenariusza jako JSON)
+CREATE TABLE IF NOT EXISTS scenarios (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  data LONGTEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Wyzwania trybu Versus (ziarno losowania + wynik drużyny, która je utworzyła)
+CREATE TABLE IF NOT EXISTS challenges (
+  id VARCHAR(16) PRIMARY KEY,
+  scenario_id VARCHAR(64) NOT NULL,
+  seed INT UNSIGNED NOT NULL,
+  team_name VARCHAR(255) NOT NULL,
+  score INT NOT NULL,
+  time_seconds INT NOT NULL,
+  breakdown TEXT NOT NULL,
+  settings TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Przebieg gry dołączony do wyniku (POST /api/scores z polem session)
+CREATE TABLE IF NOT EXISTS game_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  score_id INT NULL,
+  room_code VARCHAR(16) NULL,
+  scenario_id VARCHAR(64) NOT NULL,
+  seed INT UNSIGNED NULL,
+  team_name VARCHAR(255) NOT NULL,
+  mode VARCHAR(50) NOT NULL,
+  score INT NOT NULL,
+  time_seconds INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_session_scenario (scenario_id),
+  INDEX idx_session_created (created_at DESC),
+  INDEX idx_session_room (room_code),
+  FOREIGN KEY (score_id) REFERENCES scores(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Każda próba w pokoju (zmiana punktów i jej powód) i odkryta podpowiedź
+CREATE TABLE IF NOT EXISTS room_attempts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  room VARCHAR(20) NOT NULL,
+  attempt INT NOT NULL,
+  points_delta INT NOT NULL,
+  passed TINYINT(1) NOT NULL DEFAULT 0,
+  is_hint TINYINT(1) NOT NULL DEFAULT 0,
+  reason VARCHAR(255) NOT NULL DEFAULT '',
+  elapsed_seconds INT NOT NULL,
+  attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_attempt_room (room),
+  FOREIGN KEY (session_id) REFERENCES game_sessions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Odpowiedzi z próby: pytanie quizu, element backlogu, historia, test
+-- albo wybrana opcja konfliktu (value) i czy była poprawna
+CREATE TABLE IF NOT EXISTS attempt_answers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  attempt_id INT NOT NULL,
+  item_id VARCHAR(64) NOT NULL,
+  value VARCHAR(64) NULL,
+  is_correct TINYINT(1) NULL,
+  INDEX idx_answer_item (item_id),
+  FOREIGN KEY (attempt_id) REFERENCES room_attempts(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Punkty i czas drużyny w każdym pokoju przebiegu
+CREATE TABLE IF NOT EXISTS room_times (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  room VARCHAR(20) NOT NULL,
+  points INT NOT NULL,
+  time_seconds INT NOT NULL,
+  INDEX idx_room_time_room (room),
+  FOREIGN KEY (session_id) REFERENCES game_sessions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Tokeny gry już wykorzystane do zapisu wyniku lub utworzenia wyzwania
+CREATE TABLE IF NOT EXISTS used_runs (
+  run_key VARCHAR(80) PRIMARY KEY,
+  expires_at DATETIME NOT NULL,
+  INDEX idx_used_runs_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Wersja schematu - serwer (migrations.js) dopisuje tu brakujące migracje
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT IGNORE INTO schema_migrations (version, name) VALUES
+  (1, 'Wyniki, scenariusze z edytora i wyzwania Versus'),
+  (2, 'Przebiegi gry, próby w pokojach i odpowiedzi'),
+  (3, 'Kod pokoju lub sesji warsztatowej w przebiegu gry'),
+  (4, 'Podpowiedzi w historii prób'),
+  (5, 'Ustawienia gry w wyzwaniach Versus'),
+  (6, 'Czas i punkty w poszczególnych pokojach'),
+  (7, 'Scenariusz wyniku w rankingu'),
+  (8, 'Identyfikator wyniku z kolejki offline'),
+  (9, 'Wykorzystane tokeny gry');
+
 -- Przykładowe zapytania:
 -- SELECT * FROM scores ORDER BY score DESC LIMIT 10;
 -- SELECT * FROM scores ORDER BY time_seconds ASC LIMIT 10;
 -- SELECT * FROM scores ORDER BY created_at DESC LIMIT 10;
+-- Najczęściej źle sklasyfikowane historie:
+-- SELECT a.item_id, COUNT(*) AS bledy FROM attempt_answers a
+--   JOIN room_attempts r ON r.id = a.attempt_id
+--   WHERE r.room = 'stories' AND a.is_correct = 0
+--   GROUP BY a.item_id ORDER BY bledy DESC;
 
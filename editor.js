@@ -0,0 +1,524 @@
+// Edytor scenariuszy dla prowadzących warsztaty
+
+const PREVIEW_STORAGE_KEY = "escapeRoomScenarioPreview";
+
+const editor = {
+  draft: null,
+  scenarios: [], // lista z /api/scenarios
+};
+
+function $(selector) {
+  return document.querySelector(selector);
+}
+
+function emptyScenario() {
+  return {
+    id: "",
+    name: "",
+    description: "",
+    sprintGoal: "",
+    sprintCapacity: 20,
+    minSprintPoints: 8,
+    quiz: [],
+    backlog: [],
+    stories: [],
+    tests: [],
+    conflict: { po: "", dev: "", options: [] },
+    hints: [],
+  };
+}
+
+// Definicje pól edytowalnych list (quiz ma osobny, zagnieżdżony formularz)
+const LISTS = {
+  backlog: {
+    items: (draft) => draft.backlog,
+    create: () => ({
+      id: "",
+      title: "",
+      points: 3,
+      priority: "Medium",
+      mustHave: false,
+    }),
+    fields: () => [
+      { key: "id", label: "ID", type: "text" },
+      { key: "title", label: "Tytuł", type: "text", wide: true },
+      { key: "points", label: "SP", type: "number" },
+      {
+        key: "priority",
+        label: "Priorytet",
+        type: "select",
+        options: ScenarioValidation.PRIORITIES,
+      },
+      { key: "mustHave", label: "Must have", type: "checkbox" },
+    ],
+  },
+  stories: {
+    items: (draft) => draft.stories,
+    create: () => ({ id: "", text: "", matchesGoal: false }),
+    fields: () => [
+      { key: "id", label: "ID", type: "text" },
+      { key: "text", label: "Treść", type: "text", wide: true },
+      { key: "matchesGoal", label: "Wspiera cel Sprintu", type: "checkbox" },
+    ],
+  },
+  tests: {
+    items: (draft) => draft.tests,
+    create: () => ({ id: "", text: "", storyId: "", type: "unit" }),
+    fields: (draft) => [
+      { key: "id", label: "ID", type: "text" },
+      { key: "text", label: "Treść", type: "text", wide: true },
+      {
+        key: "storyId",
+        label: "User Story",
+        type: "select",
+        options: draft.stories.map((s) => s.id),
+      },
+      {
+        key: "type",
+        label: "Rodzaj",
+        type: "select",
+        options: ScenarioValidation.TEST_TYPES,
+      },
+    ],
+  },
+  conflict: {
+    items: (draft) => draft.conflict.options,
+    create: () => ({
+      id: "",
+      text: "",
+      points: 0,
+      correct: false,
+      endsGame: false,
+      endReason: "",
+      feedback: "",
+    }),
+    fields: () => [
+      { key: "id", label: "ID", type: "text" },
+      { key: "text", label: "Treść", type: "text", wide: true },
+      { key: "points", label: "Punkty", type: "number" },
+      { key: "correct", label: "Zgodna ze Scrumem", type: "checkbox" },
+      { key: "endsGame", label: "Kończy grę", type: "checkbox" },
+      {
+        key: "feedback",
+        label: "Informacja zwrotna",
+        type: "text",
+        wide: true,
+      },
+      {
+        key: "endReason",
+        label: "Podsumowanie na ekranie końcowym",
+        type: "text",
+        wide: true,
+      },
+    ],
+  },
+  hints: {
+    items: (draft) => draft.hints,
+    create: () => ({ id: "", room: "quiz", text: "", cost: 2 }),
+    fields: () => [
+      { key: "id", label: "ID", type: "text" },
+      {
+        key: "room",
+        label: "Pokój",
+        type: "select",
+        options: ScenarioValidation.ROOMS,
+      },
+      { key: "text", label: "Treść", type: "text", wide: true },
+      { key: "cost", label: "Koszt", type: "number" },
+    ],
+  },
+};
+
+function init() {
+  editor.draft = emptyScenario();
+  bindMetadataFields();
+  bindToolbar();
+  bindActions();
+  renderAll();
+  loadScenarioList();
+}
+
+// Pola ogólne - ścieżka w data-field, np. "conflict.po"
+function bindMetadataFields() {
+  document.querySelectorAll("[data-field]").forEach((input) => {
+    input.addEventListener("input", () => {
+      const path = input.dataset.field.split(".");
+      const key = path.pop();
+      const target = path.reduce((obj, part) => obj[part], editor.draft);
+      target[key] = input.type === "number" ? toInt(input.value) : input.value;
+    });
+  });
+}
+
+function fillMetadataFields() {
+  document.querySelectorAll("[data-field]").forEach((input) => {
+    const value = input.dataset.field
+      .split(".")
+      .reduce((obj, part) => (obj ? obj[part] : undefined), editor.draft);
+    input.value = value === undefined || value === null ? "" : value;
+  });
+}
+
+function toInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Listy: backlog, historie, testy, opcje konfliktu, podpowiedzi
+function renderList(name) {
+  const list = LISTS[name];
+  const container = $(`#editor-${name}`);
+  const items = list.items(editor.draft);
+  const fields = list.fields(editor.draft);
+  container.innerHTML = "";
+
+  items.forEach((item, index) => {
+    const row = document.createElement("div");
+    row.className = "editor-row";
+
+    fields.forEach((field) => {
+      row.appendChild(createField(item, field, name));
+    });
+
+    const btnRemove = document.createElement("button");
+    btnRemove.className = "btn-link";
+    btnRemove.textContent = "Usuń";
+    btnRemove.addEventListener("click", () => {
+      items.splice(index, 1);
+      renderList(name);
+      if (name === "stories") renderList("tests");
+    });
+    row.appendChild(btnRemove);
+
+    container.appendChild(row);
+  });
+}
+
+function createField(item, field, listName) {
+  const label = document.createElement("label");
+  label.className = field.wide ? "editor-wide" : "";
+  if (field.type === "checkbox") {
+    label.classList.add("editor-checkbox");
+  }
+
+  const caption = document.createElement("span");
+  caption.textContent = field.label;
+  label.appendChild(caption);
+
+  let input;
+  if (field.type === "select") {
+    input = document.createElement("select");
+    const values = field.options.slice();
+    // Nieistniejąca wartość zostaje widoczna, żeby walidacja ją wychwyciła
+    if (!values.includes(item[field.key])) {
+      values.unshift(item[field.key] || "");
+    }
+    values.forEach((value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = value || "—";
+      input.appendChild(option);
+    });
+    input.value = item[field.key] || "";
+  } else {
+    input = document.createElement("input");
+    input.type = field.type;
+    if (field.type === "checkbox") {
+      input.checked = Boolean(item[field.key]);
+    } else {
+      input.value = item[field.key] === undefined ? "" : item[field.key];
+    }
+  }
+
+  input.addEventListener(field.type === "text" ? "input" : "change", () => {
+    const previous = item[field.key];
+    if (field.type === "checkbox") {
+      item[field.key] = input.checked;
+    } else if (field.type === "number") {
+      item[field.key] = toInt(input.value);
+    } else {
+      item[field.key] = input.value;
+    }
+    // Zmiana id historii przenosi przypisane do niej testy
+    if (listName === "stories" && field.key === "id") {
+      editor.draft.tests.forEach((test) => {
+        if (test.storyId === previous) test.storyId = item.id;
+      });
+      renderList("tests");
+    }
+  });
+
+  label.appendChild(input);
+  return label;
+}
+
+// Quiz - pytania z zagnieżdżonymi odpowiedziami
+function renderQuiz() {
+  const container = $("#editor-quiz");
+  container.innerHTML = "";
+
+  editor.draft.quiz.forEach((question, qIndex) => {
+    const block = document.createElement("div");
+    block.className = "editor-row editor-question";
+
+    block.appendChild(
+      createField(question, { key: "id", label: "ID", type: "text" }),
+    );
+    block.appendChild(
+      createField(question, {
+        key: "question",
+        label: `Pytanie ${qIndex + 1}`,
+        type: "text",
+        wide: true,
+      }),
+    );
+
+    question.options.forEach((option, oIndex) => {
+      const row = document.createElement("div");
+      row.className = "editor-option";
+
+      const radioLabel = document.createElement("label");
+      radioLabel.className = "editor-checkbox";
+      const caption = document.createElement("span");
+      caption.textContent = `${option.id.toUpperCase()}) poprawna`;
+      const radio = document.createElement("input");
+      radio.type = "radio";
+      radio.name = `editor-quiz-${qIndex}`;
+      radio.checked = option.correct === true;
+      radio.addEventListener("change", () => {
+        question.options.forEach((o) => {
+          o.correct = o === option;
+        });
+      });
+      radioLabel.appendChild(caption);
+      radioLabel.appendChild(radio);
+      row.appendChild(radioLabel);
+
+      row.appendChild(
+        createField(option, {
+          key: "text",
+          label: "Treść odpowiedzi",
+          type: "text",
+          wide: true,
+        }),
+      );
+
+      const btnRemove = document.createElement("button");
+      btnRemove.className = "btn-link";
+      btnRemove.textContent = "Usuń odpowiedź";
+      btnRemove.addEventListener("click", () => {
+        question.options.splice(oIndex, 1);
+        relabelOptions(question);
+        renderQuiz();
+      });
+      row.appendChild(btnRemove);
+
+      block.appendChild(row);
+    });
+
+    const btnAddOption = document.createElement("button");
+    btnAddOption.className = "btn-link";
+    btnAddOption.textContent = "Dodaj odpowiedź";
+    btnAddOption.addEventListener("click", () => {
+      question.options.push({ id: "", text: "", correct: false });
+      relabelOptions(question);
+      renderQuiz();
+    });
+    block.appendChild(btnAddOption);
+
+    const btnRemove = document.createElement("button");
+    btnRemove.className = "btn-link";
+    btnRemove.textContent = "Usuń pytanie";
+    btnRemove.addEventListener("click", () => {
+      editor.draft.quiz.splice(qIndex, 1);
+      renderQuiz();
+    });
+    block.appendChild(btnRemove);
+
+    container.appendChild(block);
+  });
+}
+
+// Odpowiedzi quizu mają identyfikatory a, b, c...
+function relabelOptions(question) {
+  question.options.forEach((option, index) => {
+    option.id = String.fromCharCode(97 + index);
+  });
+}
+
+function renderAll() {
+  fillMetadataFields();
+  renderQuiz();
+  Object.keys(LISTS).forEach(renderList);
+  showErrors([]);
+}
+
+function bindToolbar() {
+  $("#btn-editor-load").addEventListener("click", async () => {
+    const id = $("#editor-scenario-select").value;
+    if (!id) return;
+    try {
+      const response = await fetch(`/api/scenarios/${encodeURIComponent(id)}`);
+      if (!response.ok) throw new Error(response.statusText);
+      const data = await response.json();
+      editor.draft = normalizeScenario(data.scenario);
+      // Scenariusze wbudowane służą jako szablon - zapis wymaga nowego id
+      const entry = editor.scenarios.find((s) => s.id === id);
+      if (entry && entry.source === "file") {
+        editor.draft.id = `${id}-kopia`;
+      }
+      renderAll();
+      setFeedback(`Wczytano scenariusz „${editor.draft.name}”.`, true);
+    } catch (error) {
+      console.error("Błąd wczytywania scenariusza:", error);
+      setFeedback("Nie udało się wczytać scenariusza.", false);
+    }
+  });
+
+  $("#btn-editor-new").addEventListener("click", () => {
+    editor.draft = emptyScenario();
+    renderAll();
+    setFeedback("", true);
+  });
+
+  document.querySelectorAll("[data-add]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const name = btn.dataset.add;
+      if (name === "quiz") {
+        const question = { id: "", question: "", options: [] };
+        for (let i = 0; i < 4; i++) {
+          question.options.push({ id: "", text: "", correct: i === 0 });
+        }
+        relabelOptions(question);
+        editor.draft.quiz.push(question);
+        renderQuiz();
+        return;
+      }
+      LISTS[name].items(editor.draft).push(LISTS[name].create());
+      renderList(name);
+      if (name === "stories") renderList("tests");
+    });
+  });
+}
+
+// Uzupełnij brakujące pola, aby formularz zawsze miał co wyświetlić
+function normalizeScenario(scenario) {
+  const base = emptyScenario();
+  return {
+    ...base,
+    ...scenario,
+    conflict: { ...base.conflict, ...(scenario.conflict || {}) },
+  };
+}
+
+function bindActions() {
+  $("#btn-editor-validate").addEventListener("click", () => {
+    const errors = ScenarioValidation.validateScenario(editor.draft);
+    showErrors(errors);
+    if (errors.length === 0) {
+      setFeedback("Scenariusz jest spójny.", true);
+    }
+  });
+
+  $("#btn-editor-preview").addEventListener("click", () => {
+    const errors = ScenarioValidation.validateScenario(editor.draft);
+    showErrors(errors);
+    if (errors.length > 0) return;
+    // Gra wczytuje scenariusz z localStorage, gdy ma parametr ?preview=1
+    localStorage.setItem(PREVIEW_STORAGE_KEY, JSON.stringify(editor.draft));
+    window.open("index.html?preview=1", "_blank");
+  });
+
+  $("#btn-editor-download").addEventListener("click", () => {
+    const blob = new Blob([JSON.stringify(editor.draft, null, 2) + "\n"], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${editor.draft.id || "scenariusz"}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  $("#btn-editor-save").addEventListener("click", async () => {
+    const errors = ScenarioValidation.validateScenario(editor.draft);
+    showErrors(errors);
+    if (errors.length > 0) return;
+
+    try {
+      const response = await fetch("/api/scenarios", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(editor.draft),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        showErrors(data.errors || []);
+        setFeedback(data.error || "Nie udało się zapisać scenariusza.", false);
+        return;
+      }
+      setFeedback(`Scenariusz „${editor.draft.name}” zapisany.`, true);
+      loadScenarioList();
+    } catch (error) {
+      console.error("Błąd zapisu scenariusza:", error);
+      setFeedback(
+        "Serwer niedostępny - scenariusz nie został zapisany.",
+        false,
+      );
+    }
+  });
+}
+
+async function loadScenarioList() {
+  try {
+    const response = await fetch("/api/scenarios");
+    if (!response.ok) throw new Error(response.statusText);
+    const data = await response.json();
+    editor.scenarios = data.scenarios || [];
+  } catch (error) {
+    console.error("Lista scenariuszy niedostępna:", error);
+    editor.scenarios = [];
+  }
+
+  const select = $("#editor-scenario-select");
+  select.innerHTML = "";
+  editor.scenarios.forEach((scenario) => {
+    const option = document.createElement("option");
+    option.value = scenario.id;
+    option.textContent =
+      scenario.source === "file"
+        ? `${scenario.name} (wbudowany)`
+        : scenario.name;
+    select.appendChild(option);
+  });
+}
+
+function showErrors(errors) {
+  const box = $("#editor-errors");
+  box.innerHTML = "";
+  if (errors.length === 0) {
+    box.classList.add("hidden");
+    return;
+  }
+
+  const title = document.createElement("p");
+  title.textContent = "Popraw scenariusz:";
+  box.appendChild(title);
+  const list = document.createElement("ul");
+  errors.forEach((error) => {
+    const li = document.createElement("li");
+    li.textContent = error;
+    list.appendChild(li);
+  });
+  box.appendChild(list);
+  box.classList.remove("hidden");
+  setFeedback("", true);
+}
+
+function setFeedback(message, ok) {
+  const feedback = $("#editor-feedback");
+  feedback.textContent = message;
+  feedback.className = message ? `feedback ${ok ? "ok" : "error"}` : "feedback";
+}
+
+document.addEventListener("DOMContentLoaded", init);
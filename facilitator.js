@@ -0,0 +1,225 @@
+// Panel prowadzącego - tworzenie sesji warsztatowej i podgląd drużyn na żywo
+
+const ROOM_LABELS = {
+  quiz: "0: Quiz",
+  backlog: "1: Sprint Backlog",
+  stories: "2: User Stories",
+  tests: "3: Testy",
+  conflict: "4: Konflikt",
+};
+
+const facilitator = {
+  socket: null,
+  roomId: null,
+  board: null,
+  remainingSeconds: 0,
+  paused: false,
+  timerInterval: null,
+};
+
+function $(selector) {
+  return document.querySelector(selector);
+}
+
+function formatTime(totalSeconds) {
+  const m = Math.floor(totalSeconds / 60)
+    .toString()
+    .padStart(2, "0");
+  const s = (totalSeconds % 60).toString().padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+function setStatus(text) {
+  $("#multiplayer-status-text").textContent = text;
+}
+
+async function loadScenarioList() {
+  const select = $("#facilitator-scenario");
+  try {
+    const response = await fetch("/api/scenarios");
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    select.innerHTML = "";
+    (data.scenarios || []).forEach((entry) => {
+      const option = document.createElement("option");
+      option.value = entry.id;
+      option.textContent = entry.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error("Błąd wczytywania listy scenariuszy:", error);
+    setStatus("Nie udało się wczytać scenariuszy");
+  }
+}
+
+function sendControl(action, extra = {}) {
+  if (!facilitator.roomId) return;
+  facilitator.socket.emit("sessionControl", {
+    roomId: facilitator.roomId,
+    action,
+    ...extra,
+  });
+}
+
+// Zegar odliczany lokalnie między aktualizacjami z serwera
+function startLocalTimer() {
+  clearInterval(facilitator.timerInterval);
+  facilitator.timerInterval = setInterval(() => {
+    if (facilitator.paused || facilitator.remainingSeconds <= 0) return;
+    facilitator.remainingSeconds--;
+    renderTimer();
+  }, 1000);
+}
+
+function renderTimer() {
+  $("#facilitator-timer").textContent = formatTime(
+    facilitator.remainingSeconds,
+  );
+}
+
+function renderControls(board) {
+  $("#btn-session-start").disabled = board.started || board.ended;
+  $("#btn-session-pause").disabled = !board.started || board.ended;
+  $("#btn-session-pause").textContent = board.paused ? "Wznów" : "Pauza";
+  document.querySelectorAll("[data-extend]").forEach((btn) => {
+    btn.disabled = board.ended;
+  });
+  $("#btn-session-end").disabled = board.ended;
+
+  let label = "Oczekiwanie na start";
+  if (board.ended) label = "Sesja zakończona";
+  else if (board.paused) label = "Pauza";
+  else if (board.started) label = "Gra trwa";
+  $("#facilitator-state").textContent = label;
+}
+
+function teamStatus(team) {
+  if (!team.connected) return "Rozłączona";
+  if (team.finished) return "Ukończono";
+  return "W grze";
+}
+
+function renderBoard(board) {
+  const tbody = $("#facilitator-board");
+  const emptyMsg = $("#facilitator-empty");
+  tbody.innerHTML = "";
+
+  // Po zakończeniu sesji tabela pokazuje końcowy ranking
+  const placeByTeam = new Map();
+  (board.standings || []).forEach((entry) => {
+    placeByTeam.set(entry.teamName, entry.place);
+  });
+  const teams = board.ended
+    ? [...board.teams].sort(
+        (a, b) => placeByTeam.get(a.teamName) - placeByTeam.get(b.teamName),
+      )
+    : board.teams;
+
+  emptyMsg.classList.toggle("hidden", teams.length > 0);
+
+  teams.forEach((team, index) => {
+    const tr = document.createElement("tr");
+    if (!team.connected) tr.classList.add("team-offline");
+    const place = board.ended ? placeByTeam.get(team.teamName) : index + 1;
+    const cells = [
+      place,
+      team.teamName,
+      team.room ? ROOM_LABELS[team.room] : "–",
+      team.score,
+      team.wrongAttempts,
+      team.hintsUsed,
+      team.finished ? formatTime(team.time) : "–",
+      teamStatus(team),
+    ];
+    cells.forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+function handleBoard(board) {
+  facilitator.board = board;
+  facilitator.remainingSeconds = board.remainingSeconds;
+  facilitator.paused = board.paused || board.ended || !board.started;
+  renderTimer();
+  renderControls(board);
+  renderBoard(board);
+  if (board.ended) clearInterval(facilitator.timerInterval);
+}
+
+function bindControls() {
+  $("#btn-create-session").addEventListener("click", () => {
+    facilitator.socket.emit("createSession", {
+      scenarioId: $("#facilitator-scenario").value,
+      hintBudget: Number($("#facilitator-hint-budget").value),
+      settings: { difficulty: $("#facilitator-difficulty").value },
+    });
+  });
+
+  $("#btn-session-start").addEventListener("click", () => {
+    sendControl("start");
+  });
+
+  $("#btn-session-pause").addEventListener("click", () => {
+    sendControl(
+      facilitator.board && facilitator.board.paused ? "resume" : "pause",
+    );
+  });
+
+  document.querySelectorAll("[data-extend]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      sendControl("extend", { seconds: Number(btn.dataset.extend) });
+    });
+  });
+
+  $("#btn-session-end").addEventListener("click", () => {
+    if (confirm("Zakończyć sesję dla wszystkich drużyn?")) {
+      sendControl("end");
+    }
+  });
+}
+
+function initSocket() {
+  if (typeof io === "undefined") {
+    setStatus("Serwer niedostępny - panel wymaga uruchomionego serwera");
+    $("#btn-create-session").disabled = true;
+    return;
+  }
+
+  const socket = io();
+  facilitator.socket = socket;
+
+  socket.on("connect", () => {
+    setStatus("Połączono z serwerem");
+  });
+
+  socket.on("disconnect", () => {
+    setStatus("Utracono połączenie - sesja została zakończona");
+    clearInterval(facilitator.timerInterval);
+  });
+
+  socket.on("sessionCreated", ({ roomId, scenarioName }) => {
+    facilitator.roomId = roomId;
+    $("#facilitator-code").textContent = roomId;
+    $("#facilitator-scenario-name").textContent = scenarioName;
+    $("#facilitator-session").classList.remove("hidden");
+    $("#btn-create-session").disabled = true;
+    $("#facilitator-scenario").disabled = true;
+    startLocalTimer();
+  });
+
+  socket.on("sessionBoard", handleBoard);
+
+  socket.on("error", ({ message }) => {
+    setStatus(message);
+  });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  bindControls();
+  initSocket();
+  loadScenarioList();
+});
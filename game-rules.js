@@ -0,0 +1,197 @@
+// Reguły gry po stronie serwera – punktacja pokoi.
+// Serwer nie ufa wynikom wysyłanym przez klienta: sam sprawdza odpowiedzi
+// według scenariusza pokoju (scenarios.js) tymi samymi funkcjami co game.js
+// (room-checks.js). Czas gry, pojemność Sprintu i wielkość kar zależą od
+// ustawień pokoju (game-settings.js).
+
+const GameSettings = require("./game-settings");
+const RoomChecks = require("./room-checks");
+
+// Podpowiedzi - ile drużyna może odkryć w całej grze (wybiera gospodarz)
+const DEFAULT_HINT_BUDGET = 3;
+const MAX_HINT_BUDGET = 10;
+
+// Kolejność pokoi (tak jak state.sprint w game.js)
+const ROOM_ORDER = ["quiz", "backlog", "stories", "tests", "conflict"];
+
+// Najwięcej prób (z podpowiedziami) w jednej grze - tyle mieści historia gry
+const MAX_ATTEMPTS = 200;
+
+// Sprawdź odpowiedź dla danego pokoju; progress to stan gracza na serwerze,
+// settings - ustawienia pokoju (kary są skalowane według poziomu trudności)
+function checkAnswer(scenario, room, answer, progress, settings) {
+  const result = RoomChecks.checkRoom(
+    scenario,
+    room,
+    answer,
+    progress,
+    settings
+  );
+  if (!result) return null;
+  return {
+    ...result,
+    delta: GameSettings.scalePenalty(result.delta, settings),
+  };
+}
+
+// Budżet podpowiedzi z formularza; null, gdy wartość jest spoza zakresu
+function parseHintBudget(value) {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_HINT_BUDGET;
+  }
+  const budget = Number(value);
+  return Number.isInteger(budget) && budget >= 0 && budget <= MAX_HINT_BUDGET
+    ? budget
+    : null;
+}
+
+// Kolejna podpowiedź w pokoju (od najsłabszej do najmocniejszej).
+// hintsUsed – { pokój: liczba odkrytych podpowiedzi } dla całej gry.
+// Zwraca { hint, reason }; hint = null, gdy podpowiedzi nie ma albo
+// drużyna wykorzystała budżet.
+function nextHint(scenario, room, hintsUsed, budget) {
+  const hints = (scenario.hints || []).filter((hint) => hint.room === room);
+  const hint = hints[hintsUsed[room] || 0];
+  if (!hint) {
+    return { hint: null, reason: "no-hints" };
+  }
+  const used = Object.values(hintsUsed).reduce((sum, count) => sum + count, 0);
+  if (used >= budget) {
+    return { hint: null, reason: "hint-budget" };
+  }
+  return { hint, reason: "ok" };
+}
+
+// Odpowiedź z pokoju rozbita na pojedyncze elementy (tabela attempt_answers):
+// { itemId, value, correct }. correct = null, gdy element nie ma jednej
+// poprawnej odpowiedzi (elementy backlogu inne niż must have).
+function answerItems(scenario, room, answer) {
+  const data = answer && typeof answer === "object" ? answer : {};
+  const list = (value) => (Array.isArray(value) ? value : []);
+
+  switch (room) {
+    case "quiz": {
+      const answers = data.answers || {};
+      return scenario.quiz.map((question) => {
+        const option = question.options.find(
+          (o) => o.id === answers[question.id]
+        );
+        return {
+          itemId: question.id,
+          value: option ? option.id : null,
+          correct: Boolean(option && option.correct),
+        };
+      });
+    }
+    case "backlog": {
+      const itemIds = list(data.itemIds);
+      return scenario.backlog.map((item) => {
+        const chosen = itemIds.includes(item.id);
+        return {
+          itemId: item.id,
+          value: chosen ? "sprint" : "product",
+          correct: item.mustHave ? chosen : null,
+        };
+      });
+    }
+    case "stories": {
+      const sprint = list(data.sprint);
+      const later = list(data.later);
+      return scenario.stories.map((story) => {
+        let value = null;
+        if (sprint.includes(story.id)) value = "sprint";
+        else if (later.includes(story.id)) value = "later";
+        return {
+          itemId: story.id,
+          value,
+          correct: value === (story.matchesGoal ? "sprint" : "later"),
+        };
+      });
+    }
+    case "tests": {
+      const assignments = data.assignments || {};
+      return scenario.tests.map((test) => {
+        const storyId =
+          Object.keys(assignments).find((id) =>
+            list(assignments[id]).includes(test.id)
+          ) || null;
+        return {
+          itemId: test.id,
+          value: storyId,
+          correct: storyId === test.storyId,
+        };
+      });
+    }
+    case "conflict": {
+      const option = scenario.conflict.options.find(
+        (o) => o.id === data.choice
+      );
+      if (!option) return [];
+      return [
+        {
+          itemId: "choice",
+          value: option.id,
+          correct: Boolean(option.correct),
+        },
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+// Zakres wyniku możliwy w scenariuszu przy danych ustawieniach.
+// max - wszystkie pokoje przechodzone najlepiej (z punktami częściowymi za
+// pierwszą próbę quizu), min - każda z MAX_ATTEMPTS prób z najwyższą karą.
+function scoreBounds(scenario, settings) {
+  const conflictPoints = scenario.conflict.options.map((o) => o.points);
+  const max =
+    RoomChecks.PASS_POINTS.quiz +
+    RoomChecks.QUIZ_POINTS_PER_ANSWER * (scenario.quiz.length - 1) +
+    RoomChecks.PASS_POINTS.backlog +
+    RoomChecks.PASS_POINTS.stories +
+    RoomChecks.PASS_POINTS.tests +
+    Math.max(0, ...conflictPoints);
+
+  const hintCost = Math.max(0, ...(scenario.hints || []).map((h) => h.cost));
+  const worstDelta = Math.min(
+    GameSettings.scalePenalty(-RoomChecks.MAX_PENALTY, settings),
+    GameSettings.scalePenalty(Math.min(0, ...conflictPoints), settings),
+    -hintCost
+  );
+  return { min: worstDelta * MAX_ATTEMPTS, max };
+}
+
+// Ranking drużyn: więcej punktów wygrywa, przy remisie punktów szybszy czas.
+// Drużyny z identycznym wynikiem i czasem dzielą miejsce.
+function rankTeams(teams) {
+  const sorted = teams
+    .slice()
+    .sort((a, b) => b.score - a.score || a.time - b.time);
+
+  let place = 0;
+  return sorted.map((team, index) => {
+    const previous = sorted[index - 1];
+    if (
+      !previous ||
+      previous.score !== team.score ||
+      previous.time !== team.time
+    ) {
+      place = index + 1;
+    }
+    return { ...team, place };
+  });
+}
+
+module.exports = {
+  DEFAULT_HINT_BUDGET,
+  MAX_ATTEMPTS,
+  MAX_HINT_BUDGET,
+  ROOM_ORDER,
+  answerItems,
+  checkAnswer,
+  nextHint,
+  parseHintBudget,
+  rankTeams,
+  scoreBounds,
+};
@@ -0,0 +1,122 @@
+// Ustawienia rozgrywki: poziomy trudności i własne ustawienia - wspólne dla
+// gry w przeglądarce (globalne GameSettings) i serwera (require).
+// Serwer przyjmuje ustawienia od gospodarza pokoju i rozsyła je wszystkim
+// drużynom, więc wszyscy grają według tych samych zasad.
+
+(function (root) {
+  const DIFFICULTIES = ["easy", "normal", "hard"];
+  const CUSTOM = "custom";
+  const DEFAULT_DIFFICULTY = "normal";
+
+  // durationSeconds - czas całej gry, roomSeconds - limit na pokój (0 = brak),
+  // capacityDelta / minPointsDelta - zmiana pojemności i minimum Sprintu
+  // względem scenariusza (SP), penaltyPercent - wielkość kar w procentach
+  const PRESETS = {
+    easy: {
+      durationSeconds: 15 * 60,
+      roomSeconds: 0,
+      capacityDelta: 3,
+      minPointsDelta: -3,
+      penaltyPercent: 50,
+    },
+    normal: {
+      durationSeconds: 10 * 60,
+      roomSeconds: 0,
+      capacityDelta: 0,
+      minPointsDelta: 0,
+      penaltyPercent: 100,
+    },
+    hard: {
+      durationSeconds: 7 * 60,
+      roomSeconds: 2 * 60,
+      capacityDelta: -2,
+      minPointsDelta: 2,
+      penaltyPercent: 150,
+    },
+  };
+
+  // Dozwolone zakresy własnych ustawień
+  const LIMITS = {
+    durationSeconds: { min: 3 * 60, max: 30 * 60 },
+    roomSeconds: { min: 0, max: 10 * 60 },
+    capacityDelta: { min: -10, max: 10 },
+    minPointsDelta: { min: -10, max: 10 },
+    penaltyPercent: { min: 0, max: 300 },
+  };
+
+  function presetSettings(difficulty) {
+    return { difficulty, ...PRESETS[difficulty] };
+  }
+
+  // Ustawienia z formularza lub od klienta; null, gdy są niepoprawne.
+  // Brak ustawień oznacza poziom normalny.
+  function normalizeSettings(input) {
+    if (input === undefined || input === null) {
+      return presetSettings(DEFAULT_DIFFICULTY);
+    }
+    if (typeof input !== "object") return null;
+    if (DIFFICULTIES.includes(input.difficulty)) {
+      return presetSettings(input.difficulty);
+    }
+    if (input.difficulty !== CUSTOM) return null;
+
+    const settings = { difficulty: CUSTOM };
+    for (const key of Object.keys(LIMITS)) {
+      const value = input[key];
+      if (
+        !Number.isInteger(value) ||
+        value < LIMITS[key].min ||
+        value > LIMITS[key].max
+      ) {
+        return null;
+      }
+      settings[key] = value;
+    }
+    if (settings.roomSeconds > settings.durationSeconds) return null;
+    return settings;
+  }
+
+  // Pojemność i minimum Sprintu po zmianach z ustawień. Elementy must have
+  // zawsze mieszczą się w Sprincie, żeby pokój dało się przejść.
+  function sprintBounds(scenario, settings) {
+    const sum = (items) => items.reduce((acc, item) => acc + item.points, 0);
+    const mustHave = sum(scenario.backlog.filter((item) => item.mustHave));
+    const capacity = Math.max(
+      mustHave,
+      scenario.sprintCapacity + settings.capacityDelta,
+    );
+    const minPoints = Math.max(
+      0,
+      Math.min(
+        capacity,
+        sum(scenario.backlog),
+        (scenario.minSprintPoints || 0) + settings.minPointsDelta,
+      ),
+    );
+    return { capacity, minPoints };
+  }
+
+  // Kary (ujemne zmiany punktów) według ustawień; nagrody bez zmian
+  function scalePenalty(delta, settings) {
+    if (delta >= 0) return delta;
+    return Math.round((delta * settings.penaltyPercent) / 100) || 0;
+  }
+
+  const api = {
+    CUSTOM,
+    DEFAULT_DIFFICULTY,
+    DIFFICULTIES,
+    LIMITS,
+    PRESETS,
+    normalizeSettings,
+    presetSettings,
+    scalePenalty,
+    sprintBounds,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.GameSettings = api;
+  }
+})(this);
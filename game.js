@@ -5,7 +5,7 @@ const state = {
   mode: "solo",
   sprint: 1,
   score: 0,
-  timerSeconds: 10 * 60, // 10 minut
+  timerSeconds: 0, // ustawiane przy starcie gry według state.settings
   timerId: null,
   startTimestamp: null,
   backlogItems: [],
@@ -13,213 +13,598 @@ const state = {
   tests: [],
   quizAnswers: {},
   finished: false,
+  // Aktualny scenariusz (treść pokoi) - ustawiany w init(), w wybranym języku
+  scenario: null,
+  scenarioSource: null, // ten sam scenariusz przed tłumaczeniem (I18n)
+  scenarioList: [], // lista z /api/scenarios do przełączania języka
   // Multiplayer
   socket: null,
   roomId: null,
   opponentName: null,
   opponentScore: 0,
+  rivalScores: {}, // nazwa drużyny -> punkty (pozostałe drużyny w pokoju)
+  // nazwa drużyny -> { room, roomIndex, wrongAttempts, hintsUsed, finished }
+  rivalProgress: {},
   isHost: false,
   multiplayerReady: false,
+  // Sesja warsztatowa prowadzona z facilitator.html
+  isSession: false,
+  timerPaused: false,
+  // Podgląd niezapisanego scenariusza z edytora (editor.html)
+  isPreview: false,
+  // Versus - ziarno losowania kolejności kart i wyzwanie z linku ?challenge=
+  seed: null,
+  challenge: null,
+  // Punkty i czas w poszczególnych pokojach (porównanie w trybie Versus)
+  roomBreakdown: {},
+  roomEntry: null, // { room, score, elapsed } w chwili wejścia do pokoju
+  // Historia punktacji: { room, attempt, delta, reason, passed, hint, answer, elapsed, at }
+  scoreEvents: [],
+  // Podpowiedzi: budżet na całą grę i liczba odkrytych w każdym pokoju
+  hintBudget: 3,
+  hintsUsed: {},
+  // Poziom trudności: czas gry, limit na pokój, pojemność Sprintu i kary
+  settings: GameSettings.presetSettings(GameSettings.DEFAULT_DIFFICULTY),
+  rankingPage: 1, // strona rankingu (filtry są w formularzu)
+  // Token przebiegu z serwera - bez niego wynik zostaje tylko w localStorage
+  runToken: null,
+  // Kolejka wyników offline: trwa wysyłanie, zegar ponawiania
+  scoreSyncing: false,
+  scoreSyncTimer: null,
 };
 
-// Dane przykładowe
-const BACKLOG_ITEMS = [
-  {
-    id: "pb-login-ui",
-    title: "Jako użytkownik mogę zobaczyć formularz logowania",
-    points: 5,
-    priority: "High",
-    mustHave: true,
-  },
-  {
-    id: "pb-reset-pass",
-    title: "Jako użytkownik mogę zresetować hasło przez e-mail",
-    points: 8,
-    priority: "High",
-    mustHave: true,
-  },
-  {
-    id: "pb-dark-mode",
-    title: "Jako użytkownik mogę włączyć dark mode",
-    points: 3,
-    priority: "Low",
-    mustHave: false,
-  },
-  {
-    id: "pb-fancy-anim",
-    title: "Animacje 3D przy logowaniu",
-    points: 5,
-    priority: "Low",
-    mustHave: false,
-  },
-  {
-    id: "pb-analytics",
-    title: "Zbieranie metryk logowania (analytics)",
-    points: 5,
-    priority: "Medium",
-    mustHave: false,
-  },
-];
-
-const STORIES = [
-  {
-    id: "st-login-ok",
-    text: "Jako użytkownik mogę zalogować się poprawnym hasłem",
-    matchesGoal: true,
-  },
-  {
-    id: "st-login-lock",
-    text: "Konto blokuje się po 5 nieudanych próbach logowania",
-    matchesGoal: true,
-  },
-  {
-    id: "st-reset-email",
-    text: "Otrzymuję e-mail z linkiem do resetu hasła",
-    matchesGoal: true,
-  },
-  {
-    id: "st-profile-avatar",
-    text: "Mogę ustawić awatar w profilu",
-    matchesGoal: false,
-  },
-  {
-    id: "st-theme-custom",
-    text: "Mogę zmienić kolor motywu aplikacji",
-    matchesGoal: false,
-  },
-];
-
-const QUIZ_QUESTIONS = [
-  {
-    id: "quiz-agile",
-    question: "Co to jest Agile?",
+// Scenariusz wbudowany - używany, gdy /api/scenarios jest niedostępne
+// (np. gra otwarta z pliku index.html). Kopia scenarios/login-release.json
+// (zgodność sprawdza test/scenarios.test.js).
+const DEFAULT_SCENARIO = {
+  id: "login-release",
+  name: "Logowanie i reset hasła",
+  description:
+    "Release modułu logowania: formularz, blokada konta i reset hasła przez e-mail.",
+  sprintGoal: "„Użytkownik może bezpiecznie logować się i resetować hasło.”",
+  sprintCapacity: 20,
+  minSprintPoints: 8,
+  quiz: [
+    {
+      id: "quiz-agile",
+      question: "Co to jest Agile?",
+      options: [
+        {
+          id: "a",
+          text: "Metodologia zarządzania projektami oparta na iteracyjnym i przyrostowym podejściu do rozwoju oprogramowania",
+          correct: true,
+        },
+        {
+          id: "b",
+          text: "Narzędzie do zarządzania bazą danych",
+          correct: false,
+        },
+        {
+          id: "c",
+          text: "Język programowania",
+          correct: false,
+        },
+        {
+          id: "d",
+          text: "Framework do testowania oprogramowania",
+          correct: false,
+        },
+      ],
+    },
+    {
+      id: "quiz-mvp",
+      question: "Co oznacza akronim MVP w kontekście Agile?",
+      options: [
+        {
+          id: "a",
+          text: "Most Valuable Player",
+          correct: false,
+        },
+        {
+          id: "b",
+          text: "Minimum Viable Product - minimalna wersja produktu z podstawowymi funkcjami",
+          correct: true,
+        },
+        {
+          id: "c",
+          text: "Maximum Value Process",
+          correct: false,
+        },
+        {
+          id: "d",
+          text: "Multi-Version Platform",
+          correct: false,
+        },
+      ],
+    },
+    {
+      id: "quiz-user-stories",
+      question: "Co oznacza termin User Stories w Agile?",
+      options: [
+        {
+          id: "a",
+          text: "Opowieści użytkowników o produktach",
+          correct: false,
+        },
+        {
+          id: "b",
+          text: "Krótkie opisy wymagań z perspektywy użytkownika końcowego",
+          correct: true,
+        },
+        {
+          id: "c",
+          text: "Historie użytkowania systemu",
+          correct: false,
+        },
+        {
+          id: "d",
+          text: "Dokumentacja techniczna użytkowników",
+          correct: false,
+        },
+      ],
+    },
+  ],
+  backlog: [
+    {
+      id: "pb-login-ui",
+      title: "Jako użytkownik mogę zobaczyć formularz logowania",
+      points: 5,
+      priority: "High",
+      mustHave: true,
+    },
+    {
+      id: "pb-reset-pass",
+      title: "Jako użytkownik mogę zresetować hasło przez e-mail",
+      points: 8,
+      priority: "High",
+      mustHave: true,
+    },
+    {
+      id: "pb-dark-mode",
+      title: "Jako użytkownik mogę włączyć dark mode",
+      points: 3,
+      priority: "Low",
+      mustHave: false,
+    },
+    {
+      id: "pb-fancy-anim",
+      title: "Animacje 3D przy logowaniu",
+      points: 5,
+      priority: "Low",
+      mustHave: false,
+    },
+    {
+      id: "pb-analytics",
+      title: "Zbieranie metryk logowania (analytics)",
+      points: 5,
+      priority: "Medium",
+      mustHave: false,
+    },
+  ],
+  stories: [
+    {
+      id: "st-login-ok",
+      text: "Jako użytkownik mogę zalogować się poprawnym hasłem",
+      matchesGoal: true,
+    },
+    {
+      id: "st-login-lock",
+      text: "Konto blokuje się po 5 nieudanych próbach logowania",
+      matchesGoal: true,
+    },
+    {
+      id: "st-reset-email",
+      text: "Otrzymuję e-mail z linkiem do resetu hasła",
+      matchesGoal: true,
+    },
+    {
+      id: "st-profile-avatar",
+      text: "Mogę ustawić awatar w profilu",
+      matchesGoal: false,
+    },
+    {
+      id: "st-theme-custom",
+      text: "Mogę zmienić kolor motywu aplikacji",
+      matchesGoal: false,
+    },
+  ],
+  tests: [
+    {
+      id: "test-login-success",
+      text: "Test: Logowanie z poprawnymi danymi",
+      storyId: "st-login-ok",
+      type: "unit",
+    },
+    {
+      id: "test-login-invalid",
+      text: "Test: Logowanie z niepoprawnymi danymi",
+      storyId: "st-login-ok",
+      type: "unit",
+    },
+    {
+      id: "test-login-lock",
+      text: "Test: Blokada konta po 5 próbach",
+      storyId: "st-login-lock",
+      type: "integration",
+    },
+    {
+      id: "test-reset-email",
+      text: "Test: Wysłanie e-maila resetującego hasło",
+      storyId: "st-reset-email",
+      type: "integration",
+    },
+    {
+      id: "test-reset-token",
+      text: "Test: Walidacja tokena resetującego hasło",
+      storyId: "st-reset-email",
+      type: "unit",
+    },
+    {
+      id: "test-profile-ui",
+      text: "Test: Wyświetlanie formularza profilu",
+      storyId: "st-profile-avatar",
+      type: "e2e",
+    },
+    {
+      id: "test-theme-apply",
+      text: "Test: Zastosowanie niestandardowego motywu",
+      storyId: "st-theme-custom",
+      type: "e2e",
+    },
+  ],
+  conflict: {
+    po: "„Musimy dowieźć cały zakres, inaczej biznes będzie niezadowolony!”",
+    dev: "„Część rzeczy nie przeszła testów. Release może być ryzykowny.”",
     options: [
       {
-        id: "a",
-        text: "Metodologia zarządzania projektami oparta na iteracyjnym i przyrostowym podejściu do rozwoju oprogramowania",
-        correct: true,
+        id: "all",
+        text: "Wypchnąć wszystko, nawet nieprzetestowane",
+        points: -8,
+        correct: false,
+        endsGame: false,
+        feedback:
+          "To podejście narusza zasady jakości i przejrzystości w Scrumie. Zastanów się, jak chronić użytkownika i produkt.",
       },
       {
-        id: "b",
-        text: "Narzędzie do zarządzania bazą danych",
-        correct: false,
+        id: "increment",
+        text: "Wydać tylko ukończony, przetestowany Increment",
+        points: 20,
+        correct: true,
+        endsGame: true,
+        feedback:
+          "Brawo! Wydanie tylko ukończonego, przetestowanego Inkrementu jest zgodne ze Scrumem i chroni jakość.",
       },
       {
-        id: "c",
-        text: "Język programowania",
+        id: "delay",
+        text: "Przesunąć release o tydzień, aby dokończyć cały zakres",
+        points: 5,
         correct: false,
+        endsGame: true,
+        endReason: "Udało się dowieźć release!",
+        feedback:
+          "Przesunięcie release'u bywa konieczne, ale w Scrumie kluczowe jest dostarczenie działającego Inkrementu w rytmie Sprintów.",
       },
       {
-        id: "d",
-        text: "Framework do testowania oprogramowania",
+        id: "hide",
+        text: "Ukryć problemy, licząc że „jakoś to będzie”",
+        points: -8,
         correct: false,
+        endsGame: false,
+        feedback:
+          "To podejście narusza zasady jakości i przejrzystości w Scrumie. Zastanów się, jak chronić użytkownika i produkt.",
       },
     ],
   },
-  {
-    id: "quiz-mvp",
-    question: "Co oznacza akronim MVP w kontekście Agile?",
-    options: [
-      {
-        id: "a",
-        text: "Most Valuable Player",
-        correct: false,
+  hints: [
+    {
+      id: "hint-quiz-1",
+      room: "quiz",
+      text: "W każdym pytaniu poprawna odpowiedź mówi o pracy zespołu i użytkowniku, a nie o narzędziu czy języku programowania.",
+      cost: 2,
+    },
+    {
+      id: "hint-quiz-2",
+      room: "quiz",
+      text: "MVP to „Minimum Viable Product”, a User Stories to krótkie opisy wymagań z perspektywy użytkownika.",
+      cost: 4,
+    },
+    {
+      id: "hint-backlog-1",
+      room: "backlog",
+      text: "Sprawdź elementy must have – wszystkie muszą trafić do Sprintu.",
+      cost: 2,
+    },
+    {
+      id: "hint-backlog-2",
+      room: "backlog",
+      text: "Oba elementy o priorytecie High są must have. Elementy o niskim priorytecie tylko zabierają miejsce w Sprincie.",
+      cost: 4,
+    },
+    {
+      id: "hint-stories-1",
+      room: "stories",
+      text: "Cel Sprintu dotyczy tylko logowania i resetu hasła – wszystko inne zostaje poza Sprintem.",
+      cost: 2,
+    },
+    {
+      id: "hint-stories-2",
+      room: "stories",
+      text: "Awatar i kolor motywu nie wspierają celu Sprintu.",
+      cost: 4,
+    },
+    {
+      id: "hint-tests-1",
+      room: "tests",
+      text: "Testy profilu i motywu nie pasują do historii ze Sprintu – zostaw je w puli.",
+      cost: 2,
+    },
+    {
+      id: "hint-tests-2",
+      room: "tests",
+      text: "Reset hasła ma dwa testy: wysyłkę e-maila i ważność tokenu.",
+      cost: 4,
+    },
+    {
+      id: "hint-conflict-1",
+      room: "conflict",
+      text: "Scrum wymaga, żeby każdy Increment był ukończony i przetestowany.",
+      cost: 3,
+    },
+  ],
+  // Tłumaczenia treści scenariusza (I18n.localizeScenario)
+  translations: {
+    uk: {
+      name: "Вхід і скидання пароля",
+      description:
+        "Реліз модуля входу: форма, блокування облікового запису та скидання пароля через e-mail.",
+      sprintGoal:
+        "«Користувач може безпечно входити в систему та скидати пароль.»",
+      quiz: {
+        "quiz-agile": {
+          question: "Що таке Agile?",
+          options: {
+            a: "Методологія управління проєктами, що базується на ітеративному та інкрементному підході до розробки програмного забезпечення",
+            b: "Інструмент для керування базою даних",
+            c: "Мова програмування",
+            d: "Фреймворк для тестування програмного забезпечення",
+          },
+        },
+        "quiz-mvp": {
+          question: "Що означає абревіатура MVP у контексті Agile?",
+          options: {
+            b: "Minimum Viable Product - мінімальна версія продукту з базовими функціями",
+          },
+        },
+        "quiz-user-stories": {
+          question: "Що означає термін User Stories в Agile?",
+          options: {
+            a: "Розповіді користувачів про продукти",
+            b: "Короткі описи вимог з погляду кінцевого користувача",
+            c: "Історії використання системи",
+            d: "Технічна документація для користувачів",
+          },
+        },
       },
-      {
-        id: "b",
-        text: "Minimum Viable Product - minimalna wersja produktu z podstawowymi funkcjami",
-        correct: true,
+      backlog: {
+        "pb-login-ui": "Як користувач я можу бачити форму входу",
+        "pb-reset-pass": "Як користувач я можу скинути пароль через e-mail",
+        "pb-dark-mode": "Як користувач я можу увімкнути dark mode",
+        "pb-fancy-anim": "3D-анімації під час входу",
+        "pb-analytics": "Збір метрик входу (analytics)",
       },
-      {
-        id: "c",
-        text: "Maximum Value Process",
-        correct: false,
+      stories: {
+        "st-login-ok": "Як користувач я можу увійти з правильним паролем",
+        "st-login-lock":
+          "Обліковий запис блокується після 5 невдалих спроб входу",
+        "st-reset-email": "Я отримую e-mail із посиланням для скидання пароля",
+        "st-profile-avatar": "Я можу встановити аватар у профілі",
+        "st-theme-custom": "Я можу змінити колір теми застосунку",
       },
-      {
-        id: "d",
-        text: "Multi-Version Platform",
-        correct: false,
+      tests: {
+        "test-login-success": "Тест: Вхід із правильними даними",
+        "test-login-invalid": "Тест: Вхід із неправильними даними",
+        "test-login-lock": "Тест: Блокування облікового запису після 5 спроб",
+        "test-reset-email": "Тест: Надсилання e-mail для скидання пароля",
+        "test-reset-token": "Тест: Перевірка токена скидання пароля",
+        "test-profile-ui": "Тест: Відображення форми профілю",
+        "test-theme-apply": "Тест: Застосування власної теми",
       },
-    ],
-  },
-  {
-    id: "quiz-user-stories",
-    question: "Co oznacza termin User Stories w Agile?",
-    options: [
-      {
-        id: "a",
-        text: "Opowieści użytkowników o produktach",
-        correct: false,
+      hints: {
+        "hint-quiz-1":
+          "У кожному питанні правильна відповідь стосується роботи команди та користувача, а не інструмента чи мови програмування.",
+        "hint-quiz-2":
+          "MVP — це «Minimum Viable Product», а User Stories — короткі описи вимог з погляду користувача.",
+        "hint-backlog-1":
+          "Перевір елементи must have — усі вони мають потрапити до спринту.",
+        "hint-backlog-2":
+          "Обидва елементи з пріоритетом High є must have. Елементи з низьким пріоритетом лише займають місце у спринті.",
+        "hint-stories-1":
+          "Ціль спринту стосується лише входу та скидання пароля — усе інше залишається поза спринтом.",
+        "hint-stories-2": "Аватар і колір теми не підтримують ціль спринту.",
+        "hint-tests-1":
+          "Тести профілю і теми не підходять до історій зі спринту — залиш їх у пулі.",
+        "hint-tests-2":
+          "Скидання пароля має два тести: надсилання e-mail і дійсність токена.",
+        "hint-conflict-1":
+          "Scrum вимагає, щоб кожен Increment був завершений і протестований.",
       },
-      {
-        id: "b",
-        text: "Krótkie opisy wymagań z perspektywy użytkownika końcowego",
-        correct: true,
+      conflict: {
+        po: "«Ми мусимо випустити весь обсяг, інакше бізнес буде незадоволений!»",
+        dev: "«Частина функцій не пройшла тести. Реліз може бути ризикованим.»",
+        options: {
+          all: {
+            text: "Випустити все, навіть неперевірене",
+            feedback:
+              "Такий підхід порушує принципи якості та прозорості в Scrum. Подумай, як захистити користувача і продукт.",
+          },
+          increment: {
+            text: "Випустити лише завершений, протестований інкремент",
+            feedback:
+              "Браво! Випуск лише завершеного, протестованого інкременту відповідає Scrum і захищає якість.",
+          },
+          delay: {
+            text: "Перенести реліз на тиждень, щоб завершити весь обсяг",
+            feedback:
+              "Перенесення релізу іноді необхідне, але в Scrum ключове — постачати робочий інкремент у ритмі спринтів.",
+            endReason: "Реліз вдалося випустити!",
+          },
+          hide: {
+            text: "Приховати проблеми в надії, що «якось буде»",
+            feedback:
+              "Такий підхід порушує принципи якості та прозорості в Scrum. Подумай, як захистити користувача і продукт.",
+          },
+        },
       },
-      {
-        id: "c",
-        text: "Historie użytkowania systemu",
-        correct: false,
+    },
+    en: {
+      name: "Login and password reset",
+      description:
+        "Release of the login module: form, account lockout and password reset by e-mail.",
+      sprintGoal: "“Users can log in securely and reset their password.”",
+      quiz: {
+        "quiz-agile": {
+          question: "What is Agile?",
+          options: {
+            a: "A project management methodology based on an iterative and incremental approach to software development",
+            b: "A database management tool",
+            c: "A programming language",
+            d: "A software testing framework",
+          },
+        },
+        "quiz-mvp": {
+          question: "What does the acronym MVP mean in the context of Agile?",
+          options: {
+            b: "Minimum Viable Product - the smallest version of a product with its core features",
+          },
+        },
+        "quiz-user-stories": {
+          question: "What does the term User Stories mean in Agile?",
+          options: {
+            a: "Users' tales about products",
+            b: "Short descriptions of requirements from the end user's perspective",
+            c: "Stories of how the system is used",
+            d: "Technical documentation for users",
+          },
+        },
       },
-      {
-        id: "d",
-        text: "Dokumentacja techniczna użytkowników",
-        correct: false,
+      backlog: {
+        "pb-login-ui": "As a user I can see the login form",
+        "pb-reset-pass": "As a user I can reset my password by e-mail",
+        "pb-dark-mode": "As a user I can turn on dark mode",
+        "pb-fancy-anim": "3D animations on login",
+        "pb-analytics": "Collecting login metrics (analytics)",
       },
-    ],
-  },
-];
-
-const TESTS = [
-  {
-    id: "test-login-success",
-    text: "Test: Logowanie z poprawnymi danymi",
-    storyId: "st-login-ok",
-    type: "unit",
-  },
-  {
-    id: "test-login-invalid",
-    text: "Test: Logowanie z niepoprawnymi danymi",
-    storyId: "st-login-ok",
-    type: "unit",
-  },
-  {
-    id: "test-login-lock",
-    text: "Test: Blokada konta po 5 próbach",
-    storyId: "st-login-lock",
-    type: "integration",
-  },
-  {
-    id: "test-reset-email",
-    text: "Test: Wysłanie e-maila resetującego hasło",
-    storyId: "st-reset-email",
-    type: "integration",
-  },
-  {
-    id: "test-reset-token",
-    text: "Test: Walidacja tokena resetującego hasło",
-    storyId: "st-reset-email",
-    type: "unit",
-  },
-  {
-    id: "test-profile-ui",
-    text: "Test: Wyświetlanie formularza profilu",
-    storyId: "st-profile-avatar",
-    type: "e2e",
-  },
-  {
-    id: "test-theme-apply",
-    text: "Test: Zastosowanie niestandardowego motywu",
-    storyId: "st-theme-custom",
-    type: "e2e",
+      stories: {
+        "st-login-ok": "As a user I can log in with the correct password",
+        "st-login-lock": "The account locks after 5 failed login attempts",
+        "st-reset-email": "I receive an e-mail with a password reset link",
+        "st-profile-avatar": "I can set an avatar in my profile",
+        "st-theme-custom": "I can change the app's theme colour",
+      },
+      tests: {
+        "test-login-success": "Test: Login with valid credentials",
+        "test-login-invalid": "Test: Login with invalid credentials",
+        "test-login-lock": "Test: Account lockout after 5 attempts",
+        "test-reset-email": "Test: Sending the password reset e-mail",
+        "test-reset-token": "Test: Validating the password reset token",
+        "test-profile-ui": "Test: Displaying the profile form",
+        "test-theme-apply": "Test: Applying a custom theme",
+      },
+      hints: {
+        "hint-quiz-1":
+          "In every question the correct answer is about the team's work and the user, not about a tool or a programming language.",
+        "hint-quiz-2":
+          "MVP stands for “Minimum Viable Product”, and User Stories are short descriptions of requirements from the user's perspective.",
+        "hint-backlog-1":
+          "Check the must-have items – all of them have to go into the Sprint.",
+        "hint-backlog-2":
+          "Both High priority items are must-haves. Low priority items only take up room in the Sprint.",
+        "hint-stories-1":
+          "The Sprint Goal is only about logging in and resetting the password – everything else stays out of the Sprint.",
+        "hint-stories-2":
+          "The avatar and the theme colour do not support the Sprint Goal.",
+        "hint-tests-1":
+          "The profile and theme tests do not match the Sprint stories – leave them in the pool.",
+        "hint-tests-2":
+          "Password reset has two tests: sending the e-mail and the token's validity.",
+        "hint-conflict-1":
+          "Scrum requires every Increment to be done and tested.",
+      },
+      conflict: {
+        po: "“We have to ship the whole scope, otherwise the business will be unhappy!”",
+        dev: "“Some of it didn't pass the tests. The release could be risky.”",
+        options: {
+          all: {
+            text: "Push everything out, even untested work",
+            feedback:
+              "This approach breaks the quality and transparency principles of Scrum. Think about how to protect the user and the product.",
+          },
+          increment: {
+            text: "Release only the finished, tested Increment",
+            feedback:
+              "Well done! Releasing only the finished, tested Increment is consistent with Scrum and protects quality.",
+          },
+          delay: {
+            text: "Postpone the release by a week to finish the whole scope",
+            feedback:
+              "Postponing a release is sometimes necessary, but in Scrum the key is delivering a working Increment at the rhythm of Sprints.",
+            endReason: "The release was delivered!",
+          },
+          hide: {
+            text: "Hide the problems and hope it will “somehow work out”",
+            feedback:
+              "This approach breaks the quality and transparency principles of Scrum. Think about how to protect the user and the product.",
+          },
+        },
+      },
+    },
   },
-];
+};
+
+// Kolejność pokoi - indeks odpowiada state.sprint
+const ROOM_KEYS = ["quiz", "backlog", "stories", "tests", "conflict"];
 
 // Utils
 function $(selector) {
   return document.querySelector(selector);
 }
 
+// Nowy element z treścią wstawianą jako tekst. Nazwy drużyn i treść
+// scenariuszy (także z edytora i bazy) nigdy nie trafiają do innerHTML.
+// children - elementy lub teksty dodawane po kolei.
+function el(tag, { className, text, dataset, attrs } = {}, children = []) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = String(text);
+  Object.keys(dataset || {}).forEach((key) => {
+    node.dataset[key] = dataset[key];
+  });
+  Object.keys(attrs || {}).forEach((name) => {
+    node.setAttribute(name, attrs[name]);
+  });
+  node.append(...children);
+  return node;
+}
+
+// Tłumaczenia z i18n.js (ładowanego przed game.js)
+const t = I18n.t;
+
+function roomLabel(key) {
+  return t(`room.${key}`);
+}
+
+// Teksty z serwera mają kod (tłumaczony) i polski opis jako zapas
+function serverText(prefix, code, fallback, params) {
+  const key = `${prefix}.${code}`;
+  return code && I18n.has(key) ? t(key, params) : fallback;
+}
+
+// Scenariusz w bieżącym języku; oryginał zostaje do ponownego tłumaczenia
+function setScenario(scenario) {
+  state.scenarioSource = scenario;
+  state.scenario = I18n.localizeScenario(scenario);
+}
+
 function formatTime(totalSeconds) {
   const m = Math.floor(totalSeconds / 60)
     .toString()
@@ -228,23 +613,238 @@ function formatTime(totalSeconds) {
   return `${m}:${s}`;
 }
 
-// Aktualizuj wyświetlanie wyniku i wyślij do serwera (jeśli multiplayer)
+// Każda zmiana punktów trafia do historii pokazywanej na ekranie końcowym
+// i zapisywanej razem z wynikiem (answer - odpowiedź wysłana z pokoju).
+// Podpowiedzi (hint) są numerowane osobno od prób, a ich koszt nie zależy
+// od poziomu trudności - pozostałe kary skaluje GameSettings.scalePenalty.
+function addScore(
+  room,
+  rawDelta,
+  reason,
+  { answer = null, passed = false, hint = false } = {},
+) {
+  const delta = hint
+    ? rawDelta
+    : GameSettings.scalePenalty(rawDelta, state.settings);
+  state.score += delta;
+  const attempt =
+    state.scoreEvents.filter(
+      (event) => event.room === room && Boolean(event.hint) === hint,
+    ).length + 1;
+  state.scoreEvents.push({
+    room,
+    attempt,
+    delta,
+    reason,
+    passed,
+    hint,
+    answer,
+    elapsed: elapsedGameSeconds(),
+    at: Date.now(),
+  });
+}
+
 function updateScoreDisplay() {
   $("#hud-score").textContent = state.score.toString();
-  sendScoreUpdate();
 }
 
-function sendScoreUpdate() {
+// Multiplayer - HUD pokazuje najlepszego z rywali w pokoju
+function updateRivalDisplay() {
+  let leader = null;
+  Object.keys(state.rivalScores).forEach((name) => {
+    if (!leader || state.rivalScores[name] > state.rivalScores[leader]) {
+      leader = name;
+    }
+  });
+  state.opponentName = leader;
+  state.opponentScore = leader ? state.rivalScores[leader] : 0;
+  $("#hud-opponent-name").textContent = state.opponentName || "—";
+  $("#hud-opponent-score").textContent = state.opponentScore.toString();
+
+  // Pokój i pasek postępu rywala - jak własny pasek (updateProgressBar)
+  const progress = (leader && state.rivalProgress[leader]) || null;
+  let roomText = "—";
+  let percent = 0;
+  if (progress) {
+    // Bez bieżącego pokoju rywal przeszedł już wszystkie
+    roomText = progress.room
+      ? roomLabel(progress.room)
+      : t("hud.opponentFinished");
+    percent = progress.room ? progressPercent(progress.roomIndex) : 100;
+  }
+  $("#hud-opponent-room").textContent = roomText;
+  $("#hud-opponent-progress").style.width = `${percent}%`;
+  $("#hud-multiplayer").title = progress
+    ? t("hud.opponentStats", {
+        wrong: progress.wrongAttempts,
+        hints: progress.hintsUsed,
+      })
+    : "";
+}
+
+// Postęp rywala z serwera (opponentUpdate, opponentFinished, powrót do gry)
+function setRivalProgress(data) {
+  state.rivalScores[data.teamName] = data.score || 0;
+  if (typeof data.roomIndex === "number") {
+    state.rivalProgress[data.teamName] = {
+      room: data.room,
+      roomIndex: data.roomIndex,
+      wrongAttempts: data.wrongAttempts,
+      hintsUsed: data.hintsUsed,
+      finished: data.finished,
+    };
+  }
+}
+
+// Multiplayer - wyślij odpowiedź z pokoju do serwera.
+// Serwer sam ją sprawdza i odsyła punkty (answerResult), którym ufamy bardziej
+// niż lokalnemu wynikowi.
+function submitRoomAnswer(room, answer) {
   if (state.mode === "multiplayer" && state.socket && state.roomId) {
-    state.socket.emit("scoreUpdate", {
+    state.socket.emit("submitAnswer", {
       roomId: state.roomId,
-      score: state.score,
+      room,
+      answer,
     });
   }
 }
 
+// Scenariusze - pobierane z serwera, z wbudowanym scenariuszem jako fallback
+async function loadScenarioList() {
+  const select = $("#scenario-select");
+  if (!select) return;
+
+  try {
+    const response = await fetch("/api/scenarios");
+    if (!response.ok) throw new Error(response.statusText);
+    const data = await response.json();
+    if (!data.scenarios || data.scenarios.length === 0) return;
+
+    state.scenarioList = data.scenarios;
+    renderScenarioList();
+    renderRankingScenarios();
+  } catch (error) {
+    console.warn("Lista scenariuszy niedostępna - używam wbudowanego:", error);
+  }
+}
+
+// Nazwy scenariuszy w bieżącym języku (names z serwera, gdy są tłumaczenia).
+// Bez serwera lista zawiera tylko scenariusz wbudowany.
+function renderScenarioList() {
+  const select = $("#scenario-select");
+  if (state.isPreview) return;
+
+  const lang = I18n.getLanguage();
+  const list =
+    state.scenarioList.length > 0
+      ? state.scenarioList
+      : [
+          {
+            id: state.scenario.id,
+            name: state.scenario.name,
+            description: state.scenario.description,
+          },
+        ];
+  select.innerHTML = "";
+  list.forEach((scenario) => {
+    const option = document.createElement("option");
+    option.value = scenario.id;
+    option.textContent =
+      (scenario.names && scenario.names[lang]) || scenario.name;
+    option.title = scenario.description;
+    select.appendChild(option);
+  });
+  select.value = state.scenario.id;
+}
+
+async function loadScenario(scenarioId) {
+  if (state.scenario && state.scenario.id === scenarioId) {
+    // Pojemność Sprintu zależy też od poziomu trudności
+    applyScenarioTexts();
+    return state.scenario;
+  }
+
+  try {
+    const response = await fetch(
+      `/api/scenarios/${encodeURIComponent(scenarioId)}`,
+    );
+    if (!response.ok) throw new Error(response.statusText);
+    const data = await response.json();
+    setScenario(data.scenario);
+  } catch (error) {
+    console.warn(
+      "Nie udało się pobrać scenariusza - używam wbudowanego:",
+      error,
+    );
+    setScenario(DEFAULT_SCENARIO);
+  }
+
+  applyScenarioTexts();
+  return state.scenario;
+}
+
+// Teksty zależne od scenariusza: cel Sprintu, pojemność, dialog konfliktu
+function applyScenarioTexts() {
+  const scenario = state.scenario;
+  const capacity = String(
+    GameSettings.sprintBounds(scenario, state.settings).capacity,
+  );
+
+  $("#sprint-goal-text").textContent = scenario.sprintGoal;
+  document.querySelectorAll(".sprint-capacity").forEach((el) => {
+    el.textContent = capacity;
+  });
+  $("#conflict-po").textContent = scenario.conflict.po;
+  $("#conflict-dev").textContent = scenario.conflict.dev;
+  buildConflict();
+}
+
+// Podgląd z edytora scenariuszy (editor.html) - scenariusz z localStorage
+function loadPreviewScenario() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("preview") !== "1") return null;
+
+  try {
+    const stored = localStorage.getItem("escapeRoomScenarioPreview");
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("Niepoprawny scenariusz podglądu:", error);
+    return null;
+  }
+}
+
+function enterPreviewMode(scenario) {
+  const select = $("#scenario-select");
+  select.innerHTML = "";
+  const option = document.createElement("option");
+  option.value = scenario.id;
+  option.textContent = t("start.preview", { name: scenario.name });
+  select.appendChild(option);
+  select.disabled = true;
+  state.isPreview = true;
+
+  // Serwer nie zna niezapisanego scenariusza - podgląd tylko w trybie solo
+  const modeSelect = $("#mode-select");
+  modeSelect.value = "solo";
+  modeSelect.disabled = true;
+}
+
 // Inicjalizacja UI
 function init() {
+  I18n.setLanguage(I18n.detectLanguage());
+  I18n.applyTranslations(document);
+  const previewScenario = loadPreviewScenario();
+  setScenario(previewScenario || DEFAULT_SCENARIO);
+  applyScenarioTexts();
+  bindLanguageSwitcher();
+  if (previewScenario) {
+    enterPreviewMode(state.scenario);
+  } else {
+    renderScenarioList();
+    loadScenarioList();
+    loadChallengeFromUrl();
+  }
+  bindSettingsForm();
   bindStartScreen();
   buildQuiz();
   buildBacklog();
@@ -255,21 +855,207 @@ function init() {
   bindStoriesLogic();
   bindTestsLogic();
   bindConflictRoom();
+  bindHints();
+  bindPause();
   bindRestart();
   bindRanking();
+  startScoreSync();
   bindMultiplayer();
+  bindOfflinePlay();
+  bindChallenge();
+  bindKeyboardCards();
+
+  // Po odświeżeniu strony wróć do pokoju multiplayer, jeśli gra trwała
+  if (!previewScenario && loadMultiplayerSession()) {
+    state.mode = "multiplayer";
+    $("#screen-start").classList.remove("active");
+    $("#screen-multiplayer").classList.add("active");
+    initMultiplayer();
+    return;
+  }
+
+  // Gra solo przerwana odświeżeniem strony - wróć do niej
+  const savedGame = previewScenario ? null : loadSavedGame();
+  if (savedGame) {
+    resumeSavedGame(savedGame);
+  }
+}
+
+// Gra zainstalowana z serwera (service-worker.js) działa też bez sieci:
+// solo z zapasowym tokenem gry, multiplayer wyłączony do powrotu serwera
+function bindOfflinePlay() {
+  if ("serviceWorker" in navigator && window.location.protocol !== "file:") {
+    navigator.serviceWorker
+      .register("service-worker.js")
+      .catch((error) => console.warn("Service worker niedostępny:", error));
+  }
+
+  updateMultiplayerAvailability();
+  prepareOfflineSolo();
+  window.addEventListener("offline", updateMultiplayerAvailability);
+  window.addEventListener("online", () => {
+    updateMultiplayerAvailability();
+    prepareOfflineSolo();
+  });
+  $("#scenario-select").addEventListener("change", prepareOfflineSolo);
+  $("#difficulty-select").addEventListener("change", prepareOfflineSolo);
+}
+
+// Multiplayer wymaga serwera i socket.io - bez sieci albo w grze otwartej
+// z pliku index.html opcja jest wyłączona
+function updateMultiplayerAvailability() {
+  const available =
+    navigator.onLine &&
+    window.location.protocol !== "file:" &&
+    typeof io !== "undefined";
+  const modeSelect = $("#mode-select");
+  modeSelect.querySelector('option[value="multiplayer"]').disabled = !available;
+  if (!available && modeSelect.value === "multiplayer") {
+    modeSelect.value = "solo";
+  }
+  $("#mode-offline-note").classList.toggle("hidden", available);
+}
+
+// Zapasowy token dla scenariusza i poziomu wybranych na ekranie startowym
+function prepareOfflineSolo() {
+  if (!navigator.onLine || window.location.protocol === "file:") return;
+  const settings = readSettingsForm();
+  if (settings) requestReserveRun($("#scenario-select").value, settings);
+}
+
+// Język można zmienić tylko na ekranie startowym - przed budową pokoi
+function bindLanguageSwitcher() {
+  const select = $("#language-select");
+  select.value = I18n.getLanguage();
+  select.addEventListener("change", () => {
+    I18n.setLanguage(select.value);
+    I18n.applyTranslations(document);
+    setScenario(state.scenarioSource);
+    applyScenarioTexts();
+    buildQuiz();
+    buildBacklog();
+    buildStories();
+    buildTests();
+    renderHints();
+    renderSettingsSummary();
+    renderRankingScenarios();
+    if (state.isPreview) {
+      enterPreviewMode(state.scenario);
+    } else {
+      renderScenarioList();
+    }
+    if (state.challenge) {
+      renderChallengeBanner();
+    }
+  });
+}
+
+// Poziom trudności - preset albo własne ustawienia (czasy w minutach)
+function readSettingsForm() {
+  const difficulty = $("#difficulty-select").value;
+  if (difficulty !== GameSettings.CUSTOM) {
+    return GameSettings.presetSettings(difficulty);
+  }
+  return GameSettings.normalizeSettings({
+    difficulty,
+    durationSeconds: Math.round(Number($("#setting-duration").value) * 60),
+    roomSeconds: Math.round(Number($("#setting-room").value) * 60),
+    capacityDelta: Number($("#setting-capacity").value),
+    minPointsDelta: Number($("#setting-min-points").value),
+    penaltyPercent: Number($("#setting-penalty").value),
+  });
+}
+
+function fillSettingsForm(settings) {
+  $("#difficulty-select").value = settings.difficulty;
+  $("#setting-duration").value = String(settings.durationSeconds / 60);
+  $("#setting-room").value = String(settings.roomSeconds / 60);
+  $("#setting-capacity").value = String(settings.capacityDelta);
+  $("#setting-min-points").value = String(settings.minPointsDelta);
+  $("#setting-penalty").value = String(settings.penaltyPercent);
+  $("#custom-settings").classList.toggle(
+    "hidden",
+    settings.difficulty !== GameSettings.CUSTOM,
+  );
+}
+
+function settingsSummary(settings) {
+  return t("settings.summary", {
+    level: t(`difficulty.${settings.difficulty}`),
+    time: formatTime(settings.durationSeconds),
+    room: settings.roomSeconds
+      ? formatTime(settings.roomSeconds)
+      : t("settings.noRoomLimit"),
+    capacity: formatDelta(settings.capacityDelta),
+    minimum: formatDelta(settings.minPointsDelta),
+    penalty: settings.penaltyPercent,
+  });
+}
+
+function renderSettingsSummary() {
+  const settings = readSettingsForm();
+  $("#settings-summary").textContent = settings
+    ? settingsSummary(settings)
+    : t("settings.invalid");
+}
+
+function bindSettingsForm() {
+  const select = $("#difficulty-select");
+  fillSettingsForm(state.settings);
+  renderSettingsSummary();
+  // Własne ustawienia zaczynają od wartości ostatnio wybranego poziomu
+  select.addEventListener("change", () => {
+    if (select.value === GameSettings.CUSTOM) {
+      fillSettingsForm({ ...state.settings, difficulty: GameSettings.CUSTOM });
+    } else {
+      fillSettingsForm(GameSettings.presetSettings(select.value));
+    }
+    state.settings = readSettingsForm() || state.settings;
+    renderSettingsSummary();
+  });
+  document.querySelectorAll("#custom-settings input").forEach((input) => {
+    input.addEventListener("input", () => {
+      state.settings = readSettingsForm() || state.settings;
+      renderSettingsSummary();
+    });
+  });
 }
 
 function bindStartScreen() {
   const btnStart = $("#btn-start");
-  btnStart.addEventListener("click", () => {
+  btnStart.addEventListener("click", async () => {
     const teamNameInput = $("#team-name");
     const modeSelect = $("#mode-select");
-    const name = teamNameInput.value.trim() || "Anonimowy Zespół";
+    const scenarioSelect = $("#scenario-select");
+    const name = teamNameInput.value.trim() || t("start.defaultTeam");
+    const nameProblem = teamNameProblem(name);
+    if (nameProblem) {
+      alert(nameProblem);
+      return;
+    }
+    // Wyzwanie Versus gra się na poziomie drużyny, która je utworzyła
+    const settings = state.challenge
+      ? GameSettings.normalizeSettings(state.challenge.settings)
+      : readSettingsForm();
+    if (!settings) {
+      alert(t("settings.invalid"));
+      return;
+    }
+    state.settings = settings;
+    state.timerSeconds = settings.durationSeconds;
+    await loadScenario(
+      state.challenge ? state.challenge.scenarioId : scenarioSelect.value,
+    );
     state.teamName = name;
     state.mode = modeSelect.value;
+    state.hintBudget = Number($("#hint-budget-select").value);
     state.startTimestamp = Date.now();
     state.finished = false;
+    // Versus: wyzwanie gra ten sam przebieg co drużyna, która je utworzyła
+    state.seed = null;
+    if (state.mode === "versus") {
+      state.seed = state.challenge ? state.challenge.seed : newSeed();
+    }
 
     // Wyłącz stary timer jeśli wciąż działa
     if (state.timerId) {
@@ -278,6 +1064,8 @@ function bindStartScreen() {
     }
 
     if (state.mode === "multiplayer") {
+      // Poziom wybrany na ekranie startowym obowiązuje wszystkie drużyny
+      $("#mp-create-settings").textContent = settingsSummary(state.settings);
       // Przejdź do ekranu multiplayer
       $("#screen-start").classList.remove("active");
       $("#screen-multiplayer").classList.add("active");
@@ -285,11 +1073,15 @@ function bindStartScreen() {
       return;
     }
 
+    requestRunToken();
     $("#hud-team").textContent = name;
     $("#hud-score").textContent = "0";
     $("#hud-sprint").textContent = "1";
     $("#hud-timer").textContent = formatTime(state.timerSeconds);
     $("#hud-multiplayer").classList.add("hidden");
+    state.timerPaused = false;
+    setPauseOverlay(false);
+    updatePauseButton();
 
     $("#screen-start").classList.remove("active");
     $("#screen-game").classList.add("active");
@@ -304,12 +1096,25 @@ function bindStartScreen() {
     buildBacklog();
     buildStories();
     buildTests();
+    resetRoomBreakdown();
     goToRoom("quiz");
     updateProgressBar();
     startTimer();
   });
 }
 
+// Nazwa zespołu sprawdzana przed grą - serwer odrzuci wynik z niedozwoloną
+// nazwą (team-name.js). Zwraca komunikat albo null.
+function teamNameProblem(name) {
+  const keys = {
+    "too-long": "teamName.tooLong",
+    "invalid-chars": "teamName.invalidChars",
+    profanity: "teamName.profanity",
+  };
+  const code = TeamName.validateTeamName(name);
+  return code ? t(keys[code], { max: TeamName.MAX_LENGTH }) : null;
+}
+
 // Timer & zakończenie gry
 function startTimer() {
   if (state.timerId) {
@@ -320,32 +1125,58 @@ function startTimer() {
       clearInterval(state.timerId);
       return;
     }
+    // Zegar stoi podczas pauzy (drużyny, gospodarza lub prowadzącego)
+    if (state.timerPaused) return;
     state.timerSeconds -= 1;
     if (state.timerSeconds < 0) {
       state.timerSeconds = 0;
       $("#hud-timer").textContent = formatTime(state.timerSeconds);
-      endGame(false, "Czas minął! Release poszedł bez pełnego przygotowania.");
+      endGame(false, t("end.timeUp"));
       clearInterval(state.timerId);
       return;
     }
     $("#hud-timer").textContent = formatTime(state.timerSeconds);
+    updateRoomTimer();
+    if (roomSecondsLeft() === 0) {
+      endGame(false, t("end.roomTimeUp"));
+      clearInterval(state.timerId);
+      return;
+    }
+    // W multiplayerze zegar i wynik zna serwer - zapisujemy tylko lokalnie
+    if (state.mode !== "multiplayer") {
+      saveGameState();
+    }
   }, 1000);
 }
 
+// Czas pozostały w bieżącym pokoju; null, gdy poziom nie ma limitu na pokój
+function roomSecondsLeft() {
+  if (!state.settings.roomSeconds || !state.roomEntry) return null;
+  const spent = elapsedGameSeconds() - state.roomEntry.elapsed;
+  return Math.max(0, state.settings.roomSeconds - spent);
+}
+
+function updateRoomTimer() {
+  const left = roomSecondsLeft();
+  $("#hud-room-timer-group").classList.toggle("hidden", left === null);
+  if (left !== null) {
+    $("#hud-room-timer").textContent = formatTime(left);
+  }
+}
+
 function endGame(success, reason) {
   if (state.finished) return;
+  recordRoomResult();
   state.finished = true;
+  clearSavedGame();
 
-  const elapsedSeconds =
-    10 * 60 - state.timerSeconds >= 0 ? 10 * 60 - state.timerSeconds : 0;
+  const elapsedSeconds = elapsedGameSeconds();
 
   // Multiplayer - wyślij wynik i czekaj na wynik przeciwnika
   if (state.mode === "multiplayer" && state.socket) {
+    // Wynik i czas liczy serwer - wysyłamy tylko informację o zakończeniu
     state.socket.emit("gameFinished", {
       roomId: state.roomId,
-      teamName: state.teamName,
-      score: state.score,
-      time: elapsedSeconds,
     });
     // Pokaż ekran oczekiwania na przeciwnika
     showWaitingForOpponent();
@@ -369,12 +1200,12 @@ function showWaitingForOpponent() {
 
   endTeam.textContent = state.teamName;
   endScore.textContent = state.score.toString();
-  endTime.textContent = formatTime(
-    10 * 60 - state.timerSeconds >= 0 ? 10 * 60 - state.timerSeconds : 0,
-  );
+  endTime.textContent = formatTime(elapsedGameSeconds());
 
-  endTitle.textContent = "Ukończyłeś grę!";
-  endSummary.textContent = "Czekasz na zakończenie gry przez przeciwnika...";
+  endTitle.textContent = t("end.finishedTitle");
+  endSummary.textContent = state.isSession
+    ? t("end.waitingTeams")
+    : t("end.waitingOpponent");
 
   $("#end-multiplayer-result").classList.add("hidden");
   $("#end-waiting-opponent").classList.remove("hidden");
@@ -394,23 +1225,25 @@ function showEndScreen(success, reason, elapsedSeconds) {
   endTeam.textContent = state.teamName;
   endScore.textContent = state.score.toString();
   endTime.textContent = formatTime(elapsedSeconds);
+  $("#end-standings-box").classList.add("hidden");
 
   // Zapisz wynik
   saveScore(state.teamName, state.score, elapsedSeconds, state.mode);
+  $("#end-challenge").classList.add("hidden");
+  if (state.mode === "versus") {
+    finishVersusRun(elapsedSeconds);
+  }
 
   if (success) {
-    endTitle.textContent = "Gratulacje! Uciekłeś przed Release Day!";
-    endSummary.textContent =
-      reason ||
-      "Twój zespół wykorzystał praktyki Scrum, aby bezpiecznie dowieźć release.";
+    endTitle.textContent = t("end.successTitle");
+    endSummary.textContent = reason || t("end.successSummary");
   } else {
-    endTitle.textContent = "Nie udało się uciec przed deadlinem…";
-    endSummary.textContent =
-      reason ||
-      "To dobra okazja, by zastanowić się, jak lepiej planować Sprint i chronić jakość.";
+    endTitle.textContent = t("end.failTitle");
+    endSummary.textContent = reason || t("end.failSummary");
   }
 
   $("#end-multiplayer-result").classList.add("hidden");
+  renderScoreHistory();
 }
 
 function showMultiplayerResult(result) {
@@ -445,24 +1278,37 @@ function showMultiplayerResult(result) {
     endOpponentTime.textContent = formatTime(result.opponentTime);
   }
 
+  // Przy więcej niż dwóch drużynach pokaż pełny ranking pokoju
+  const standings = result.standings || [];
+  const manyTeams = standings.length > 2;
+  if (manyTeams) {
+    renderStandings(standings);
+  } else {
+    $("#end-standings-box").classList.add("hidden");
+  }
+
   // Określ zwycięzcę i zaktualizuj tytuł
   if (result.isDraw) {
-    endWinner.textContent = "🤝 Remis!";
+    endWinner.textContent = t("result.drawBadge");
     endWinner.style.color = "#fbbf24";
-    endTitle.textContent = "Remis!";
-    endSummary.textContent = "Oba zespoły osiągnęły identyczny wynik.";
+    endTitle.textContent = t("result.drawTitle");
+    endSummary.textContent = manyTeams
+      ? t("result.drawMany")
+      : t("result.drawTwo");
   } else if (result.isWinner) {
-    endWinner.textContent = "🏆 Wygrałeś!";
+    endWinner.textContent = t("result.winBadge");
     endWinner.style.color = "#4ade80";
-    endTitle.textContent = "Gratulacje! Wygrałeś!";
-    endSummary.textContent =
-      "Twój zespół pokonał przeciwnika w Escape Room: Release Day!";
+    endTitle.textContent = t("result.winTitle");
+    endSummary.textContent = manyTeams
+      ? t("result.winMany")
+      : t("result.winTwo");
   } else {
-    endWinner.textContent = "Przegrałeś. Spróbuj ponownie!";
+    endWinner.textContent = t("result.loseBadge");
     endWinner.style.color = "#fb7185";
-    endTitle.textContent = "Przegrana";
-    endSummary.textContent =
-      "Przeciwnik zdobył więcej punktów lub ukończył szybciej. Spróbuj ponownie!";
+    endTitle.textContent = manyTeams
+      ? t("result.place", { place: result.myPlace, total: standings.length })
+      : t("result.loseTitle");
+    endSummary.textContent = t("result.loseSummary");
   }
 
   // Usuń poprzedni powód jeśli istnieje
@@ -475,16 +1321,169 @@ function showMultiplayerResult(result) {
   if (result.reason) {
     const reasonText = document.createElement("p");
     reasonText.className = "result-reason";
-    reasonText.textContent = `Powód: ${result.reason}`;
+    reasonText.textContent = t("result.reason", {
+      reason: serverText("result", result.reasonCode, result.reason),
+    });
     multiplayerResult.appendChild(reasonText);
   }
 
   multiplayerResult.classList.remove("hidden");
+  renderScoreHistory();
 
   // Zapisz wynik do rankingu
   saveScore(state.teamName, result.myScore, result.myTime, state.mode);
 }
 
+// Sesja warsztatowa - wynik drużyny i ranking wszystkich drużyn
+function showSessionResult(result) {
+  state.finished = true;
+  $("#screen-game").classList.remove("active");
+  $("#screen-end").classList.add("active");
+  $("#hud").classList.add("hidden");
+  $("#end-waiting-opponent").classList.add("hidden");
+  $("#end-multiplayer-result").classList.add("hidden");
+  setPauseOverlay(false);
+
+  $("#end-team").textContent = state.teamName;
+  $("#end-score").textContent = result.myScore.toString();
+  $("#end-time").textContent = formatTime(result.myTime);
+  $("#end-title").textContent = t("result.place", {
+    place: result.myPlace,
+    total: result.standings.length,
+  });
+  $("#end-summary").textContent = serverText(
+    "result",
+    result.reasonCode,
+    result.reason || "",
+  );
+
+  renderStandings(result.standings);
+  renderScoreHistory();
+  saveScore(state.teamName, result.myScore, result.myTime, state.mode);
+}
+
+function renderStandings(standings) {
+  const list = $("#end-standings");
+  list.innerHTML = "";
+  standings.forEach((entry) => {
+    const li = document.createElement("li");
+    li.textContent = t("end.standingsEntry", {
+      place: entry.place,
+      team: entry.teamName,
+      score: entry.score,
+      time: formatTime(entry.time),
+    });
+    if (entry.teamName === state.teamName) {
+      li.classList.add("me");
+    }
+    list.appendChild(li);
+  });
+  $("#end-standings-box").classList.remove("hidden");
+}
+
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : delta.toString();
+}
+
+// Tabela punktów w pokojach i oś czasu wszystkich prób
+function renderScoreHistory() {
+  const tbody = $("#end-history-rooms");
+  tbody.innerHTML = "";
+  ROOM_KEYS.forEach((key) => {
+    const events = state.scoreEvents.filter((event) => event.room === key);
+    // Pokój bez prób też się liczy, jeśli drużyna spędziła w nim czas
+    if (events.length === 0 && !state.roomBreakdown[key]) return;
+    const attempts = events.filter((event) => !event.hint);
+    const wrong = attempts.filter((event) => !event.passed).length;
+    const hints = events.length - attempts.length;
+    const points = events.reduce((sum, event) => sum + event.delta, 0);
+    const result = state.roomBreakdown[key];
+    const tr = document.createElement("tr");
+    [
+      roomLabel(key),
+      attempts.length,
+      wrong,
+      hints,
+      result ? formatTime(result.time) : "–",
+      formatDelta(points),
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  const timeline = $("#end-history-timeline");
+  timeline.innerHTML = "";
+  state.scoreEvents.forEach((event) => {
+    const li = document.createElement("li");
+    const delta = document.createElement("strong");
+    delta.className = event.delta < 0 ? "delta-minus" : "delta-plus";
+    delta.textContent = formatDelta(event.delta);
+    li.textContent = t(event.hint ? "history.entryHint" : "history.entry", {
+      time: formatTime(event.elapsed),
+      room: roomLabel(event.room),
+      attempt: event.attempt,
+    });
+    li.appendChild(delta);
+    li.appendChild(document.createTextNode(` – ${event.reason}`));
+    timeline.appendChild(li);
+  });
+
+  $("#end-history").classList.toggle(
+    "hidden",
+    state.scoreEvents.length === 0 &&
+      Object.keys(state.roomBreakdown).length === 0,
+  );
+}
+
+// Pauzę w solo i Versus włącza sama drużyna, w pokoju multiplayer gospodarz,
+// a w sesji warsztatowej tylko prowadzący (facilitator.html)
+function canControlPause() {
+  if (state.mode !== "multiplayer") return true;
+  return state.isHost && !state.isSession;
+}
+
+function updatePauseButton() {
+  $("#btn-pause").classList.toggle("hidden", !canControlPause());
+}
+
+function pauseDetail() {
+  if (state.mode !== "multiplayer") return t("game.pausedSolo");
+  if (state.isSession) return t("game.pausedByFacilitator");
+  return state.isHost ? t("game.pausedForAll") : t("game.pausedByHost");
+}
+
+function setPauseOverlay(visible) {
+  $("#pause-overlay").classList.toggle("hidden", !visible);
+  if (!visible) return;
+  closeMoveMenu(false);
+  $("#pause-detail").textContent = pauseDetail();
+  const btnResume = $("#btn-resume");
+  btnResume.classList.toggle("hidden", !canControlPause());
+  if (canControlPause()) btnResume.focus();
+}
+
+// W multiplayer zegar wszystkich drużyn zatrzymuje serwer (timerSync)
+function setGamePaused(paused) {
+  if (state.finished || state.timerPaused === paused) return;
+  if (state.mode === "multiplayer") {
+    if (state.socket && state.roomId) {
+      state.socket.emit("pauseGame", { roomId: state.roomId, paused });
+    }
+    return;
+  }
+  state.timerPaused = paused;
+  setPauseOverlay(paused);
+  saveGameState();
+}
+
+function bindPause() {
+  $("#btn-pause").addEventListener("click", () => setGamePaused(true));
+  $("#btn-resume").addEventListener("click", () => setGamePaused(false));
+}
+
 // Pokój 0 – Quiz wprowadzający
 function buildQuiz() {
   const quizContainer = $("#quiz-container");
@@ -492,34 +1491,37 @@ function buildQuiz() {
 
   quizContainer.innerHTML = "";
 
-  QUIZ_QUESTIONS.forEach((question, index) => {
+  state.scenario.quiz.forEach((question, index) => {
     const questionDiv = document.createElement("div");
     questionDiv.className = "quiz-question";
     questionDiv.dataset.questionId = question.id;
 
-    let optionsHtml = question.options
-      .map(
-        (option) => `
-      <label class="quiz-option">
-        <input type="radio" name="quiz-${question.id}" value="${
-          option.id
-        }" data-correct="${option.correct}">
-        <span class="option-text">${option.id.toUpperCase()}) ${
-          option.text
-        }</span>
-      </label>
-    `,
-      )
-      .join("");
-
-    questionDiv.innerHTML = `
-      <h3 class="quiz-question-title">Pytanie ${index + 1}: ${
-        question.question
-      }</h3>
-      <div class="quiz-options">
-        ${optionsHtml}
-      </div>
-    `;
+    const options = question.options.map((option) =>
+      el("label", { className: "quiz-option" }, [
+        el("input", {
+          dataset: { correct: String(option.correct) },
+          attrs: {
+            type: "radio",
+            name: `quiz-${question.id}`,
+            value: option.id,
+          },
+        }),
+        el("span", {
+          className: "option-text",
+          text: `${option.id.toUpperCase()}) ${option.text}`,
+        }),
+      ]),
+    );
+
+    questionDiv.append(
+      el("h3", {
+        className: "quiz-question-title",
+        text: `${t("quiz.question", { number: index + 1 })} ${
+          question.question
+        }`,
+      }),
+      el("div", { className: "quiz-options" }, options),
+    );
 
     quizContainer.appendChild(questionDiv);
   });
@@ -530,6 +1532,11 @@ function bindQuizLogic() {
   if (!btnValidate) return;
   const feedback = $("#feedback-quiz");
 
+  // Pytania są budowane od nowa przy każdej grze - nasłuchuj na kontenerze
+  $("#quiz-container").addEventListener("change", () => {
+    saveGameState();
+  });
+
   // Dodaj visual feedback przy zmiane radio button
   const radioButtons = document.querySelectorAll("input[type='radio']");
   radioButtons.forEach((radio) => {
@@ -549,24 +1556,38 @@ function bindQuizLogic() {
   });
 
   btnValidate.addEventListener("click", () => {
-    let correct = 0;
-    let total = QUIZ_QUESTIONS.length;
-    let allAnswered = true;
-
-    QUIZ_QUESTIONS.forEach((question) => {
+    const questions = state.scenario.quiz;
+    const selectedInputs = {};
+    const answers = {};
+    questions.forEach((question) => {
       const selected = document.querySelector(
         `input[name="quiz-${question.id}"]:checked`,
       );
-      if (!selected) {
-        allAnswered = false;
-        return;
-      }
+      if (!selected) return;
+      selectedInputs[question.id] = selected;
+      answers[question.id] = selected.value;
+    });
+
+    // Punkty częściowe tylko w pierwszej próbie - każde sprawdzenie quizu
+    // bez zaliczenia jest nieudaną próbą
+    const wrongAttempts = state.scoreEvents.filter(
+      (event) => event.room === "quiz" && !event.hint,
+    ).length;
+    const answer = { answers };
+    const result = RoomChecks.checkQuiz(state.scenario, answer, {
+      wrongAttempts,
+    });
+    const { correct, total } = result;
+    const wrongNumbers = [];
+
+    questions.forEach((question, index) => {
+      const selected = selectedInputs[question.id];
+      if (!selected) return;
 
-      const isCorrect = selected.dataset.correct === "true";
-      if (isCorrect) {
-        correct++;
+      if (!result.wrongIds.includes(question.id)) {
         selected.closest(".quiz-option").classList.add("correct");
       } else {
+        wrongNumbers.push(index + 1);
         selected.closest(".quiz-option").classList.add("wrong");
         // Pokaż poprawną odpowiedź
         const correctOption = document.querySelector(
@@ -578,34 +1599,42 @@ function bindQuizLogic() {
       }
     });
 
-    if (!allAnswered) {
-      feedback.textContent =
-        "Odpowiedz na wszystkie pytania przed zatwierdzeniem.";
+    if (result.reason === "unanswered") {
+      feedback.textContent = t("quiz.unanswered");
       feedback.className = "feedback error";
       animateError(feedback);
       return;
     }
 
-    if (correct === total) {
-      feedback.textContent =
-        "Doskonale! Wszystkie odpowiedzi są poprawne. Możesz przejść dalej.";
+    submitRoomAnswer("quiz", answer);
+
+    if (result.passed) {
+      feedback.textContent = t("quiz.ok");
       feedback.className = "feedback ok";
-      state.score += 15;
+      addScore("quiz", result.delta, t("history.quizPassed"), {
+        answer,
+        passed: true,
+      });
       updateScoreDisplay();
       animateSuccess(feedback);
       setTimeout(() => {
         goToRoom("backlog");
       }, 2000);
     } else {
-      feedback.textContent = `Poprawnie odpowiedziano na ${correct} z ${total} pytań. Sprawdź poprawne odpowiedzi i spróbuj ponownie.`;
+      feedback.textContent = t("quiz.partial", { correct, total });
       feedback.className = "feedback error";
-      state.score += correct * 3; // 3 punkty za każde poprawne
+      addScore(
+        "quiz",
+        result.delta,
+        t("history.quizWrong", { numbers: wrongNumbers.join(", ") }),
+        { answer },
+      );
       updateScoreDisplay();
       animateError(feedback);
 
       // Reset po 3 sekundach
       setTimeout(() => {
-        QUIZ_QUESTIONS.forEach((question) => {
+        questions.forEach((question) => {
           const options = document.querySelectorAll(
             `input[name="quiz-${question.id}"]`,
           );
@@ -625,25 +1654,27 @@ function bindQuizLogic() {
 
 // Pokój 1 – Sprint Backlog
 function buildBacklog() {
-  state.backlogItems = BACKLOG_ITEMS.map((i) => ({ ...i }));
+  state.backlogItems = shuffleForRun(state.scenario.backlog, 1).map((i) => ({
+    ...i,
+  }));
   const productList = $("#product-backlog");
   productList.innerHTML = "";
 
   state.backlogItems.forEach((item) => {
     const li = document.createElement("li");
     li.className = "card";
-    li.draggable = true;
+    setupCard(li);
     li.dataset.id = item.id;
     li.dataset.points = String(item.points);
     li.dataset.mustHave = String(item.mustHave);
 
-    li.innerHTML = `
-      <div class="card-title">${item.title}</div>
-      <div class="card-meta">
-        <span class="points-pill">${item.points} SP</span>
-        <span class="prio-pill">${item.priority}</span>
-      </div>
-    `;
+    li.append(
+      el("div", { className: "card-title", text: item.title }),
+      el("div", { className: "card-meta" }, [
+        el("span", { className: "points-pill", text: `${item.points} SP` }),
+        el("span", { className: "prio-pill", text: item.priority }),
+      ]),
+    );
     productList.appendChild(li);
   });
 
@@ -658,42 +1689,57 @@ function bindBacklogLogic() {
   btnValidate.addEventListener("click", () => {
     const sprintList = $("#sprint-backlog");
     const cards = Array.from(sprintList.querySelectorAll(".card"));
-    const maxPoints = Number(sprintList.dataset.maxPoints || "20");
-
-    let totalSp = 0;
-    let allMustHaveIncluded = true;
-
-    cards.forEach((el) => {
-      totalSp += Number(el.dataset.points || "0");
-    });
-
-    BACKLOG_ITEMS.forEach((item) => {
-      if (item.mustHave) {
-        const present = cards.some((el) => el.dataset.id === item.id);
-        if (!present) allMustHaveIncluded = false;
-      }
-    });
+    const answer = { itemIds: cards.map((card) => card.dataset.id) };
+    const result = RoomChecks.checkBacklog(
+      state.scenario,
+      answer,
+      state.settings,
+    );
+    submitRoomAnswer("backlog", answer);
 
-    if (!allMustHaveIncluded) {
-      feedback.textContent =
-        "Nie wszystkie kluczowe elementy (must have) trafiły do Sprint Backlogu.";
+    if (result.reason === "missing-must-have") {
+      const missingMustHave = state.scenario.backlog
+        .filter((item) => result.missingIds.includes(item.id))
+        .map((item) => item.title);
+      feedback.textContent = t("backlog.missingMustHave");
       feedback.className = "feedback error";
-      state.score -= 5;
-    } else if (totalSp > maxPoints) {
-      feedback.textContent =
-        "Sprint jest przeładowany. Zespół nie ma szans zrealizować tylu punktów.";
+      addScore(
+        "backlog",
+        result.delta,
+        t("history.backlogMissing", { items: missingMustHave.join(", ") }),
+        { answer },
+      );
+    } else if (result.reason === "over-capacity") {
+      feedback.textContent = t("backlog.overCapacity");
       feedback.className = "feedback error";
-      state.score -= 3;
-    } else if (totalSp < 8) {
-      feedback.textContent =
-        "Sprint jest zbyt mały – zespół nie wykorzysta efektywnie swojego czasu.";
+      addScore(
+        "backlog",
+        result.delta,
+        t("history.backlogOver", {
+          points: result.points,
+          capacity: result.capacity,
+        }),
+        { answer },
+      );
+    } else if (result.reason === "under-capacity") {
+      feedback.textContent = t("backlog.underCapacity");
       feedback.className = "feedback error";
-      state.score -= 2;
+      addScore(
+        "backlog",
+        result.delta,
+        t("history.backlogUnder", {
+          points: result.points,
+          minimum: result.minPoints,
+        }),
+        { answer },
+      );
     } else {
-      feedback.textContent =
-        "Świetnie! Sprint Backlog zawiera najważniejsze elementy w realistycznym zakresie.";
+      feedback.textContent = t("backlog.ok");
       feedback.className = "feedback ok";
-      state.score += 15;
+      addScore("backlog", result.delta, t("history.backlogPassed"), {
+        answer,
+        passed: true,
+      });
       updateScoreDisplay();
       animateSuccess(feedback);
       goToRoom("stories");
@@ -715,19 +1761,19 @@ function updateSprintPoints() {
 
 // Pokój 2 – User Stories
 function buildStories() {
-  state.stories = STORIES.map((s) => ({ ...s }));
+  state.stories = shuffleForRun(state.scenario.stories, 2).map((s) => ({
+    ...s,
+  }));
   const pool = $("#stories-pool");
   pool.innerHTML = "";
 
   state.stories.forEach((st) => {
     const li = document.createElement("li");
     li.className = "card";
-    li.draggable = true;
+    setupCard(li);
     li.dataset.id = st.id;
     li.dataset.matchesGoal = String(st.matchesGoal);
-    li.innerHTML = `
-      <div class="card-title">${st.text}</div>
-    `;
+    li.append(el("div", { className: "card-title", text: st.text }));
     pool.appendChild(li);
   });
 
@@ -744,28 +1790,33 @@ function bindStoriesLogic() {
     const inSprint = Array.from(sprintList.querySelectorAll(".card"));
     const later = Array.from(laterList.querySelectorAll(".card"));
 
-    let correct = 0;
-    let total = state.stories.length;
-
-    inSprint.forEach((el) => {
-      if (el.dataset.matchesGoal === "true") correct++;
-    });
-    later.forEach((el) => {
-      if (el.dataset.matchesGoal === "false") correct++;
-    });
+    const answer = {
+      sprint: inSprint.map((card) => card.dataset.id),
+      later: later.map((card) => card.dataset.id),
+    };
+    const result = RoomChecks.checkStories(state.scenario, answer);
+    const { correct, total } = result;
+    submitRoomAnswer("stories", answer);
 
-    if (correct === total) {
-      feedback.textContent =
-        "Idealnie! Wszystkie User Stories są zgodne z celem Sprintu.";
+    if (result.passed) {
+      feedback.textContent = t("stories.ok");
       feedback.className = "feedback ok";
-      state.score += 15;
+      addScore("stories", result.delta, t("history.storiesPassed"), {
+        answer,
+        passed: true,
+      });
       updateScoreDisplay();
       animateSuccess(feedback);
       goToRoom("tests");
     } else {
-      feedback.textContent = `Poprawnie sklasyfikowano ${correct} z ${total} historii. Spróbuj jeszcze raz – myśl o wartości względem celu Sprintu.`;
+      feedback.textContent = t("stories.partial", { correct, total });
       feedback.className = "feedback error";
-      state.score -= 3;
+      addScore(
+        "stories",
+        result.delta,
+        t("history.storiesWrong", { wrong: total - correct, total }),
+        { answer },
+      );
       updateScoreDisplay();
       animateError(feedback);
     }
@@ -774,7 +1825,7 @@ function bindStoriesLogic() {
 
 // Pokój 3 – Testy
 function buildTests() {
-  state.tests = TESTS.map((t) => ({ ...t }));
+  state.tests = shuffleForRun(state.scenario.tests, 3).map((t) => ({ ...t }));
   const testsPool = $("#tests-pool");
   if (!testsPool) return;
 
@@ -783,7 +1834,7 @@ function buildTests() {
   state.tests.forEach((test) => {
     const li = document.createElement("li");
     li.className = "card test-card";
-    li.draggable = true;
+    setupCard(li);
     li.dataset.id = test.id;
     li.dataset.storyId = test.storyId;
     li.dataset.type = test.type;
@@ -801,12 +1852,15 @@ function buildTests() {
           ? "#3b82f6"
           : "#a855f7";
 
-    li.innerHTML = `
-      <div class="card-title">${test.text}</div>
-      <div class="card-meta">
-        <span class="test-type-pill" style="background: ${typeColor}">${typeLabel}</span>
-      </div>
-    `;
+    const typePill = el("span", {
+      className: "test-type-pill",
+      text: typeLabel,
+    });
+    typePill.style.background = typeColor;
+    li.append(
+      el("div", { className: "card-title", text: test.text }),
+      el("div", { className: "card-meta" }, [typePill]),
+    );
     testsPool.appendChild(li);
   });
 
@@ -820,69 +1874,77 @@ function bindTestsLogic() {
 
   btnValidate.addEventListener("click", () => {
     const storyTestPairs = document.querySelectorAll(".story-test-pair");
-    let correct = 0;
-    let total = 0;
-
+    const assignments = {};
     storyTestPairs.forEach((pair) => {
-      const storyId = pair.dataset.storyId;
-      const testCards = Array.from(pair.querySelectorAll(".test-card"));
+      assignments[pair.dataset.storyId] = Array.from(
+        pair.querySelectorAll(".test-card"),
+      ).map((card) => card.dataset.id);
+    });
+    const answer = { assignments };
+    const result = RoomChecks.checkTests(
+      state.scenario,
+      answer,
+      Object.keys(assignments),
+    );
+    const { correct, total } = result;
+    submitRoomAnswer("tests", answer);
 
-      if (testCards.length > 0) {
-        total++;
-        const isCorrect = testCards.some(
-          (card) => card.dataset.storyId === storyId,
-        );
-        if (isCorrect) {
-          correct++;
-          pair.classList.add("correct-pair");
-        } else {
-          pair.classList.add("wrong-pair");
-        }
-      }
+    storyTestPairs.forEach((pair) => {
+      if (pair.querySelectorAll(".test-card").length === 0) return;
+      const isCorrect = result.correctStoryIds.includes(pair.dataset.storyId);
+      pair.classList.add(isCorrect ? "correct-pair" : "wrong-pair");
     });
 
     // Sprawdź czy wszystkie testy są przypisane
-    const testsPool = $("#tests-pool");
-    const unassignedTests = testsPool.querySelectorAll(".test-card");
-
-    if (unassignedTests.length > 0) {
-      feedback.textContent = `Nie wszystkie testy zostały przypisane. Przypisz testy do odpowiednich User Stories.`;
+    if (result.reason === "unassigned-tests") {
+      feedback.textContent = t("tests.unassigned");
       feedback.className = "feedback error";
-      state.score -= 5;
+      addScore(
+        "tests",
+        result.delta,
+        t("history.testsUnassigned", { count: result.unassigned }),
+        { answer },
+      );
       updateScoreDisplay();
       animateError(feedback);
       return;
     }
 
-    const allStories = document.querySelectorAll(".story-test-pair");
-    const allHaveTests = Array.from(allStories).every((pair) => {
-      return pair.querySelectorAll(".test-card").length > 0;
-    });
-
-    if (!allHaveTests) {
-      feedback.textContent =
-        "Każda User Story w Sprintcie powinna mieć przypisane testy.";
+    if (result.reason === "story-without-tests") {
+      feedback.textContent = t("tests.storyWithoutTests");
       feedback.className = "feedback error";
-      state.score -= 3;
+      addScore(
+        "tests",
+        result.delta,
+        t("history.testsMissing", { count: result.withoutTests }),
+        { answer },
+      );
       updateScoreDisplay();
       animateError(feedback);
       return;
     }
 
-    if (correct === total && total > 0) {
-      feedback.textContent =
-        "Doskonale! Wszystkie testy są poprawnie przypisane do odpowiednich User Stories.";
+    if (result.passed) {
+      feedback.textContent = t("tests.ok");
       feedback.className = "feedback ok";
-      state.score += 20;
+      addScore("tests", result.delta, t("history.testsPassed"), {
+        answer,
+        passed: true,
+      });
       updateScoreDisplay();
       animateSuccess(feedback);
       setTimeout(() => {
         goToRoom("conflict");
       }, 1500);
     } else {
-      feedback.textContent = `Poprawnie przypisano testy dla ${correct} z ${total} User Stories. Testy powinny być przypisane do odpowiednich historii użytkownika.`;
+      feedback.textContent = t("tests.partial", { correct, total });
       feedback.className = "feedback error";
-      state.score -= 5;
+      addScore(
+        "tests",
+        result.delta,
+        t("history.testsWrong", { wrong: total - correct, total }),
+        { answer },
+      );
       updateScoreDisplay();
       animateError(feedback);
     }
@@ -897,45 +1959,129 @@ function bindTestsLogic() {
 }
 
 // Pokój 4 – Konflikt PO–Dev
+function buildConflict() {
+  const choices = $("#conflict-choices");
+  if (!choices) return;
+
+  choices.innerHTML = "";
+  state.scenario.conflict.options.forEach((option) => {
+    const btn = document.createElement("button");
+    btn.className = "choice-btn";
+    btn.dataset.choice = option.id;
+    btn.textContent = option.text;
+    choices.appendChild(btn);
+  });
+}
+
 function bindConflictRoom() {
-  const buttons = document.querySelectorAll(".choice-btn");
+  const choices = $("#conflict-choices");
   const feedback = $("#feedback-conflict");
 
-  buttons.forEach((btn) => {
-    btn.addEventListener("click", () => {
-      const choice = btn.dataset.choice;
+  // Delegacja zdarzeń - przyciski są budowane na nowo przy zmianie scenariusza
+  choices.addEventListener("click", (e) => {
+    const btn = e.target.closest(".choice-btn");
+    if (!btn) return;
 
-      buttons.forEach((b) => {
-        b.classList.remove("correct", "wrong");
-      });
+    const answer = { choice: btn.dataset.choice };
+    const result = RoomChecks.checkConflict(state.scenario, answer);
+    if (!result.option) return;
+    const { option } = result;
+    submitRoomAnswer("conflict", answer);
 
-      if (choice === "increment") {
-        btn.classList.add("correct");
-        feedback.textContent =
-          "Brawo! Wydanie tylko ukończonego, przetestowanego Inkrementu jest zgodne ze Scrumem i chroni jakość.";
-        feedback.className = "feedback ok";
-        state.score += 20;
-        updateScoreDisplay();
-        animateSuccess(feedback);
-        setTimeout(() => {
-          endGame(true);
-        }, 1500);
-      } else if (choice === "delay") {
-        btn.classList.add("wrong");
-        feedback.textContent =
-          "Przesunięcie release'u bywa konieczne, ale w Scrumie kluczowe jest dostarczenie działającego Inkrementu w rytmie Sprintów.";
-        feedback.className = "feedback error";
-        state.score += 5;
-        updateScoreDisplay();
-        endGame(true, "Udało się dowieźć release!");
-      } else {
-        btn.classList.add("wrong");
-        feedback.textContent =
-          "To podejście narusza zasady jakości i przejrzystości w Scrumie. Zastanów się, jak chronić użytkownika i produkt.";
-        feedback.className = "feedback error";
-        state.score -= 8;
-        updateScoreDisplay();
+    choices.querySelectorAll(".choice-btn").forEach((b) => {
+      b.classList.remove("correct", "wrong");
+    });
+
+    btn.classList.add(option.correct ? "correct" : "wrong");
+    feedback.textContent = option.feedback;
+    feedback.className = option.correct ? "feedback ok" : "feedback error";
+    addScore(
+      "conflict",
+      result.delta,
+      t("history.conflictChoice", { option: option.text }),
+      {
+        answer,
+        passed: result.passed,
+      },
+    );
+    updateScoreDisplay();
+
+    if (result.finished && option.correct) {
+      animateSuccess(feedback);
+      setTimeout(() => {
+        endGame(true, option.endReason);
+      }, 1500);
+    } else if (result.finished) {
+      endGame(true, option.endReason);
+    }
+  });
+}
+
+// Podpowiedzi - każda kolejna w pokoju jest mocniejsza i kosztuje punkty.
+// W multiplayer budżet i koszt pilnuje serwer (requestHint / hintResult).
+function roomHints(room) {
+  return (state.scenario.hints || []).filter((hint) => hint.room === room);
+}
+
+function hintsUsedTotal() {
+  return Object.values(state.hintsUsed).reduce((sum, count) => sum + count, 0);
+}
+
+function renderHints() {
+  const left = state.hintBudget - hintsUsedTotal();
+  ROOM_KEYS.forEach((room) => {
+    const hints = roomHints(room);
+    const used = state.hintsUsed[room] || 0;
+    $(`#hint-box-${room}`).classList.toggle(
+      "hidden",
+      hints.length === 0 || state.hintBudget === 0,
+    );
+
+    const list = $(`#hints-${room}`);
+    list.innerHTML = "";
+    hints.slice(0, used).forEach((hint) => {
+      const li = document.createElement("li");
+      li.textContent = hint.text;
+      list.appendChild(li);
+    });
+
+    const btn = $(`#btn-hint-${room}`);
+    const next = hints[used];
+    btn.disabled = !next || left <= 0;
+    if (!next) {
+      btn.textContent = t("hints.noMore");
+    } else if (left <= 0) {
+      btn.textContent = t("hints.budgetUsed");
+    } else {
+      btn.textContent = t("hints.button", { cost: next.cost, left });
+    }
+  });
+}
+
+// Odkryj podpowiedź i zapisz jej koszt w historii punktacji
+function revealHint(room, hint) {
+  addScore(room, -hint.cost, t("history.hint", { text: hint.text }), {
+    hint: true,
+  });
+  updateScoreDisplay();
+  renderHints();
+  saveGameState();
+}
+
+function bindHints() {
+  ROOM_KEYS.forEach((room) => {
+    $(`#btn-hint-${room}`).addEventListener("click", () => {
+      if (state.finished || state.timerPaused) return;
+      if (state.mode === "multiplayer") {
+        if (state.socket && state.roomId) {
+          state.socket.emit("requestHint", { roomId: state.roomId, room });
+        }
+        return;
       }
+      const hint = roomHints(room)[state.hintsUsed[room] || 0];
+      if (!hint || hintsUsedTotal() >= state.hintBudget) return;
+      state.hintsUsed[room] = (state.hintsUsed[room] || 0) + 1;
+      revealHint(room, hint);
     });
   });
 }
@@ -963,11 +2109,13 @@ function preventScroll(e) {
   }
 }
 
+// Listy, między którymi można przenosić karty (myszą, dotykiem i klawiaturą)
+const DROP_ZONE_SELECTOR =
+  ".droppable, #product-backlog, #stories-pool, #tests-pool, .test-list";
+
 function initDragAndDrop() {
   const cards = document.querySelectorAll(".card");
-  const droppables = document.querySelectorAll(
-    ".droppable, #product-backlog, #stories-pool, #tests-pool, .test-list",
-  );
+  const droppables = document.querySelectorAll(DROP_ZONE_SELECTOR);
 
   // Desktop: Drag & Drop API
   cards.forEach((card) => {
@@ -1119,6 +2267,7 @@ function initDragAndDrop() {
 
         if (dropped) {
           updateSprintPoints();
+          saveGameState();
         }
 
         enableTouchScroll();
@@ -1162,14 +2311,148 @@ function initDragAndDrop() {
       // Prosta logika – zawsze można przenieść
       zone.appendChild(dragging);
       updateSprintPoints();
+      saveGameState();
     });
   });
 }
 
+// Klawiatura i czytniki ekranu - alternatywa dla przeciągania.
+// Enter/spacja na karcie otwiera menu „Przenieś do…” z listami z tego pokoju,
+// strzałki przechodzą między kartami w liście.
+function setupCard(li) {
+  li.draggable = true;
+  li.tabIndex = 0;
+  li.setAttribute("aria-describedby", "card-move-hint");
+}
+
+// Komunikat dla czytnika ekranu (region aria-live)
+function announce(text) {
+  const announcer = $("#a11y-announcer");
+  announcer.textContent = "";
+  // Nowy tekst w osobnej klatce - czytnik ogłosi też powtórzony komunikat
+  setTimeout(() => {
+    announcer.textContent = text;
+  }, 50);
+}
+
+function zoneLabel(zone) {
+  return zone.getAttribute("aria-label") || "";
+}
+
+function cardLabel(card) {
+  const title = card.querySelector(".card-title");
+  return title ? title.textContent.trim() : "";
+}
+
+// Przenieś kartę tak samo jak po upuszczeniu myszą
+function moveCardTo(card, zone) {
+  zone.appendChild(card);
+  updateSprintPoints();
+  saveGameState();
+  announce(t("a11y.moved", { card: cardLabel(card), zone: zoneLabel(zone) }));
+  card.focus();
+}
+
+function closeMoveMenu(returnFocus) {
+  const menu = $("#move-menu");
+  if (menu.classList.contains("hidden")) return;
+  menu.classList.add("hidden");
+  const card = menu.card;
+  menu.card = null;
+  if (returnFocus && card) card.focus();
+}
+
+function openMoveMenu(card) {
+  const menu = $("#move-menu");
+  const room = card.closest(".room");
+  const currentZone = card.closest(DROP_ZONE_SELECTOR);
+  const targets = Array.from(room.querySelectorAll(DROP_ZONE_SELECTOR)).filter(
+    (zone) => zone !== currentZone,
+  );
+  if (targets.length === 0) return;
+
+  menu.innerHTML = "";
+  menu.setAttribute("aria-label", t("a11y.moveTo", { card: cardLabel(card) }));
+  targets.forEach((zone) => {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = "move-menu-item";
+    item.setAttribute("role", "menuitem");
+    item.textContent = zoneLabel(zone);
+    item.addEventListener("click", () => {
+      closeMoveMenu(false);
+      moveCardTo(card, zone);
+    });
+    menu.appendChild(item);
+  });
+
+  const rect = card.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.left = `${rect.left}px`;
+  menu.card = card;
+  menu.classList.remove("hidden");
+  menu.querySelector(".move-menu-item").focus();
+}
+
+function bindKeyboardCards() {
+  const menu = $("#move-menu");
+
+  // Delegacja - karty są budowane na nowo przy każdej grze
+  document.addEventListener("keydown", (e) => {
+    const card = e.target.closest && e.target.closest(".card");
+    if (!card || card.closest("#move-menu")) return;
+
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      openMoveMenu(card);
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const sibling =
+        e.key === "ArrowDown"
+          ? card.nextElementSibling
+          : card.previousElementSibling;
+      if (sibling) sibling.focus();
+    }
+  });
+
+  menu.addEventListener("keydown", (e) => {
+    const items = Array.from(menu.querySelectorAll(".move-menu-item"));
+    const index = items.indexOf(document.activeElement);
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeMoveMenu(true);
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      items[(index + step + items.length) % items.length].focus();
+    } else if (e.key === "Tab") {
+      closeMoveMenu(true);
+    }
+  });
+
+  // Klik poza menu zamyka je
+  document.addEventListener("click", (e) => {
+    if (!menu.contains(e.target)) closeMoveMenu(false);
+  });
+}
+
 // Przejścia między pokojami
 function goToRoom(key) {
   const rooms = document.querySelectorAll(".room");
   rooms.forEach((r) => r.classList.remove("active"));
+  closeMoveMenu(false);
+  renderHints();
+
+  // Zamknij wynik poprzedniego pokoju i zacznij liczyć nowy
+  if (!state.roomEntry || state.roomEntry.room !== key) {
+    recordRoomResult();
+    state.roomEntry = {
+      room: key,
+      score: state.score,
+      elapsed: elapsedGameSeconds(),
+    };
+  }
+  updateRoomTimer();
 
   if (key === "quiz") {
     $("#room-quiz").classList.add("active");
@@ -1195,6 +2478,7 @@ function goToRoom(key) {
 
   $("#hud-sprint").textContent = (state.sprint + 1).toString();
   updateProgressBar();
+  saveGameState();
 }
 
 function updateTestsRoom() {
@@ -1202,54 +2486,430 @@ function updateTestsRoom() {
   const storiesContainer = $("#tests-stories-container");
   if (!storiesContainer) return;
 
-  storiesContainer.innerHTML = "";
-  const sprintStories = Array.from(storiesSprint.querySelectorAll(".card"));
+  storiesContainer.innerHTML = "";
+  const sprintStories = Array.from(storiesSprint.querySelectorAll(".card"));
+
+  sprintStories.forEach((storyCard) => {
+    const storyId = storyCard.dataset.id;
+    const storyText = storyCard.querySelector(".card-title")?.textContent || "";
+
+    const pairDiv = document.createElement("div");
+    pairDiv.className = "story-test-pair";
+    pairDiv.dataset.storyId = storyId;
+
+    pairDiv.append(
+      el("div", { className: "story-card-in-test" }, [
+        el("div", { className: "card-title", text: storyText }),
+      ]),
+      el("ul", {
+        className: "test-list droppable",
+        dataset: { storyId },
+        attrs: { "aria-label": t("a11y.testsFor", { story: storyText }) },
+      }),
+    );
+
+    storiesContainer.appendChild(pairDiv);
+  });
+
+  initDragAndDrop();
+}
+
+// Animacje i efekty wizualne
+function animateSuccess(element) {
+  element.classList.add("animate-success");
+  setTimeout(() => {
+    element.classList.remove("animate-success");
+  }, 600);
+}
+
+function animateError(element) {
+  element.classList.add("animate-error");
+  setTimeout(() => {
+    element.classList.remove("animate-error");
+  }, 600);
+}
+
+// Pasek postępu w pokoju o indeksie roomIndex (0 - quiz, 4 - konflikt)
+function progressPercent(roomIndex) {
+  const totalRooms = 5;
+  return Math.min(100, ((roomIndex + 1) / totalRooms) * 100);
+}
+
+function updateProgressBar() {
+  const progressBar = $("#progress-bar");
+  if (!progressBar) return;
+
+  progressBar.style.width = `${progressPercent(state.sprint)}%`;
+}
+
+// Zapis stanu gry - odświeżenie strony nie kasuje postępu.
+// Solo/Versus: localStorage, Multiplayer: serwer (saveProgress).
+function cardIds(selector) {
+  return Array.from(document.querySelectorAll(`${selector} .card`)).map(
+    (card) => card.dataset.id,
+  );
+}
+
+function collectGameState() {
+  const quizAnswers = {};
+  document
+    .querySelectorAll("#quiz-container input[type='radio']:checked")
+    .forEach((input) => {
+      const questionId = input.closest(".quiz-question").dataset.questionId;
+      quizAnswers[questionId] = input.value;
+    });
+
+  const tests = {};
+  document.querySelectorAll(".test-list").forEach((list) => {
+    tests[list.dataset.storyId] = cardIds(
+      `.test-list[data-story-id="${list.dataset.storyId}"]`,
+    );
+  });
+
+  return {
+    teamName: state.teamName,
+    mode: state.mode,
+    scenarioId: state.scenario.id,
+    room: ROOM_KEYS[state.sprint] || "quiz",
+    score: state.score,
+    timerSeconds: state.timerSeconds,
+    quizAnswers,
+    sprintBacklog: cardIds("#sprint-backlog"),
+    storiesSprint: cardIds("#stories-sprint"),
+    storiesLater: cardIds("#stories-later"),
+    tests,
+    seed: state.seed,
+    challenge: state.challenge,
+    roomBreakdown: state.roomBreakdown,
+    roomEntry: state.roomEntry,
+    scoreEvents: state.scoreEvents,
+    hintBudget: state.hintBudget,
+    hintsUsed: state.hintsUsed,
+    settings: state.settings,
+    paused: state.timerPaused,
+    runToken: state.runToken,
+    savedAt: Date.now(),
+  };
+}
+
+function saveGameState() {
+  if (state.finished || !$("#screen-game").classList.contains("active")) {
+    return;
+  }
+  // Niezapisany scenariusz z edytora nie przetrwa odświeżenia
+  if (state.isPreview) return;
+
+  const snapshot = collectGameState();
+  if (state.mode === "multiplayer") {
+    if (state.socket && state.roomId) {
+      state.socket.emit("saveProgress", { roomId: state.roomId, snapshot });
+    }
+    return;
+  }
+  try {
+    localStorage.setItem("escapeRoomSavedGame", JSON.stringify(snapshot));
+  } catch (error) {
+    console.error("Nie udało się zapisać stanu gry:", error);
+  }
+}
+
+function loadSavedGame() {
+  try {
+    const stored = localStorage.getItem("escapeRoomSavedGame");
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function clearSavedGame() {
+  localStorage.removeItem("escapeRoomSavedGame");
+}
+
+// Przenieś karty o podanych id z listy źródłowej do docelowej
+function moveCards(ids, fromSelector, toSelector) {
+  const target = $(toSelector);
+  if (!target || !Array.isArray(ids)) return;
+  ids.forEach((id) => {
+    const card = document.querySelector(
+      `${fromSelector} .card[data-id="${id}"]`,
+    );
+    if (card) target.appendChild(card);
+  });
+}
+
+// Odtwórz ułożenie kart i odpowiedzi quizu, a potem przejdź do pokoju
+function applyGameState(snapshot, roomKey) {
+  moveCards(snapshot.sprintBacklog, "#product-backlog", "#sprint-backlog");
+  moveCards(snapshot.storiesSprint, "#stories-pool", "#stories-sprint");
+  moveCards(snapshot.storiesLater, "#stories-pool", "#stories-later");
+  updateSprintPoints();
+
+  Object.keys(snapshot.quizAnswers || {}).forEach((questionId) => {
+    const input = document.querySelector(
+      `input[name="quiz-${questionId}"][value="${snapshot.quizAnswers[questionId]}"]`,
+    );
+    if (input) {
+      input.checked = true;
+      input.closest(".quiz-option").classList.add("selected");
+    }
+  });
+
+  // Listy testów powstają dopiero przy wejściu do pokoju testów
+  goToRoom(roomKey);
+  if (roomKey === "tests") {
+    Object.keys(snapshot.tests || {}).forEach((storyId) => {
+      moveCards(
+        snapshot.tests[storyId],
+        "#tests-pool",
+        `.test-list[data-story-id="${storyId}"]`,
+      );
+    });
+  }
+}
+
+async function resumeSavedGame(snapshot) {
+  state.settings =
+    GameSettings.normalizeSettings(snapshot.settings) || state.settings;
+  await loadScenario(snapshot.scenarioId);
+  state.teamName = snapshot.teamName;
+  state.mode = snapshot.mode;
+  state.score = snapshot.score;
+  state.timerSeconds = snapshot.timerSeconds;
+  state.finished = false;
+  state.startTimestamp = Date.now();
+  state.seed = snapshot.seed || null;
+  state.challenge = snapshot.challenge || null;
+  state.roomBreakdown = snapshot.roomBreakdown || {};
+  state.roomEntry = snapshot.roomEntry || null;
+  state.scoreEvents = snapshot.scoreEvents || [];
+  state.hintBudget = snapshot.hintBudget ?? state.hintBudget;
+  state.hintsUsed = snapshot.hintsUsed || {};
+  state.timerPaused = Boolean(snapshot.paused);
+  state.runToken = snapshot.runToken || null;
+
+  $("#hud-team").textContent = state.teamName;
+  $("#hud-timer").textContent = formatTime(state.timerSeconds);
+  $("#hud-multiplayer").classList.add("hidden");
+  $("#screen-start").classList.remove("active");
+  $("#screen-game").classList.add("active");
+  $("#hud").classList.remove("hidden");
+
+  buildQuiz();
+  buildBacklog();
+  buildStories();
+  buildTests();
+  applyGameState(snapshot, snapshot.room);
+  updateScoreDisplay();
+  updatePauseButton();
+  setPauseOverlay(state.timerPaused);
+  startTimer();
+}
+
+// Versus - przebieg z ziarnem losowania i wyzwania przez link
+function newSeed() {
+  return Math.floor(Math.random() * 0xfffffffe) + 1;
+}
+
+// Deterministyczny generator (mulberry32) - ta sama kolejność dla tego samego ziarna
+function seededRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Kolejność kart w pokoju - bez ziarna taka jak w scenariuszu
+function shuffleForRun(list, salt) {
+  if (!state.seed) return list;
+  const random = seededRandom(state.seed + salt);
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function elapsedGameSeconds() {
+  return Math.max(0, state.settings.durationSeconds - state.timerSeconds);
+}
+
+function resetRoomBreakdown() {
+  state.roomBreakdown = {};
+  state.roomEntry = null;
+  state.scoreEvents = [];
+  state.hintsUsed = {};
+}
 
-  sprintStories.forEach((storyCard) => {
-    const storyId = storyCard.dataset.id;
-    const storyText = storyCard.querySelector(".card-title")?.textContent || "";
+// Zapisz punkty i czas zdobyte w pokoju, z którego wychodzimy
+function recordRoomResult() {
+  const entry = state.roomEntry;
+  if (!entry) return;
+  state.roomBreakdown[entry.room] = {
+    points: state.score - entry.score,
+    time: elapsedGameSeconds() - entry.elapsed,
+  };
+  state.roomEntry = null;
+}
 
-    const pairDiv = document.createElement("div");
-    pairDiv.className = "story-test-pair";
-    pairDiv.dataset.storyId = storyId;
+async function loadChallengeFromUrl() {
+  const id = new URLSearchParams(window.location.search).get("challenge");
+  if (!id) return;
 
-    pairDiv.innerHTML = `
-      <div class="story-card-in-test">
-        <div class="card-title">${storyText}</div>
-      </div>
-      <ul class="test-list droppable" data-story-id="${storyId}"></ul>
-    `;
+  const banner = $("#challenge-banner");
+  banner.textContent = t("challenge.loading");
+  banner.classList.remove("hidden");
+  try {
+    const response = await fetch(`/api/challenges/${encodeURIComponent(id)}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    state.challenge = data.challenge;
+  } catch (error) {
+    console.error("Błąd wczytywania wyzwania:", error);
+    banner.textContent = t("challenge.notFound");
+    return;
+  }
 
-    storiesContainer.appendChild(pairDiv);
-  });
+  renderChallengeBanner();
 
-  initDragAndDrop();
+  const modeSelect = $("#mode-select");
+  modeSelect.value = "versus";
+  modeSelect.disabled = true;
+  $("#scenario-select").disabled = true;
+
+  const settings = GameSettings.normalizeSettings(state.challenge.settings);
+  if (settings) {
+    state.settings = settings;
+    fillSettingsForm(settings);
+    renderSettingsSummary();
+  }
+  $("#difficulty-select").disabled = true;
+  document.querySelectorAll("#custom-settings input").forEach((input) => {
+    input.disabled = true;
+  });
 }
 
-// Animacje i efekty wizualne
-function animateSuccess(element) {
-  element.classList.add("animate-success");
-  setTimeout(() => {
-    element.classList.remove("animate-success");
-  }, 600);
+function renderChallengeBanner() {
+  const challenge = state.challenge;
+  $("#challenge-banner").textContent = t("challenge.banner", {
+    team: challenge.teamName,
+    score: challenge.score,
+    time: formatTime(challenge.time),
+  });
 }
 
-function animateError(element) {
-  element.classList.add("animate-error");
-  setTimeout(() => {
-    element.classList.remove("animate-error");
-  }, 600);
+function finishVersusRun(elapsedSeconds) {
+  const mine = {
+    teamName: state.teamName,
+    score: state.score,
+    time: elapsedSeconds,
+    breakdown: state.roomBreakdown,
+  };
+  $("#end-challenge").classList.remove("hidden");
+  $("#end-challenge-link-row").classList.add("hidden");
+  $("#end-challenge-compare").classList.add("hidden");
+
+  if (state.challenge) {
+    renderChallengeComparison(state.challenge, mine);
+  } else {
+    createChallenge(mine);
+  }
 }
 
-function updateProgressBar() {
-  const progressBar = $("#progress-bar");
-  if (!progressBar) return;
+async function createChallenge(result) {
+  const text = $("#end-challenge-text");
+  // Bez tokenu przebiegu serwer nie utworzy wyzwania (jak przy saveScore)
+  if (!state.runToken) {
+    text.textContent = t("challenge.failed");
+    return;
+  }
+  text.textContent = t("challenge.creating");
+  try {
+    const response = await fetch("/api/challenges", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        scenarioId: state.scenario.id,
+        seed: state.seed,
+        runToken: state.runToken,
+        ...result,
+      }),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    const link = `${window.location.origin}${window.location.pathname}?challenge=${data.id}`;
+    text.textContent = t("challenge.ready");
+    $("#end-challenge-link").value = link;
+    $("#end-challenge-link-row").classList.remove("hidden");
+  } catch (error) {
+    console.error("Błąd tworzenia wyzwania:", error);
+    text.textContent = t("challenge.failed");
+  }
+}
 
-  const totalRooms = 5;
-  const currentRoom = state.sprint;
-  const progress = ((currentRoom + 1) / totalRooms) * 100;
+function bindChallenge() {
+  const btnCopy = $("#btn-copy-challenge");
+  btnCopy.addEventListener("click", () => {
+    navigator.clipboard.writeText($("#end-challenge-link").value).then(() => {
+      btnCopy.textContent = t("end.copied");
+      setTimeout(() => {
+        btnCopy.textContent = t("end.copy");
+      }, 2000);
+    });
+  });
+}
 
-  progressBar.style.width = `${progress}%`;
+// Porównanie z drużyną, która utworzyła wyzwanie (punkty, potem czas)
+function renderChallengeComparison(challenge, mine) {
+  let verdict = t("challenge.draw");
+  if (
+    mine.score > challenge.score ||
+    (mine.score === challenge.score && mine.time < challenge.time)
+  ) {
+    verdict = t("challenge.won", { team: challenge.teamName });
+  } else if (
+    mine.score < challenge.score ||
+    (mine.score === challenge.score && mine.time > challenge.time)
+  ) {
+    verdict = t("challenge.lost", { team: challenge.teamName });
+  }
+  $("#end-challenge-text").textContent = verdict;
+
+  const cell = (result) =>
+    result
+      ? t("challenge.cell", {
+          points: result.points,
+          time: formatTime(result.time),
+        })
+      : "—";
+  $("#end-challenge-me").textContent = mine.teamName;
+  $("#end-challenge-them").textContent = challenge.teamName;
+  const tbody = $("#end-challenge-tbody");
+  tbody.innerHTML = "";
+  const rows = ROOM_KEYS.map((key) => [
+    roomLabel(key),
+    cell(mine.breakdown[key]),
+    cell(challenge.breakdown[key]),
+  ]);
+  rows.push([
+    t("challenge.total"),
+    cell({ points: mine.score, time: mine.time }),
+    cell({ points: challenge.score, time: challenge.time }),
+  ]);
+  rows.forEach((values) => {
+    const tr = document.createElement("tr");
+    values.forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  $("#end-challenge-compare").classList.remove("hidden");
 }
 
 // Restart gry
@@ -1263,9 +2923,12 @@ function bindRestart() {
     }
 
     // Reset stanu
+    clearSavedGame();
+    $("#end-challenge").classList.add("hidden");
+    $("#end-history").classList.add("hidden");
     state.score = 0;
     state.sprint = 0;
-    state.timerSeconds = 10 * 60;
+    state.timerSeconds = state.settings.durationSeconds;
     state.finished = false;
     state.quizAnswers = {};
     state.backlogItems = [];
@@ -1326,70 +2989,366 @@ function bindRestart() {
   });
 }
 
-// Ranking - zapisywanie i wyświetlanie (MySQL przez API)
+// Ranking - zapisywanie i wyświetlanie (przez API serwera)
+// Historia gry wysyłana razem z wynikiem (tabele game_sessions,
+// room_attempts i attempt_answers po stronie serwera). Podgląd z edytora
+// nie ma scenariusza zapisanego na serwerze, więc wysyła sam wynik.
+function gameSessionPayload() {
+  if (state.isPreview) return undefined;
+  return {
+    scenarioId: state.scenario.id,
+    seed: state.seed,
+    roomCode: state.mode === "multiplayer" ? state.roomId : null,
+    attempts: state.scoreEvents,
+    rooms: state.roomBreakdown,
+  };
+}
+
+async function fetchRunToken(mode, scenarioId, settings) {
+  const response = await fetch("/api/runs", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ mode, scenarioId, settings }),
+  });
+  if (!response.ok) throw new Error(response.statusText);
+  const data = await response.json();
+  return data.token;
+}
+
+// Token przebiegu solo / Versus - serwer przyjmie wynik tylko z nim
+// (multiplayer dostaje token w gameStart). Gra solo bez sieci używa
+// zapasowego tokenu, a wynik czeka w kolejce na powrót serwera.
+async function requestRunToken() {
+  state.runToken = null;
+  if (state.isPreview) return;
+  try {
+    state.runToken = await fetchRunToken(
+      state.mode,
+      state.scenario.id,
+      state.settings,
+    );
+    saveGameState();
+    if (state.mode === "solo") {
+      requestReserveRun(state.scenario.id, state.settings);
+    }
+  } catch (error) {
+    state.runToken =
+      state.mode === "solo"
+        ? takeReserveRun(state.scenario.id, state.settings)
+        : null;
+    if (state.runToken) {
+      saveGameState();
+      return;
+    }
+    console.warn("Brak tokenu gry - wynik zostanie zapisany lokalnie:", error);
+  }
+}
+
+// Zapasowy token solo dla ostatnio wybranego scenariusza i ustawień -
+// pobierany, gdy serwer działa. Serwer przyjmuje token przez 24 h, gra
+// wymienia go na nowy po 12 h.
+const RESERVE_RUN_KEY = "escapeRoomReserveRun";
+const RESERVE_RUN_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+function getReserveRun(scenarioId, settings) {
+  try {
+    const reserve = JSON.parse(localStorage.getItem(RESERVE_RUN_KEY));
+    const fresh =
+      reserve && Date.now() - reserve.issuedAt < RESERVE_RUN_MAX_AGE_MS;
+    return fresh &&
+      reserve.scenarioId === scenarioId &&
+      JSON.stringify(reserve.settings) === JSON.stringify(settings)
+      ? reserve
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function requestReserveRun(scenarioId, settings) {
+  if (state.isPreview || !settings || getReserveRun(scenarioId, settings)) {
+    return;
+  }
+  try {
+    const token = await fetchRunToken("solo", scenarioId, settings);
+    localStorage.setItem(
+      RESERVE_RUN_KEY,
+      JSON.stringify({ token, scenarioId, settings, issuedAt: Date.now() }),
+    );
+  } catch (error) {
+    console.warn("Brak zapasowego tokenu gry offline:", error);
+  }
+}
+
+// Token zapasowy jest jednorazowy - po użyciu znika
+function takeReserveRun(scenarioId, settings) {
+  const reserve = getReserveRun(scenarioId, settings);
+  if (!reserve) return null;
+  localStorage.removeItem(RESERVE_RUN_KEY);
+  return reserve.token;
+}
+
+// Podgląd z edytora nie ma scenariusza zapisanego na serwerze
+function currentScenarioId() {
+  return state.isPreview ? null : state.scenario.id;
+}
+
+// Gdzie trafił wynik: saving, server, temporary (serwer bez trwałego
+// magazynu danych), queued (czeka w kolejce na wysłanie) albo local (tylko
+// localStorage na tym urządzeniu)
+function showSaveStatus(status) {
+  const element = $("#end-save-status");
+  const keys = {
+    saving: "end.saving",
+    server: "end.savedServer",
+    temporary: "end.savedTemporary",
+    queued: "end.savedQueued",
+    local: "end.savedLocal",
+  };
+  element.textContent = t(keys[status]);
+  element.classList.toggle(
+    "warning",
+    status === "temporary" || status === "queued" || status === "local",
+  );
+  element.classList.remove("hidden");
+}
+
+// Unikalny identyfikator wyniku - serwer po nim rozpoznaje wynik wysłany
+// ponownie z kolejki. randomUUID działa tylko na https i localhost.
+function createClientId() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function postScore(body) {
+  return fetch("/api/scores", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+// Serwer chwilowo nie może przyjąć wyniku - warto spróbować później
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
 async function saveScore(teamName, score, time, mode) {
+  // Bez tokenu (brak serwera na starcie gry, podgląd z edytora) serwer
+  // i tak odrzuciłby wynik
+  if (!state.runToken) {
+    saveScoreLocalStorage(teamName, score, time, mode);
+    showSaveStatus("local");
+    return;
+  }
+
+  const body = {
+    teamName,
+    score,
+    time,
+    mode,
+    scenarioId: currentScenarioId(),
+    session: gameSessionPayload(),
+    runToken: state.runToken,
+    clientId: createClientId(),
+  };
+
+  showSaveStatus("saving");
   try {
     console.log(" Wysyłam wynik:", { teamName, score, time, mode });
-    const response = await fetch("/api/scores", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        teamName,
-        score,
-        time,
-        mode,
-      }),
-    });
+    const response = await postScore(body);
 
     console.log(
       `📊 Odpowiedź serwera: status ${response.status}, ok=${response.ok}`,
     );
 
+    // 409 - wynik tej gry serwer zapisał już wcześniej
+    if (response.status === 409) {
+      showSaveStatus("server");
+      return;
+    }
+
+    if (isRetryableStatus(response.status)) {
+      console.error("❌ Serwer nie zapisał wyniku:", response.statusText);
+      queueScore(body);
+      return;
+    }
+
     if (!response.ok) {
-      console.error("❌ Błąd zapisywania wyniku:", response.statusText);
-      // Fallback do localStorage jeśli API nie działa
+      console.error("❌ Serwer odrzucił wynik:", response.statusText);
       saveScoreLocalStorage(teamName, score, time, mode);
+      showSaveStatus("local");
       return;
     }
 
     const result = await response.json();
     console.log("✅ Wynik zapisany:", result);
+    showSaveStatus(result.persistent === false ? "temporary" : "server");
   } catch (error) {
     console.error("Błąd zapisywania wyniku:", error);
-    // Fallback do localStorage jeśli API nie działa
-    saveScoreLocalStorage(teamName, score, time, mode);
+    queueScore(body);
+  }
+}
+
+// Kolejka wyników, których nie udało się wysłać. Gra ponawia je, gdy
+// /health znów odpowiada: po starcie, po powrocie sieci i co 30 s, dopóki
+// kolejka nie jest pusta.
+const SCORE_QUEUE_KEY = "escapeRoomScoreQueue";
+const SCORE_SYNC_INTERVAL_MS = 30 * 1000;
+
+function getScoreQueue() {
+  try {
+    const stored = localStorage.getItem(SCORE_QUEUE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function setScoreQueue(queue) {
+  localStorage.setItem(SCORE_QUEUE_KEY, JSON.stringify(queue));
+}
+
+// Wynik czeka w kolejce, a do tego czasu jest w rankingu na tym urządzeniu
+function queueScore(body) {
+  saveScoreLocalStorage(
+    body.teamName,
+    body.score,
+    body.time,
+    body.mode,
+    body.clientId,
+  );
+  setScoreQueue([
+    ...getScoreQueue(),
+    { clientId: body.clientId, queuedAt: new Date().toISOString(), body },
+  ]);
+  showSaveStatus("queued");
+  scheduleScoreSync();
+}
+
+function removeQueuedScore(clientId) {
+  setScoreQueue(getScoreQueue().filter((item) => item.clientId !== clientId));
+}
+
+async function syncScoreQueue() {
+  if (state.scoreSyncing || getScoreQueue().length === 0) return;
+  state.scoreSyncing = true;
+  let synced = false;
+  try {
+    const health = await fetch("/health", { cache: "no-store" });
+    if (!health.ok) return;
+
+    for (const item of getScoreQueue()) {
+      const response = await postScore(item.body);
+      if (isRetryableStatus(response.status)) break;
+      // Odrzucony wynik (np. wygasły token) nie trafi na serwer nigdy -
+      // zostaje tylko w rankingu na tym urządzeniu
+      if (!response.ok && response.status !== 409) {
+        console.warn("Serwer odrzucił wynik z kolejki:", response.status);
+      }
+      removeQueuedScore(item.clientId);
+      synced = true;
+    }
+  } catch (error) {
+    console.warn("Serwer nadal niedostępny - wyniki czekają w kolejce");
+  } finally {
+    state.scoreSyncing = false;
   }
+
+  if (synced && $("#screen-ranking").classList.contains("active")) {
+    loadRanking();
+  }
+}
+
+function startScoreSync() {
+  window.addEventListener("online", syncScoreQueue);
+  scheduleScoreSync();
+  syncScoreQueue();
+}
+
+function scheduleScoreSync() {
+  if (state.scoreSyncTimer || getScoreQueue().length === 0) return;
+  state.scoreSyncTimer = setInterval(() => {
+    if (getScoreQueue().length === 0) {
+      clearInterval(state.scoreSyncTimer);
+      state.scoreSyncTimer = null;
+      return;
+    }
+    syncScoreQueue();
+  }, SCORE_SYNC_INTERVAL_MS);
 }
 
-async function getScores(sortBy = "score") {
+// Wyniki z kolejki w formacie rankingu, oznaczone jako oczekujące
+function pendingScores() {
+  return getScoreQueue().map((item) => ({
+    teamName: item.body.teamName,
+    score: item.body.score,
+    time: item.body.time,
+    mode: item.body.mode,
+    scenarioId: item.body.scenarioId,
+    date: item.queuedAt,
+    pending: true,
+  }));
+}
+
+// Strona rankingu z serwera; bez serwera - z wyników w localStorage.
+// Wyniki z kolejki są oznaczone jako oczekujące (przy rankingu z serwera -
+// na końcu pierwszej strony).
+async function getScores(filters) {
+  const params = new URLSearchParams();
+  Object.keys(filters).forEach((key) => {
+    const value = filters[key];
+    if (value === "" || value === false) return;
+    params.set(key, value === true ? "1" : String(value));
+  });
+
   try {
-    const response = await fetch(`/api/scores?sort=${sortBy}`);
+    const response = await fetch(`/api/scores?${params}`);
 
     if (!response.ok) {
       console.error("Błąd pobierania wyników:", response.statusText);
       // Fallback do localStorage
-      return getScoresLocalStorage();
+      return localRanking(filters);
     }
 
     const data = await response.json();
-    return data.scores || [];
+    if (data.page !== 1) return data;
+    const pending = Ranking.rankScores(pendingScores(), {
+      ...filters,
+      page: 1,
+      pageSize: Ranking.MAX_PAGE_SIZE,
+    }).scores;
+    return { ...data, scores: [...data.scores, ...pending] };
   } catch (error) {
     console.error("Błąd pobierania wyników:", error);
     // Fallback do localStorage
-    return getScoresLocalStorage();
+    return localRanking(filters);
   }
 }
 
+function localRanking(filters) {
+  const queued = new Set(getScoreQueue().map((item) => item.clientId));
+  const scores = getScoresLocalStorage().map((entry) => ({
+    ...entry,
+    pending: Boolean(entry.clientId) && queued.has(entry.clientId),
+  }));
+  return Ranking.rankScores(scores, filters);
+}
+
 // Fallback do localStorage (dla kompatybilności wstecznej)
-function saveScoreLocalStorage(teamName, score, time, mode) {
+function saveScoreLocalStorage(teamName, score, time, mode, clientId) {
   const scores = getScoresLocalStorage();
   scores.push({
     teamName,
     score,
     time,
     mode,
+    scenarioId: currentScenarioId(),
+    clientId: clientId || null,
     date: new Date().toISOString(),
   });
   localStorage.setItem("escapeRoomScores", JSON.stringify(scores));
@@ -1419,8 +3378,35 @@ function bindRanking() {
     $("#screen-start").classList.add("active");
   });
 
-  rankingSort.addEventListener("change", () => {
-    showRanking();
+  // Zmiana sortowania lub filtrów zaczyna ranking od pierwszej strony
+  const reload = () => {
+    state.rankingPage = 1;
+    loadRanking();
+  };
+  rankingSort.addEventListener("change", reload);
+  ["#ranking-mode", "#ranking-scenario", "#ranking-period", "#ranking-best"]
+    .map((selector) => $(selector))
+    .forEach((control) => control.addEventListener("change", reload));
+
+  // Wyszukiwanie drużyny - zapytanie dopiero po krótkiej przerwie w pisaniu
+  let searchTimeout = null;
+  $("#ranking-team").addEventListener("input", () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(reload, 300);
+  });
+  $("#ranking-filters").addEventListener("submit", (event) => {
+    event.preventDefault();
+    clearTimeout(searchTimeout);
+    reload();
+  });
+
+  $("#ranking-prev").addEventListener("click", () => {
+    state.rankingPage = Math.max(1, state.rankingPage - 1);
+    loadRanking();
+  });
+  $("#ranking-next").addEventListener("click", () => {
+    state.rankingPage += 1;
+    loadRanking();
   });
 }
 
@@ -1431,18 +3417,58 @@ async function showRanking() {
   $("#screen-multiplayer").classList.remove("active");
   $("#screen-ranking").classList.add("active");
 
-  const sortBy = $("#ranking-sort").value;
+  state.rankingPage = 1;
+  renderRankingScenarios();
+  await loadRanking();
+}
+
+// Filtry rankingu z formularza - te same, które przyjmuje GET /api/scores
+function rankingFilters() {
+  return Ranking.parseRankingQuery({
+    sort: $("#ranking-sort").value,
+    mode: $("#ranking-mode").value,
+    scenario: $("#ranking-scenario").value,
+    period: $("#ranking-period").value,
+    team: $("#ranking-team").value,
+    best: $("#ranking-best").checked ? "1" : "",
+    page: String(state.rankingPage),
+  }).filters;
+}
+
+function renderRankingScenarios() {
+  const select = $("#ranking-scenario");
+  const selected = select.value;
+  const lang = I18n.getLanguage();
+  select.innerHTML = "";
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = t("ranking.all");
+  select.appendChild(all);
+  state.scenarioList.forEach((scenario) => {
+    const option = document.createElement("option");
+    option.value = scenario.id;
+    option.textContent =
+      (scenario.names && scenario.names[lang]) || scenario.name;
+    select.appendChild(option);
+  });
+  select.value = selected;
+  if (select.value !== selected) select.value = "";
+}
+
+async function loadRanking() {
   const tbody = $("#ranking-tbody");
   const emptyMsg = $("#ranking-empty");
 
   // Pokaż wskaźnik ładowania
-  tbody.innerHTML =
-    "<tr><td colspan='6' style='text-align: center; padding: 20px;'>Ładowanie wyników...</td></tr>";
+  tbody.innerHTML = `<tr><td colspan='6' style='text-align: center; padding: 20px;'>${t(
+    "ranking.loading",
+  )}</td></tr>`;
 
   try {
-    const scores = await getScores(sortBy);
+    const data = await getScores(rankingFilters());
+    renderRankingPages(data);
 
-    if (scores.length === 0) {
+    if (data.scores.length === 0) {
       tbody.innerHTML = "";
       emptyMsg.classList.remove("hidden");
       return;
@@ -1450,58 +3476,72 @@ async function showRanking() {
 
     emptyMsg.classList.add("hidden");
     tbody.innerHTML = "";
+    tbody.classList.toggle("later-page", data.page > 1);
+    let place = (data.page - 1) * data.pageSize;
 
-    scores.forEach((entry, index) => {
+    data.scores.forEach((entry) => {
       const tr = document.createElement("tr");
-      const date = new Date(entry.date);
-      const dateStr = date.toLocaleDateString("pl-PL", {
-        day: "2-digit",
-        month: "2-digit",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-      });
+      const dateStr = I18n.formatDateTime(entry.date);
       const modeLabel =
         entry.mode === "multiplayer"
-          ? "Multiplayer"
+          ? t("ranking.modeMultiplayer")
           : entry.mode === "versus"
-            ? "Versus"
-            : "Solo";
-
-      tr.innerHTML = `
-        <td>${index + 1}</td>
-        <td>${entry.teamName}</td>
-        <td>${entry.score}</td>
-        <td>${formatTime(entry.time)}</td>
-        <td>${dateStr}</td>
-        <td>${modeLabel}</td>
-      `;
+            ? t("ranking.modeVersus")
+            : t("ranking.modeSolo");
+
+      // Wynik z kolejki offline nie ma jeszcze miejsca w rankingu
+      if (entry.pending) {
+        tr.classList.add("pending");
+        tr.title = t("ranking.pending");
+      } else {
+        place += 1;
+      }
+
+      [
+        entry.pending ? "⏳" : place,
+        entry.teamName,
+        entry.score,
+        formatTime(entry.time),
+        dateStr,
+        modeLabel,
+      ].forEach((value) => tr.appendChild(el("td", { text: value })));
       tbody.appendChild(tr);
     });
   } catch (error) {
     console.error("Błąd wyświetlania rankingu:", error);
-    tbody.innerHTML =
-      "<tr><td colspan='6' style='text-align: center; padding: 20px; color: #fb7185;'>Błąd ładowania wyników</td></tr>";
+    tbody.innerHTML = `<tr><td colspan='6' style='text-align: center; padding: 20px; color: #fb7185;'>${t(
+      "ranking.error",
+    )}</td></tr>`;
   }
 }
 
+function renderRankingPages(data) {
+  $("#ranking-page").textContent = t("ranking.page", {
+    page: data.page,
+    pages: data.totalPages,
+  });
+  $("#ranking-prev").disabled = data.page <= 1;
+  $("#ranking-next").disabled = data.page >= data.totalPages;
+}
+
 // Multiplayer
 function initMultiplayer() {
   // Sprawdź, czy Socket.io jest dostępny
   if (typeof io === "undefined") {
-    $("#multiplayer-status-text").textContent =
-      "Socket.io nie jest załadowany.";
+    $("#multiplayer-status-text").textContent = t("mp.noSocketIo");
     $("#multiplayer-status").style.borderColor = "#fb7185";
     return;
   }
 
   // Sprawdź, czy otwieramy przez serwer (nie file://)
   if (window.location.protocol === "file:") {
-    $("#multiplayer-status-text").textContent = "Multiplayer wymaga serwera.";
+    $("#multiplayer-status-text").textContent = t("mp.needsServer");
     $("#multiplayer-status").style.borderColor = "#fb7185";
     return;
   }
 
+  $("#multiplayer-status-text").textContent = t("mp.connecting");
+
   // Spróbuj połączyć z Socket.io
   try {
     // Użyj aktualnego hosta i portu
@@ -1520,91 +3560,313 @@ function initMultiplayer() {
     setupSocketListeners();
   } catch (e) {
     console.error("Błąd inicjalizacji Socket.io:", e);
-    $("#multiplayer-status-text").textContent =
-      "Błąd połączenia: " + (e.message || "Nieznany błąd");
+    $("#multiplayer-status-text").textContent = t("mp.connectionError", {
+      message: e.message || t("mp.unknownError"),
+    });
     $("#multiplayer-status").style.borderColor = "#fb7185";
   }
 }
 
+// Token wznowienia gry - w sessionStorage, więc przetrwa odświeżenie karty,
+// ale nie jest współdzielony między kartami
+function saveMultiplayerSession(token) {
+  if (!token) return;
+  sessionStorage.setItem(
+    "escapeRoomMultiplayerSession",
+    JSON.stringify({ token, teamName: state.teamName }),
+  );
+}
+
+function loadMultiplayerSession() {
+  try {
+    const stored = sessionStorage.getItem("escapeRoomMultiplayerSession");
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function clearMultiplayerSession() {
+  sessionStorage.removeItem("escapeRoomMultiplayerSession");
+}
+
+// Przywróć pokój, wynik i zegar po ponownym połączeniu z serwerem
+async function resumeMultiplayerGame(data) {
+  state.mode = "multiplayer";
+  state.roomId = data.roomId;
+  state.teamName = data.teamName;
+  state.isHost = data.isHost;
+  state.isSession = data.session;
+  state.rivalScores = {};
+  state.rivalProgress = {};
+  data.rivals.forEach(setRivalProgress);
+
+  state.settings = data.settings;
+  state.runToken = data.runToken || null;
+  if (!data.started) {
+    await loadScenario(data.scenarioId);
+    $("#screen-multiplayer").classList.add("active");
+    $("#multiplayer-create").classList.add("hidden");
+    $("#multiplayer-join").classList.add("hidden");
+    $("#multiplayer-waiting").classList.remove("hidden");
+    $("#mp-waiting-room-id").textContent = data.roomId;
+    $("#mp-waiting-team-name").textContent = state.teamName;
+    $("#mp-waiting-settings").textContent = settingsSummary(state.settings);
+    return;
+  }
+
+  // Krótka przerwa w połączeniu - plansza na ekranie jest aktualna,
+  // po odświeżeniu strony trzeba ją odbudować od pokoju, w którym jest drużyna
+  const inGame =
+    $("#screen-game").classList.contains("active") && !state.finished;
+  if (!inGame) {
+    await loadScenario(data.scenarioId);
+    startMultiplayerGame();
+    restoreSprintStories(data.sprintStoryIds);
+    if (data.room) {
+      applyGameState(data.savedState || {}, data.room);
+    }
+    const saved = data.savedState || {};
+    state.scoreEvents = saved.scoreEvents || [];
+    state.roomBreakdown = saved.roomBreakdown || {};
+    state.roomEntry = saved.roomEntry || null;
+  }
+
+  state.score = data.score;
+  state.hintBudget = data.hintBudget;
+  state.hintsUsed = data.hintsUsed;
+  renderHints();
+  updateScoreDisplay();
+  updateRivalDisplay();
+  state.timerSeconds = data.remainingSeconds;
+  state.timerPaused = data.paused;
+  $("#hud-timer").textContent = formatTime(state.timerSeconds);
+  setPauseOverlay(data.paused && !data.finished);
+
+  if (data.finished && !state.finished) {
+    state.finished = true;
+    showWaitingForOpponent();
+  }
+}
+
+// Historie zaakceptowane przez serwer wracają do Sprintu (potrzebne w pokoju testów)
+function restoreSprintStories(storyIds) {
+  const sprintList = $("#stories-sprint");
+  storyIds.forEach((id) => {
+    const card = $(`#stories-pool .card[data-id="${id}"]`);
+    if (card) sprintList.appendChild(card);
+  });
+}
+
 function setupSocketListeners() {
   if (!state.socket) return;
 
   state.socket.on("connect", () => {
     console.log("Połączono z serwerem Socket.io");
-    $("#multiplayer-status-text").textContent = "Połączono z serwerem";
+    $("#multiplayer-status-text").textContent = t("mp.connected");
     $("#multiplayer-status").style.borderColor = "#4ade80";
+
+    // Po zerwaniu połączenia (lub odświeżeniu) odzyskaj miejsce w pokoju
+    const saved = loadMultiplayerSession();
+    if (saved) {
+      state.socket.emit("resumeSession", { token: saved.token });
+    }
   });
 
   state.socket.on("connect_error", (error) => {
     console.error("Błąd połączenia Socket.io:", error);
-    $("#multiplayer-status-text").textContent =
-      "Nie można połączyć z serwerem. Upewnij się, że serwer działa (npm start)";
+    $("#multiplayer-status-text").textContent = t("mp.cannotConnect");
     $("#multiplayer-status").style.borderColor = "#fb7185";
   });
 
   state.socket.on("disconnect", (reason) => {
     console.log("Rozłączono z serwerem:", reason);
-    $("#multiplayer-status-text").textContent = "Rozłączono z serwerem";
+    $("#multiplayer-status-text").textContent = t("mp.disconnected");
     $("#multiplayer-status").style.borderColor = "#fb7185";
   });
 
   state.socket.on("error", (error) => {
     console.error("Błąd Socket.io:", error);
-    $("#multiplayer-status-text").textContent =
-      "Błąd: " + (error.message || "Nieznany błąd");
+    $("#multiplayer-status-text").textContent = t("mp.error", {
+      message: serverText(
+        "server",
+        error.code,
+        error.message || t("mp.unknownError"),
+        error.params,
+      ),
+    });
     $("#multiplayer-status").style.borderColor = "#fb7185";
   });
 
   state.socket.on("roomCreated", (data) => {
     state.roomId = data.roomId;
     state.isHost = true;
+    saveMultiplayerSession(data.token);
+    $("#mp-waiting-title").textContent = t("mp.waitingTeams");
     $("#mp-room-id").textContent = data.roomId;
     $("#mp-room-id-display").classList.remove("hidden");
     $("#multiplayer-create").classList.add("hidden");
     $("#multiplayer-waiting").classList.remove("hidden");
     $("#mp-waiting-room-id").textContent = data.roomId;
     $("#mp-waiting-team-name").textContent = state.teamName;
+    state.settings = data.settings;
+    $("#mp-waiting-settings").textContent = settingsSummary(state.settings);
   });
 
   state.socket.on("roomJoined", (data) => {
+    // Gość gra scenariusz i poziom trudności wybrane przez hosta
+    state.settings = data.settings;
+    loadScenario(data.scenarioId);
     state.roomId = data.roomId;
     state.isHost = false;
+    saveMultiplayerSession(data.token);
+    state.isSession = Boolean(data.session);
+    $("#mp-waiting-title").textContent = state.isSession
+      ? t("mp.waitingSession")
+      : t("mp.waitingHost");
     $("#multiplayer-join").classList.add("hidden");
     $("#multiplayer-waiting").classList.remove("hidden");
     $("#mp-waiting-room-id").textContent = data.roomId;
     $("#mp-waiting-team-name").textContent = state.teamName;
+    $("#mp-waiting-settings").textContent = settingsSummary(state.settings);
+  });
+
+  // Drużyny w poczekalni - gospodarz może zacząć, gdy są co najmniej dwie
+  state.socket.on("lobbyUpdate", (data) => {
+    const names = data.teams.map((team) => team.teamName);
+    const rivals = names.filter((name) => name !== state.teamName);
+    const count = `${names.length}/${data.capacity}`;
+    state.rivalScores = {};
+    state.rivalProgress = {};
+    rivals.forEach((name) => {
+      setRivalProgress({
+        teamName: name,
+        score: 0,
+        room: "quiz",
+        roomIndex: 0,
+        wrongAttempts: 0,
+        hintsUsed: 0,
+        finished: false,
+      });
+    });
+
+    $("#mp-waiting-count").textContent = count;
+    $("#mp-waiting-teams").textContent = names.join(", ");
+    $("#mp-ready-count").textContent = count;
+    $("#mp-ready-teams").textContent = names.join(", ");
+
+    state.multiplayerReady = names.length >= 2;
+    const showReady = state.isHost && state.multiplayerReady;
+    $("#multiplayer-waiting").classList.toggle("hidden", showReady);
+    $("#multiplayer-ready").classList.toggle("hidden", !showReady);
+  });
+
+  state.socket.on("opponentLeft", (data) => {
+    delete state.rivalScores[data.teamName];
+    delete state.rivalProgress[data.teamName];
+    updateRivalDisplay();
+  });
+
+  state.socket.on("opponentDisconnected", (data) => {
+    $("#multiplayer-status-text").textContent = t("mp.teamDisconnected", {
+      team: data.teamName,
+    });
+  });
+
+  state.socket.on("opponentReconnected", (data) => {
+    $("#multiplayer-status-text").textContent = t("mp.teamReconnected", {
+      team: data.teamName,
+    });
+  });
+
+  state.socket.on("hostDisconnected", () => {
+    clearMultiplayerSession();
+    $("#multiplayer-status-text").textContent = t("mp.hostLeft");
+    $("#multiplayer-status").style.borderColor = "#fb7185";
+    if (!$("#screen-game").classList.contains("active")) {
+      resetMultiplayerState();
+    }
   });
 
-  state.socket.on("opponentJoined", (data) => {
-    state.opponentName = data.opponentName;
-    $("#multiplayer-waiting").classList.add("hidden");
-    $("#multiplayer-ready").classList.remove("hidden");
-    $("#mp-ready-opponent").textContent = data.opponentName;
-    state.multiplayerReady = true;
+  // Gospodarz wyszedł z trwającej gry - pauzą steruje teraz inna drużyna
+  state.socket.on("hostChanged", (data) => {
+    state.isHost = data.teamName === state.teamName;
+    $("#multiplayer-status-text").textContent = t("mp.hostChanged", {
+      team: data.teamName,
+    });
+    updatePauseButton();
+    setPauseOverlay(state.timerPaused && !state.finished);
+  });
+
+  state.socket.on("sessionResumed", (data) => {
+    console.log("Wznowiono grę w pokoju:", data.roomId);
+    resumeMultiplayerGame(data);
+  });
+
+  // Serwer nie zna już tego pokoju (np. minął czas na powrót)
+  state.socket.on("resumeFailed", () => {
+    clearMultiplayerSession();
+    resetMultiplayerState();
+    $("#multiplayer-status-text").textContent = t("mp.resumeFailed");
   });
 
-  state.socket.on("gameStart", () => {
+  state.socket.on("gameStart", async (data) => {
+    state.settings = data.settings;
+    state.runToken = data.runToken || null;
+    await loadScenario(data.scenarioId);
+    state.hintBudget = data.hintBudget;
     startMultiplayerGame();
   });
 
+  // Punkty policzone przez serwer nadpisują lokalny wynik
+  state.socket.on("answerResult", (data) => {
+    state.score = data.score;
+    updateScoreDisplay();
+  });
+
+  // Podpowiedź odkryta przez serwer - jego wynik i liczniki są ważniejsze
+  state.socket.on("hintResult", (data) => {
+    const hint = roomHints(data.room).find((h) => h.id === data.hintId);
+    if (!hint) return;
+    state.hintsUsed = data.hintsUsed;
+    revealHint(data.room, hint);
+    state.score = data.score;
+    updateScoreDisplay();
+  });
+
+  // Wynik i postęp rywala: przejście do pokoju, próba albo podpowiedź
   state.socket.on("opponentUpdate", (data) => {
-    state.opponentScore = data.score || 0;
-    $("#hud-opponent-score").textContent = state.opponentScore.toString();
+    setRivalProgress(data);
+    updateRivalDisplay();
   });
 
   state.socket.on("opponentFinished", (data) => {
-    // Przeciwnik ukończył, ale jeszcze czekamy na wynik końcowy
+    // Rywal ukończył, ale jeszcze czekamy na wynik końcowy
     if (data.waiting) {
       // Tylko zaktualizuj HUD, ale nie pokazuj wyniku jeszcze
-      state.opponentScore = data.score || 0;
-      state.opponentName = data.teamName || state.opponentName;
-      $("#hud-opponent-score").textContent = state.opponentScore.toString();
+      setRivalProgress(data);
+      updateRivalDisplay();
     }
   });
 
+  // Zegar sesji warsztatowej (pauza / przedłużenie przez prowadzącego)
+  state.socket.on("timerSync", (data) => {
+    state.timerSeconds = data.remainingSeconds;
+    state.timerPaused = data.paused;
+    $("#hud-timer").textContent = formatTime(state.timerSeconds);
+    setPauseOverlay(data.paused && !state.finished);
+  });
+
+  state.socket.on("sessionEnded", (result) => {
+    console.log("Sesja zakończona:", result);
+    clearMultiplayerSession();
+    showSessionResult(result);
+  });
+
   state.socket.on("gameResult", (result) => {
-    // Otrzymaliśmy końcowy wynik - obie drużyny ukończyły
+    // Otrzymaliśmy końcowy wynik - wszystkie drużyny ukończyły
     console.log("Otrzymano wynik końcowy:", result);
+    clearMultiplayerSession();
     showMultiplayerResult(result);
   });
 }
@@ -1617,18 +3879,36 @@ function bindMultiplayer() {
   const btnCopyRoomId = $("#btn-copy-room-id");
 
   btnCreateRoom.addEventListener("click", () => {
-    const teamName = $("#mp-team-name").value.trim() || "Zespół 1";
+    const teamName = $("#mp-team-name").value.trim() || t("mp.defaultHostTeam");
+    const nameProblem = teamNameProblem(teamName);
+    if (nameProblem) {
+      alert(nameProblem);
+      return;
+    }
+    const capacity = parseInt($("#mp-capacity").value, 10) || 2;
     state.teamName = teamName;
     if (state.socket) {
-      state.socket.emit("createRoom", { teamName });
+      state.socket.emit("createRoom", {
+        teamName,
+        scenarioId: state.scenario.id,
+        capacity,
+        hintBudget: Number($("#mp-hint-budget").value),
+        settings: state.settings,
+      });
     }
   });
 
   btnJoinRoom.addEventListener("click", () => {
-    const teamName = $("#mp-join-team-name").value.trim() || "Zespół 2";
+    const teamName =
+      $("#mp-join-team-name").value.trim() || t("mp.defaultGuestTeam");
     const roomId = $("#mp-join-room-id").value.trim();
     if (!roomId) {
-      alert("Podaj ID pokoju");
+      alert(t("mp.enterRoomId"));
+      return;
+    }
+    const nameProblem = teamNameProblem(teamName);
+    if (nameProblem) {
+      alert(nameProblem);
       return;
     }
     state.teamName = teamName;
@@ -1644,6 +3924,7 @@ function bindMultiplayer() {
   });
 
   btnBackFromMultiplayer.addEventListener("click", () => {
+    clearMultiplayerSession();
     if (state.socket) {
       state.socket.disconnect();
       state.socket = null;
@@ -1656,9 +3937,9 @@ function bindMultiplayer() {
   btnCopyRoomId.addEventListener("click", () => {
     const roomId = $("#mp-room-id").textContent;
     navigator.clipboard.writeText(roomId).then(() => {
-      btnCopyRoomId.textContent = "Skopiowano!";
+      btnCopyRoomId.textContent = t("end.copied");
       setTimeout(() => {
-        btnCopyRoomId.textContent = "Kopiuj";
+        btnCopyRoomId.textContent = t("end.copy");
       }, 2000);
     });
   });
@@ -1668,8 +3949,12 @@ function resetMultiplayerState() {
   state.roomId = null;
   state.opponentName = null;
   state.opponentScore = 0;
+  state.rivalScores = {};
+  state.rivalProgress = {};
   state.isHost = false;
   state.multiplayerReady = false;
+  state.isSession = false;
+  state.timerPaused = false;
   $("#multiplayer-create").classList.remove("hidden");
   $("#multiplayer-join").classList.remove("hidden");
   $("#multiplayer-waiting").classList.add("hidden");
@@ -1681,20 +3966,25 @@ function startMultiplayerGame() {
   $("#screen-multiplayer").classList.remove("active");
   $("#screen-game").classList.add("active");
   $("#hud").classList.remove("hidden");
-  $("#hud-multiplayer").classList.remove("hidden");
+  // W sesji warsztatowej nie ma jednego przeciwnika
+  $("#hud-multiplayer").classList.toggle("hidden", state.isSession);
+  $("#end-standings-box").classList.add("hidden");
+  $("#end-challenge").classList.add("hidden");
 
   $("#hud-team").textContent = state.teamName;
-  $("#hud-opponent-name").textContent = state.opponentName || "—";
-  $("#hud-opponent-score").textContent = "0";
+  updateRivalDisplay();
+  updatePauseButton();
   $("#hud-score").textContent = "0";
   $("#hud-sprint").textContent = "1";
+  state.timerSeconds = state.settings.durationSeconds;
   $("#hud-timer").textContent = formatTime(state.timerSeconds);
 
   state.startTimestamp = Date.now();
   state.finished = false;
+  state.timerPaused = false;
+  setPauseOverlay(false);
   state.score = 0;
   state.sprint = 0;
-  state.timerSeconds = 10 * 60;
   state.quizAnswers = {};
   state.backlogItems = [];
   state.stories = [];
@@ -1731,6 +4021,7 @@ function startMultiplayerGame() {
   buildTests();
 
   // Upewnij się, że jesteśmy w pokoju 0 (quiz)
+  resetRoomBreakdown();
   goToRoom("quiz");
   updateProgressBar();
 
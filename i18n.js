@@ -0,0 +1,1311 @@
+// Tłumaczenia interfejsu gry (pl, uk, en) - wspólne dla przeglądarki
+// (globalne I18n) i testów w Node (require).
+// Teksty w index.html mają atrybuty data-i18n (textContent),
+// data-i18n-html (stałe teksty z pogrubieniami), data-i18n-placeholder
+// i data-i18n-aria-label.
+
+(function (root) {
+  const LANGUAGES = ["pl", "uk", "en"];
+  const DEFAULT_LANGUAGE = "pl";
+  const STORAGE_KEY = "escapeRoomLanguage";
+
+  // Locale do formatowania dat w rankingu
+  const LOCALES = { pl: "pl-PL", uk: "uk-UA", en: "en-GB" };
+
+  const LANGUAGE_NAMES = { pl: "Polski", uk: "Українська", en: "English" };
+
+  const BUNDLES = {
+    pl: {
+      "start.subtitle":
+        "Ucieknij z biura przed deadlinem release’u, wykorzystując wiedzę o <strong>Scrum</strong> i <strong>inżynierii oprogramowania</strong>.",
+      "start.language": "Język:",
+      "start.teamName": "Nazwa zespołu:",
+      "start.teamPlaceholder": "np. Agile Ninjas",
+      "start.mode": "Tryb:",
+      "start.multiplayerOffline":
+        "Multiplayer wymaga połączenia z serwerem - bez sieci możesz grać solo.",
+      "start.scenario": "Scenariusz:",
+      "start.hints": "Podpowiedzi na grę:",
+      "start.hintsOff": "Bez podpowiedzi",
+      "start.difficulty": "Poziom trudności:",
+      "difficulty.easy": "Łatwy",
+      "difficulty.normal": "Normalny",
+      "difficulty.hard": "Trudny",
+      "difficulty.custom": "Własne ustawienia",
+      "settings.duration": "Czas gry (min):",
+      "settings.room": "Limit na pokój (min, 0 = bez limitu):",
+      "settings.capacity": "Pojemność Sprintu (± SP):",
+      "settings.minPoints": "Minimum Sprintu (± SP):",
+      "settings.penalty": "Wielkość kar (%):",
+      "settings.summary":
+        "{level}: czas {time}, pokój {room}, pojemność Sprintu {capacity} SP, minimum {minimum} SP, kary {penalty}%",
+      "settings.noRoomLimit": "bez limitu",
+      "settings.invalid":
+        "Nieprawidłowe ustawienia: czas gry 3–30 min, limit na pokój 0–10 min (nie dłuższy niż gra), zmiany Sprintu od −10 do 10 SP, kary 0–300%",
+      "teamName.tooLong": "Nazwa zespołu może mieć najwyżej {max} znaków.",
+      "teamName.invalidChars": "Nazwa zespołu zawiera niedozwolone znaki.",
+      "teamName.profanity":
+        "Nazwa zespołu zawiera niedozwolone słowa. Wybierz inną.",
+      "start.start": "Start",
+      "start.ranking": "Ranking",
+      "start.workshop": "Prowadzisz warsztaty?",
+      "start.editor": "Edytor scenariuszy",
+      "start.facilitator": "Panel prowadzącego",
+      "start.spectator": "Widok dla widzów",
+      "start.analytics": "Analityka",
+      "start.teaches":
+        "Gra uczy: role Scrum, artefakty, ceremonie oraz myślenie iteracyjne.",
+      "start.defaultTeam": "Anonimowy Zespół",
+      "start.preview": "Podgląd: {name}",
+      "mode.solo": "Solo",
+      "mode.versus": "Rywalizacja (wyzwanie przez link)",
+      "mode.multiplayer": "Multiplayer (2–12 drużyn online)",
+
+      "hud.team": "Zespół:",
+      "hud.sprint": "Sprint:",
+      "hud.timer": "Czas do release'u:",
+      "hud.roomTimer": "Pokój:",
+      "hud.pause": "⏸ Pauza",
+      "hud.score": "Punkty:",
+      "hud.progress": "Postęp:",
+      "hud.opponent": "Przeciwnik:",
+      "hud.opponentFinished": "ukończono",
+      "hud.opponentStats": "Błędne próby: {wrong}, podpowiedzi: {hints}",
+      "game.paused": "⏸ Gra wstrzymana",
+      "game.resume": "▶ Wznów grę",
+      "game.pausedSolo":
+        "Zegar stoi, a plansza jest ukryta. Wznów grę, gdy drużyna będzie gotowa.",
+      "game.pausedForAll": "Zegar wszystkich drużyn stoi do wznowienia gry.",
+      "game.pausedByHost": "Grę wstrzymał gospodarz pokoju.",
+      "game.pausedByFacilitator": "Grę wstrzymał prowadzący.",
+
+      "room.quiz": "Quiz",
+      "room.backlog": "Sprint Backlog",
+      "room.stories": "User Stories",
+      "room.tests": "Testy",
+      "room.conflict": "Konflikt PO–Dev",
+
+      "quiz.title": "Pokój 0: Quiz wprowadzający",
+      "quiz.desc":
+        "Odpowiedz na pytania dotyczące podstaw Agile, aby rozpocząć grę.",
+      "quiz.eduTitle": "Wiedza: Podstawy Agile",
+      "quiz.eduText":
+        "Agile to metodologia zarządzania projektami oparta na iteracyjnym i przyrostowym podejściu. W Agile ważne są: MVP (Minimum Viable Product), User Stories, iteracyjne dostarczanie wartości.",
+      "quiz.validate": "Zatwierdź odpowiedzi",
+      "quiz.question": "Pytanie {number}:",
+      "quiz.unanswered": "Odpowiedz na wszystkie pytania przed zatwierdzeniem.",
+      "quiz.ok":
+        "Doskonale! Wszystkie odpowiedzi są poprawne. Możesz przejść dalej.",
+      "quiz.partial":
+        "Poprawnie odpowiedziano na {correct} z {total} pytań. Sprawdź poprawne odpowiedzi i spróbuj ponownie.",
+
+      "backlog.title": "Pokój 1: Ułóż Sprint Backlog",
+      "backlog.desc":
+        "Jest dzień planowania sprintu. Z Product Backlogu musisz wybrać właściwe elementy do Sprint Backlogu, biorąc pod uwagę priorytet i pojemność zespołu.",
+      "backlog.product": "Product Backlog",
+      "backlog.sprintPrefix": "Sprint Backlog (max",
+      "backlog.sprintSuffix": "story points)",
+      "backlog.points": "Story points:",
+      "backlog.eduTitle": "Wiedza: Artefakty Scrum",
+      "backlog.eduProduct":
+        "<strong>Product Backlog</strong> – uporządkowana lista tego, co może być potrzebne w produkcie.",
+      "backlog.eduSprint":
+        "<strong>Sprint Backlog</strong> – wybrane elementy na dany Sprint + plan ich realizacji.",
+      "backlog.eduIncrement":
+        "<strong>Increment</strong> – gotowy, potencjalnie wdrażalny fragment produktu.",
+      "backlog.validate": "Zatwierdź Sprint Backlog",
+      "backlog.missingMustHave":
+        "Nie wszystkie kluczowe elementy (must have) trafiły do Sprint Backlogu.",
+      "backlog.overCapacity":
+        "Sprint jest przeładowany. Zespół nie ma szans zrealizować tylu punktów.",
+      "backlog.underCapacity":
+        "Sprint jest zbyt mały – zespół nie wykorzysta efektywnie swojego czasu.",
+      "backlog.ok":
+        "Świetnie! Sprint Backlog zawiera najważniejsze elementy w realistycznym zakresie.",
+
+      "stories.title": "Pokój 2: Dopasuj User Stories do Sprintu",
+      "stories.desc":
+        "Masz listę User Stories i cele Sprintu. Dopasuj, które historie wspierają obecny <strong>Sprint Goal</strong>, a które powinny zostać na później.",
+      "stories.goal": "Cel Sprintu",
+      "stories.pool": "User Stories",
+      "stories.sprint": "Do tego Sprintu",
+      "stories.later": "Poza Sprintem",
+      "stories.eduTitle": "Wiedza: User Story i Cel Sprintu",
+      "stories.eduText":
+        "Dobrze zdefiniowany <strong>Cel Sprintu</strong> pomaga zespołowi skupić się na tym, co najważniejsze. User Stories powinny wnosić wartość bezpośrednio powiązaną z tym celem.",
+      "stories.validate": "Sprawdź dopasowanie",
+      "stories.ok":
+        "Idealnie! Wszystkie User Stories są zgodne z celem Sprintu.",
+      "stories.partial":
+        "Poprawnie sklasyfikowano {correct} z {total} historii. Spróbuj jeszcze raz – myśl o wartości względem celu Sprintu.",
+
+      "tests.title": "Pokój 3: Przypisz Testy do User Stories",
+      "tests.desc":
+        "Każda User Story w Sprintcie musi mieć odpowiednie testy. Przypisz testy jednostkowe, integracyjne i E2E do odpowiednich User Stories.",
+      "tests.pool": "Dostępne Testy",
+      "tests.stories": "User Stories w Sprintcie",
+      "tests.eduTitle": "Wiedza: Rodzaje Testów",
+      "tests.eduUnit":
+        "<strong>Testy jednostkowe (Unit)</strong> – testują pojedyncze komponenty w izolacji.",
+      "tests.eduIntegration":
+        "<strong>Testy integracyjne (Integration)</strong> – testują współpracę między komponentami.",
+      "tests.eduE2e":
+        "<strong>Testy E2E (End-to-End)</strong> – testują pełny przepływ użytkownika przez aplikację.",
+      "tests.validate": "Zatwierdź przypisanie testów",
+      "tests.unassigned":
+        "Nie wszystkie testy zostały przypisane. Przypisz testy do odpowiednich User Stories.",
+      "tests.storyWithoutTests":
+        "Każda User Story w Sprintcie powinna mieć przypisane testy.",
+      "tests.ok":
+        "Doskonale! Wszystkie testy są poprawnie przypisane do odpowiednich User Stories.",
+      "tests.partial":
+        "Poprawnie przypisano testy dla {correct} z {total} User Stories. Testy powinny być przypisane do odpowiednich historii użytkownika.",
+
+      "conflict.title": "Pokój 4: Rozwiąż konflikt PO–Dev",
+      "conflict.desc":
+        "Release za chwilę, a część funkcji jest nieukończona. Product Owner naciska, żeby „wrzucić wszystko”, zespół deweloperski boi się jakości. Wybierz takie działania, które są spójne ze Scrumem.",
+      "conflict.eduTitle": "Wiedza: Role Scrum & odpowiedzialność",
+      "conflict.eduPo":
+        "<strong>Product Owner</strong> – maksymalizuje wartość produktu, decyduje o priorytetach.",
+      "conflict.eduDev":
+        "<strong>Developers</strong> – odpowiedzialni za jakość i techniczne aspekty Inkrementu.",
+      "conflict.eduSm":
+        "<strong>Scrum Master</strong> – dba o zrozumienie i stosowanie Scruma.",
+
+      "history.quizPassed": "Wszystkie odpowiedzi poprawne",
+      "history.quizWrong": "Błędne odpowiedzi w pytaniach: {numbers}",
+      "history.backlogMissing": "Brak elementów must have: {items}",
+      "history.backlogOver":
+        "Sprint przeładowany: {points} SP przy pojemności {capacity} SP",
+      "history.backlogUnder":
+        "Sprint zbyt mały: {points} SP (minimum {minimum} SP)",
+      "history.backlogPassed": "Sprint Backlog zaakceptowany",
+      "history.storiesPassed":
+        "Wszystkie User Stories poprawnie sklasyfikowane",
+      "history.storiesWrong": "Źle sklasyfikowane historie: {wrong} z {total}",
+      "history.testsUnassigned": "Nieprzypisane testy: {count}",
+      "history.testsMissing": "User Stories bez testów: {count}",
+      "history.testsPassed": "Wszystkie testy poprawnie przypisane",
+      "history.testsWrong":
+        "Błędnie przypisane testy dla {wrong} z {total} historii",
+      "history.conflictChoice": "Wybrano: {option}",
+      "history.entry": "{time} · {room}, próba {attempt}: ",
+      "history.entryHint": "{time} · {room}, podpowiedź {attempt}: ",
+      "history.roomsTitle": "Punkty w pokojach:",
+      "history.room": "Pokój",
+      "history.attempts": "Próby",
+      "history.wrongAttempts": "Błędne próby",
+      "history.points": "Punkty",
+      "history.timelineTitle": "Przebieg gry:",
+      "history.hints": "Podpowiedzi",
+      "history.time": "Czas",
+      "history.hint": "Podpowiedź: {text}",
+      "hints.button": "Podpowiedź (−{cost} pkt, zostało: {left})",
+      "hints.noMore": "Brak kolejnych podpowiedzi",
+      "hints.budgetUsed": "Wykorzystano wszystkie podpowiedzi",
+
+      "end.timeUp": "Czas minął! Release poszedł bez pełnego przygotowania.",
+      "end.roomTimeUp":
+        "Czas na ten pokój minął! Release poszedł bez pełnego przygotowania.",
+      "end.finishedTitle": "Ukończyłeś grę!",
+      "end.waitingTeams":
+        "Czekasz na zakończenie gry przez pozostałe drużyny...",
+      "end.waitingOpponent": "Czekasz na zakończenie gry przez przeciwnika...",
+      "end.successTitle": "Gratulacje! Uciekłeś przed Release Day!",
+      "end.successSummary":
+        "Twój zespół wykorzystał praktyki Scrum, aby bezpiecznie dowieźć release.",
+      "end.failTitle": "Nie udało się uciec przed deadlinem…",
+      "end.failSummary":
+        "To dobra okazja, by zastanowić się, jak lepiej planować Sprint i chronić jakość.",
+      "end.team": "Zespół:",
+      "end.score": "Punkty:",
+      "end.time": "Czas:",
+      "end.waitingText":
+        "⏳ Czekasz na zakończenie gry przez pozostałe drużyny...",
+      "end.opponent": "Przeciwnik:",
+      "end.opponentScore": "Punkty przeciwnika:",
+      "end.opponentTime": "Czas przeciwnika:",
+      "end.standings": "Ranking drużyn:",
+      "end.standingsEntry": "{place}. {team} – {score} pkt, {time}",
+      "end.learnedTitle": "Co wyniosłeś z gry?",
+      "end.learnedBacklog": "Rozpoznawanie i budowanie Sprint Backlogu.",
+      "end.learnedStories": "Dopasowywanie User Stories do celu Sprintu.",
+      "end.learnedConflict": "Rozwiązywanie konfliktów w duchu Scruma.",
+      "end.learnedRoles": "Świadomość ról, artefaktów i ceremonii Scrum.",
+      "end.restart": "Zagraj ponownie",
+      "end.showRanking": "Zobacz ranking",
+      "end.copy": "Kopiuj",
+      "end.copied": "Skopiowano!",
+      "end.saving": "Zapisywanie wyniku...",
+      "end.savedServer": "✓ Wynik zapisany w rankingu na serwerze.",
+      "end.savedTemporary":
+        "⚠️ Wynik jest w rankingu na serwerze tylko do jego restartu.",
+      "end.savedQueued":
+        "⏳ Brak połączenia z serwerem - wynik zostanie wysłany automatycznie, gdy serwer znów będzie dostępny.",
+      "end.savedLocal":
+        "⚠️ Nie udało się zapisać wyniku na serwerze - jest tylko w rankingu na tym urządzeniu.",
+
+      "result.drawBadge": "🤝 Remis!",
+      "result.drawTitle": "Remis!",
+      "result.drawMany": "Kilka zespołów osiągnęło identyczny najlepszy wynik.",
+      "result.drawTwo": "Oba zespoły osiągnęły identyczny wynik.",
+      "result.winBadge": "🏆 Wygrałeś!",
+      "result.winTitle": "Gratulacje! Wygrałeś!",
+      "result.winMany":
+        "Twój zespół pokonał wszystkie drużyny w Escape Room: Release Day!",
+      "result.winTwo":
+        "Twój zespół pokonał przeciwnika w Escape Room: Release Day!",
+      "result.loseBadge": "Przegrałeś. Spróbuj ponownie!",
+      "result.loseTitle": "Przegrana",
+      "result.loseSummary":
+        "Przeciwnik zdobył więcej punktów lub ukończył szybciej. Spróbuj ponownie!",
+      "result.place": "Miejsce {place} z {total}",
+      "result.reason": "Powód: {reason}",
+      "result.more-points": "Więcej punktów",
+      "result.faster-time": "Równe punkty, szybszy czas",
+      "result.draw": "Pełny remis",
+      "result.ended-by-facilitator": "Sesja zakończona przez prowadzącego",
+      "result.all-finished": "Wszystkie drużyny ukończyły grę",
+      "result.facilitator-left": "Prowadzący opuścił sesję",
+      "result.time-up": "Czas minął",
+
+      "challenge.loading": "Wczytywanie wyzwania...",
+      "challenge.banner":
+        "Wyzwanie od zespołu {team}: {score} pkt w {time}. Zagraj ten sam przebieg i sprawdź, kto jest lepszy!",
+      "challenge.notFound":
+        "Nie znaleziono wyzwania - możesz zagrać zwykłą grę.",
+      "challenge.creating": "Tworzenie wyzwania...",
+      "challenge.ready":
+        "Wyzwanie gotowe! Wyślij link innym drużynom - zagrają dokładnie ten sam przebieg.",
+      "challenge.failed":
+        "Nie udało się utworzyć wyzwania - link wymaga uruchomionego serwera.",
+      "challenge.draw": "Remis - identyczny wynik i czas!",
+      "challenge.won": "🏆 Pokonaliście zespół {team}!",
+      "challenge.lost": "Zespół {team} był tym razem lepszy.",
+      "challenge.cell": "{points} pkt · {time}",
+      "challenge.total": "Razem",
+      "challenge.room": "Pokój",
+
+      "ranking.title": "Ranking Zespołów",
+      "ranking.subtitle": "Najlepsze wyniki w Escape Room: Release Day",
+      "ranking.sortBy": "Sortuj według:",
+      "ranking.sortScore": "Punkty (malejąco)",
+      "ranking.sortTime": "Czas (rosnąco)",
+      "ranking.sortDate": "Data (najnowsze)",
+      "ranking.back": "Powrót",
+      "ranking.team": "Zespół",
+      "ranking.points": "Punkty",
+      "ranking.time": "Czas",
+      "ranking.date": "Data",
+      "ranking.mode": "Tryb",
+      "ranking.modeSolo": "Solo",
+      "ranking.modeVersus": "Versus",
+      "ranking.modeMultiplayer": "Multiplayer",
+      "ranking.empty": "Brak wyników. Zagraj, aby pojawić się w rankingu!",
+      "ranking.loading": "Ładowanie wyników...",
+      "ranking.error": "Błąd ładowania wyników",
+      "ranking.all": "Wszystkie",
+      "ranking.scenario": "Scenariusz",
+      "ranking.period": "Okres",
+      "ranking.periodAll": "Od początku",
+      "ranking.periodWeek": "Ostatnie 7 dni",
+      "ranking.periodToday": "Dzisiaj",
+      "ranking.search": "Szukaj zespołu",
+      "ranking.best": "Najlepszy wynik drużyny",
+      "ranking.pages": "Strony rankingu",
+      "ranking.prev": "← Poprzednia",
+      "ranking.next": "Następna →",
+      "ranking.page": "Strona {page} z {pages}",
+      "ranking.pending": "Oczekuje na wysłanie na serwer",
+
+      "mp.title": "Multiplayer: Rywalizacja Online",
+      "mp.subtitle":
+        "Graj jednocześnie z innymi drużynami i wygraj zdobywając więcej punktów!",
+      "mp.connecting": "Łączenie z serwerem...",
+      "mp.createTitle": "Utwórz pokój",
+      "mp.capacity": "Liczba drużyn (2–12):",
+      "mp.create": "Utwórz pokój",
+      "mp.roomIdLabel": "ID pokoju:",
+      "mp.joinTitle": "Dołącz do pokoju",
+      "mp.joinTeamPlaceholder": "np. Scrum Masters",
+      "mp.roomIdPlaceholder": "Wklej ID pokoju",
+      "mp.join": "Dołącz",
+      "mp.waitingOpponent": "Oczekiwanie na przeciwnika...",
+      "mp.waitingTeams": "Oczekiwanie na drużyny...",
+      "mp.waitingSession": "Oczekiwanie na start sesji przez prowadzącego...",
+      "mp.waitingHost": "Oczekiwanie na start gry przez gospodarza...",
+      "mp.room": "Pokój:",
+      "mp.yourTeam": "Twój zespół:",
+      "mp.teams": "Drużyny",
+      "mp.readyTitle": "Drużyny gotowe!",
+      "mp.startGame": "Rozpocznij grę",
+      "mp.back": "Powrót",
+      "mp.defaultHostTeam": "Zespół 1",
+      "mp.defaultGuestTeam": "Zespół 2",
+      "mp.enterRoomId": "Podaj ID pokoju",
+      "mp.noSocketIo": "Socket.io nie jest załadowany.",
+      "mp.needsServer": "Multiplayer wymaga serwera.",
+      "mp.connectionError": "Błąd połączenia: {message}",
+      "mp.unknownError": "Nieznany błąd",
+      "mp.connected": "Połączono z serwerem",
+      "mp.cannotConnect":
+        "Nie można połączyć z serwerem. Upewnij się, że serwer działa (npm start)",
+      "mp.disconnected": "Rozłączono z serwerem",
+      "mp.error": "Błąd: {message}",
+      "mp.teamDisconnected":
+        "{team} utracił połączenie - czekamy na powrót drużyny",
+      "mp.teamReconnected": "{team} wrócił do gry",
+      "mp.hostLeft": "Gospodarz opuścił pokój",
+      "mp.hostChanged": "Gospodarz opuścił grę - teraz gospodarzem jest {team}",
+      "mp.resumeFailed": "Nie udało się wrócić do poprzedniego pokoju",
+
+      "a11y.cardHint":
+        "Enter lub spacja: przenieś kartę. Strzałki: poprzednia lub następna karta.",
+      "a11y.moveTo": "Przenieś „{card}” do",
+      "a11y.moved": "Przeniesiono „{card}” do: {zone}",
+      "a11y.zoneProduct": "Product Backlog",
+      "a11y.zoneSprint": "Sprint Backlog",
+      "a11y.zoneStoriesPool": "User Stories",
+      "a11y.zoneStoriesSprint": "Do tego Sprintu",
+      "a11y.zoneStoriesLater": "Poza Sprintem",
+      "a11y.zoneTestsPool": "Dostępne testy",
+      "a11y.testsFor": "Testy dla: {story}",
+      "server.no-scenarios": "Brak scenariuszy na serwerze",
+      "server.invalid-capacity": "Liczba drużyn musi wynosić od {min} do {max}",
+      "server.no-teams": "Brak drużyn w sesji",
+      "server.room-not-found": "Pokój nie istnieje",
+      "server.duplicate-team": "Drużyna o tej nazwie jest już w pokoju",
+      "server.session-started": "Sesja już trwa",
+      "server.game-started": "Gra w tym pokoju już trwa",
+      "server.room-full": "Pokój jest pełny",
+      "server.waiting-for-opponent": "Czekaj na przeciwnika",
+      "server.game-paused": "Gra jest wstrzymana",
+      "server.wrong-room": "Nieprawidłowy pokój",
+      "server.time-up": "Czas gry minął",
+      "server.room-time-up": "Czas na ten pokój minął",
+      "server.no-hints": "Brak kolejnych podpowiedzi w tym pokoju",
+      "server.hint-budget": "Wykorzystano wszystkie podpowiedzi",
+      "server.invalid-hint-budget":
+        "Liczba podpowiedzi musi wynosić od 0 do {max}",
+      "server.invalid-settings": "Nieprawidłowe ustawienia gry",
+      "server.invalid-team-name": "Niepoprawna nazwa zespołu",
+    },
+
+    uk: {
+      "start.subtitle":
+        "Втечи з офісу до дедлайну релізу, використовуючи знання про <strong>Scrum</strong> та <strong>інженерію програмного забезпечення</strong>.",
+      "start.language": "Мова:",
+      "start.teamName": "Назва команди:",
+      "start.teamPlaceholder": "напр. Agile Ninjas",
+      "start.mode": "Режим:",
+      "start.multiplayerOffline":
+        "Multiplayer потребує з'єднання з сервером - без мережі можна грати solo.",
+      "start.scenario": "Сценарій:",
+      "start.hints": "Підказки на гру:",
+      "start.hintsOff": "Без підказок",
+      "start.difficulty": "Рівень складності:",
+      "difficulty.easy": "Легкий",
+      "difficulty.normal": "Звичайний",
+      "difficulty.hard": "Складний",
+      "difficulty.custom": "Власні налаштування",
+      "settings.duration": "Час гри (хв):",
+      "settings.room": "Ліміт на кімнату (хв, 0 = без ліміту):",
+      "settings.capacity": "Місткість Спринту (± SP):",
+      "settings.minPoints": "Мінімум Спринту (± SP):",
+      "settings.penalty": "Розмір штрафів (%):",
+      "settings.summary":
+        "{level}: час {time}, кімната {room}, місткість Спринту {capacity} SP, мінімум {minimum} SP, штрафи {penalty}%",
+      "settings.noRoomLimit": "без ліміту",
+      "settings.invalid":
+        "Неправильні налаштування: час гри 3–30 хв, ліміт на кімнату 0–10 хв (не довший за гру), зміни Спринту від −10 до 10 SP, штрафи 0–300%",
+      "teamName.tooLong": "Назва команди може мати щонайбільше {max} символів.",
+      "teamName.invalidChars": "Назва команди містить недозволені символи.",
+      "teamName.profanity":
+        "Назва команди містить недозволені слова. Обери іншу.",
+      "start.start": "Старт",
+      "start.ranking": "Рейтинг",
+      "start.workshop": "Проводиш воркшоп?",
+      "start.editor": "Редактор сценаріїв",
+      "start.facilitator": "Панель ведучого",
+      "start.spectator": "Екран для глядачів",
+      "start.analytics": "Аналітика",
+      "start.teaches":
+        "Гра навчає: ролі Scrum, артефакти, церемонії та ітеративне мислення.",
+      "start.defaultTeam": "Анонімна команда",
+      "start.preview": "Попередній перегляд: {name}",
+      "mode.solo": "Соло",
+      "mode.versus": "Суперництво (виклик за посиланням)",
+      "mode.multiplayer": "Мультиплеєр (2–12 команд онлайн)",
+
+      "hud.team": "Команда:",
+      "hud.sprint": "Спринт:",
+      "hud.timer": "Час до релізу:",
+      "hud.roomTimer": "Кімната:",
+      "hud.pause": "⏸ Пауза",
+      "hud.score": "Бали:",
+      "hud.progress": "Прогрес:",
+      "hud.opponent": "Суперник:",
+      "hud.opponentFinished": "завершено",
+      "hud.opponentStats": "Помилкові спроби: {wrong}, підказки: {hints}",
+      "game.paused": "⏸ Гру призупинено",
+      "game.resume": "▶ Продовжити гру",
+      "game.pausedSolo":
+        "Годинник стоїть, а дошка прихована. Продовж гру, коли команда буде готова.",
+      "game.pausedForAll": "Годинник усіх команд стоїть до відновлення гри.",
+      "game.pausedByHost": "Гру призупинив господар кімнати.",
+      "game.pausedByFacilitator": "Гру призупинив ведучий.",
+
+      "room.quiz": "Квіз",
+      "room.backlog": "Sprint Backlog",
+      "room.stories": "User Stories",
+      "room.tests": "Тести",
+      "room.conflict": "Конфлікт PO–Dev",
+
+      "quiz.title": "Кімната 0: Вступний квіз",
+      "quiz.desc": "Дай відповіді на питання про основи Agile, щоб почати гру.",
+      "quiz.eduTitle": "Знання: Основи Agile",
+      "quiz.eduText":
+        "Agile — це підхід до управління проєктами, що базується на ітеративній та інкрементній розробці. В Agile важливі: MVP (Minimum Viable Product), User Stories, ітеративне постачання цінності.",
+      "quiz.validate": "Підтвердити відповіді",
+      "quiz.question": "Питання {number}:",
+      "quiz.unanswered": "Дай відповідь на всі питання перед підтвердженням.",
+      "quiz.ok": "Чудово! Усі відповіді правильні. Можна йти далі.",
+      "quiz.partial":
+        "Правильно відповідено на {correct} з {total} питань. Переглянь правильні відповіді та спробуй ще раз.",
+
+      "backlog.title": "Кімната 1: Склади Sprint Backlog",
+      "backlog.desc":
+        "Сьогодні планування спринту. З Product Backlog потрібно вибрати правильні елементи до Sprint Backlog, враховуючи пріоритет і місткість команди.",
+      "backlog.product": "Product Backlog",
+      "backlog.sprintPrefix": "Sprint Backlog (макс.",
+      "backlog.sprintSuffix": "story points)",
+      "backlog.points": "Story points:",
+      "backlog.eduTitle": "Знання: Артефакти Scrum",
+      "backlog.eduProduct":
+        "<strong>Product Backlog</strong> – впорядкований список того, що може знадобитися в продукті.",
+      "backlog.eduSprint":
+        "<strong>Sprint Backlog</strong> – вибрані елементи на спринт + план їх реалізації.",
+      "backlog.eduIncrement":
+        "<strong>Increment</strong> – готовий, потенційно придатний до випуску фрагмент продукту.",
+      "backlog.validate": "Підтвердити Sprint Backlog",
+      "backlog.missingMustHave":
+        "Не всі ключові елементи (must have) потрапили до Sprint Backlog.",
+      "backlog.overCapacity":
+        "Спринт перевантажений. Команда не встигне реалізувати стільки балів.",
+      "backlog.underCapacity":
+        "Спринт замалий – команда не використає свій час ефективно.",
+      "backlog.ok":
+        "Чудово! Sprint Backlog містить найважливіші елементи в реалістичному обсязі.",
+
+      "stories.title": "Кімната 2: Підбери User Stories до спринту",
+      "stories.desc":
+        "У тебе є список User Stories і цілі спринту. Визнач, які історії підтримують поточний <strong>Sprint Goal</strong>, а які варто залишити на потім.",
+      "stories.goal": "Ціль спринту",
+      "stories.pool": "User Stories",
+      "stories.sprint": "У цей спринт",
+      "stories.later": "Поза спринтом",
+      "stories.eduTitle": "Знання: User Story та ціль спринту",
+      "stories.eduText":
+        "Добре сформульована <strong>ціль спринту</strong> допомагає команді зосередитися на найважливішому. User Stories мають приносити цінність, безпосередньо пов'язану з цією ціллю.",
+      "stories.validate": "Перевірити відповідність",
+      "stories.ok": "Ідеально! Усі User Stories відповідають цілі спринту.",
+      "stories.partial":
+        "Правильно класифіковано {correct} з {total} історій. Спробуй ще раз – думай про цінність відносно цілі спринту.",
+
+      "tests.title": "Кімната 3: Признач тести до User Stories",
+      "tests.desc":
+        "Кожна User Story у спринті повинна мати відповідні тести. Признач модульні, інтеграційні та E2E тести до відповідних User Stories.",
+      "tests.pool": "Доступні тести",
+      "tests.stories": "User Stories у спринті",
+      "tests.eduTitle": "Знання: Види тестів",
+      "tests.eduUnit":
+        "<strong>Модульні тести (Unit)</strong> – перевіряють окремі компоненти ізольовано.",
+      "tests.eduIntegration":
+        "<strong>Інтеграційні тести (Integration)</strong> – перевіряють взаємодію між компонентами.",
+      "tests.eduE2e":
+        "<strong>Тести E2E (End-to-End)</strong> – перевіряють повний шлях користувача через застосунок.",
+      "tests.validate": "Підтвердити призначення тестів",
+      "tests.unassigned":
+        "Не всі тести призначено. Признач тести до відповідних User Stories.",
+      "tests.storyWithoutTests":
+        "Кожна User Story у спринті повинна мати призначені тести.",
+      "tests.ok":
+        "Чудово! Усі тести правильно призначені до відповідних User Stories.",
+      "tests.partial":
+        "Правильно призначено тести для {correct} з {total} User Stories. Тести мають бути призначені до відповідних історій користувача.",
+
+      "conflict.title": "Кімната 4: Розв'яжи конфлікт PO–Dev",
+      "conflict.desc":
+        "Реліз ось-ось, а частина функцій не завершена. Product Owner тисне, щоб «випустити все», команда розробників хвилюється за якість. Обери дії, які відповідають Scrum.",
+      "conflict.eduTitle": "Знання: Ролі Scrum і відповідальність",
+      "conflict.eduPo":
+        "<strong>Product Owner</strong> – максимізує цінність продукту, вирішує щодо пріоритетів.",
+      "conflict.eduDev":
+        "<strong>Developers</strong> – відповідають за якість і технічні аспекти інкременту.",
+      "conflict.eduSm":
+        "<strong>Scrum Master</strong> – дбає про розуміння та застосування Scrum.",
+
+      "history.quizPassed": "Усі відповіді правильні",
+      "history.quizWrong": "Неправильні відповіді в питаннях: {numbers}",
+      "history.backlogMissing": "Бракує елементів must have: {items}",
+      "history.backlogOver":
+        "Спринт перевантажений: {points} SP при місткості {capacity} SP",
+      "history.backlogUnder":
+        "Спринт замалий: {points} SP (мінімум {minimum} SP)",
+      "history.backlogPassed": "Sprint Backlog прийнято",
+      "history.storiesPassed": "Усі User Stories класифіковано правильно",
+      "history.storiesWrong":
+        "Неправильно класифіковані історії: {wrong} з {total}",
+      "history.testsUnassigned": "Непризначені тести: {count}",
+      "history.testsMissing": "User Stories без тестів: {count}",
+      "history.testsPassed": "Усі тести призначено правильно",
+      "history.testsWrong":
+        "Неправильно призначені тести для {wrong} з {total} історій",
+      "history.conflictChoice": "Обрано: {option}",
+      "history.entry": "{time} · {room}, спроба {attempt}: ",
+      "history.entryHint": "{time} · {room}, підказка {attempt}: ",
+      "history.roomsTitle": "Бали в кімнатах:",
+      "history.room": "Кімната",
+      "history.attempts": "Спроби",
+      "history.wrongAttempts": "Помилкові спроби",
+      "history.points": "Бали",
+      "history.timelineTitle": "Хід гри:",
+      "history.hints": "Підказки",
+      "history.time": "Час",
+      "history.hint": "Підказка: {text}",
+      "hints.button": "Підказка (−{cost} б., залишилось: {left})",
+      "hints.noMore": "Більше підказок немає",
+      "hints.budgetUsed": "Усі підказки використано",
+
+      "end.timeUp": "Час вийшов! Реліз пішов без повної підготовки.",
+      "end.roomTimeUp":
+        "Час на цю кімнату вийшов! Реліз пішов без повної підготовки.",
+      "end.finishedTitle": "Ти завершив гру!",
+      "end.waitingTeams": "Чекаєш, поки інші команди завершать гру...",
+      "end.waitingOpponent": "Чекаєш, поки суперник завершить гру...",
+      "end.successTitle": "Вітаємо! Ти втік від Release Day!",
+      "end.successSummary":
+        "Твоя команда використала практики Scrum, щоб безпечно випустити реліз.",
+      "end.failTitle": "Не вдалося втекти від дедлайну…",
+      "end.failSummary":
+        "Гарна нагода подумати, як краще планувати спринт і дбати про якість.",
+      "end.team": "Команда:",
+      "end.score": "Бали:",
+      "end.time": "Час:",
+      "end.waitingText": "⏳ Чекаєш, поки інші команди завершать гру...",
+      "end.opponent": "Суперник:",
+      "end.opponentScore": "Бали суперника:",
+      "end.opponentTime": "Час суперника:",
+      "end.standings": "Рейтинг команд:",
+      "end.standingsEntry": "{place}. {team} – {score} балів, {time}",
+      "end.learnedTitle": "Чого ти навчився?",
+      "end.learnedBacklog": "Розпізнавати та складати Sprint Backlog.",
+      "end.learnedStories": "Підбирати User Stories до цілі спринту.",
+      "end.learnedConflict": "Розв'язувати конфлікти в дусі Scrum.",
+      "end.learnedRoles": "Розуміти ролі, артефакти та церемонії Scrum.",
+      "end.restart": "Зіграти ще раз",
+      "end.showRanking": "Переглянути рейтинг",
+      "end.copy": "Копіювати",
+      "end.copied": "Скопійовано!",
+      "end.saving": "Збереження результату...",
+      "end.savedServer": "✓ Результат збережено в рейтингу на сервері.",
+      "end.savedTemporary":
+        "⚠️ Результат є в рейтингу на сервері лише до його перезапуску.",
+      "end.savedQueued":
+        "⏳ Немає з'єднання з сервером - результат буде надіслано автоматично, коли сервер знову стане доступним.",
+      "end.savedLocal":
+        "⚠️ Не вдалося зберегти результат на сервері - він є лише в рейтингу на цьому пристрої.",
+
+      "result.drawBadge": "🤝 Нічия!",
+      "result.drawTitle": "Нічия!",
+      "result.drawMany":
+        "Кілька команд досягли однакового найкращого результату.",
+      "result.drawTwo": "Обидві команди досягли однакового результату.",
+      "result.winBadge": "🏆 Ти переміг!",
+      "result.winTitle": "Вітаємо! Ти переміг!",
+      "result.winMany":
+        "Твоя команда перемогла всі команди в Escape Room: Release Day!",
+      "result.winTwo":
+        "Твоя команда перемогла суперника в Escape Room: Release Day!",
+      "result.loseBadge": "Ти програв. Спробуй ще раз!",
+      "result.loseTitle": "Поразка",
+      "result.loseSummary":
+        "Суперник набрав більше балів або завершив швидше. Спробуй ще раз!",
+      "result.place": "Місце {place} з {total}",
+      "result.reason": "Причина: {reason}",
+      "result.more-points": "Більше балів",
+      "result.faster-time": "Рівні бали, швидший час",
+      "result.draw": "Повна нічия",
+      "result.ended-by-facilitator": "Сесію завершив ведучий",
+      "result.all-finished": "Усі команди завершили гру",
+      "result.facilitator-left": "Ведучий залишив сесію",
+      "result.time-up": "Час вийшов",
+
+      "challenge.loading": "Завантаження виклику...",
+      "challenge.banner":
+        "Виклик від команди {team}: {score} балів за {time}. Зіграй такий самий хід гри й перевір, хто кращий!",
+      "challenge.notFound": "Виклик не знайдено - можна зіграти звичайну гру.",
+      "challenge.creating": "Створення виклику...",
+      "challenge.ready":
+        "Виклик готовий! Надішли посилання іншим командам - вони зіграють точно такий самий хід гри.",
+      "challenge.failed":
+        "Не вдалося створити виклик - посилання потребує запущеного сервера.",
+      "challenge.draw": "Нічия - однаковий результат і час!",
+      "challenge.won": "🏆 Ви перемогли команду {team}!",
+      "challenge.lost": "Команда {team} цього разу була кращою.",
+      "challenge.cell": "{points} балів · {time}",
+      "challenge.total": "Разом",
+      "challenge.room": "Кімната",
+
+      "ranking.title": "Рейтинг команд",
+      "ranking.subtitle": "Найкращі результати в Escape Room: Release Day",
+      "ranking.sortBy": "Сортувати за:",
+      "ranking.sortScore": "Бали (спадання)",
+      "ranking.sortTime": "Час (зростання)",
+      "ranking.sortDate": "Дата (найновіші)",
+      "ranking.back": "Назад",
+      "ranking.team": "Команда",
+      "ranking.points": "Бали",
+      "ranking.time": "Час",
+      "ranking.date": "Дата",
+      "ranking.mode": "Режим",
+      "ranking.modeSolo": "Соло",
+      "ranking.modeVersus": "Versus",
+      "ranking.modeMultiplayer": "Мультиплеєр",
+      "ranking.empty": "Немає результатів. Зіграй, щоб потрапити до рейтингу!",
+      "ranking.loading": "Завантаження результатів...",
+      "ranking.error": "Помилка завантаження результатів",
+      "ranking.all": "Усі",
+      "ranking.scenario": "Сценарій",
+      "ranking.period": "Період",
+      "ranking.periodAll": "За весь час",
+      "ranking.periodWeek": "Останні 7 днів",
+      "ranking.periodToday": "Сьогодні",
+      "ranking.search": "Пошук команди",
+      "ranking.best": "Найкращий результат команди",
+      "ranking.pages": "Сторінки рейтингу",
+      "ranking.prev": "← Попередня",
+      "ranking.next": "Наступна →",
+      "ranking.page": "Сторінка {page} з {pages}",
+      "ranking.pending": "Очікує на надсилання на сервер",
+
+      "mp.title": "Мультиплеєр: онлайн-суперництво",
+      "mp.subtitle":
+        "Грай одночасно з іншими командами та перемагай, набираючи більше балів!",
+      "mp.connecting": "Підключення до сервера...",
+      "mp.createTitle": "Створи кімнату",
+      "mp.capacity": "Кількість команд (2–12):",
+      "mp.create": "Створити кімнату",
+      "mp.roomIdLabel": "ID кімнати:",
+      "mp.joinTitle": "Приєднатися до кімнати",
+      "mp.joinTeamPlaceholder": "напр. Scrum Masters",
+      "mp.roomIdPlaceholder": "Встав ID кімнати",
+      "mp.join": "Приєднатися",
+      "mp.waitingOpponent": "Очікування суперника...",
+      "mp.waitingTeams": "Очікування команд...",
+      "mp.waitingSession": "Очікування, поки ведучий розпочне сесію...",
+      "mp.waitingHost": "Очікування, поки господар розпочне гру...",
+      "mp.room": "Кімната:",
+      "mp.yourTeam": "Твоя команда:",
+      "mp.teams": "Команди",
+      "mp.readyTitle": "Команди готові!",
+      "mp.startGame": "Почати гру",
+      "mp.back": "Назад",
+      "mp.defaultHostTeam": "Команда 1",
+      "mp.defaultGuestTeam": "Команда 2",
+      "mp.enterRoomId": "Введи ID кімнати",
+      "mp.noSocketIo": "Socket.io не завантажено.",
+      "mp.needsServer": "Мультиплеєр потребує сервера.",
+      "mp.connectionError": "Помилка з'єднання: {message}",
+      "mp.unknownError": "Невідома помилка",
+      "mp.connected": "Підключено до сервера",
+      "mp.cannotConnect":
+        "Не вдається підключитися до сервера. Переконайся, що сервер працює (npm start)",
+      "mp.disconnected": "Від'єднано від сервера",
+      "mp.error": "Помилка: {message}",
+      "mp.teamDisconnected":
+        "{team} втратила з'єднання - чекаємо на повернення команди",
+      "mp.teamReconnected": "{team} повернулася до гри",
+      "mp.hostLeft": "Господар залишив кімнату",
+      "mp.hostChanged": "Господар залишив гру - тепер господар {team}",
+      "mp.resumeFailed": "Не вдалося повернутися до попередньої кімнати",
+
+      "a11y.cardHint":
+        "Enter або пробіл: перемістити картку. Стрілки: попередня або наступна картка.",
+      "a11y.moveTo": "Перемістити «{card}» до",
+      "a11y.moved": "Переміщено «{card}» до: {zone}",
+      "a11y.zoneProduct": "Product Backlog",
+      "a11y.zoneSprint": "Sprint Backlog",
+      "a11y.zoneStoriesPool": "User Stories",
+      "a11y.zoneStoriesSprint": "До цього спринту",
+      "a11y.zoneStoriesLater": "Поза спринтом",
+      "a11y.zoneTestsPool": "Доступні тести",
+      "a11y.testsFor": "Тести для: {story}",
+      "server.no-scenarios": "На сервері немає сценаріїв",
+      "server.invalid-capacity": "Кількість команд має бути від {min} до {max}",
+      "server.no-teams": "У сесії немає команд",
+      "server.room-not-found": "Кімната не існує",
+      "server.duplicate-team": "Команда з такою назвою вже є в кімнаті",
+      "server.session-started": "Сесія вже триває",
+      "server.game-started": "Гра в цій кімнаті вже триває",
+      "server.room-full": "Кімната заповнена",
+      "server.waiting-for-opponent": "Зачекай на суперника",
+      "server.game-paused": "Гру призупинено",
+      "server.wrong-room": "Неправильна кімната",
+      "server.time-up": "Час гри вийшов",
+      "server.room-time-up": "Час на цю кімнату вийшов",
+      "server.no-hints": "У цій кімнаті більше немає підказок",
+      "server.hint-budget": "Усі підказки використано",
+      "server.invalid-hint-budget":
+        "Кількість підказок має бути від 0 до {max}",
+      "server.invalid-settings": "Неправильні налаштування гри",
+      "server.invalid-team-name": "Неправильна назва команди",
+    },
+
+    en: {
+      "start.subtitle":
+        "Escape the office before the release deadline using your knowledge of <strong>Scrum</strong> and <strong>software engineering</strong>.",
+      "start.language": "Language:",
+      "start.teamName": "Team name:",
+      "start.teamPlaceholder": "e.g. Agile Ninjas",
+      "start.mode": "Mode:",
+      "start.multiplayerOffline":
+        "Multiplayer needs a connection to the server - without one you can play solo.",
+      "start.scenario": "Scenario:",
+      "start.hints": "Hints per game:",
+      "start.hintsOff": "No hints",
+      "start.difficulty": "Difficulty:",
+      "difficulty.easy": "Easy",
+      "difficulty.normal": "Normal",
+      "difficulty.hard": "Hard",
+      "difficulty.custom": "Custom settings",
+      "settings.duration": "Game time (min):",
+      "settings.room": "Time per room (min, 0 = no limit):",
+      "settings.capacity": "Sprint capacity (± SP):",
+      "settings.minPoints": "Sprint minimum (± SP):",
+      "settings.penalty": "Penalty size (%):",
+      "settings.summary":
+        "{level}: time {time}, room {room}, Sprint capacity {capacity} SP, minimum {minimum} SP, penalties {penalty}%",
+      "settings.noRoomLimit": "no limit",
+      "settings.invalid":
+        "Invalid settings: game time 3–30 min, time per room 0–10 min (not longer than the game), Sprint changes from −10 to 10 SP, penalties 0–300%",
+      "teamName.tooLong": "The team name can have at most {max} characters.",
+      "teamName.invalidChars":
+        "The team name contains characters that are not allowed.",
+      "teamName.profanity":
+        "The team name contains words that are not allowed. Pick another one.",
+      "start.start": "Start",
+      "start.ranking": "Leaderboard",
+      "start.workshop": "Running a workshop?",
+      "start.editor": "Scenario editor",
+      "start.facilitator": "Facilitator panel",
+      "start.spectator": "Spectator screen",
+      "start.analytics": "Analytics",
+      "start.teaches":
+        "The game teaches Scrum roles, artifacts, events and iterative thinking.",
+      "start.defaultTeam": "Anonymous Team",
+      "start.preview": "Preview: {name}",
+      "mode.solo": "Solo",
+      "mode.versus": "Versus (challenge by link)",
+      "mode.multiplayer": "Multiplayer (2–12 teams online)",
+
+      "hud.team": "Team:",
+      "hud.sprint": "Sprint:",
+      "hud.timer": "Time to release:",
+      "hud.roomTimer": "Room:",
+      "hud.pause": "⏸ Pause",
+      "hud.score": "Points:",
+      "hud.progress": "Progress:",
+      "hud.opponent": "Opponent:",
+      "hud.opponentFinished": "done",
+      "hud.opponentStats": "Wrong attempts: {wrong}, hints: {hints}",
+      "game.paused": "⏸ Game paused",
+      "game.resume": "▶ Resume game",
+      "game.pausedSolo":
+        "The clock is stopped and the board is hidden. Resume when your team is ready.",
+      "game.pausedForAll":
+        "The clock is stopped for all teams until you resume.",
+      "game.pausedByHost": "The room host paused the game.",
+      "game.pausedByFacilitator": "The facilitator paused the game.",
+
+      "room.quiz": "Quiz",
+      "room.backlog": "Sprint Backlog",
+      "room.stories": "User Stories",
+      "room.tests": "Tests",
+      "room.conflict": "PO–Dev conflict",
+
+      "quiz.title": "Room 0: Warm-up quiz",
+      "quiz.desc": "Answer questions about Agile basics to start the game.",
+      "quiz.eduTitle": "Knowledge: Agile basics",
+      "quiz.eduText":
+        "Agile is an approach to project management based on iterative and incremental development. Key ideas in Agile: the MVP (Minimum Viable Product), User Stories and delivering value in iterations.",
+      "quiz.validate": "Submit answers",
+      "quiz.question": "Question {number}:",
+      "quiz.unanswered": "Answer all questions before submitting.",
+      "quiz.ok": "Excellent! All answers are correct. You can move on.",
+      "quiz.partial":
+        "You answered {correct} of {total} questions correctly. Check the correct answers and try again.",
+
+      "backlog.title": "Room 1: Build the Sprint Backlog",
+      "backlog.desc":
+        "It's Sprint Planning day. Pick the right items from the Product Backlog for the Sprint Backlog, considering priority and the team's capacity.",
+      "backlog.product": "Product Backlog",
+      "backlog.sprintPrefix": "Sprint Backlog (max",
+      "backlog.sprintSuffix": "story points)",
+      "backlog.points": "Story points:",
+      "backlog.eduTitle": "Knowledge: Scrum artifacts",
+      "backlog.eduProduct":
+        "<strong>Product Backlog</strong> – an ordered list of what may be needed in the product.",
+      "backlog.eduSprint":
+        "<strong>Sprint Backlog</strong> – the items selected for the Sprint plus a plan for delivering them.",
+      "backlog.eduIncrement":
+        "<strong>Increment</strong> – a finished, potentially releasable piece of the product.",
+      "backlog.validate": "Submit Sprint Backlog",
+      "backlog.missingMustHave":
+        "Not all key (must have) items made it into the Sprint Backlog.",
+      "backlog.overCapacity":
+        "The Sprint is overloaded. The team has no chance of delivering that many points.",
+      "backlog.underCapacity":
+        "The Sprint is too small – the team won't use its time effectively.",
+      "backlog.ok":
+        "Great! The Sprint Backlog holds the most important items in a realistic scope.",
+
+      "stories.title": "Room 2: Match User Stories to the Sprint",
+      "stories.desc":
+        "You have a list of User Stories and the Sprint's aims. Decide which stories support the current <strong>Sprint Goal</strong> and which should wait.",
+      "stories.goal": "Sprint Goal",
+      "stories.pool": "User Stories",
+      "stories.sprint": "In this Sprint",
+      "stories.later": "Outside the Sprint",
+      "stories.eduTitle": "Knowledge: User Stories and the Sprint Goal",
+      "stories.eduText":
+        "A well-defined <strong>Sprint Goal</strong> helps the team focus on what matters most. User Stories should deliver value directly tied to that goal.",
+      "stories.validate": "Check the match",
+      "stories.ok": "Perfect! All User Stories fit the Sprint Goal.",
+      "stories.partial":
+        "{correct} of {total} stories classified correctly. Try again – think about value relative to the Sprint Goal.",
+
+      "tests.title": "Room 3: Assign tests to User Stories",
+      "tests.desc":
+        "Every User Story in the Sprint needs the right tests. Assign unit, integration and E2E tests to the matching User Stories.",
+      "tests.pool": "Available tests",
+      "tests.stories": "User Stories in the Sprint",
+      "tests.eduTitle": "Knowledge: Types of tests",
+      "tests.eduUnit":
+        "<strong>Unit tests</strong> – test single components in isolation.",
+      "tests.eduIntegration":
+        "<strong>Integration tests</strong> – test how components work together.",
+      "tests.eduE2e":
+        "<strong>E2E (End-to-End) tests</strong> – test the complete user flow through the application.",
+      "tests.validate": "Submit test assignment",
+      "tests.unassigned":
+        "Not all tests have been assigned. Assign the tests to the matching User Stories.",
+      "tests.storyWithoutTests":
+        "Every User Story in the Sprint should have tests assigned.",
+      "tests.ok":
+        "Excellent! All tests are assigned to the matching User Stories.",
+      "tests.partial":
+        "Tests assigned correctly for {correct} of {total} User Stories. Tests should be assigned to the matching user stories.",
+
+      "conflict.title": "Room 4: Resolve the PO–Dev conflict",
+      "conflict.desc":
+        "The release is minutes away and some features are unfinished. The Product Owner pushes to “ship everything”, the developers worry about quality. Choose the actions that are consistent with Scrum.",
+      "conflict.eduTitle": "Knowledge: Scrum roles & accountability",
+      "conflict.eduPo":
+        "<strong>Product Owner</strong> – maximises the value of the product and decides on priorities.",
+      "conflict.eduDev":
+        "<strong>Developers</strong> – accountable for quality and the technical side of the Increment.",
+      "conflict.eduSm":
+        "<strong>Scrum Master</strong> – helps everyone understand and apply Scrum.",
+
+      "history.quizPassed": "All answers correct",
+      "history.quizWrong": "Wrong answers in questions: {numbers}",
+      "history.backlogMissing": "Missing must have items: {items}",
+      "history.backlogOver":
+        "Sprint overloaded: {points} SP with a capacity of {capacity} SP",
+      "history.backlogUnder":
+        "Sprint too small: {points} SP (minimum {minimum} SP)",
+      "history.backlogPassed": "Sprint Backlog accepted",
+      "history.storiesPassed": "All User Stories classified correctly",
+      "history.storiesWrong": "Misclassified stories: {wrong} of {total}",
+      "history.testsUnassigned": "Unassigned tests: {count}",
+      "history.testsMissing": "User Stories without tests: {count}",
+      "history.testsPassed": "All tests assigned correctly",
+      "history.testsWrong": "Wrong tests for {wrong} of {total} stories",
+      "history.conflictChoice": "Chosen: {option}",
+      "history.entry": "{time} · {room}, attempt {attempt}: ",
+      "history.entryHint": "{time} · {room}, hint {attempt}: ",
+      "history.roomsTitle": "Points per room:",
+      "history.room": "Room",
+      "history.attempts": "Attempts",
+      "history.wrongAttempts": "Wrong attempts",
+      "history.points": "Points",
+      "history.timelineTitle": "Game timeline:",
+      "history.hints": "Hints",
+      "history.time": "Time",
+      "history.hint": "Hint: {text}",
+      "hints.button": "Hint (−{cost} pts, left: {left})",
+      "hints.noMore": "No more hints",
+      "hints.budgetUsed": "All hints used",
+
+      "end.timeUp": "Time's up! The release went out unprepared.",
+      "end.roomTimeUp":
+        "Time for this room is up! The release went out unprepared.",
+      "end.finishedTitle": "You finished the game!",
+      "end.waitingTeams": "Waiting for the other teams to finish...",
+      "end.waitingOpponent": "Waiting for your opponent to finish...",
+      "end.successTitle": "Congratulations! You escaped Release Day!",
+      "end.successSummary":
+        "Your team used Scrum practices to ship the release safely.",
+      "end.failTitle": "You didn't beat the deadline…",
+      "end.failSummary":
+        "A good moment to think about how to plan the Sprint better and protect quality.",
+      "end.team": "Team:",
+      "end.score": "Points:",
+      "end.time": "Time:",
+      "end.waitingText": "⏳ Waiting for the other teams to finish...",
+      "end.opponent": "Opponent:",
+      "end.opponentScore": "Opponent's points:",
+      "end.opponentTime": "Opponent's time:",
+      "end.standings": "Team standings:",
+      "end.standingsEntry": "{place}. {team} – {score} pts, {time}",
+      "end.learnedTitle": "What did you learn?",
+      "end.learnedBacklog": "Recognising and building a Sprint Backlog.",
+      "end.learnedStories": "Matching User Stories to the Sprint Goal.",
+      "end.learnedConflict": "Resolving conflicts the Scrum way.",
+      "end.learnedRoles": "Understanding Scrum roles, artifacts and events.",
+      "end.restart": "Play again",
+      "end.showRanking": "View leaderboard",
+      "end.copy": "Copy",
+      "end.copied": "Copied!",
+      "end.saving": "Saving your score...",
+      "end.savedServer": "✓ Score saved in the server ranking.",
+      "end.savedTemporary":
+        "⚠️ Score is in the server ranking only until the server restarts.",
+      "end.savedQueued":
+        "⏳ No connection to the server - the score will be sent automatically when the server is back.",
+      "end.savedLocal":
+        "⚠️ Could not save the score on the server - it is only in the ranking on this device.",
+
+      "result.drawBadge": "🤝 Draw!",
+      "result.drawTitle": "Draw!",
+      "result.drawMany": "Several teams reached the same best result.",
+      "result.drawTwo": "Both teams reached the same result.",
+      "result.winBadge": "🏆 You won!",
+      "result.winTitle": "Congratulations! You won!",
+      "result.winMany":
+        "Your team beat every other team in Escape Room: Release Day!",
+      "result.winTwo":
+        "Your team beat the opponent in Escape Room: Release Day!",
+      "result.loseBadge": "You lost. Try again!",
+      "result.loseTitle": "Defeat",
+      "result.loseSummary":
+        "The opponent scored more points or finished faster. Try again!",
+      "result.place": "Place {place} of {total}",
+      "result.reason": "Reason: {reason}",
+      "result.more-points": "More points",
+      "result.faster-time": "Equal points, faster time",
+      "result.draw": "Complete draw",
+      "result.ended-by-facilitator": "The facilitator ended the session",
+      "result.all-finished": "All teams finished the game",
+      "result.facilitator-left": "The facilitator left the session",
+      "result.time-up": "Time's up",
+
+      "challenge.loading": "Loading challenge...",
+      "challenge.banner":
+        "Challenge from team {team}: {score} pts in {time}. Play the same run and see who is better!",
+      "challenge.notFound":
+        "Challenge not found - you can play a regular game.",
+      "challenge.creating": "Creating challenge...",
+      "challenge.ready":
+        "Challenge ready! Send the link to other teams - they will play exactly the same run.",
+      "challenge.failed":
+        "Could not create the challenge - the link needs a running server.",
+      "challenge.draw": "Draw - identical score and time!",
+      "challenge.won": "🏆 You beat team {team}!",
+      "challenge.lost": "Team {team} was better this time.",
+      "challenge.cell": "{points} pts · {time}",
+      "challenge.total": "Total",
+      "challenge.room": "Room",
+
+      "ranking.title": "Team leaderboard",
+      "ranking.subtitle": "Top results in Escape Room: Release Day",
+      "ranking.sortBy": "Sort by:",
+      "ranking.sortScore": "Points (highest first)",
+      "ranking.sortTime": "Time (fastest first)",
+      "ranking.sortDate": "Date (newest first)",
+      "ranking.back": "Back",
+      "ranking.team": "Team",
+      "ranking.points": "Points",
+      "ranking.time": "Time",
+      "ranking.date": "Date",
+      "ranking.mode": "Mode",
+      "ranking.modeSolo": "Solo",
+      "ranking.modeVersus": "Versus",
+      "ranking.modeMultiplayer": "Multiplayer",
+      "ranking.empty": "No results yet. Play to get on the leaderboard!",
+      "ranking.loading": "Loading results...",
+      "ranking.error": "Could not load results",
+      "ranking.all": "All",
+      "ranking.scenario": "Scenario",
+      "ranking.period": "Period",
+      "ranking.periodAll": "All time",
+      "ranking.periodWeek": "Last 7 days",
+      "ranking.periodToday": "Today",
+      "ranking.search": "Search team",
+      "ranking.best": "Best result per team",
+      "ranking.pages": "Leaderboard pages",
+      "ranking.prev": "← Previous",
+      "ranking.next": "Next →",
+      "ranking.page": "Page {page} of {pages}",
+      "ranking.pending": "Waiting to be sent to the server",
+
+      "mp.title": "Multiplayer: Online competition",
+      "mp.subtitle":
+        "Play at the same time as other teams and win by scoring more points!",
+      "mp.connecting": "Connecting to server...",
+      "mp.createTitle": "Create a room",
+      "mp.capacity": "Number of teams (2–12):",
+      "mp.create": "Create room",
+      "mp.roomIdLabel": "Room ID:",
+      "mp.joinTitle": "Join a room",
+      "mp.joinTeamPlaceholder": "e.g. Scrum Masters",
+      "mp.roomIdPlaceholder": "Paste the room ID",
+      "mp.join": "Join",
+      "mp.waitingOpponent": "Waiting for an opponent...",
+      "mp.waitingTeams": "Waiting for teams...",
+      "mp.waitingSession":
+        "Waiting for the facilitator to start the session...",
+      "mp.waitingHost": "Waiting for the host to start the game...",
+      "mp.room": "Room:",
+      "mp.yourTeam": "Your team:",
+      "mp.teams": "Teams",
+      "mp.readyTitle": "Teams ready!",
+      "mp.startGame": "Start game",
+      "mp.back": "Back",
+      "mp.defaultHostTeam": "Team 1",
+      "mp.defaultGuestTeam": "Team 2",
+      "mp.enterRoomId": "Enter the room ID",
+      "mp.noSocketIo": "Socket.io is not loaded.",
+      "mp.needsServer": "Multiplayer needs the server.",
+      "mp.connectionError": "Connection error: {message}",
+      "mp.unknownError": "Unknown error",
+      "mp.connected": "Connected to server",
+      "mp.cannotConnect":
+        "Cannot connect to the server. Make sure it is running (npm start)",
+      "mp.disconnected": "Disconnected from server",
+      "mp.error": "Error: {message}",
+      "mp.teamDisconnected":
+        "{team} lost connection - waiting for the team to come back",
+      "mp.teamReconnected": "{team} is back in the game",
+      "mp.hostLeft": "The host left the room",
+      "mp.hostChanged": "The host left the game - {team} is the host now",
+      "mp.resumeFailed": "Could not return to the previous room",
+
+      "a11y.cardHint":
+        "Enter or Space: move the card. Arrow keys: previous or next card.",
+      "a11y.moveTo": "Move “{card}” to",
+      "a11y.moved": "Moved “{card}” to: {zone}",
+      "a11y.zoneProduct": "Product Backlog",
+      "a11y.zoneSprint": "Sprint Backlog",
+      "a11y.zoneStoriesPool": "User Stories",
+      "a11y.zoneStoriesSprint": "This Sprint",
+      "a11y.zoneStoriesLater": "Out of Sprint",
+      "a11y.zoneTestsPool": "Available tests",
+      "a11y.testsFor": "Tests for: {story}",
+      "server.no-scenarios": "No scenarios on the server",
+      "server.invalid-capacity":
+        "The number of teams must be between {min} and {max}",
+      "server.no-teams": "No teams in the session",
+      "server.room-not-found": "Room does not exist",
+      "server.duplicate-team": "A team with this name is already in the room",
+      "server.session-started": "The session is already running",
+      "server.game-started": "The game in this room is already running",
+      "server.room-full": "The room is full",
+      "server.waiting-for-opponent": "Wait for an opponent",
+      "server.game-paused": "The game is paused",
+      "server.wrong-room": "Wrong room",
+      "server.time-up": "Game time is up",
+      "server.room-time-up": "Time for this room is up",
+      "server.no-hints": "No more hints in this room",
+      "server.hint-budget": "All hints have been used",
+      "server.invalid-hint-budget":
+        "The number of hints must be between 0 and {max}",
+      "server.invalid-settings": "Invalid game settings",
+      "server.invalid-team-name": "Invalid team name",
+    },
+  };
+
+  let currentLanguage = DEFAULT_LANGUAGE;
+
+  function isSupported(lang) {
+    return LANGUAGES.includes(lang);
+  }
+
+  // Zapisany wybór, a przy pierwszej wizycie język przeglądarki
+  function detectLanguage() {
+    try {
+      const stored =
+        root.localStorage && root.localStorage.getItem(STORAGE_KEY);
+      if (isSupported(stored)) return stored;
+    } catch (error) {
+      // localStorage bywa zablokowany - zostaje język przeglądarki
+    }
+    const browser =
+      root.navigator && root.navigator.language
+        ? root.navigator.language.slice(0, 2).toLowerCase()
+        : "";
+    return isSupported(browser) ? browser : DEFAULT_LANGUAGE;
+  }
+
+  function getLanguage() {
+    return currentLanguage;
+  }
+
+  function setLanguage(lang) {
+    currentLanguage = isSupported(lang) ? lang : DEFAULT_LANGUAGE;
+    try {
+      if (root.localStorage) {
+        root.localStorage.setItem(STORAGE_KEY, currentLanguage);
+      }
+    } catch (error) {
+      // Brak zapisu wyboru nie blokuje zmiany języka
+    }
+    if (root.document) {
+      root.document.documentElement.lang = currentLanguage;
+    }
+    return currentLanguage;
+  }
+
+  // Tekst w bieżącym języku; brakujące klucze z bundla polskiego.
+  // Parametry wstawiane w miejsca {nazwa}.
+  function t(key, params = {}) {
+    const bundle = BUNDLES[currentLanguage] || BUNDLES[DEFAULT_LANGUAGE];
+    let text = bundle[key];
+    if (text === undefined) text = BUNDLES[DEFAULT_LANGUAGE][key];
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined ? match : String(params[name]),
+    );
+  }
+
+  function has(key) {
+    return BUNDLES[DEFAULT_LANGUAGE][key] !== undefined;
+  }
+
+  // Przetłumacz stałe teksty strony (atrybuty data-i18n*)
+  function applyTranslations(container) {
+    container.querySelectorAll("[data-i18n]").forEach((el) => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    // Tylko teksty z bundli (z <strong>) - nigdy dane od użytkownika
+    container.querySelectorAll("[data-i18n-html]").forEach((el) => {
+      el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    container.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+      el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    container.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
+      el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel));
+    });
+  }
+
+  function formatDateTime(value) {
+    return new Date(value).toLocaleDateString(LOCALES[currentLanguage], {
+      day: "2-digit",
+      month: "2-digit",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  }
+
+  // Scenariusz z tłumaczeniem z pola translations[lang]; brakujące teksty
+  // zostają w języku oryginału. Identyfikatory i punktacja się nie zmieniają.
+  function localizeScenario(scenario, lang = currentLanguage) {
+    const tr = scenario && scenario.translations && scenario.translations[lang];
+    if (!tr) return scenario;
+
+    const pick = (value, fallback) =>
+      typeof value === "string" && value.trim() ? value : fallback;
+    const quiz = tr.quiz || {};
+    const backlog = tr.backlog || {};
+    const stories = tr.stories || {};
+    const tests = tr.tests || {};
+    const hints = tr.hints || {};
+    const conflict = tr.conflict || {};
+    const conflictOptions = conflict.options || {};
+
+    return {
+      ...scenario,
+      name: pick(tr.name, scenario.name),
+      description: pick(tr.description, scenario.description),
+      sprintGoal: pick(tr.sprintGoal, scenario.sprintGoal),
+      quiz: scenario.quiz.map((question) => {
+        const qt = quiz[question.id] || {};
+        const options = qt.options || {};
+        return {
+          ...question,
+          question: pick(qt.question, question.question),
+          options: question.options.map((option) => ({
+            ...option,
+            text: pick(options[option.id], option.text),
+          })),
+        };
+      }),
+      backlog: scenario.backlog.map((item) => ({
+        ...item,
+        title: pick(backlog[item.id], item.title),
+      })),
+      stories: scenario.stories.map((story) => ({
+        ...story,
+        text: pick(stories[story.id], story.text),
+      })),
+      tests: scenario.tests.map((test) => ({
+        ...test,
+        text: pick(tests[test.id], test.text),
+      })),
+      hints: (scenario.hints || []).map((hint) => ({
+        ...hint,
+        text: pick(hints[hint.id], hint.text),
+      })),
+      conflict: {
+        ...scenario.conflict,
+        po: pick(conflict.po, scenario.conflict.po),
+        dev: pick(conflict.dev, scenario.conflict.dev),
+        options: scenario.conflict.options.map((option) => {
+          const ot = conflictOptions[option.id] || {};
+          const localized = {
+            ...option,
+            text: pick(ot.text, option.text),
+            feedback: pick(ot.feedback, option.feedback),
+          };
+          if (option.endReason) {
+            localized.endReason = pick(ot.endReason, option.endReason);
+          }
+          return localized;
+        }),
+      },
+    };
+  }
+
+  const api = {
+    LANGUAGES,
+    LANGUAGE_NAMES,
+    BUNDLES,
+    detectLanguage,
+    getLanguage,
+    setLanguage,
+    t,
+    has,
+    applyTranslations,
+    formatDateTime,
+    localizeScenario,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.I18n = api;
+  }
+})(this);
@@ -0,0 +1,241 @@
+// Migracje schematu bazy danych.
+// Magazyn MySQL (storage-mysql.js) uruchamia je po kolei przy starcie serwera.
+// Numery zastosowanych migracji są zapisane w tabeli schema_migrations,
+// więc baza utworzona przez starszą wersję gry dostaje tylko brakujące zmiany.
+// MySQL zatwierdza DDL od razu (bez transakcji), dlatego każda instrukcja
+// musi dać się bezpiecznie powtórzyć po przerwanej migracji (IF NOT EXISTS).
+// Krok migracji to zapytanie SQL albo funkcja async (connection) => {} dla
+// zmian, których MySQL nie potrafi warunkowo wykonać (np. ADD COLUMN).
+
+// Dodaj kolumnę tylko wtedy, gdy jeszcze jej nie ma
+function addColumnIfMissing(table, column, definition) {
+  return async (connection) => {
+    const [rows] = await connection.query(
+      `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    if (rows.length === 0) {
+      await connection.query(
+        `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`
+      );
+    }
+  };
+}
+
+function addIndexIfMissing(table, index, columns, kind = "INDEX") {
+  return async (connection) => {
+    const [rows] = await connection.query(
+      `SELECT INDEX_NAME FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [table, index]
+    );
+    if (rows.length === 0) {
+      await connection.query(
+        `ALTER TABLE ${table} ADD ${kind} ${index} (${columns})`
+      );
+    }
+  };
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "Wyniki, scenariusze z edytora i wyzwania Versus",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS scores (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        team_name VARCHAR(255) NOT NULL,
+        score INT NOT NULL,
+        time_seconds INT NOT NULL,
+        mode VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_score (score DESC),
+        INDEX idx_time (time_seconds ASC),
+        INDEX idx_created (created_at DESC)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS scenarios (
+        id VARCHAR(64) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        data LONGTEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS challenges (
+        id VARCHAR(16) PRIMARY KEY,
+        scenario_id VARCHAR(64) NOT NULL,
+        seed INT UNSIGNED NOT NULL,
+        team_name VARCHAR(255) NOT NULL,
+        score INT NOT NULL,
+        time_seconds INT NOT NULL,
+        breakdown TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    version: 2,
+    name: "Przebiegi gry, próby w pokojach i odpowiedzi",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS game_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        score_id INT NULL,
+        scenario_id VARCHAR(64) NOT NULL,
+        seed INT UNSIGNED NULL,
+        team_name VARCHAR(255) NOT NULL,
+        mode VARCHAR(50) NOT NULL,
+        score INT NOT NULL,
+        time_seconds INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_session_scenario (scenario_id),
+        INDEX idx_session_created (created_at DESC),
+        FOREIGN KEY (score_id) REFERENCES scores(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS room_attempts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        room VARCHAR(20) NOT NULL,
+        attempt INT NOT NULL,
+        points_delta INT NOT NULL,
+        passed TINYINT(1) NOT NULL DEFAULT 0,
+        reason VARCHAR(255) NOT NULL DEFAULT '',
+        elapsed_seconds INT NOT NULL,
+        attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_attempt_room (room),
+        FOREIGN KEY (session_id) REFERENCES game_sessions(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS attempt_answers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        attempt_id INT NOT NULL,
+        item_id VARCHAR(64) NOT NULL,
+        value VARCHAR(64) NULL,
+        is_correct TINYINT(1) NULL,
+        INDEX idx_answer_item (item_id),
+        FOREIGN KEY (attempt_id) REFERENCES room_attempts(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    version: 3,
+    name: "Kod pokoju lub sesji warsztatowej w przebiegu gry",
+    statements: [
+      addColumnIfMissing(
+        "game_sessions",
+        "room_code",
+        "VARCHAR(16) NULL AFTER score_id"
+      ),
+      addIndexIfMissing("game_sessions", "idx_session_room", "room_code"),
+    ],
+  },
+  {
+    version: 4,
+    name: "Podpowiedzi w historii prób",
+    statements: [
+      addColumnIfMissing(
+        "room_attempts",
+        "is_hint",
+        "TINYINT(1) NOT NULL DEFAULT 0 AFTER passed"
+      ),
+    ],
+  },
+  {
+    version: 5,
+    name: "Ustawienia gry w wyzwaniach Versus",
+    statements: [
+      addColumnIfMissing("challenges", "settings", "TEXT NULL AFTER breakdown"),
+    ],
+  },
+  {
+    version: 6,
+    name: "Czas i punkty w poszczególnych pokojach",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS room_times (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        session_id INT NOT NULL,
+        room VARCHAR(20) NOT NULL,
+        points INT NOT NULL,
+        time_seconds INT NOT NULL,
+        INDEX idx_room_time_room (room),
+        FOREIGN KEY (session_id) REFERENCES game_sessions(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    version: 7,
+    name: "Scenariusz wyniku w rankingu",
+    statements: [
+      addColumnIfMissing(
+        "scores",
+        "scenario_id",
+        "VARCHAR(64) NULL AFTER mode"
+      ),
+      addIndexIfMissing("scores", "idx_scores_scenario", "scenario_id"),
+      addIndexIfMissing("scores", "idx_scores_team", "team_name"),
+      // Starsze wyniki z zapisaną historią gry dostają jej scenariusz
+      `UPDATE scores s
+       JOIN game_sessions g ON g.score_id = s.id
+       SET s.scenario_id = g.scenario_id
+       WHERE s.scenario_id IS NULL`,
+    ],
+  },
+  {
+    version: 8,
+    name: "Identyfikator wyniku z kolejki offline",
+    statements: [
+      addColumnIfMissing("scores", "client_id", "VARCHAR(64) NULL"),
+      addIndexIfMissing(
+        "scores",
+        "idx_scores_client",
+        "client_id",
+        "UNIQUE INDEX"
+      ),
+    ],
+  },
+  {
+    version: 9,
+    name: "Wykorzystane tokeny gry",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS used_runs (
+        run_key VARCHAR(80) PRIMARY KEY,
+        expires_at DATETIME NOT NULL,
+        INDEX idx_used_runs_expires (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+];
+
+async function runMigrations(connection) {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const [rows] = await connection.query(
+    "SELECT version FROM schema_migrations"
+  );
+  const applied = new Set(rows.map((row) => row.version));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    for (const statement of migration.statements) {
+      if (typeof statement === "function") {
+        await statement(connection);
+      } else {
+        await connection.query(statement);
+      }
+    }
+    await connection.query(
+      "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+      [migration.version, migration.name]
+    );
+    console.log(`✓ Migracja ${migration.version}: ${migration.name}`);
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+};
@@ -0,0 +1,145 @@
+// Ranking: filtry, sortowanie i stronicowanie - wspólne dla serwera
+// (GET /api/scores, require) i gry w przeglądarce (globalne Ranking).
+// Przeglądarka używa rankScores, gdy serwer jest niedostępny i wyniki
+// są tylko w localStorage.
+
+(function (root) {
+  const MODES = ["solo", "versus", "multiplayer"];
+  const SORTS = ["score", "time", "date"];
+  const PERIODS = ["all", "today", "week"];
+  const PAGE_SIZE = 20;
+  const MAX_PAGE_SIZE = 100;
+  const MAX_TEAM_SEARCH = 50;
+  const SCENARIO_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+  // Filtry z query stringa; puste wartości oznaczają „wszystkie”
+  function parseRankingQuery(query = {}) {
+    const value = (key) =>
+      typeof query[key] === "string" ? query[key].trim() : "";
+    const filters = {
+      sort: value("sort") || "score",
+      mode: value("mode"),
+      scenario: value("scenario"),
+      period: value("period") || "all",
+      team: value("team"),
+      best: value("best") === "1" || value("best") === "true",
+      page: value("page") ? Number(value("page")) : 1,
+      pageSize: value("pageSize") ? Number(value("pageSize")) : PAGE_SIZE,
+    };
+
+    const errors = [];
+    if (!SORTS.includes(filters.sort)) {
+      errors.push("Nieprawidłowe sortowanie");
+    }
+    if (filters.mode && !MODES.includes(filters.mode)) {
+      errors.push("Nieprawidłowy tryb gry");
+    }
+    if (filters.scenario && !SCENARIO_ID_PATTERN.test(filters.scenario)) {
+      errors.push("Nieprawidłowy scenariusz");
+    }
+    if (!PERIODS.includes(filters.period)) {
+      errors.push("Nieprawidłowy okres");
+    }
+    if (filters.team.length > MAX_TEAM_SEARCH) {
+      errors.push(
+        `Szukana nazwa zespołu może mieć najwyżej ${MAX_TEAM_SEARCH} znaków`,
+      );
+    }
+    if (!Number.isInteger(filters.page) || filters.page < 1) {
+      errors.push("Nieprawidłowy numer strony");
+    }
+    if (
+      !Number.isInteger(filters.pageSize) ||
+      filters.pageSize < 1 ||
+      filters.pageSize > MAX_PAGE_SIZE
+    ) {
+      errors.push(`Rozmiar strony musi wynosić od 1 do ${MAX_PAGE_SIZE}`);
+    }
+    return { filters, errors };
+  }
+
+  // Początek okresu: dziś od północy albo ostatnie 7 dni; null - bez limitu
+  function periodStart(period, now = new Date()) {
+    if (period === "today") {
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+    if (period === "week") {
+      return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    }
+    return null;
+  }
+
+  // Kolejność w rankingu; przy remisie decyduje drugi klucz
+  function compareScores(sort) {
+    const byDate = (a, b) => Date.parse(b.date) - Date.parse(a.date);
+    if (sort === "time") {
+      return (a, b) => a.time - b.time || b.score - a.score;
+    }
+    if (sort === "date") return byDate;
+    return (a, b) => b.score - a.score || a.time - b.time;
+  }
+
+  // Najlepszy wynik drużyny: więcej punktów, potem krótszy czas
+  function bestPerTeam(scores) {
+    const best = new Map();
+    scores.forEach((entry) => {
+      const current = best.get(entry.teamName);
+      if (!current || compareScores("score")(entry, current) < 0) {
+        best.set(entry.teamName, entry);
+      }
+    });
+    return Array.from(best.values());
+  }
+
+  // Filtry, sortowanie i strona wyników z listy w pamięci
+  function rankScores(scores, filters, now = new Date()) {
+    const since = periodStart(filters.period, now);
+    const team = filters.team.toLowerCase();
+    let matching = scores.filter(
+      (entry) =>
+        (!filters.mode || entry.mode === filters.mode) &&
+        (!filters.scenario || entry.scenarioId === filters.scenario) &&
+        (!since || Date.parse(entry.date) >= since.getTime()) &&
+        (!team || entry.teamName.toLowerCase().includes(team)),
+    );
+    if (filters.best) {
+      matching = bestPerTeam(matching);
+    }
+    matching.sort(compareScores(filters.sort));
+
+    const offset = (filters.page - 1) * filters.pageSize;
+    return {
+      scores: matching.slice(offset, offset + filters.pageSize),
+      ...pageInfo(matching.length, filters),
+    };
+  }
+
+  function pageInfo(total, filters) {
+    return {
+      total,
+      page: filters.page,
+      pageSize: filters.pageSize,
+      totalPages: Math.max(1, Math.ceil(total / filters.pageSize)),
+    };
+  }
+
+  const api = {
+    MAX_PAGE_SIZE,
+    MODES,
+    PAGE_SIZE,
+    PERIODS,
+    SORTS,
+    bestPerTeam,
+    compareScores,
+    pageInfo,
+    parseRankingQuery,
+    periodStart,
+    rankScores,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.Ranking = api;
+  }
+})(this);
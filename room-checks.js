@@ -0,0 +1,283 @@
+// Sprawdzanie odpowiedzi w pokojach - wspólne dla gry w przeglądarce
+// (globalne RoomChecks) i serwera (game-rules.js, require). Funkcje nie
+// dotykają DOM ani stanu gry: dostają scenariusz i odpowiedź drużyny.
+
+(function (root) {
+  const GameSettings =
+    typeof module !== "undefined" && module.exports
+      ? require("./game-settings")
+      : root.GameSettings;
+
+  // Punkty za przejście pokoju i najwyższa kara za nieudaną próbę
+  const PASS_POINTS = { quiz: 15, backlog: 15, stories: 15, tests: 20 };
+  const QUIZ_POINTS_PER_ANSWER = 3;
+  const MAX_PENALTY = 5;
+
+  // Odpowiedź przychodzi od klienta (na serwerze - od dowolnego), więc pola
+  // o złym typie są traktowane jak puste
+  function asList(value) {
+    return Array.isArray(value) ? value : [];
+  }
+
+  function asObject(value) {
+    return value && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : {};
+  }
+
+  // Każda funkcja zwraca { delta, passed, finished?, reason } i szczegóły do
+  // komunikatu dla drużyny. delta – zmiana punktów przed skalowaniem kar,
+  // passed – czy drużyna przechodzi do następnego pokoju.
+
+  // answers - { id pytania: id opcji }. Punkty częściowe tylko za pierwszą
+  // próbę - inaczej ponowne sprawdzanie quizu pozwalałoby zbierać punkty bez
+  // końca. Quiz jest pierwszym pokojem, więc wszystkie nieudane próby drużyny
+  // (progress.wrongAttempts) są z quizu.
+  function checkQuiz(scenario, answer = {}, progress = {}) {
+    const answers = asObject(answer.answers);
+    const questions = scenario.quiz;
+    const total = questions.length;
+    const answered = questions.filter((q) => answers[q.id]);
+    // wrongIds - pytania z błędną odpowiedzią (bez pytań bez odpowiedzi)
+    const wrongIds = answered
+      .filter((q) => {
+        const option = q.options.find((o) => o.id === answers[q.id]);
+        return !option || !option.correct;
+      })
+      .map((q) => q.id);
+    const correct = answered.length - wrongIds.length;
+
+    if (answered.length < total) {
+      return {
+        delta: 0,
+        passed: false,
+        reason: "unanswered",
+        correct,
+        total,
+        wrongIds,
+      };
+    }
+    if (correct === total) {
+      return {
+        delta: PASS_POINTS.quiz,
+        passed: true,
+        reason: "ok",
+        correct,
+        total,
+        wrongIds,
+      };
+    }
+    const firstAttempt = !progress.wrongAttempts;
+    return {
+      delta: firstAttempt ? correct * QUIZ_POINTS_PER_ANSWER : 0,
+      passed: false,
+      reason: "wrong-answers",
+      correct,
+      total,
+      wrongIds,
+    };
+  }
+
+  // itemIds - elementy w Sprint Backlogu; pojemność zależy od ustawień gry
+  function checkBacklog(scenario, answer = {}, settings) {
+    const itemIds = asList(answer.itemIds);
+    const items = scenario.backlog;
+    const { capacity, minPoints } = GameSettings.sprintBounds(
+      scenario,
+      settings,
+    );
+    const chosen = items.filter((item) => itemIds.includes(item.id));
+    const points = chosen.reduce((sum, item) => sum + item.points, 0);
+    const missingIds = items
+      .filter((item) => item.mustHave && !itemIds.includes(item.id))
+      .map((item) => item.id);
+    const details = { points, capacity, minPoints, missingIds };
+
+    if (missingIds.length > 0) {
+      return {
+        delta: -MAX_PENALTY,
+        passed: false,
+        reason: "missing-must-have",
+        ...details,
+      };
+    }
+    if (points > capacity) {
+      return { delta: -3, passed: false, reason: "over-capacity", ...details };
+    }
+    if (points < minPoints) {
+      return { delta: -2, passed: false, reason: "under-capacity", ...details };
+    }
+    return {
+      delta: PASS_POINTS.backlog,
+      passed: true,
+      reason: "ok",
+      ...details,
+    };
+  }
+
+  // Ile razy każdy element występuje na listach
+  function countIds(lists) {
+    const counts = new Map();
+    lists.forEach((list) => {
+      list.forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+    });
+    return counts;
+  }
+
+  // sprint / later - historie w Sprincie i odłożone na później. Historia
+  // jest dobrze sklasyfikowana tylko wtedy, gdy leży dokładnie raz i we
+  // właściwej kolumnie (ta sama historia w obu kolumnach się nie liczy).
+  function checkStories(scenario, answer = {}) {
+    const sprint = asList(answer.sprint);
+    const later = asList(answer.later);
+    const counts = countIds([sprint, later]);
+    const stories = scenario.stories;
+    const total = stories.length;
+    const correct = stories.filter(
+      (story) =>
+        counts.get(story.id) === 1 &&
+        (story.matchesGoal ? sprint : later).includes(story.id),
+    ).length;
+
+    if (correct === total) {
+      return {
+        delta: PASS_POINTS.stories,
+        passed: true,
+        reason: "ok",
+        correct,
+        total,
+      };
+    }
+    return {
+      delta: -3,
+      passed: false,
+      reason: "misclassified",
+      correct,
+      total,
+    };
+  }
+
+  // assignments - { id historii: [id testów] }, sprintStoryIds – historie,
+  // które drużyna umieściła w Sprincie w pokoju 2. correctStoryIds - historie
+  // z co najmniej jednym pasującym testem. Każdy test może być przypisany
+  // tylko raz - test na kilku listach to błędne przypisanie.
+  function checkTests(scenario, answer = {}, sprintStoryIds = []) {
+    const assignments = asObject(answer.assignments);
+    const tests = scenario.tests;
+    const assigned = (storyId) =>
+      Object.prototype.hasOwnProperty.call(assignments, storyId)
+        ? asList(assignments[storyId])
+        : [];
+    const counts = countIds(sprintStoryIds.map(assigned));
+
+    const correctStoryIds = sprintStoryIds.filter((storyId) =>
+      assigned(storyId).some((testId) => {
+        const test = tests.find((t) => t.id === testId);
+        return test && test.storyId === storyId;
+      }),
+    );
+    const details = {
+      unassigned: tests.filter((test) => !counts.has(test.id)).length,
+      duplicated: tests.filter((test) => counts.get(test.id) > 1).length,
+      withoutTests: sprintStoryIds.filter(
+        (storyId) => assigned(storyId).length === 0,
+      ).length,
+      correct: correctStoryIds.length,
+      total: sprintStoryIds.length,
+      correctStoryIds,
+    };
+
+    if (details.unassigned > 0) {
+      return {
+        delta: -MAX_PENALTY,
+        passed: false,
+        reason: "unassigned-tests",
+        ...details,
+      };
+    }
+    if (details.duplicated > 0) {
+      return {
+        delta: -MAX_PENALTY,
+        passed: false,
+        reason: "wrong-assignment",
+        ...details,
+      };
+    }
+    if (details.withoutTests > 0) {
+      return {
+        delta: -3,
+        passed: false,
+        reason: "story-without-tests",
+        ...details,
+      };
+    }
+    if (details.correct === details.total && details.total > 0) {
+      return {
+        delta: PASS_POINTS.tests,
+        passed: true,
+        reason: "ok",
+        ...details,
+      };
+    }
+    return {
+      delta: -MAX_PENALTY,
+      passed: false,
+      reason: "wrong-assignment",
+      ...details,
+    };
+  }
+
+  // choice - id wybranej opcji; option - opcja ze scenariusza (komunikat,
+  // powód zakończenia gry)
+  function checkConflict(scenario, { choice } = {}) {
+    const option = scenario.conflict.options.find((o) => o.id === choice);
+    if (!option) {
+      return { delta: 0, passed: false, reason: "unknown-choice" };
+    }
+    return {
+      delta: option.points,
+      passed: Boolean(option.endsGame),
+      finished: Boolean(option.endsGame),
+      reason: option.correct ? "ok" : option.endsGame ? choice : "bad-choice",
+      option,
+    };
+  }
+
+  // progress - { wrongAttempts, sprintStoryIds } drużyny; null dla
+  // nieznanego pokoju
+  function checkRoom(scenario, room, answer, progress = {}, settings) {
+    answer = asObject(answer);
+    switch (room) {
+      case "quiz":
+        return checkQuiz(scenario, answer, progress);
+      case "backlog":
+        return checkBacklog(scenario, answer, settings);
+      case "stories":
+        return checkStories(scenario, answer);
+      case "tests":
+        return checkTests(scenario, answer, progress.sprintStoryIds);
+      case "conflict":
+        return checkConflict(scenario, answer);
+      default:
+        return null;
+    }
+  }
+
+  const api = {
+    MAX_PENALTY,
+    PASS_POINTS,
+    QUIZ_POINTS_PER_ANSWER,
+    checkBacklog,
+    checkConflict,
+    checkQuiz,
+    checkRoom,
+    checkStories,
+    checkTests,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.RoomChecks = api;
+  }
+})(this);
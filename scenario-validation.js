@@ -0,0 +1,373 @@
+// Walidacja spójności scenariusza - wspólna dla serwera (require) i edytora
+// w przeglądarce (globalne ScenarioValidation).
+
+(function (root) {
+  const PRIORITIES = ["High", "Medium", "Low"];
+  const TEST_TYPES = ["unit", "integration", "e2e"];
+  // Pokoje gry (kolejność jak w game-rules.js) - pole room podpowiedzi
+  const ROOMS = ["quiz", "backlog", "stories", "tests", "conflict"];
+  const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+  // Języki, w których scenariusz może mieć tłumaczenie (pole translations)
+  const LANGUAGES = ["pl", "uk", "en"];
+
+  function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+  }
+
+  function isNonNegativeInt(value) {
+    return Number.isInteger(value) && value >= 0;
+  }
+
+  function isObject(value) {
+    return Boolean(value) && typeof value === "object";
+  }
+
+  // Elementy listy, które są obiektami - pozostałe zgłasza już checkIds
+  function objects(list) {
+    return Array.isArray(list) ? list.filter(isObject) : [];
+  }
+
+  // Sprawdź, czy identyfikatory na liście są niepuste i unikalne
+  function checkIds(list, label, errors) {
+    const seen = new Set();
+    list.forEach((item, index) => {
+      if (!item || !isNonEmptyString(item.id)) {
+        errors.push(`${label} #${index + 1}: brak identyfikatora.`);
+        return;
+      }
+      if (seen.has(item.id)) {
+        errors.push(`${label}: identyfikator „${item.id}” się powtarza.`);
+      }
+      seen.add(item.id);
+    });
+  }
+
+  function validateQuiz(quiz, errors) {
+    if (!Array.isArray(quiz) || quiz.length === 0) {
+      errors.push("Quiz musi mieć co najmniej jedno pytanie.");
+      return;
+    }
+    checkIds(quiz, "Quiz", errors);
+    quiz.forEach((question, index) => {
+      if (!isObject(question)) return;
+      const label = `Pytanie ${index + 1}`;
+      if (!isNonEmptyString(question.question)) {
+        errors.push(`${label}: brak treści pytania.`);
+      }
+      const options = Array.isArray(question.options) ? question.options : [];
+      if (options.length < 2) {
+        errors.push(`${label}: potrzebne są co najmniej dwie odpowiedzi.`);
+        return;
+      }
+      checkIds(options, `${label} – odpowiedzi`, errors);
+      if (objects(options).some((o) => !isNonEmptyString(o.text))) {
+        errors.push(`${label}: każda odpowiedź musi mieć treść.`);
+      }
+      const correctCount = objects(options).filter(
+        (o) => o.correct === true,
+      ).length;
+      if (correctCount !== 1) {
+        errors.push(`${label}: dokładnie jedna odpowiedź musi być poprawna.`);
+      }
+    });
+  }
+
+  function validateBacklog(scenario, errors) {
+    const backlog = scenario.backlog;
+    if (!Array.isArray(backlog) || backlog.length === 0) {
+      errors.push("Product Backlog musi zawierać co najmniej jeden element.");
+      return;
+    }
+    checkIds(backlog, "Product Backlog", errors);
+    backlog.forEach((item, index) => {
+      if (!isObject(item)) return;
+      const label = `Product Backlog #${index + 1}`;
+      if (!isNonEmptyString(item.title)) {
+        errors.push(`${label}: brak tytułu.`);
+      }
+      if (!Number.isInteger(item.points) || item.points <= 0) {
+        errors.push(`${label}: story points muszą być dodatnią liczbą.`);
+      }
+      if (!PRIORITIES.includes(item.priority)) {
+        errors.push(`${label}: nieznany priorytet „${item.priority}”.`);
+      }
+    });
+
+    const capacity = scenario.sprintCapacity;
+    const minPoints = scenario.minSprintPoints;
+    const sum = (items) => items.reduce((acc, i) => acc + (i.points || 0), 0);
+    const items = objects(backlog);
+    const mustHavePoints = sum(items.filter((i) => i.mustHave));
+    if (mustHavePoints > capacity) {
+      errors.push(
+        `Elementy must have (${mustHavePoints} SP) nie mieszczą się w pojemności Sprintu (${capacity} SP).`,
+      );
+    }
+    if (sum(items) < minPoints) {
+      errors.push(
+        `Cały Product Backlog (${sum(items)} SP) jest mniejszy niż minimum Sprintu (${minPoints} SP).`,
+      );
+    }
+  }
+
+  function validateStories(stories, errors) {
+    if (!Array.isArray(stories) || stories.length === 0) {
+      errors.push("Scenariusz musi mieć co najmniej jedną User Story.");
+      return;
+    }
+    checkIds(stories, "User Stories", errors);
+    stories.forEach((story, index) => {
+      if (!isObject(story)) return;
+      if (!isNonEmptyString(story.text)) {
+        errors.push(`User Story #${index + 1}: brak treści.`);
+      }
+    });
+    if (!objects(stories).some((s) => s.matchesGoal === true)) {
+      errors.push("Co najmniej jedna User Story musi wspierać cel Sprintu.");
+    }
+  }
+
+  function validateTests(scenario, errors) {
+    const tests = scenario.tests;
+    const stories = objects(scenario.stories);
+    if (!Array.isArray(tests) || tests.length === 0) {
+      errors.push("Scenariusz musi mieć co najmniej jeden test.");
+      return;
+    }
+    checkIds(tests, "Testy", errors);
+    const storyIds = new Set(stories.map((s) => s.id));
+    tests.forEach((test, index) => {
+      if (!isObject(test)) return;
+      const label = `Test #${index + 1}`;
+      if (!isNonEmptyString(test.text)) {
+        errors.push(`${label}: brak treści.`);
+      }
+      if (!storyIds.has(test.storyId)) {
+        errors.push(`${label}: User Story „${test.storyId}” nie istnieje.`);
+      }
+      if (!TEST_TYPES.includes(test.type)) {
+        errors.push(`${label}: nieznany rodzaj testu „${test.type}”.`);
+      }
+    });
+    // Bez testu historia w Sprincie nie da się zaliczyć w pokoju testów
+    stories
+      .filter((s) => s.matchesGoal === true)
+      .forEach((story) => {
+        if (!objects(tests).some((t) => t.storyId === story.id)) {
+          errors.push(`User Story „${story.id}” ze Sprintu nie ma testów.`);
+        }
+      });
+  }
+
+  function validateConflict(conflict, errors) {
+    if (!isObject(conflict)) {
+      errors.push("Brak pokoju konfliktu.");
+      return;
+    }
+    if (!isNonEmptyString(conflict.po) || !isNonEmptyString(conflict.dev)) {
+      errors.push("Konflikt: uzupełnij wypowiedzi PO i Dev.");
+    }
+    const options = Array.isArray(conflict.options) ? conflict.options : [];
+    if (options.length < 2) {
+      errors.push("Konflikt: potrzebne są co najmniej dwie opcje.");
+      return;
+    }
+    checkIds(options, "Konflikt – opcje", errors);
+    options.forEach((option, index) => {
+      if (!isObject(option)) return;
+      const label = `Konflikt – opcja ${index + 1}`;
+      if (!isNonEmptyString(option.text)) {
+        errors.push(`${label}: brak treści.`);
+      }
+      if (!Number.isInteger(option.points)) {
+        errors.push(`${label}: punkty muszą być liczbą całkowitą.`);
+      } else if (option.points > 0 && option.endsGame !== true) {
+        // Opcję, która nie kończy gry, można wybierać wiele razy
+        errors.push(
+          `${label}: opcja, która nie kończy gry, nie może dawać punktów.`,
+        );
+      }
+      if (!isNonEmptyString(option.feedback)) {
+        errors.push(`${label}: brak informacji zwrotnej.`);
+      }
+    });
+    if (
+      !objects(options).some((o) => o.correct === true && o.endsGame === true)
+    ) {
+      errors.push(
+        "Konflikt: co najmniej jedna poprawna opcja musi kończyć grę.",
+      );
+    }
+  }
+
+  // Podpowiedzi są opcjonalne; w pokoju odkrywane w kolejności z listy
+  function validateHints(hints, errors) {
+    if (hints === undefined) return;
+    if (!Array.isArray(hints)) {
+      errors.push("Podpowiedzi muszą być listą.");
+      return;
+    }
+    checkIds(hints, "Podpowiedzi", errors);
+    hints.forEach((hint, index) => {
+      if (!isObject(hint)) return;
+      const label = `Podpowiedź #${index + 1}`;
+      if (!ROOMS.includes(hint.room)) {
+        errors.push(`${label}: nieznany pokój „${hint.room}”.`);
+      }
+      if (!isNonEmptyString(hint.text)) {
+        errors.push(`${label}: brak treści.`);
+      }
+      if (!Number.isInteger(hint.cost) || hint.cost <= 0) {
+        errors.push(`${label}: koszt musi być dodatnią liczbą punktów.`);
+      }
+    });
+  }
+
+  // Teksty tłumaczenia wskazują elementy po id - nieznane id to literówka
+  function checkTexts(texts, list, label, errors) {
+    if (texts === undefined) return;
+    if (!texts || typeof texts !== "object") {
+      errors.push(`${label}: tłumaczenia muszą być obiektem.`);
+      return;
+    }
+    const ids = new Set(objects(list).map((i) => i.id));
+    Object.keys(texts).forEach((id) => {
+      if (!ids.has(id)) {
+        errors.push(`${label}: element „${id}” nie istnieje.`);
+      } else if (!isNonEmptyString(texts[id])) {
+        errors.push(`${label}: pusty tekst dla „${id}”.`);
+      }
+    });
+  }
+
+  function validateTranslations(scenario, errors) {
+    const translations = scenario.translations;
+    if (translations === undefined) return;
+    if (!translations || typeof translations !== "object") {
+      errors.push("Tłumaczenia scenariusza muszą być obiektem.");
+      return;
+    }
+
+    Object.keys(translations).forEach((lang) => {
+      const label = `Tłumaczenie ${lang}`;
+      const tr = translations[lang];
+      if (!LANGUAGES.includes(lang)) {
+        errors.push(`${label}: nieobsługiwany język.`);
+        return;
+      }
+      if (!tr || typeof tr !== "object") {
+        errors.push(`${label}: musi być obiektem.`);
+        return;
+      }
+      ["name", "description", "sprintGoal"].forEach((field) => {
+        if (tr[field] !== undefined && !isNonEmptyString(tr[field])) {
+          errors.push(`${label}: pole ${field} nie może być puste.`);
+        }
+      });
+
+      const quiz = objects(scenario.quiz);
+      Object.keys(tr.quiz || {}).forEach((id) => {
+        const question = quiz.find((q) => q.id === id);
+        const qt = tr.quiz[id] || {};
+        if (!question) {
+          errors.push(`${label} – quiz: pytanie „${id}” nie istnieje.`);
+          return;
+        }
+        if (qt.question !== undefined && !isNonEmptyString(qt.question)) {
+          errors.push(`${label} – quiz: pusta treść pytania „${id}”.`);
+        }
+        checkTexts(
+          qt.options,
+          question.options,
+          `${label} – quiz „${id}”`,
+          errors,
+        );
+      });
+      checkTexts(tr.backlog, scenario.backlog, `${label} – backlog`, errors);
+      checkTexts(
+        tr.stories,
+        scenario.stories,
+        `${label} – User Stories`,
+        errors,
+      );
+      checkTexts(tr.tests, scenario.tests, `${label} – testy`, errors);
+      checkTexts(tr.hints, scenario.hints, `${label} – podpowiedzi`, errors);
+
+      const conflict = tr.conflict || {};
+      ["po", "dev"].forEach((field) => {
+        if (
+          conflict[field] !== undefined &&
+          !isNonEmptyString(conflict[field])
+        ) {
+          errors.push(`${label} – konflikt: pusta wypowiedź ${field}.`);
+        }
+      });
+      const options = isObject(scenario.conflict)
+        ? objects(scenario.conflict.options)
+        : [];
+      Object.keys(conflict.options || {}).forEach((id) => {
+        const ot = conflict.options[id] || {};
+        if (!options.some((o) => o.id === id)) {
+          errors.push(`${label} – konflikt: opcja „${id}” nie istnieje.`);
+          return;
+        }
+        ["text", "feedback", "endReason"].forEach((field) => {
+          if (ot[field] !== undefined && !isNonEmptyString(ot[field])) {
+            errors.push(`${label} – konflikt „${id}”: puste pole ${field}.`);
+          }
+        });
+      });
+    });
+  }
+
+  // Zwraca listę błędów (pusta lista = scenariusz poprawny)
+  function validateScenario(scenario) {
+    const errors = [];
+    if (!scenario || typeof scenario !== "object") {
+      return ["Scenariusz musi być obiektem."];
+    }
+
+    if (!isNonEmptyString(scenario.id) || !ID_PATTERN.test(scenario.id)) {
+      errors.push(
+        "Identyfikator scenariusza może zawierać tylko małe litery, cyfry i myślniki.",
+      );
+    }
+    if (!isNonEmptyString(scenario.name)) {
+      errors.push("Podaj nazwę scenariusza.");
+    }
+    if (!isNonEmptyString(scenario.sprintGoal)) {
+      errors.push("Podaj cel Sprintu.");
+    }
+    if (
+      !Number.isInteger(scenario.sprintCapacity) ||
+      scenario.sprintCapacity <= 0
+    ) {
+      errors.push("Pojemność Sprintu musi być dodatnią liczbą całkowitą.");
+    }
+    if (!isNonNegativeInt(scenario.minSprintPoints)) {
+      errors.push("Minimum story points musi być nieujemną liczbą całkowitą.");
+    } else if (scenario.minSprintPoints > scenario.sprintCapacity) {
+      errors.push(
+        "Minimum story points nie może przekraczać pojemności Sprintu.",
+      );
+    }
+
+    validateQuiz(scenario.quiz, errors);
+    validateBacklog(scenario, errors);
+    validateStories(scenario.stories, errors);
+    validateTests(scenario, errors);
+    validateConflict(scenario.conflict, errors);
+    validateHints(scenario.hints, errors);
+    validateTranslations(scenario, errors);
+
+    return errors;
+  }
+
+  const api = { PRIORITIES, TEST_TYPES, ROOMS, LANGUAGES, validateScenario };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.ScenarioValidation = api;
+  }
+})(this);
@@ -0,0 +1,89 @@
+// Scenariusze gry - pliki JSON w katalogu scenarios/
+// Każdy scenariusz zawiera pełną treść pokoi: quiz, backlog, historie, testy,
+// cel Sprintu, pojemność Sprintu i opcje konfliktu z punktacją.
+
+const fs = require("fs");
+const path = require("path");
+const { validateScenario } = require("./scenario-validation");
+
+const SCENARIOS_DIR = path.join(__dirname, "scenarios");
+const DEFAULT_SCENARIO_ID = "login-release";
+
+// id -> { scenario, source } gdzie source to "file" albo "database"
+const scenarios = new Map();
+
+function loadScenarios() {
+  scenarios.clear();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(SCENARIOS_DIR).filter((f) => f.endsWith(".json"));
+  } catch (error) {
+    console.error("⚠️ Brak katalogu scenariuszy:", error.message);
+    return;
+  }
+
+  files.forEach((file) => {
+    try {
+      const raw = fs.readFileSync(path.join(SCENARIOS_DIR, file), "utf8");
+      const scenario = JSON.parse(raw);
+      const errors = validateScenario(scenario);
+      if (errors.length > 0) {
+        console.error(`⚠️ Pominięto niepoprawny scenariusz ${file}:`, errors);
+        return;
+      }
+      scenarios.set(scenario.id, { scenario, source: "file" });
+    } catch (error) {
+      console.error(`⚠️ Błąd wczytywania scenariusza ${file}:`, error.message);
+    }
+  });
+
+  console.log(`✓ Wczytano scenariusze: ${scenarios.size}`);
+}
+
+// Dodaj scenariusz zapisany w bazie danych (edytor scenariuszy)
+function registerScenario(scenario) {
+  scenarios.set(scenario.id, { scenario, source: "database" });
+}
+
+// Scenariusze z plików są wbudowane i nie można ich nadpisać z edytora
+function isBuiltIn(id) {
+  const entry = scenarios.get(id);
+  return Boolean(entry && entry.source === "file");
+}
+
+// Nazwy scenariusza w językach z pola translations (lista w grze)
+function translatedNames(scenario) {
+  const names = {};
+  Object.keys(scenario.translations || {}).forEach((lang) => {
+    if (scenario.translations[lang].name) {
+      names[lang] = scenario.translations[lang].name;
+    }
+  });
+  return names;
+}
+
+function listScenarios() {
+  return Array.from(scenarios.values()).map(({ scenario, source }) => ({
+    id: scenario.id,
+    name: scenario.name,
+    description: scenario.description || "",
+    names: translatedNames(scenario),
+    source,
+  }));
+}
+
+// Zwraca scenariusz lub domyślny, gdy id jest nieznane
+function getScenario(id) {
+  const entry = scenarios.get(id) || scenarios.get(DEFAULT_SCENARIO_ID);
+  return entry ? entry.scenario : null;
+}
+
+module.exports = {
+  DEFAULT_SCENARIO_ID,
+  loadScenarios,
+  registerScenario,
+  isBuiltIn,
+  listScenarios,
+  getScenario,
+};
@@ -2,9 +2,18 @@ require("dotenv").config();
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
+const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const mysql = require("mysql2/promise");
+const crypto = require("crypto");
+const rules = require("./game-rules");
+const scenarios = require("./scenarios");
+const { validateScenario } = require("./scenario-validation");
+const GameSettings = require("./game-settings");
+const Ranking = require("./ranking");
+const TeamName = require("./team-name");
+const { createStorage } = require("./storage");
+const { summarizeAnswers, summarizeRoomTimes } = require("./analytics-stats");
 
 const app = express();
 const server = http.createServer(app);
@@ -13,101 +22,199 @@ const PORT = process.env.PORT || 3001;
 // Middleware do parsowania JSON
 app.use(express.json());
 
-// Konfiguracja połączenia z MySQL
-const dbConfig = {
-  host: process.env.DB_HOST || "127.0.0.1",
-  user: process.env.DB_USER || "root",
-  password: process.env.DB_PASSWORD || "",
-  database: process.env.DB_NAME || "escape_room_game",
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-};
+// Magazyn danych (storage.js) - MySQL, SQLite albo pamięć, według STORAGE
+// w .env. Żądania czekają na niego przez storageReady.
+async function initStorage() {
+  const storage = await createStorage();
+  const note = storage.persistent ? "" : " (dane znikną po restarcie)";
+  console.log(`✓ Magazyn danych: ${storage.name}${note}`);
+  try {
+    await loadStoredScenarios(storage);
+  } catch (error) {
+    console.error("⚠️ Nie udało się wczytać scenariuszy:", error.message);
+  }
+  return storage;
+}
 
-// Konfiguracja bez bazy danych (do inicjalizacji)
-const dbConfigNoDB = {
-  host: process.env.DB_HOST || "127.0.0.1",
-  user: process.env.DB_USER || "root",
-  password: process.env.DB_PASSWORD || "",
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-};
+// Wczytaj scenariusze zapisane w edytorze
+async function loadStoredScenarios(storage) {
+  const rows = await storage.loadScenarios();
+  rows.forEach((row) => {
+    try {
+      const scenario = JSON.parse(row.data);
+      if (validateScenario(scenario).length === 0) {
+        scenarios.registerScenario(scenario);
+      }
+    } catch (error) {
+      console.error(`⚠️ Uszkodzony scenariusz ${row.id}:`, error.message);
+    }
+  });
+  console.log(`✓ Scenariusze z edytora: ${rows.length}`);
+}
+
+// Wczytaj scenariusze z katalogu scenarios/
+scenarios.loadScenarios();
+
+// Przygotuj magazyn danych w tle - serwer przyjmuje połączenia od razu
+const storageReady = initStorage();
+
+// CORS - gra, panel prowadzącego i analityka działają z tego samego serwera.
+// Inne strony mogą korzystać z API tylko z adresów z CORS_ORIGINS w .env
+// (po przecinku, np. http://localhost:5500).
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
-// Jeśli DB_SOCKET jest ustawiony (np. dla MAMP), użyj socket'a zamiast TCP
-if (process.env.DB_SOCKET) {
-  dbConfig.socketPath = process.env.DB_SOCKET;
-  delete dbConfig.host; // Usuń host gdy używamy socket'a
-  dbConfigNoDB.socketPath = process.env.DB_SOCKET;
-  delete dbConfigNoDB.host;
+app.use((req, res, next) => {
+  const origin = req.headers.origin;
+  if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Vary", "Origin");
+    res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.header("Access-Control-Allow-Headers", "Content-Type");
+  }
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(200);
+  }
+  next();
+});
+
+// Limit żądań z jednego adresu IP w oknie czasowym. Limity są zapasem na
+// klasę, w której wszystkie drużyny wychodzą do sieci z jednego adresu.
+function rateLimit({ max, windowMs }) {
+  const hits = new Map(); // ip -> { count, resetAt }
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, ip) => {
+      if (entry.resetAt <= now) hits.delete(ip);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count += 1;
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res
+        .status(429)
+        .json({ error: "Zbyt wiele żądań - spróbuj ponownie za chwilę" });
+    }
+    next();
+  };
 }
 
-// Utwórz pulę połączeń
-const pool = mysql.createPool(dbConfig);
+const scoreLimiter = rateLimit({ max: 30, windowMs: 60 * 1000 });
+const runLimiter = rateLimit({ max: 60, windowMs: 60 * 1000 });
 
-// Flaga do śledzenia statusu bazy danych
-let dbReady = false;
+// Token przebiegu: serwer podpisuje go na starcie gry (tryb, scenariusz,
+// ustawienia, czas startu), a POST /api/scores przyjmuje tylko wynik
+// z ważnym, jeszcze niewykorzystanym tokenem.
+const SECRET_FILE = path.join(__dirname, "data", "score-secret");
+const RUN_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
 
-// Funkcja do inicjalizacji bazy danych (nie blokuje startowania serwera)
-async function initDatabase() {
+// Klucz do podpisywania tokenów: SCORE_SECRET z .env albo klucz wylosowany
+// przy pierwszym starcie i zapisany w data/score-secret - tokeny wyników
+// czekających w kolejce offline przetrwają restart serwera
+function loadScoreSecret() {
+  if (process.env.SCORE_SECRET) return process.env.SCORE_SECRET;
   try {
-    // Najpierw połącz się BEZ bazy danych, aby ją utworzyć
-    const tempConnection = await mysql.createConnection(dbConfigNoDB);
-
-    // Utwórz bazę danych jeśli nie istnieje
-    await tempConnection.execute(`
-      CREATE DATABASE IF NOT EXISTS escape_room_game CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
-    `);
-    console.log("✓ Baza danych escape_room_game istnieje");
-
-    tempConnection.end();
-
-    // Teraz połącz się z bazą danych
-    const connection = await pool.getConnection();
-
-    // Utwórz tabelę jeśli nie istnieje
-    await connection.query(`
-      CREATE TABLE IF NOT EXISTS scores (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        team_name VARCHAR(255) NOT NULL,
-        score INT NOT NULL,
-        time_seconds INT NOT NULL,
-        mode VARCHAR(50) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_score (score DESC),
-        INDEX idx_time (time_seconds ASC),
-        INDEX idx_created (created_at DESC)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-    `);
-
-    connection.release();
-    dbReady = true;
-    console.log("✓ Tabela scores istnieje");
+    const stored = fs.readFileSync(SECRET_FILE, "utf8").trim();
+    if (stored) return stored;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("⚠️ Nie udało się odczytać klucza tokenów:", error.message);
+    }
+  }
+
+  const secret = crypto.randomBytes(32).toString("hex");
+  try {
+    fs.mkdirSync(path.dirname(SECRET_FILE), { recursive: true });
+    fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
   } catch (error) {
     console.error(
-      "⚠️ Baza danych niedostępna - gra będzie działać bez rankingu:",
+      "⚠️ Nie udało się zapisać klucza tokenów - tokeny nie przetrwają restartu:",
       error.message
     );
-    dbReady = false;
-    // Nie przerywaj działania serwera
   }
+  return secret;
 }
 
-// Inicjalizuj bazę danych w tle (nie czekaj)
-initDatabase().catch(() => {
-  console.log("Kontynuuję bez bazy danych...");
-});
+const SCORE_SECRET = loadScoreSecret();
 
-// Middleware CORS dla wszystkich żądań
-app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") {
-    return res.sendStatus(200);
+function runSignature(payload) {
+  return crypto.createHmac("sha256", SCORE_SECRET).update(payload).digest();
+}
+
+function issueRunToken({ mode, scenarioId, settings, session = false }) {
+  const run = {
+    id: crypto.randomUUID(),
+    mode,
+    scenarioId,
+    settings,
+    session,
+    startedAt: Date.now(),
+  };
+  const payload = Buffer.from(JSON.stringify(run)).toString("base64url");
+  return `${payload}.${runSignature(payload).toString("base64url")}`;
+}
+
+// Przebieg z tokenu; null, gdy podpis się nie zgadza albo token wygasł
+function readRunToken(token, now = Date.now()) {
+  if (typeof token !== "string") return null;
+  const [payload, signature = ""] = token.split(".");
+  const expected = runSignature(payload);
+  const given = Buffer.from(signature, "base64url");
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return null;
   }
-  next();
-});
+  const run = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  return now - run.startedAt <= RUN_TOKEN_TTL_MS ? run : null;
+}
+
+// Każdy token można wykorzystać raz do zapisu wyniku (use "score") i raz
+// do utworzenia wyzwania Versus ("challenge"). Wykorzystane tokeny są
+// w magazynie danych, więc restart serwera ich nie odnawia.
+async function useRun(run, use = "score") {
+  const storage = await storageReady;
+  return storage.useRun(
+    `${use}:${run.id}`,
+    new Date(run.startedAt + RUN_TOKEN_TTL_MS)
+  );
+}
+
+// Wynik nie został zapisany - token znów można wykorzystać
+async function releaseRun(run, use = "score") {
+  const storage = await storageReady;
+  await storage.releaseRun(`${use}:${run.id}`);
+}
+
+// Wyniki drużyn multiplayer policzone przez serwer (po gameFinished albo
+// końcu sesji): id przebiegu -> { score, time, expiresAt }. Drużyna może
+// zapisać w rankingu tylko ten wynik.
+const runResults = new Map();
+
+function recordRunResult(team) {
+  const run = readRunToken(team.runToken);
+  if (!run) return;
+  const now = Date.now();
+  runResults.forEach((result, id) => {
+    if (result.expiresAt <= now) runResults.delete(id);
+  });
+  runResults.set(run.id, {
+    score: team.score,
+    time: team.time,
+    expiresAt: run.startedAt + RUN_TOKEN_TTL_MS,
+  });
+}
 
 // Endpoint testowy PRZED Socket.io
 app.get("/health", (req, res) => {
@@ -115,106 +222,560 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok", port: PORT, timestamp: new Date().toISOString() });
 });
 
-// API - Zapisz wynik
-app.post("/api/scores", async (req, res) => {
+// API - Lista scenariuszy
+app.get("/api/scenarios", (req, res) => {
+  res.json({ success: true, scenarios: scenarios.listScenarios() });
+});
+
+// API - Pełna treść scenariusza
+app.get("/api/scenarios/:id", (req, res) => {
+  const scenario = scenarios.getScenario(req.params.id);
+  if (!scenario || scenario.id !== req.params.id) {
+    return res.status(404).json({ error: "Scenariusz nie istnieje" });
+  }
+  res.json({ success: true, scenario });
+});
+
+// API - Zapisz scenariusz z edytora (tworzy nowy lub nadpisuje istniejący)
+app.post("/api/scenarios", async (req, res) => {
+  try {
+    const scenario = req.body;
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Scenariusz jest niespójny", errors });
+    }
+
+    if (scenarios.isBuiltIn(scenario.id)) {
+      return res.status(409).json({
+        error:
+          "Scenariusz wbudowany nie może być nadpisany - zmień identyfikator",
+      });
+    }
+
+    const storage = await storageReady;
+    await storage.saveScenario(scenario);
+    scenarios.registerScenario(scenario);
+    console.log(`✅ Scenariusz zapisany: ${scenario.id}`);
+    return res.status(201).json({
+      success: true,
+      id: scenario.id,
+      persistent: storage.persistent,
+    });
+  } catch (error) {
+    console.error("❌ Błąd zapisu scenariusza:", error.message);
+    return res.status(500).json({ error: "Błąd zapisu scenariusza" });
+  }
+});
+
+// Wyzwania Versus - w magazynie danych, ostatnio używane także w pamięci
+const challenges = new Map();
+
+// Punkty i czas w pokojach: { quiz: { points, time }, ... }
+function validRoomResults(results) {
+  return (
+    Boolean(results) &&
+    typeof results === "object" &&
+    Object.keys(results).every(
+      (key) =>
+        rules.ROOM_ORDER.includes(key) &&
+        Boolean(results[key]) &&
+        Number.isInteger(results[key].points) &&
+        Number.isInteger(results[key].time) &&
+        results[key].time >= 0
+    )
+  );
+}
+
+// Sprawdź wynik przebiegu Versus, który ma stać się wyzwaniem - te same
+// zasady co przy zapisie wyniku w rankingu
+function validateChallenge({ scenarioId, seed, breakdown, ...result }, run) {
+  const errors = [];
+  if (run.mode !== "versus") {
+    errors.push("Wyzwanie można utworzyć tylko z gry Versus");
+  }
+  if (scenarioId !== run.scenarioId) {
+    errors.push("Scenariusz nie pasuje do przebiegu");
+  }
+  if (!Number.isInteger(seed) || seed <= 0 || seed > 0xffffffff) {
+    errors.push("Nieprawidłowe ziarno losowania");
+  }
+  errors.push(...validateRunResult(result, run));
+  if (!validRoomResults(breakdown)) {
+    errors.push("Nieprawidłowy wynik pokoi");
+  }
+  return errors;
+}
+
+// API - Utwórz wyzwanie z rozegranego przebiegu Versus (z tokenem przebiegu
+// jak przy zapisie wyniku)
+app.post("/api/challenges", scoreLimiter, async (req, res) => {
+  const run = readRunToken((req.body || {}).runToken);
+  if (!run) {
+    return res
+      .status(403)
+      .json({ error: "Wyzwanie nie pochodzi z rozegranej gry" });
+  }
+
+  const errors = validateChallenge(req.body, run);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Niepoprawne wyzwanie", errors });
+  }
+  try {
+    if (!(await useRun(run, "challenge"))) {
+      return res
+        .status(409)
+        .json({ error: "Wyzwanie z tej gry zostało już utworzone" });
+    }
+  } catch (error) {
+    console.error("❌ Błąd zapisu tokenu gry:", error.message);
+    return res.status(503).json({
+      error: "Nie udało się utworzyć wyzwania - spróbuj ponownie później",
+    });
+  }
+
+  const { scenarioId, seed, teamName, score, time, breakdown } = req.body;
+  const challenge = {
+    id: crypto.randomBytes(5).toString("hex"),
+    scenarioId,
+    seed,
+    teamName: teamName.trim(),
+    score,
+    time,
+    breakdown,
+    // Rywal gra z tymi samymi ustawieniami co drużyna, która rzuciła wyzwanie
+    settings: run.settings,
+    createdAt: new Date().toISOString(),
+  };
+  challenges.set(challenge.id, challenge);
+
+  // Wyzwanie zostaje w pamięci serwera - link działa do restartu, nawet gdy
+  // magazyn odmówi zapisu
+  let stored = true;
+  try {
+    const storage = await storageReady;
+    await storage.saveChallenge(challenge);
+    stored = storage.persistent;
+  } catch (error) {
+    stored = false;
+    console.error("❌ Błąd zapisu wyzwania:", error.message);
+  }
+
+  console.log(`✅ Wyzwanie utworzone: ${challenge.id} (${teamName})`);
+  return res.status(201).json({ success: true, id: challenge.id, stored });
+});
+
+// API - Pobierz wyzwanie (link ?challenge=ID)
+app.get("/api/challenges/:id", async (req, res) => {
+  let challenge = challenges.get(req.params.id);
+
+  if (!challenge) {
+    try {
+      const storage = await storageReady;
+      const stored = await storage.getChallenge(req.params.id);
+      if (stored) {
+        challenge = {
+          ...stored,
+          // Wyzwania sprzed ustawień gry były rozgrywane na poziomie normalnym
+          settings: GameSettings.normalizeSettings(stored.settings),
+        };
+        challenges.set(challenge.id, challenge);
+      }
+    } catch (error) {
+      console.error("❌ Błąd odczytu wyzwania:", error.message);
+    }
+  }
+
+  if (!challenge) {
+    return res.status(404).json({ error: "Wyzwanie nie istnieje" });
+  }
+  res.json({ success: true, challenge });
+});
+
+// Historia gry dołączana do wyniku: { scenarioId, seed, roomCode, attempts }
+// roomCode - kod pokoju multiplayer lub sesji warsztatowej (filtr analityki)
+// Każda próba to wpis z historii punktacji game.js (state.scoreEvents),
+// także odkryta podpowiedź (hint: true); najwyżej rules.MAX_ATTEMPTS prób
+function validateGameSession(session) {
+  const errors = [];
+  if (!session || typeof session !== "object") {
+    return ["Nieprawidłowa historia gry"];
+  }
+  const scenario = scenarios.getScenario(session.scenarioId);
+  if (!scenario || scenario.id !== session.scenarioId) {
+    errors.push("Nieznany scenariusz");
+  }
+  if (
+    session.seed !== null &&
+    session.seed !== undefined &&
+    (!Number.isInteger(session.seed) ||
+      session.seed <= 0 ||
+      session.seed > 0xffffffff)
+  ) {
+    errors.push("Nieprawidłowe ziarno losowania");
+  }
+  if (
+    session.roomCode !== null &&
+    session.roomCode !== undefined &&
+    (typeof session.roomCode !== "string" ||
+      !/^[A-Z0-9]{1,16}$/.test(session.roomCode))
+  ) {
+    errors.push("Nieprawidłowy kod pokoju");
+  }
+  const attempts = session.attempts;
+  if (!Array.isArray(attempts) || attempts.length > rules.MAX_ATTEMPTS) {
+    errors.push("Nieprawidłowa lista prób");
+  } else if (
+    attempts.some(
+      (attempt) =>
+        !attempt ||
+        !rules.ROOM_ORDER.includes(attempt.room) ||
+        !Number.isInteger(attempt.attempt) ||
+        attempt.attempt < 1 ||
+        !Number.isInteger(attempt.delta) ||
+        typeof attempt.passed !== "boolean" ||
+        (attempt.hint !== undefined && typeof attempt.hint !== "boolean") ||
+        typeof attempt.reason !== "string" ||
+        !Number.isInteger(attempt.elapsed) ||
+        attempt.elapsed < 0
+    )
+  ) {
+    errors.push("Nieprawidłowa próba w historii gry");
+  }
+  // Czas w pokojach - starsze wersje gry go nie wysyłają
+  if (session.rooms !== undefined && !validRoomResults(session.rooms)) {
+    errors.push("Nieprawidłowy wynik pokoi");
+  }
+  return errors;
+}
+
+// Przebieg gry do zapisu w magazynie: próby z odpowiedziami rozbitymi na
+// elementy (rules.answerItems) i czas w pokojach
+function gameSessionRecord(scoreId, { teamName, score, time, mode }, data) {
+  const scenario = scenarios.getScenario(data.scenarioId);
+  return {
+    scoreId,
+    roomCode: data.roomCode || null,
+    scenarioId: scenario.id,
+    seed: data.seed || null,
+    teamName,
+    mode,
+    score,
+    time,
+    attempts: data.attempts.map((attempt) => ({
+      room: attempt.room,
+      attempt: attempt.attempt,
+      delta: attempt.delta,
+      passed: attempt.passed,
+      hint: Boolean(attempt.hint),
+      reason: attempt.reason.slice(0, 255),
+      elapsed: attempt.elapsed,
+      at: Number.isFinite(attempt.at) ? new Date(attempt.at) : new Date(),
+      // Podpowiedź nie jest odpowiedzią - nie trafia do attempt_answers
+      items: (attempt.hint
+        ? []
+        : rules.answerItems(scenario, attempt.room, attempt.answer)
+      ).map((item) => ({
+        ...item,
+        value: item.value === null ? null : String(item.value).slice(0, 64),
+      })),
+    })),
+    rooms: Object.entries(data.rooms || {}).map(([room, result]) => ({
+      room,
+      points: result.points,
+      time: result.time,
+    })),
+  };
+}
+
+// API - Token przebiegu na start gry solo lub Versus (drużyny multiplayer
+// dostają go razem z gameStart). Podgląd z edytora nie dostaje tokenu - jego
+// scenariusza nie ma na serwerze.
+app.post("/api/runs", runLimiter, (req, res) => {
+  const { mode, scenarioId, settings } = req.body || {};
+  const errors = [];
+  if (mode !== "solo" && mode !== "versus") {
+    errors.push("Nieprawidłowy tryb gry");
+  }
+  const scenario = scenarios.getScenario(scenarioId);
+  if (!scenario || scenario.id !== scenarioId) {
+    errors.push("Nieznany scenariusz");
+  }
+  const gameSettings = GameSettings.normalizeSettings(settings);
+  if (!gameSettings) {
+    errors.push("Nieprawidłowe ustawienia gry");
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Nie można rozpocząć gry", errors });
+  }
+
+  res.status(201).json({
+    success: true,
+    token: issueRunToken({ mode, scenarioId, settings: gameSettings }),
+  });
+});
+
+// Czas gry liczony w przeglądarce może nieco wyprzedzać zegar serwera
+const CLOCK_TOLERANCE_SECONDS = 5;
+// Najkrótsza gra solo / Versus - drużyna, która zna odpowiedzi, i tak musi
+// przejść przez pięć pokoi
+const MIN_RUN_SECONDS = 30;
+// Identyfikator wyniku nadany w grze (kolejka offline, game.js)
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Nazwa, punkty i czas względem przebiegu z tokenu: punkty w zakresie
+// możliwym w scenariuszu, czas nie dłuższy od limitu gry ani od czasu od
+// startu. W sesji warsztatowej prowadzący może przedłużyć grę ponad limit.
+function validateRunResult({ teamName, score, time }, run) {
+  const errors = [];
+  const teamNameError = TeamName.validateTeamName(teamName);
+  if (teamNameError) {
+    errors.push(TeamName.MESSAGES[teamNameError]);
+  }
+  const scenario = scenarios.getScenario(run.scenarioId);
+  if (!scenario || scenario.id !== run.scenarioId) {
+    errors.push("Nieznany scenariusz");
+  } else {
+    const { min, max } = rules.scoreBounds(scenario, run.settings);
+    if (!Number.isInteger(score) || score < min || score > max) {
+      errors.push("Nieprawidłowa liczba punktów");
+    }
+  }
+  const sinceStart =
+    (Date.now() - run.startedAt) / 1000 + CLOCK_TOLERANCE_SECONDS;
+  if (
+    !Number.isInteger(time) ||
+    time < 0 ||
+    time > sinceStart ||
+    (!run.session && time > run.settings.durationSeconds)
+  ) {
+    errors.push("Nieprawidłowy czas");
+  } else if (run.mode !== "multiplayer" && time < MIN_RUN_SECONDS) {
+    errors.push("Gra trwała zbyt krótko");
+  }
+  return errors;
+}
+
+// Wynik do rankingu. Multiplayer: punkty i czas muszą być tymi, które
+// policzył serwer.
+function validateScore(body, run) {
+  const { score, time, mode, session, clientId } = body;
+  const errors = [];
+  if (clientId !== undefined && !CLIENT_ID_PATTERN.test(clientId)) {
+    errors.push("Nieprawidłowy identyfikator wyniku");
+  }
+  if (mode !== run.mode) {
+    errors.push("Nieprawidłowy tryb gry");
+  }
+  errors.push(...validateRunResult(body, run));
+  if (run.mode === "multiplayer") {
+    const result = runResults.get(run.id);
+    if (!result) {
+      errors.push("Gra nie została jeszcze ukończona");
+    } else if (result.score !== score || result.time !== time) {
+      errors.push("Wynik nie zgadza się z wynikiem gry na serwerze");
+    }
+  }
+  if (session !== undefined) {
+    errors.push(...validateGameSession(session));
+    if (session && session.scenarioId !== run.scenarioId) {
+      errors.push("Historia gry nie pasuje do przebiegu");
+    }
+  }
+  return errors;
+}
+
+// API - Zapisz wynik (opcjonalnie z historią gry w polu session).
+// Wynik musi mieć token przebiegu wydany na starcie gry (runToken).
+app.post("/api/scores", scoreLimiter, async (req, res) => {
   try {
-    const { teamName, score, time, mode } = req.body;
+    const { teamName, score, time, mode, session, runToken } = req.body;
 
     if (!teamName || score === undefined || time === undefined || !mode) {
       console.error("Brakuje wymaganych pól:", { teamName, score, time, mode });
       return res.status(400).json({ error: "Brakuje wymaganych pól" });
     }
 
+    const run = readRunToken(runToken);
+    if (!run) {
+      return res
+        .status(403)
+        .json({ error: "Wynik nie pochodzi z rozegranej gry" });
+    }
+
+    const errors = validateScore(req.body, run);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Niepoprawny wynik", errors });
+    }
+
+    // Ponowne wysłanie z kolejki offline (np. gdy odpowiedź nie dotarła do
+    // gry) - wynik jest już w rankingu, więc zwracamy go zamiast dublować
+    const { clientId } = req.body;
+    if (clientId) {
+      const storage = await storageReady;
+      const existingId = await storage.findScoreByClientId(clientId);
+      if (existingId !== null) {
+        return res.status(200).json({
+          success: true,
+          id: existingId,
+          duplicate: true,
+          persistent: storage.persistent,
+          message: "Wynik był już zapisany",
+        });
+      }
+    }
+
+    // Scenariusz do filtrów rankingu - ten, dla którego wydano token
+    const scenarioId = run.scenarioId;
+
     console.log(
       `POST /api/scores - zapisuję: ${teamName}, ${score} pkt, ${time}s, ${mode}`
     );
 
-    // Jeśli baza danych nie jest dostępna, zwróć sukces (dane zostaną zapisane gdy DB będzie gotowa)
-    if (!dbReady) {
-      console.log("DB niedostępna - wynik nie został zapisany w bazie");
-      return res.status(200).json({
-        success: true,
-        id: null,
-        message: "Wynik przesłany (baza niedostępna, ranking niedostępny)",
-      });
-    }
-
+    let storage;
+    let scoreId;
     try {
-      const [result] = await pool.query(
-        "INSERT INTO scores (team_name, score, time_seconds, mode) VALUES (?, ?, ?, ?)",
-        [teamName, score, time, mode]
-      );
-
-      console.log(`✅ Wynik zapisany w bazie - ID: ${result.insertId}`);
-      return res.status(201).json({
-        success: true,
-        id: result.insertId,
-        message: "Wynik zapisany",
+      storage = await storageReady;
+      if (!(await useRun(run))) {
+        return res
+          .status(409)
+          .json({ error: "Wynik tej gry został już zapisany" });
+      }
+      scoreId = await storage.saveScore({
+        teamName,
+        score,
+        time,
+        mode,
+        scenarioId,
+        clientId,
       });
-    } catch (dbError) {
-      console.error("❌ Błąd bazy danych:", dbError.message);
-      // Zwróć success=true aby nie przerywać gry
-      return res.status(200).json({
-        success: true,
-        id: null,
-        message: "Wynik przesłany (błąd bazy danych)",
+    } catch (storageError) {
+      console.error("❌ Błąd zapisu wyniku:", storageError.message);
+      // Token wraca do puli - drużyna może wysłać wynik jeszcze raz
+      await releaseRun(run).catch((releaseError) => {
+        console.error("❌ Błąd zwolnienia tokenu gry:", releaseError.message);
+      });
+      return res.status(503).json({
+        success: false,
+        error: "Nie udało się zapisać wyniku - spróbuj ponownie później",
       });
     }
+    console.log(`✅ Wynik zapisany (${storage.name}) - ID: ${scoreId}`);
+
+    // Historia gry jest dodatkiem - jej błąd nie cofa zapisanego wyniku
+    let sessionId = null;
+    if (session) {
+      try {
+        sessionId = await storage.saveGameSession(
+          gameSessionRecord(scoreId, { teamName, score, time, mode }, session)
+        );
+      } catch (sessionError) {
+        console.error("❌ Błąd zapisu historii gry:", sessionError.message);
+      }
+    }
+
+    return res.status(201).json({
+      success: true,
+      id: scoreId,
+      sessionId,
+      persistent: storage.persistent,
+      message: storage.persistent
+        ? "Wynik zapisany"
+        : "Wynik zapisany tylko do restartu serwera",
+    });
   } catch (error) {
     console.error("❌ Błąd ogólny /api/scores:", error.message);
-    return res.status(200).json({
-      success: true,
-      id: null,
-      message: "Wynik przesłany (błąd serwera)",
+    return res.status(500).json({
+      success: false,
+      error: "Błąd serwera - wynik nie został zapisany",
     });
   }
 });
 
 // API - Pobierz ranking
+// ?sort=score|time|date&mode=&scenario=&period=all|today|week&team=&best=1
+// &page=&pageSize=
 app.get("/api/scores", async (req, res) => {
-  try {
-    if (!dbReady) {
-      return res.status(200).json({
-        success: true,
-        scores: [],
-        message: "Ranking niedostępny - baza danych nie jest połączona",
-      });
-    }
+  const { filters, errors } = Ranking.parseRankingQuery(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Niepoprawne filtry", errors });
+  }
 
-    const { sort = "score" } = req.query;
+  try {
+    const storage = await storageReady;
+    const { scores, total } = await storage.rankScores(filters);
+    return res.status(200).json({
+      success: true,
+      scores,
+      ...Ranking.pageInfo(total, filters),
+    });
+  } catch (error) {
+    console.error("Błąd pobierania wyników:", error);
+    // Gra pokaże wtedy wyniki zapisane w przeglądarce
+    return res.status(503).json({
+      success: false,
+      error: "Ranking niedostępny - błąd magazynu danych",
+    });
+  }
+});
 
-    let orderBy = "score DESC";
-    if (sort === "time") {
-      orderBy = "time_seconds ASC";
-    } else if (sort === "date") {
-      orderBy = "created_at DESC";
+// Filtry analityki z query string: scenario, from i to (RRRR-MM-DD), session
+function parseAnalyticsFilters(query) {
+  const value = (key) =>
+    typeof query[key] === "string" ? query[key].trim() : "";
+  const filters = {
+    scenario: value("scenario") || scenarios.DEFAULT_SCENARIO_ID,
+    from: value("from"),
+    to: value("to"),
+    session: value("session").toUpperCase(),
+  };
+
+  const errors = [];
+  const scenario = scenarios.getScenario(filters.scenario);
+  if (!scenario || scenario.id !== filters.scenario) {
+    errors.push("Nieznany scenariusz");
+  }
+  ["from", "to"].forEach((key) => {
+    if (
+      filters[key] &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(filters[key]) ||
+        Number.isNaN(Date.parse(filters[key])))
+    ) {
+      errors.push(`Nieprawidłowa data (${key})`);
     }
+  });
+  if (filters.session && !/^[A-Z0-9]{1,16}$/.test(filters.session)) {
+    errors.push("Nieprawidłowy kod sesji");
+  }
 
-    const [rows] = await pool.query(
-      `SELECT id, team_name, score, time_seconds, mode, created_at 
-       FROM scores 
-       ORDER BY ${orderBy} 
-       LIMIT 100`
-    );
+  return { errors, scenario, filters };
+}
 
-    // Formatuj wyniki
-    const scores = rows.map((row) => ({
-      id: row.id,
-      teamName: row.team_name,
-      score: row.score,
-      time: row.time_seconds,
-      mode: row.mode,
-      date: row.created_at.toISOString(),
-    }));
-
-    return res.status(200).json({ success: true, scores });
-  } catch (error) {
-    console.error("Błąd pobierania wyników:", error);
+// API - Statystyki nauczania dla prowadzących
+app.get("/api/analytics", async (req, res) => {
+  const { errors, scenario, filters } = parseAnalyticsFilters(req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Niepoprawne filtry", errors });
+  }
+
+  try {
+    const storage = await storageReady;
+    const stats = await storage.analytics(filters);
     return res.status(200).json({
       success: true,
-      scores: [],
-      message: "Ranking niedostępny - błąd bazy danych",
+      filters,
+      scenarioName: scenario.name,
+      sessions: stats.sessions,
+      averageScore:
+        stats.averageScore === null ? null : Math.round(stats.averageScore),
+      roomCodes: stats.roomCodes,
+      ...summarizeAnswers(scenario, stats.answerRows),
+      roomTimes: summarizeRoomTimes(stats.timeRows),
     });
+  } catch (error) {
+    console.error("Błąd pobierania analityki:", error);
+    return res.status(500).json({ error: "Błąd pobierania analityki" });
   }
 });
 
@@ -231,8 +792,41 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
 });
 
-// Serwuj pliki statyczne
-app.use(express.static(__dirname));
+// Wykresy analityki dla prowadzących
+app.get("/analytics", (req, res) => {
+  res.sendFile(path.join(__dirname, "analytics.html"));
+});
+
+// Pliki gry dla przeglądarki - tylko z tej listy. Reszta katalogu (kod
+// serwera, .env, baza SQLite w data/) nie jest dostępna przez HTTP.
+const PUBLIC_FILES = [
+  "index.html",
+  "editor.html",
+  "facilitator.html",
+  "spectator.html",
+  "analytics.html",
+  "style.css",
+  "i18n.js",
+  "game-settings.js",
+  "room-checks.js",
+  "ranking.js",
+  "team-name.js",
+  "scenario-validation.js",
+  "game.js",
+  "editor.js",
+  "facilitator.js",
+  "spectator.js",
+  "analytics.js",
+  "service-worker.js",
+  "manifest.webmanifest",
+  "icon.svg",
+];
+
+PUBLIC_FILES.forEach((file) => {
+  app.get(`/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+});
 
 // Konfiguracja Socket.io - TYLKO dla ścieżki /socket.io/
 
@@ -262,231 +856,1028 @@ io.engine.on("connection_error", (err) => {
 // Przechowuj pokoje multiplayer
 const rooms = new Map();
 
+// Liczba drużyn w pokoju multiplayer (wybiera gospodarz)
+const MIN_ROOM_TEAMS = 2;
+const MAX_ROOM_TEAMS = 12;
+
+// Powody zakończenia gry i sesji. Klient tłumaczy je po kodzie
+// (reasonCode), polski opis zostaje dla panelu prowadzącego i logów.
+const RESULT_REASONS = {
+  "more-points": "Więcej punktów",
+  draw: "Pełny remis",
+  "faster-time": "Równe punkty, szybszy czas",
+  "ended-by-facilitator": "Sesja zakończona przez prowadzącego",
+  "all-finished": "Wszystkie drużyny ukończyły grę",
+  "facilitator-left": "Prowadzący opuścił sesję",
+  "time-up": "Czas minął",
+};
+
+// Jak długo drużyna po utracie połączenia zachowuje miejsce i postęp
+const RECONNECT_GRACE_MS = 60 * 1000;
+
+// Limit rozmiaru zapisanego stanu planszy drużyny z historią punktacji (saveProgress)
+const MAX_SAVED_STATE_LENGTH = 64 * 1024;
+
+// Dane zdarzeń przychodzą od dowolnego klienta: zamiast obiektu może przyjść
+// null albo liczba, a wyjątek w obsłudze zdarzenia nie może zatrzymać
+// serwera (i wszystkich gier na nim)
+function onEvent(socket, event, handler) {
+  socket.on(event, (payload) => {
+    try {
+      handler(payload && typeof payload === "object" ? payload : {});
+    } catch (error) {
+      console.error(`Błąd obsługi zdarzenia ${event}:`, error);
+    }
+  });
+}
+
 io.on("connection", (socket) => {
   console.log("Użytkownik połączony:", socket.id);
 
   // Utwórz pokój
-  socket.on("createRoom", ({ teamName }) => {
+  onEvent(
+    socket,
+    "createRoom",
+    ({ teamName, scenarioId, capacity, ...choices }) => {
+      if (!validTeamName(socket, teamName)) return;
+      const roomId = generateRoomId();
+      const scenario = scenarios.getScenario(scenarioId);
+      if (!scenario) {
+        socket.emit("error", {
+          code: "no-scenarios",
+          message: "Brak scenariuszy na serwerze",
+        });
+        return;
+      }
+      const teamCount = Number(capacity) || MIN_ROOM_TEAMS;
+      if (
+        !Number.isInteger(teamCount) ||
+        teamCount < MIN_ROOM_TEAMS ||
+        teamCount > MAX_ROOM_TEAMS
+      ) {
+        socket.emit("error", {
+          code: "invalid-capacity",
+          params: { min: MIN_ROOM_TEAMS, max: MAX_ROOM_TEAMS },
+          message: `Liczba drużyn musi wynosić od ${MIN_ROOM_TEAMS} do ${MAX_ROOM_TEAMS}`,
+        });
+        return;
+      }
+      const options = gameOptions(socket, choices);
+      if (!options) return;
+      const room = {
+        scenarioId: scenario.id,
+        hostId: socket.id,
+        capacity: teamCount,
+        ...options,
+        teams: [newTeam(socket.id, teamName)],
+        started: false,
+        startedAt: null,
+        ended: false,
+        standings: null, // końcowy ranking (gameResult) dla widzów
+        timer: newTimer(options.settings),
+      };
+      rooms.set(roomId, room);
+
+      socket.join(roomId);
+      socket.emit("roomCreated", {
+        roomId,
+        scenarioId: scenario.id,
+        capacity: room.capacity,
+        settings: room.settings,
+        token: room.teams[0].token,
+      });
+      emitLobby(roomId, room);
+      console.log(
+        `Pokój utworzony: ${roomId} przez ${teamName} (${room.capacity} drużyn)`
+      );
+    }
+  );
+
+  // Utwórz sesję warsztatową (prowadzący nie gra, tylko obserwuje drużyny)
+  onEvent(socket, "createSession", ({ scenarioId, ...choices }) => {
     const roomId = generateRoomId();
-    rooms.set(roomId, {
-      host: {
-        id: socket.id,
-        teamName,
-        score: 0,
-        time: 0,
-        finished: false,
-        finishTimestamp: null,
-      },
-      guest: null,
+    const scenario = scenarios.getScenario(scenarioId);
+    if (!scenario) {
+      socket.emit("error", {
+        code: "no-scenarios",
+        message: "Brak scenariuszy na serwerze",
+      });
+      return;
+    }
+    const options = gameOptions(socket, choices);
+    if (!options) return;
+    const room = {
+      type: "session",
+      facilitatorId: socket.id,
+      scenarioId: scenario.id,
+      ...options,
+      teams: [],
       started: false,
+      startedAt: null,
+      ended: false,
+      standings: null,
+      timer: newTimer(options.settings),
+    };
+    rooms.set(roomId, room);
+
+    socket.emit("sessionCreated", {
+      roomId,
+      scenarioId: scenario.id,
+      scenarioName: scenario.name,
     });
+    emitSessionBoard(room);
+    console.log(`Sesja utworzona: ${roomId} (${scenario.id})`);
+  });
 
-    socket.join(roomId);
-    socket.emit("roomCreated", { roomId });
-    console.log(`Pokój utworzony: ${roomId} przez ${teamName}`);
+  // Sterowanie sesją przez prowadzącego
+  onEvent(socket, "sessionControl", ({ roomId, action, seconds }) => {
+    const room = rooms.get(roomId);
+    if (
+      !room ||
+      room.type !== "session" ||
+      room.facilitatorId !== socket.id ||
+      room.ended
+    ) {
+      return;
+    }
+
+    switch (action) {
+      case "start":
+        if (room.started) return;
+        if (room.teams.length === 0) {
+          socket.emit("error", {
+            code: "no-teams",
+            message: "Brak drużyn w sesji",
+          });
+          return;
+        }
+        room.started = true;
+        room.startedAt = Date.now();
+        room.timer.resumedAt = room.startedAt;
+        emitGameStart(room, { session: true });
+        console.log(`Sesja ${roomId} rozpoczęta`);
+        break;
+      case "pause":
+        if (!room.started || room.timer.paused) return;
+        pauseTimer(room);
+        break;
+      case "resume":
+        if (!room.timer.paused) return;
+        resumeTimer(room);
+        break;
+      case "extend": {
+        const extra = Number(seconds);
+        if (!Number.isInteger(extra) || extra <= 0 || extra > 30 * 60) return;
+        room.timer.durationMs += extra * 1000;
+        break;
+      }
+      case "end":
+        endSession(roomId, "ended-by-facilitator");
+        return;
+      default:
+        return;
+    }
+
+    scheduleTimeUp(roomId, room);
+    if (room.started) {
+      io.to(roomId).emit("timerSync", timerState(room));
+    }
+    emitSessionBoard(room);
   });
 
   // Dołącz do pokoju
-  socket.on("joinRoom", ({ roomId, teamName }) => {
+  onEvent(socket, "joinRoom", ({ roomId, teamName }) => {
+    if (!validTeamName(socket, teamName)) return;
     const room = rooms.get(roomId);
     if (!room) {
-      socket.emit("error", { message: "Pokój nie istnieje" });
+      socket.emit("error", {
+        code: "room-not-found",
+        message: "Pokój nie istnieje",
+      });
       return;
     }
 
-    if (room.guest) {
-      socket.emit("error", { message: "Pokój jest pełny" });
+    // Nazwa drużyny identyfikuje ją w rankingu pokoju
+    if (room.teams.some((team) => team.teamName === teamName)) {
+      socket.emit("error", {
+        code: "duplicate-team",
+        message: "Drużyna o tej nazwie jest już w pokoju",
+      });
       return;
     }
 
-    room.guest = {
-      id: socket.id,
-      teamName,
-      score: 0,
-      time: 0,
-      finished: false,
-      finishTimestamp: null,
-    };
+    if (room.type === "session") {
+      if (room.started) {
+        socket.emit("error", {
+          code: "session-started",
+          message: "Sesja już trwa",
+        });
+        return;
+      }
+      const team = newTeam(socket.id, teamName);
+      room.teams.push(team);
+      socket.join(roomId);
+      socket.emit("roomJoined", {
+        roomId,
+        scenarioId: room.scenarioId,
+        session: true,
+        settings: room.settings,
+        token: team.token,
+      });
+      emitSessionBoard(room);
+      console.log(`${teamName} dołączył do sesji ${roomId}`);
+      return;
+    }
 
-    socket.join(roomId);
-    socket.emit("roomJoined", { roomId });
+    if (room.started) {
+      socket.emit("error", {
+        code: "game-started",
+        message: "Gra w tym pokoju już trwa",
+      });
+      return;
+    }
 
-    // Powiadom hosta o dołączeniu gościa
-    io.to(room.host.id).emit("opponentJoined", {
-      opponentName: teamName,
-    });
+    if (room.teams.length >= room.capacity) {
+      socket.emit("error", {
+        code: "room-full",
+        message: "Pokój jest pełny",
+      });
+      return;
+    }
+
+    const team = newTeam(socket.id, teamName);
+    room.teams.push(team);
 
-    // Powiadom gościa o hostcie
-    socket.emit("opponentJoined", {
-      opponentName: room.host.teamName,
+    socket.join(roomId);
+    socket.emit("roomJoined", {
+      roomId,
+      scenarioId: room.scenarioId,
+      capacity: room.capacity,
+      settings: room.settings,
+      token: team.token,
     });
+    emitLobby(roomId, room);
 
     console.log(`${teamName} dołączył do pokoju ${roomId}`);
   });
 
+  // Powrót drużyny po utracie połączenia lub odświeżeniu strony
+  onEvent(socket, "resumeSession", ({ token }) => {
+    const found = findTeamByToken(token);
+    if (!found) {
+      socket.emit("resumeFailed");
+      return;
+    }
+
+    const { roomId, room, team } = found;
+    clearTimeout(team.disconnectTimer);
+    team.disconnectTimer = null;
+    if (room.hostId === team.id) {
+      room.hostId = socket.id;
+    }
+    team.id = socket.id;
+    team.connected = true;
+
+    socket.join(roomId);
+    socket.emit("sessionResumed", resumeState(roomId, room, team));
+    if (team.result) {
+      // Gra zakończyła się, gdy drużyny nie było - wyślij jej wynik
+      socket.emit(
+        room.type === "session" ? "sessionEnded" : "gameResult",
+        team.result
+      );
+    }
+
+    if (room.type === "session") {
+      emitSessionBoard(room);
+    } else if (!room.started) {
+      emitLobby(roomId, room);
+    } else {
+      socket.to(roomId).emit("opponentReconnected", {
+        teamName: team.teamName,
+      });
+      emitSpectatorBoard(roomId, room);
+    }
+    console.log(`${team.teamName} wrócił do pokoju ${roomId}`);
+  });
+
+  // Widz (np. projektor na warsztatach) - śledzi wszystkie drużyny w pokoju,
+  // ale nie zajmuje miejsca drużyny i nie dostaje zdarzeń gry
+  onEvent(socket, "watchRoom", ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room) {
+      socket.emit("error", {
+        code: "room-not-found",
+        message: "Pokój nie istnieje",
+      });
+      return;
+    }
+    if (room.type === "session") {
+      socket.emit("error", {
+        code: "watch-session",
+        message: "Sesję warsztatową śledzi się w panelu prowadzącego",
+      });
+      return;
+    }
+
+    socket.join(spectatorRoom(roomId));
+    socket.emit("watchStarted", {
+      roomId,
+      scenarioId: room.scenarioId,
+      scenarioName: scenarios.getScenario(room.scenarioId).name,
+      capacity: room.capacity,
+    });
+    socket.emit("roomBoard", roomBoard(room));
+    console.log(`Widz śledzi pokój ${roomId}`);
+  });
+
   // Rozpocznij grę (tylko host może)
-  socket.on("startGame", ({ roomId }) => {
+  onEvent(socket, "startGame", ({ roomId }) => {
     const room = rooms.get(roomId);
-    if (!room || room.host.id !== socket.id) {
+    if (!room || room.type === "session" || room.hostId !== socket.id) {
       return;
     }
+    if (room.started) return;
 
-    if (!room.guest) {
-      socket.emit("error", { message: "Czekaj na przeciwnika" });
+    if (room.teams.length < MIN_ROOM_TEAMS) {
+      socket.emit("error", {
+        code: "waiting-for-opponent",
+        message: "Czekaj na przeciwnika",
+      });
       return;
     }
 
     room.started = true;
-    io.to(roomId).emit("gameStart");
+    room.startedAt = Date.now();
+    room.timer.resumedAt = room.startedAt;
+    emitGameStart(room);
+    scheduleTimeUp(roomId, room);
+    emitSpectatorBoard(roomId, room);
     console.log(`Gra rozpoczęta w pokoju ${roomId}`);
   });
 
-  // Aktualizacja wyniku
-  socket.on("scoreUpdate", ({ roomId, score }) => {
+  // Pauza w pokoju multiplayer - zegar wszystkich drużyn zatrzymuje gospodarz
+  onEvent(socket, "pauseGame", ({ roomId, paused }) => {
     const room = rooms.get(roomId);
-    if (!room) return;
-
-    // Zaktualizuj wynik gracza
-    if (room.host.id === socket.id) {
-      room.host.score = score;
-      // Wyślij do gościa
-      if (room.guest) {
-        io.to(room.guest.id).emit("opponentUpdate", {
-          score: room.host.score,
-        });
+    if (
+      !room ||
+      room.type === "session" ||
+      room.hostId !== socket.id ||
+      !room.started ||
+      room.ended ||
+      typeof paused !== "boolean" ||
+      room.timer.paused === paused
+    ) {
+      return;
+    }
+
+    if (paused) {
+      pauseTimer(room);
+    } else {
+      resumeTimer(room);
+    }
+    scheduleTimeUp(roomId, room);
+    io.to(roomId).emit("timerSync", timerState(room));
+    emitSpectatorBoard(roomId, room);
+    console.log(
+      `Gra w pokoju ${roomId} ${paused ? "wstrzymana" : "wznowiona"}`
+    );
+  });
+
+  // Odpowiedź w pokoju - serwer sam sprawdza i liczy punkty
+  onEvent(socket, "submitAnswer", ({ roomId, room: roomKey, answer }) => {
+    const room = rooms.get(roomId);
+    if (!room || !room.started) return;
+
+    const player = activePlayer(socket, room, roomKey);
+    if (!player) return;
+
+    const result = rules.checkAnswer(
+      scenarios.getScenario(room.scenarioId),
+      roomKey,
+      answer || {},
+      player,
+      room.settings
+    );
+    if (!result) return;
+
+    player.score += result.delta;
+    if (!result.passed) {
+      player.wrongAttempts += 1;
+    }
+    if (result.passed) {
+      if (roomKey === "stories") {
+        player.sprintStoryIds = Array.isArray(answer.sprint)
+          ? answer.sprint.slice()
+          : [];
       }
-    } else if (room.guest && room.guest.id === socket.id) {
-      room.guest.score = score;
-      // Wyślij do hosta
-      io.to(room.host.id).emit("opponentUpdate", {
-        score: room.guest.score,
+      // Po ostatnim pokoju indeks wychodzi poza ROOM_ORDER - kolejne
+      // odpowiedzi są odrzucane
+      player.roomIndex += 1;
+      player.roomEnteredMs = timerElapsedMs(room);
+    }
+
+    socket.emit("answerResult", {
+      room: roomKey,
+      passed: result.passed,
+      reason: result.reason,
+      delta: result.delta,
+      score: player.score,
+    });
+    emitScoreUpdate(socket, roomId, room, player);
+  });
+
+  // Podpowiedź w pokoju - serwer pilnuje budżetu i odejmuje jej koszt
+  onEvent(socket, "requestHint", ({ roomId, room: roomKey }) => {
+    const room = rooms.get(roomId);
+    if (!room || !room.started) return;
+
+    const player = activePlayer(socket, room, roomKey);
+    if (!player) return;
+
+    const { hint, reason } = rules.nextHint(
+      scenarios.getScenario(room.scenarioId),
+      roomKey,
+      player.hintsUsed,
+      room.hintBudget
+    );
+    if (!hint) {
+      socket.emit("error", {
+        code: reason,
+        message:
+          reason === "hint-budget"
+            ? "Wykorzystano wszystkie podpowiedzi"
+            : "Brak kolejnych podpowiedzi w tym pokoju",
       });
+      return;
     }
+
+    player.hintsUsed[roomKey] = (player.hintsUsed[roomKey] || 0) + 1;
+    player.score -= hint.cost;
+
+    socket.emit("hintResult", {
+      room: roomKey,
+      hintId: hint.id,
+      cost: hint.cost,
+      hintsUsed: player.hintsUsed,
+      score: player.score,
+    });
+    emitScoreUpdate(socket, roomId, room, player);
   });
 
-  // Gra zakończona
-  socket.on("gameFinished", ({ roomId, teamName, score, time }) => {
+  // Ułożenie kart i odpowiedzi quizu - przywracane po odświeżeniu strony.
+  // Wynik, pokój i czas serwer liczy sam, więc ich stąd nie bierze.
+  onEvent(socket, "saveProgress", ({ roomId, snapshot }) => {
     const room = rooms.get(roomId);
-    if (!room) return;
+    if (!room || !room.started) return;
 
-    const finishTime = Date.now(); // Czas zakończenia w milisekundach
+    const player = getPlayer(room, socket.id);
+    if (!player || player.finished) return;
 
-    // Zapisz wynik gracza
-    if (room.host.id === socket.id) {
-      room.host.score = score;
-      room.host.time = time; // Czas w sekundach
-      room.host.finished = true;
-      room.host.finishTimestamp = finishTime;
-      room.host.teamName = teamName;
-    } else if (room.guest && room.guest.id === socket.id) {
-      room.guest.score = score;
-      room.guest.time = time; // Czas w sekundach
-      room.guest.finished = true;
-      room.guest.finishTimestamp = finishTime;
-      room.guest.teamName = teamName;
-    }
-
-    // Sprawdź, czy obie drużyny ukończyły
-    const bothFinished =
-      room.host.finished && room.guest && room.guest.finished;
-
-    if (bothFinished) {
-      // Obie drużyny ukończyły - określ zwycięzcę
-      let winner = null;
-      let reason = "";
-
-      if (room.host.score > room.guest.score) {
-        winner = "host";
-        reason = "Więcej punktów";
-      } else if (room.guest.score > room.host.score) {
-        winner = "guest";
-        reason = "Więcej punktów";
-      } else {
-        // Remis punktów - wygrywa szybsza drużyna (mniejszy czas)
-        if (room.host.time < room.guest.time) {
-          winner = "host";
-          reason = "Równe punkty, szybszy czas";
-        } else if (room.guest.time < room.host.time) {
-          winner = "guest";
-          reason = "Równe punkty, szybszy czas";
-        } else {
-          winner = "draw";
-          reason = "Pełny remis";
-        }
-      }
+    if (!snapshot || typeof snapshot !== "object") return;
+    if (JSON.stringify(snapshot).length > MAX_SAVED_STATE_LENGTH) return;
+    player.savedState = snapshot;
+  });
 
-      // Wyślij wyniki do obu graczy
-      const hostResult = {
-        myScore: room.host.score,
-        myTime: room.host.time,
-        opponentScore: room.guest.score,
-        opponentTime: room.guest.time,
-        opponentName: room.guest.teamName,
-        isWinner: winner === "host",
-        isDraw: winner === "draw",
-        reason: reason,
-      };
+  // Gra zakończona
+  onEvent(socket, "gameFinished", ({ roomId }) => {
+    const room = rooms.get(roomId);
+    if (!room || !room.started) return;
 
-      const guestResult = {
-        myScore: room.guest.score,
-        myTime: room.guest.time,
-        opponentScore: room.host.score,
-        opponentTime: room.host.time,
-        opponentName: room.host.teamName,
-        isWinner: winner === "guest",
-        isDraw: winner === "draw",
-        reason: reason,
-      };
+    const player = getPlayer(room, socket.id);
+    if (!player || player.finished) return;
+
+    // Wynik i czas pochodzą wyłącznie z serwera
+    const finishTime = Date.now(); // Czas zakończenia w milisekundach
+    player.finished = true;
+    player.finishTimestamp = finishTime;
 
-      io.to(room.host.id).emit("gameResult", hostResult);
-      io.to(room.guest.id).emit("gameResult", guestResult);
+    // Liczy się tylko czas, gdy zegar nie był wstrzymany
+    player.time = playedSeconds(room);
+    recordRunResult(player);
 
-      console.log(
-        `Gra zakończona w pokoju ${roomId}. Zwycięzca: ${
-          winner === "host"
-            ? room.host.teamName
-            : winner === "guest"
-            ? room.guest.teamName
-            : "remis"
-        }`
-      );
-    } else {
-      // Tylko jedna drużyna ukończyła - powiadom przeciwnika, że czeka
-      const opponent = room.host.id === socket.id ? room.guest : room.host;
-      if (opponent) {
-        io.to(opponent.id).emit("opponentFinished", {
-          teamName,
-          score,
-          time,
-          waiting: true, // Oznacz, że czekamy na drugą drużynę
-        });
+    if (room.type === "session") {
+      emitSessionBoard(room);
+      if (room.teams.every((team) => team.finished)) {
+        endSession(roomId, "all-finished");
       }
+      return;
     }
+
+    if (finishRoomIfDone(roomId, room)) return;
+
+    // Nie wszystkie drużyny ukończyły - powiadom pozostałe, że czekamy
+    socket.to(roomId).emit("opponentFinished", {
+      teamName: player.teamName,
+      score: player.score,
+      time: player.time,
+      ...teamProgress(player),
+      waiting: true, // Oznacz, że czekamy na pozostałe drużyny
+    });
+    emitSpectatorBoard(roomId, room);
   });
 
-  // Rozłączenie
+  // Rozłączenie - drużyna zachowuje miejsce przez RECONNECT_GRACE_MS
   socket.on("disconnect", () => {
     console.log("Użytkownik rozłączony:", socket.id);
 
-    // Usuń pokój jeśli host się rozłączył
     for (const [roomId, room] of rooms.entries()) {
-      if (room.host.id === socket.id) {
-        if (room.guest) {
-          io.to(room.guest.id).emit("hostDisconnected");
-        }
+      if (room.type === "session" && room.facilitatorId === socket.id) {
+        endSession(roomId, "facilitator-left");
         rooms.delete(roomId);
-        console.log(`Pokój ${roomId} usunięty (host rozłączony)`);
-        break;
-      } else if (room.guest && room.guest.id === socket.id) {
-        room.guest = null;
-        io.to(room.host.id).emit("opponentLeft");
-        console.log(`Gość opuścił pokój ${roomId}`);
+        console.log(`Sesja ${roomId} usunięta (prowadzący rozłączony)`);
         break;
       }
+
+      const team = getPlayer(room, socket.id);
+      if (!team) continue;
+
+      team.connected = false;
+      // unref - otwarty pokój nie wstrzymuje zamknięcia procesu (testy)
+      team.disconnectTimer = setTimeout(() => {
+        removeTeam(roomId, team);
+      }, RECONNECT_GRACE_MS).unref();
+
+      if (room.type === "session") {
+        emitSessionBoard(room);
+      } else {
+        socket.to(roomId).emit("opponentDisconnected", {
+          teamName: team.teamName,
+        });
+        emitSpectatorBoard(roomId, room);
+      }
+      console.log(`${team.teamName} utracił połączenie z pokojem ${roomId}`);
+      break;
     }
   });
 });
 
+// Start gry - każda drużyna dostaje własny token przebiegu do zapisu wyniku
+function emitGameStart(room, extra = {}) {
+  room.teams.forEach((team) => {
+    team.runToken = issueRunToken({
+      mode: "multiplayer",
+      scenarioId: room.scenarioId,
+      settings: room.settings,
+      session: room.type === "session",
+    });
+    io.to(team.id).emit("gameStart", {
+      scenarioId: room.scenarioId,
+      hintBudget: room.hintBudget,
+      settings: room.settings,
+      runToken: team.runToken,
+      ...extra,
+    });
+  });
+}
+
+// Początkowy stan gracza w pokoju multiplayer
+function newPlayerProgress() {
+  return {
+    score: 0,
+    time: 0,
+    finished: false,
+    finishTimestamp: null,
+    roomIndex: 0, // indeks w rules.ROOM_ORDER
+    roomEnteredMs: 0, // czas gry (timerElapsedMs) przy wejściu do pokoju
+    sprintStoryIds: [], // historie wybrane do Sprintu (pokój 2)
+    wrongAttempts: 0,
+    hintsUsed: {}, // pokój -> liczba odkrytych podpowiedzi
+    connected: true,
+    result: null, // końcowy wynik wysłany drużynie (gameResult/sessionEnded)
+    savedState: null, // ułożenie kart i odpowiedzi quizu (saveProgress)
+    runToken: null, // token przebiegu do zapisu wyniku (od startu gry)
+  };
+}
+
+// Nowa drużyna w pokoju - token pozwala wrócić po utracie połączenia
+function newTeam(socketId, teamName) {
+  return {
+    id: socketId,
+    teamName,
+    token: crypto.randomUUID(),
+    disconnectTimer: null,
+    ...newPlayerProgress(),
+  };
+}
+
+function getPlayer(room, socketId) {
+  return room.teams.find((team) => team.id === socketId) || null;
+}
+
+// Gracz, który może teraz działać w pokoju roomKey (odpowiedź, podpowiedź).
+// Pauza gry, koniec czasu gry lub limitu na pokój (settings.roomSeconds)
+// i inny pokój niż bieżący są zgłaszane klientowi jako błąd.
+function activePlayer(socket, room, roomKey) {
+  const player = getPlayer(room, socket.id);
+  if (!player || player.finished) return null;
+
+  if (timerElapsedMs(room) >= room.timer.durationMs) {
+    socket.emit("error", {
+      code: "time-up",
+      message: "Czas gry minął",
+    });
+    return null;
+  }
+
+  if (room.timer.paused) {
+    socket.emit("error", {
+      code: "game-paused",
+      message: "Gra jest wstrzymana",
+    });
+    return null;
+  }
+
+  // Przyjmuj akcje tylko dla pokoju, w którym gracz faktycznie jest
+  if (rules.ROOM_ORDER[player.roomIndex] !== roomKey) {
+    socket.emit("error", {
+      code: "wrong-room",
+      message: "Nieprawidłowy pokój",
+    });
+    return null;
+  }
+
+  const roomLimitMs = room.settings.roomSeconds * 1000;
+  if (
+    roomLimitMs > 0 &&
+    timerElapsedMs(room) - player.roomEnteredMs >= roomLimitMs
+  ) {
+    socket.emit("error", {
+      code: "room-time-up",
+      message: "Czas na ten pokój minął",
+    });
+    return null;
+  }
+  return player;
+}
+
+// Postęp drużyny widoczny dla innych: bieżący pokój (null po ukończeniu),
+// liczba zaliczonych pokoi, błędne próby i odkryte podpowiedzi
+function teamProgress(team) {
+  return {
+    room: team.finished ? null : rules.ROOM_ORDER[team.roomIndex] || null,
+    roomIndex: team.roomIndex,
+    wrongAttempts: team.wrongAttempts,
+    hintsUsed: Object.values(team.hintsUsed).reduce(
+      (sum, count) => sum + count,
+      0
+    ),
+    finished: team.finished,
+  };
+}
+
+// Nowy wynik lub postęp drużyny (przejście do pokoju, próba, podpowiedź) -
+// dla prowadzącego sesji albo dla rywali i widzów w pokoju
+function emitScoreUpdate(socket, roomId, room, player) {
+  if (room.type === "session") {
+    emitSessionBoard(room);
+    return;
+  }
+  socket.to(roomId).emit("opponentUpdate", {
+    teamName: player.teamName,
+    score: player.score,
+    ...teamProgress(player),
+  });
+  emitSpectatorBoard(roomId, room);
+}
+
+// Ustawienia gry wybrane przez gospodarza lub prowadzącego - wspólne dla
+// wszystkich drużyn w pokoju. Zwraca null (i zgłasza błąd), gdy są niepoprawne.
+function gameOptions(socket, { hintBudget, settings }) {
+  const budget = rules.parseHintBudget(hintBudget);
+  if (budget === null) {
+    socket.emit("error", {
+      code: "invalid-hint-budget",
+      params: { max: rules.MAX_HINT_BUDGET },
+      message: `Liczba podpowiedzi musi wynosić od 0 do ${rules.MAX_HINT_BUDGET}`,
+    });
+    return null;
+  }
+  const gameSettings = GameSettings.normalizeSettings(settings);
+  if (!gameSettings) {
+    socket.emit("error", {
+      code: "invalid-settings",
+      message: "Nieprawidłowe ustawienia gry",
+    });
+    return null;
+  }
+  return { hintBudget: budget, settings: gameSettings };
+}
+
+// Nazwa drużyny trafia do rankingu pokoju i do wyniku (team-name.js)
+function validTeamName(socket, teamName) {
+  const code = TeamName.validateTeamName(teamName);
+  if (code) {
+    socket.emit("error", {
+      code: "invalid-team-name",
+      message: TeamName.MESSAGES[code],
+    });
+    return false;
+  }
+  return true;
+}
+
+function findTeamByToken(token) {
+  if (typeof token !== "string" || !token) return null;
+  for (const [roomId, room] of rooms.entries()) {
+    const team = room.teams.find((t) => t.token === token);
+    if (team) return { roomId, room, team };
+  }
+  return null;
+}
+
+// Stan potrzebny klientowi, aby wrócić do gry w tym samym miejscu
+function resumeState(roomId, room, team) {
+  const isSession = room.type === "session";
+  return {
+    roomId,
+    token: team.token,
+    teamName: team.teamName,
+    scenarioId: room.scenarioId,
+    session: isSession,
+    isHost: room.hostId === team.id,
+    capacity: room.capacity,
+    started: room.started,
+    finished: team.finished,
+    room: rules.ROOM_ORDER[team.roomIndex] || null,
+    score: team.score,
+    settings: room.settings,
+    hintBudget: room.hintBudget,
+    hintsUsed: team.hintsUsed,
+    sprintStoryIds: team.sprintStoryIds,
+    savedState: team.savedState,
+    runToken: team.runToken,
+    rivals: room.teams
+      .filter((other) => other !== team)
+      .map((other) => ({
+        teamName: other.teamName,
+        score: other.score,
+        ...teamProgress(other),
+      })),
+    ...timerState(room),
+  };
+}
+
+// Drużyna nie wróciła w czasie RECONNECT_GRACE_MS - zwolnij jej miejsce
+function removeTeam(roomId, team) {
+  const room = rooms.get(roomId);
+  if (!room || !room.teams.includes(team)) return;
+  team.disconnectTimer = null;
+
+  if (room.type === "session") {
+    // Przed startem zwolnij miejsce, w trakcie gry zostaw wynik na tablicy
+    if (!room.started) {
+      room.teams = room.teams.filter((t) => t !== team);
+    }
+    emitSessionBoard(room);
+    console.log(`${team.teamName} opuścił sesję ${roomId}`);
+    return;
+  }
+
+  // Przed startem pokój bez gospodarza jest zamykany
+  if (room.hostId === team.id && !room.started) {
+    io.to(roomId).to(spectatorRoom(roomId)).emit("hostDisconnected");
+    room.teams.forEach((t) => clearTimeout(t.disconnectTimer));
+    rooms.delete(roomId);
+    console.log(`Pokój ${roomId} usunięty (host rozłączony)`);
+    return;
+  }
+
+  room.teams = room.teams.filter((t) => t !== team);
+  // W trakcie gry pauzą steruje dalej inna drużyna, najlepiej połączona
+  if (room.hostId === team.id && room.teams.length > 0) {
+    const host = room.teams.find((t) => t.connected) || room.teams[0];
+    room.hostId = host.id;
+    io.to(roomId).emit("hostChanged", { teamName: host.teamName });
+    console.log(`Gospodarzem pokoju ${roomId} jest teraz ${host.teamName}`);
+  }
+  io.to(roomId).emit("opponentLeft", { teamName: team.teamName });
+  console.log(`${team.teamName} opuścił pokój ${roomId}`);
+  if (room.started) {
+    // Nie czekaj na wynik drużyny, która wyszła z gry
+    if (!finishRoomIfDone(roomId, room)) emitSpectatorBoard(roomId, room);
+  } else {
+    emitLobby(roomId, room);
+  }
+}
+
+// Lista drużyn w poczekalni pokoju (przed startem gry)
+function emitLobby(roomId, room) {
+  io.to(roomId).emit("lobbyUpdate", {
+    capacity: room.capacity,
+    teams: room.teams.map((team) => ({
+      teamName: team.teamName,
+      isHost: team.id === room.hostId,
+    })),
+  });
+  emitSpectatorBoard(roomId, room);
+}
+
+// Ranking bez danych wewnętrznych (id gniazda, postęp w pokojach)
+function toStandings(ranked) {
+  return ranked.map(({ teamName, score, time, place }) => ({
+    teamName,
+    score,
+    time,
+    place,
+  }));
+}
+
+// Gdy wszystkie drużyny ukończyły - wyślij każdej jej miejsce i ranking.
+// Zwraca true, jeśli gra w pokoju została rozstrzygnięta.
+function finishRoomIfDone(roomId, room) {
+  if (room.teams.length === 0) {
+    clearTimeout(room.timer.timeoutId);
+    rooms.delete(roomId);
+    return true;
+  }
+  if (room.ended) return true;
+  if (!room.teams.every((team) => team.finished)) return false;
+  room.ended = true;
+  clearTimeout(room.timer.timeoutId);
+
+  const ranked = rules.rankTeams(room.teams);
+  const standings = toStandings(ranked);
+  room.standings = standings;
+  const winners = ranked.filter((team) => team.place === 1);
+
+  // Powód rozstrzygnięcia - jak przy porównaniu dwóch drużyn
+  let reasonCode = "more-points";
+  if (winners.length > 1) {
+    reasonCode = "draw";
+  } else if (ranked.length > 1 && ranked[0].score === ranked[1].score) {
+    reasonCode = "faster-time";
+  }
+
+  ranked.forEach((entry) => {
+    // Najwyżej sklasyfikowany rywal - dla widoku dwóch drużyn
+    const opponent = ranked.find((other) => other !== entry);
+    // Wynik zostaje przy drużynie - dostanie go też po powrocie do pokoju
+    const team = room.teams.find((t) => t.token === entry.token);
+    team.result = {
+      myScore: entry.score,
+      myTime: entry.time,
+      myPlace: entry.place,
+      opponentName: opponent ? opponent.teamName : null,
+      opponentScore: opponent ? opponent.score : 0,
+      opponentTime: opponent ? opponent.time : 0,
+      isWinner: entry.place === 1 && winners.length === 1,
+      isDraw: entry.place === 1 && winners.length > 1,
+      reason: RESULT_REASONS[reasonCode],
+      reasonCode,
+      standings,
+    };
+    io.to(team.id).emit("gameResult", team.result);
+  });
+  emitSpectatorBoard(roomId, room);
+
+  console.log(
+    `Gra zakończona w pokoju ${roomId}. Zwycięzca: ${
+      winners.length === 1 ? winners[0].teamName : "remis"
+    }`
+  );
+  return true;
+}
+
+// Zegar gry z pauzą liczony na serwerze (pokoje multiplayer i sesje,
+// w sesjach także z przedłużaniem przez prowadzącego)
+function newTimer(settings) {
+  return {
+    durationMs: settings.durationSeconds * 1000,
+    elapsedMs: 0, // czas gry przed ostatnią pauzą
+    resumedAt: null, // od kiedy zegar znów biegnie
+    paused: false,
+    timeoutId: null,
+  };
+}
+
+function timerElapsedMs(room, now = Date.now()) {
+  const timer = room.timer;
+  const running = timer.resumedAt && !timer.paused ? now - timer.resumedAt : 0;
+  return timer.elapsedMs + running;
+}
+
+function pauseTimer(room) {
+  room.timer.elapsedMs = timerElapsedMs(room);
+  room.timer.resumedAt = null;
+  room.timer.paused = true;
+}
+
+function resumeTimer(room) {
+  room.timer.paused = false;
+  room.timer.resumedAt = Date.now();
+}
+
+function playedSeconds(room) {
+  return Math.floor(
+    Math.min(timerElapsedMs(room), room.timer.durationMs) / 1000
+  );
+}
+
+function timerState(room) {
+  const remainingMs = room.timer.durationMs - timerElapsedMs(room);
+  return {
+    remainingSeconds: Math.max(0, Math.ceil(remainingMs / 1000)),
+    paused: room.timer.paused,
+  };
+}
+
+// Zaplanuj automatyczne zakończenie gry, gdy skończy się czas - sesję kończy
+// endSession, w pokoju multiplayer drużyny bez gameFinished kończą grę
+// z wynikiem z serwera
+function scheduleTimeUp(roomId, room) {
+  clearTimeout(room.timer.timeoutId);
+  room.timer.timeoutId = null;
+  if (!room.started || room.timer.paused || room.ended) return;
+
+  const remainingMs = room.timer.durationMs - timerElapsedMs(room);
+  room.timer.timeoutId = setTimeout(
+    () => {
+      if (room.type === "session") {
+        endSession(roomId, "time-up");
+      } else if (rooms.get(roomId) === room) {
+        finishRemainingTeams(room);
+        finishRoomIfDone(roomId, room);
+      }
+    },
+    Math.max(0, remainingMs)
+  ).unref();
+}
+
+// Stan wszystkich drużyn - tablica prowadzącego sesji i ekran widzów pokoju
+function roomBoard(room) {
+  return {
+    started: room.started,
+    ended: room.ended,
+    ...timerState(room),
+    teams: room.teams.map((team) => ({
+      teamName: team.teamName,
+      ...teamProgress(team),
+      score: team.score,
+      time: team.time,
+      connected: team.connected,
+    })),
+    standings: room.standings,
+  };
+}
+
+function emitSessionBoard(room) {
+  io.to(room.facilitatorId).emit("sessionBoard", roomBoard(room));
+}
+
+// Widzowie pokoju multiplayer mają osobny kanał - nie dostają zdarzeń drużyn
+function spectatorRoom(roomId) {
+  return `${roomId}:spectators`;
+}
+
+function emitSpectatorBoard(roomId, room) {
+  if (!rooms.has(roomId)) return;
+  io.to(spectatorRoom(roomId)).emit("roomBoard", roomBoard(room));
+}
+
+// Drużyny, które nie ukończyły gry, kończą z bieżącym wynikiem i czasem gry
+function finishRemainingTeams(room) {
+  room.teams.forEach((team) => {
+    if (!team.finished) {
+      team.finished = true;
+      team.finishTimestamp = Date.now();
+      team.time = playedSeconds(room);
+      recordRunResult(team);
+    }
+  });
+}
+
+// Zakończ sesję dla wszystkich drużyn i roześlij ranking
+function endSession(roomId, reasonCode) {
+  const reason = RESULT_REASONS[reasonCode];
+  const room = rooms.get(roomId);
+  if (!room || room.ended) return;
+
+  clearTimeout(room.timer.timeoutId);
+  room.timer.elapsedMs = timerElapsedMs(room);
+  room.timer.resumedAt = null;
+  room.ended = true;
+  finishRemainingTeams(room);
+
+  const ranked = rules.rankTeams(room.teams);
+  room.standings = toStandings(ranked);
+
+  ranked.forEach((entry) => {
+    const team = room.teams.find((t) => t.token === entry.token);
+    team.result = {
+      reason,
+      reasonCode,
+      myScore: entry.score,
+      myTime: entry.time,
+      myPlace: entry.place,
+      standings: room.standings,
+    };
+    io.to(team.id).emit("sessionEnded", team.result);
+  });
+  emitSessionBoard(room);
+  console.log(`Sesja ${roomId} zakończona: ${reason}`);
+}
+
 // Generuj losowe ID pokoju (6 znaków)
 function generateRoomId() {
   const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
@@ -510,24 +1901,30 @@ function getLocalIp() {
   return null;
 }
 
-// Bind na 0.0.0.0 - nasłuchuj na wszystkich interfejsach
-server.listen(PORT, "0.0.0.0", () => {
-  const localIp = getLocalIp();
-  console.log(`✅ Serwer działa!`);
-  console.log(`Localhost: http://localhost:${PORT}`);
-  if (localIp) {
-    console.log(`Sieć lokalna: http://${localIp}:${PORT}`);
-    console.log(`Socket.io: ws://${localIp}:${PORT}/socket.io/`);
-  }
-  console.log(`Test: http://localhost:${PORT}/health`);
-});
+// Uruchomienie (node server.js). Testy wczytują serwer przez require i same
+// wybierają port (server.listen(0)).
+if (require.main === module) {
+  // Bind na 0.0.0.0 - nasłuchuj na wszystkich interfejsach
+  server.listen(PORT, "0.0.0.0", () => {
+    const localIp = getLocalIp();
+    console.log(`✅ Serwer działa!`);
+    console.log(`Localhost: http://localhost:${PORT}`);
+    if (localIp) {
+      console.log(`Sieć lokalna: http://${localIp}:${PORT}`);
+      console.log(`Socket.io: ws://${localIp}:${PORT}/socket.io/`);
+    }
+    console.log(`Test: http://localhost:${PORT}/health`);
+  });
 
-// Obsługa błędów serwera (np. EADDRINUSE)
-server.on("error", (err) => {
-  console.error("Błąd serwera:", err);
-  if (err.code === "EADDRINUSE") {
-    console.error(
-      `Port ${PORT} jest już używany. Zakończ proces lub zmień PORT.`
-    );
-  }
-});
+  // Obsługa błędów serwera (np. EADDRINUSE)
+  server.on("error", (err) => {
+    console.error("Błąd serwera:", err);
+    if (err.code === "EADDRINUSE") {
+      console.error(
+        `Port ${PORT} jest już używany. Zakończ proces lub zmień PORT.`
+      );
+    }
+  });
+}
+
+module.exports = { app, io, server, storageReady };
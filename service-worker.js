@@ -0,0 +1,108 @@
+// Service worker gry - pliki gry i scenariusze zostają w pamięci podręcznej
+// przeglądarki, więc zainstalowaną grę można uruchomić i grać solo bez sieci.
+// Pliki i scenariusze: najpierw sieć (zawsze świeża wersja), bez sieci -
+// zapisana kopia. Ranking, wyniki i socket.io idą tylko przez sieć - gra ma
+// dla nich własne zapasowe ścieżki (localStorage, kolejka wyników).
+
+const CACHE_NAME = "escape-room-v1";
+const APP_FILES = [
+  "/",
+  "/index.html",
+  "/style.css",
+  "/i18n.js",
+  "/game-settings.js",
+  "/room-checks.js",
+  "/ranking.js",
+  "/team-name.js",
+  "/game.js",
+  "/manifest.webmanifest",
+  "/icon.svg",
+];
+
+// Lista scenariuszy i treść każdego z nich (GET /api/scenarios/:id)
+async function cacheScenarios(cache, listResponse) {
+  const data = await listResponse.json();
+  await Promise.all(
+    (data.scenarios || []).map((scenario) =>
+      cache.add(`/api/scenarios/${encodeURIComponent(scenario.id)}`),
+    ),
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.addAll(APP_FILES);
+      // Bez scenariuszy z serwera gra i tak ma scenariusz wbudowany
+      try {
+        const response = await fetch("/api/scenarios");
+        if (response.ok) {
+          await cache.put("/api/scenarios", response.clone());
+          await cacheScenarios(cache, response);
+        }
+      } catch (error) {
+        console.warn("Scenariusze niedostępne offline:", error);
+      }
+      await self.skipWaiting();
+    })(),
+  );
+});
+
+// Usuń pamięć podręczną poprzednich wersji
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name !== CACHE_NAME)
+          .map((name) => caches.delete(name)),
+      );
+      await self.clients.claim();
+    })(),
+  );
+});
+
+// Najpierw sieć, kopia z pamięci podręcznej bez sieci. key - adres kopii
+// (domyślnie adres żądania), afterFetch może zapisać więcej danych
+// (np. scenariusze z nowej listy).
+async function networkFirst(event, { key = event.request, afterFetch } = {}) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      await cache.put(key, response.clone());
+      if (afterFetch) {
+        event.waitUntil(
+          afterFetch(cache, response.clone()).catch((error) =>
+            console.warn("Nie udało się zapisać scenariuszy:", error),
+          ),
+        );
+      }
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate" && url.pathname === "/") {
+    // Link wyzwania Versus (?challenge=) też otwiera grę offline
+    event.respondWith(networkFirst(event, { key: "/" }));
+  } else if (url.pathname === "/api/scenarios") {
+    event.respondWith(networkFirst(event, { afterFetch: cacheScenarios }));
+  } else if (
+    url.pathname.startsWith("/api/scenarios/") ||
+    APP_FILES.includes(url.pathname)
+  ) {
+    event.respondWith(networkFirst(event));
+  }
+});
@@ -0,0 +1,209 @@
+// Widok dla widzów - mecz multiplayer na dużym ekranie (np. projektor na
+// warsztatach). Widz nie zajmuje miejsca drużyny w pokoju.
+
+const ROOM_LABELS = {
+  quiz: "0: Quiz",
+  backlog: "1: Sprint Backlog",
+  stories: "2: User Stories",
+  tests: "3: Testy",
+  conflict: "4: Konflikt",
+};
+const ROOM_KEYS = Object.keys(ROOM_LABELS);
+
+const spectator = {
+  socket: null,
+  roomId: null,
+  remainingSeconds: 0,
+  paused: true,
+  timerInterval: null,
+};
+
+function $(selector) {
+  return document.querySelector(selector);
+}
+
+function formatTime(totalSeconds) {
+  const m = Math.floor(totalSeconds / 60)
+    .toString()
+    .padStart(2, "0");
+  const s = (totalSeconds % 60).toString().padStart(2, "0");
+  return `${m}:${s}`;
+}
+
+function setStatus(text) {
+  $("#multiplayer-status-text").textContent = text;
+}
+
+function watchRoom(roomId) {
+  const code = roomId.trim().toUpperCase();
+  if (!code || !spectator.socket) return;
+  spectator.socket.emit("watchRoom", { roomId: code });
+}
+
+// Zegar odliczany lokalnie między aktualizacjami z serwera
+function startLocalTimer() {
+  clearInterval(spectator.timerInterval);
+  spectator.timerInterval = setInterval(() => {
+    if (spectator.paused || spectator.remainingSeconds <= 0) return;
+    spectator.remainingSeconds--;
+    renderTimer();
+  }, 1000);
+}
+
+function renderTimer() {
+  $("#spectator-timer").textContent = formatTime(spectator.remainingSeconds);
+}
+
+function teamStatus(team, board) {
+  if (!team.connected) return "Rozłączona";
+  if (team.finished) return board.ended ? "Koniec gry" : "Ukończono";
+  if (!board.started) return "W poczekalni";
+  return "W grze";
+}
+
+// Postęp jak pasek w grze: ukończone pokoje z pięciu
+function teamProgress(team) {
+  if (team.finished) return 100;
+  const index = ROOM_KEYS.indexOf(team.room);
+  return index > 0 ? Math.round((index / ROOM_KEYS.length) * 100) : 0;
+}
+
+function teamCard(team, board, place) {
+  const card = document.createElement("article");
+  card.className = "spectator-team";
+  if (!team.connected) card.classList.add("team-offline");
+  if (board.ended && place === 1) card.classList.add("winner");
+
+  const name = document.createElement("h3");
+  name.textContent = board.ended ? `${place}. ${team.teamName}` : team.teamName;
+
+  const score = document.createElement("p");
+  score.className = "spectator-score";
+  score.textContent = `${team.score} pkt`;
+
+  const room = document.createElement("p");
+  room.textContent = team.room ? `Pokój ${ROOM_LABELS[team.room]}` : "–";
+
+  const bar = document.createElement("div");
+  bar.className = "progress-bar-container";
+  const fill = document.createElement("div");
+  fill.className = "progress-bar";
+  fill.style.width = `${teamProgress(team)}%`;
+  bar.appendChild(fill);
+
+  const status = document.createElement("p");
+  status.className = "hud-label";
+  status.textContent = team.finished
+    ? `${teamStatus(team, board)} · ${formatTime(team.time)}`
+    : teamStatus(team, board);
+
+  card.append(name, score, room, bar, status);
+  return card;
+}
+
+function renderResult(board) {
+  const result = $("#spectator-result");
+  result.classList.toggle("hidden", !board.ended);
+  if (!board.ended) return;
+
+  const winners = (board.standings || []).filter((team) => team.place === 1);
+  result.textContent =
+    winners.length === 1
+      ? `Wygrywa drużyna ${winners[0].teamName}!`
+      : `Remis: ${winners.map((team) => team.teamName).join(", ")}`;
+}
+
+function renderBoard(board) {
+  const container = $("#spectator-teams");
+  container.innerHTML = "";
+
+  // Po zakończeniu gry drużyny są ułożone według miejsc
+  const placeByTeam = new Map();
+  (board.standings || []).forEach((entry) => {
+    placeByTeam.set(entry.teamName, entry.place);
+  });
+  const teams = board.ended
+    ? [...board.teams].sort(
+        (a, b) => placeByTeam.get(a.teamName) - placeByTeam.get(b.teamName),
+      )
+    : board.teams;
+
+  $("#spectator-empty").classList.toggle("hidden", teams.length > 0);
+  teams.forEach((team) => {
+    container.appendChild(
+      teamCard(team, board, placeByTeam.get(team.teamName)),
+    );
+  });
+}
+
+function handleBoard(board) {
+  spectator.remainingSeconds = board.remainingSeconds;
+  spectator.paused = board.paused || board.ended || !board.started;
+  renderTimer();
+
+  let label = "Oczekiwanie na start";
+  if (board.ended) label = "Gra zakończona";
+  else if (board.paused) label = "Pauza";
+  else if (board.started) label = "Gra trwa";
+  $("#spectator-state").textContent = label;
+
+  renderResult(board);
+  renderBoard(board);
+  if (board.ended) clearInterval(spectator.timerInterval);
+}
+
+function bindForm() {
+  $("#spectator-form").addEventListener("submit", (event) => {
+    event.preventDefault();
+    watchRoom($("#spectator-code-input").value);
+  });
+}
+
+function initSocket() {
+  if (typeof io === "undefined") {
+    setStatus("Serwer niedostępny - widok wymaga uruchomionego serwera");
+    return;
+  }
+
+  const socket = io();
+  spectator.socket = socket;
+
+  socket.on("connect", () => {
+    setStatus("Połączono z serwerem");
+    // Kod z adresu (spectator.html?room=ABC123) albo po ponownym połączeniu
+    const roomId =
+      spectator.roomId || new URLSearchParams(location.search).get("room");
+    if (roomId) watchRoom(roomId);
+  });
+
+  socket.on("disconnect", () => {
+    setStatus("Utracono połączenie z serwerem - ponawiam...");
+  });
+
+  socket.on("watchStarted", ({ roomId, scenarioName }) => {
+    spectator.roomId = roomId;
+    $("#spectator-code").textContent = roomId;
+    $("#spectator-scenario").textContent = scenarioName;
+    $("#spectator-setup").classList.add("hidden");
+    $("#spectator-view").classList.remove("hidden");
+    setStatus("");
+    startLocalTimer();
+  });
+
+  socket.on("roomBoard", handleBoard);
+
+  socket.on("hostDisconnected", () => {
+    clearInterval(spectator.timerInterval);
+    spectator.roomId = null;
+    setStatus("Gospodarz opuścił grę - pokój został zamknięty");
+  });
+
+  socket.on("error", ({ message }) => {
+    setStatus(message);
+  });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  bindForm();
+  initSocket();
+});
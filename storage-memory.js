@@ -0,0 +1,167 @@
+// Magazyn danych w pamięci serwera (STORAGE=memory) - ostatnia deska
+// ratunku, gdy nie działa ani MySQL, ani SQLite. Ranking i analityka działają
+// normalnie, ale wszystko znika po restarcie serwera (persistent: false).
+
+const Ranking = require("./ranking");
+
+// Początek dnia z filtra analityki (RRRR-MM-DD) w czasie lokalnym serwera
+function dayStart(date, days = 0) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(year, month - 1, day + days);
+}
+
+function average(values) {
+  return values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+}
+
+function createMemoryStorage() {
+  const scores = [];
+  const scenarios = new Map();
+  const challenges = new Map();
+  const sessions = [];
+  const usedRuns = new Map(); // klucz tokenu -> kiedy wpis wygasa
+  let nextScoreId = 1;
+  let nextSessionId = 1;
+
+  return {
+    name: "memory",
+    persistent: false,
+
+    async init() {},
+
+    async close() {},
+
+    async loadScenarios() {
+      return Array.from(scenarios, ([id, data]) => ({ id, data }));
+    },
+
+    async saveScenario(scenario) {
+      scenarios.set(scenario.id, JSON.stringify(scenario));
+    },
+
+    async saveChallenge(challenge) {
+      challenges.set(challenge.id, JSON.parse(JSON.stringify(challenge)));
+    },
+
+    async getChallenge(id) {
+      const challenge = challenges.get(id);
+      return challenge ? JSON.parse(JSON.stringify(challenge)) : null;
+    },
+
+    async saveScore({ teamName, score, time, mode, scenarioId, clientId }) {
+      if (clientId && scores.some((entry) => entry.clientId === clientId)) {
+        throw new Error(`Wynik ${clientId} jest już zapisany`);
+      }
+      const id = nextScoreId++;
+      scores.push({
+        id,
+        teamName,
+        score,
+        time,
+        mode,
+        scenarioId,
+        clientId: clientId || null,
+        date: new Date().toISOString(),
+      });
+      return id;
+    },
+
+    async findScoreByClientId(clientId) {
+      const entry = scores.find((score) => score.clientId === clientId);
+      return entry ? entry.id : null;
+    },
+
+    async useRun(key, expiresAt) {
+      const now = new Date();
+      usedRuns.forEach((expires, usedKey) => {
+        if (expires <= now) usedRuns.delete(usedKey);
+      });
+      if (usedRuns.has(key)) return false;
+      usedRuns.set(key, expiresAt);
+      return true;
+    },
+
+    async releaseRun(key) {
+      usedRuns.delete(key);
+    },
+
+    async saveGameSession(session) {
+      const id = nextSessionId++;
+      sessions.push({ ...session, id, createdAt: new Date() });
+      return id;
+    },
+
+    async rankScores(filters) {
+      const { scores: page, total } = Ranking.rankScores(scores, filters);
+      return {
+        scores: page.map(({ clientId, ...entry }) => entry),
+        total,
+      };
+    },
+
+    // Te same wiersze co zapytania SQL w storage-sql.js
+    async analytics(filters) {
+      const matching = sessions.filter(
+        (session) =>
+          session.scenarioId === filters.scenario &&
+          (!filters.from || session.createdAt >= dayStart(filters.from)) &&
+          (!filters.to || session.createdAt < dayStart(filters.to, 1)) &&
+          (!filters.session || session.roomCode === filters.session)
+      );
+
+      const answers = new Map();
+      matching.forEach((session) => {
+        session.attempts.forEach((attempt) => {
+          attempt.items.forEach((item) => {
+            const row = {
+              room: attempt.room,
+              item_id: item.itemId,
+              value: item.value,
+              first_try: attempt.attempt === 1 ? 1 : 0,
+              is_correct: item.correct === null ? null : Number(item.correct),
+            };
+            const key = JSON.stringify(row);
+            const entry = answers.get(key) || { ...row, answers: 0 };
+            entry.answers += 1;
+            answers.set(key, entry);
+          });
+        });
+      });
+
+      const times = new Map();
+      matching.forEach((session) => {
+        session.rooms.forEach(({ room, time }) => {
+          times.set(room, [...(times.get(room) || []), time]);
+        });
+      });
+
+      // Kody pokoi od najdawniej do ostatnio granego
+      const roomCodes = new Set();
+      sessions
+        .filter(
+          (session) =>
+            session.scenarioId === filters.scenario && session.roomCode
+        )
+        .forEach((session) => {
+          roomCodes.delete(session.roomCode);
+          roomCodes.add(session.roomCode);
+        });
+
+      return {
+        answerRows: Array.from(answers.values()),
+        timeRows: Array.from(times, ([room, values]) => ({
+          room,
+          games: values.length,
+          average_seconds: average(values),
+        })),
+        sessions: matching.length,
+        averageScore: average(matching.map((session) => session.score)),
+        roomCodes: Array.from(roomCodes).reverse().slice(0, 50),
+      };
+    },
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,240 @@
+// Magazyn danych w MySQL (STORAGE=mysql). Połączenie z DB_HOST, DB_USER,
+// DB_PASSWORD, DB_NAME albo DB_SOCKET (np. MAMP) z .env. Przy starcie tworzy
+// bazę, brakujące tabele i uaktualnia schemat starszych baz (migrations.js).
+
+const mysql = require("mysql2/promise");
+const { runMigrations } = require("./migrations");
+const sql = require("./storage-sql");
+
+const DIALECT = { nextDay: "DATE_ADD(?, INTERVAL 1 DAY)" };
+
+function createMysqlStorage(env = process.env) {
+  // Konfiguracja bez bazy danych (do jej utworzenia)
+  const serverConfig = {
+    host: env.DB_HOST || "127.0.0.1",
+    user: env.DB_USER || "root",
+    password: env.DB_PASSWORD || "",
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+  };
+  // Jeśli DB_SOCKET jest ustawiony, użyj socket'a zamiast TCP
+  if (env.DB_SOCKET) {
+    serverConfig.socketPath = env.DB_SOCKET;
+    delete serverConfig.host;
+  }
+  const database = env.DB_NAME || "escape_room_game";
+  let pool = null;
+
+  async function query(statement, params) {
+    const [rows] = await pool.query(statement, params);
+    return rows;
+  }
+
+  return {
+    name: "mysql",
+    persistent: true,
+
+    async init() {
+      // Najpierw połącz się BEZ bazy danych, aby ją utworzyć
+      const connection = await mysql.createConnection(serverConfig);
+      try {
+        await connection.execute(
+          `CREATE DATABASE IF NOT EXISTS \`${database}\`
+           CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`
+        );
+      } finally {
+        connection.end();
+      }
+
+      pool = mysql.createPool({ ...serverConfig, database });
+      const migrations = await pool.getConnection();
+      try {
+        await runMigrations(migrations);
+      } finally {
+        migrations.release();
+      }
+    },
+
+    async close() {
+      if (pool) await pool.end();
+    },
+
+    loadScenarios() {
+      return query("SELECT id, data FROM scenarios");
+    },
+
+    async saveScenario(scenario) {
+      await pool.query(
+        `INSERT INTO scenarios (id, name, data) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE name = VALUES(name), data = VALUES(data)`,
+        [scenario.id, scenario.name, JSON.stringify(scenario)]
+      );
+    },
+
+    async saveChallenge(challenge) {
+      await pool.query(
+        `INSERT INTO challenges
+           (id, scenario_id, seed, team_name, score, time_seconds, breakdown,
+            settings)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          challenge.id,
+          challenge.scenarioId,
+          challenge.seed,
+          challenge.teamName,
+          challenge.score,
+          challenge.time,
+          JSON.stringify(challenge.breakdown),
+          JSON.stringify(challenge.settings),
+        ]
+      );
+    },
+
+    async getChallenge(id) {
+      const rows = await query(
+        `SELECT id, scenario_id, seed, team_name, score, time_seconds,
+                breakdown, settings, created_at
+         FROM challenges WHERE id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? sql.challengeFromRow(rows[0]) : null;
+    },
+
+    async saveScore({ teamName, score, time, mode, scenarioId, clientId }) {
+      const [result] = await pool.query(
+        `INSERT INTO scores
+           (team_name, score, time_seconds, mode, scenario_id, client_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [teamName, score, time, mode, scenarioId, clientId || null]
+      );
+      return result.insertId;
+    },
+
+    async findScoreByClientId(clientId) {
+      const rows = await query("SELECT id FROM scores WHERE client_id = ?", [
+        clientId,
+      ]);
+      return rows.length > 0 ? rows[0].id : null;
+    },
+
+    async useRun(key, expiresAt) {
+      await pool.query("DELETE FROM used_runs WHERE expires_at <= ?", [
+        new Date(),
+      ]);
+      const rows = await query(
+        "SELECT run_key FROM used_runs WHERE run_key = ?",
+        [key]
+      );
+      if (rows.length > 0) return false;
+      try {
+        await pool.query(
+          "INSERT INTO used_runs (run_key, expires_at) VALUES (?, ?)",
+          [key, expiresAt]
+        );
+      } catch (error) {
+        // Ten sam token wysłany równolegle - zapisało go inne żądanie
+        if (error.code === "ER_DUP_ENTRY") return false;
+        throw error;
+      }
+      return true;
+    },
+
+    async releaseRun(key) {
+      await pool.query("DELETE FROM used_runs WHERE run_key = ?", [key]);
+    },
+
+    // Przebieg gry z próbami i odpowiedziami (jedna transakcja)
+    async saveGameSession(session) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        const [inserted] = await connection.query(
+          `INSERT INTO game_sessions
+             (score_id, room_code, scenario_id, seed, team_name, mode, score,
+              time_seconds)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            session.scoreId,
+            session.roomCode,
+            session.scenarioId,
+            session.seed,
+            session.teamName,
+            session.mode,
+            session.score,
+            session.time,
+          ]
+        );
+        const sessionId = inserted.insertId;
+
+        for (const attempt of session.attempts) {
+          const [row] = await connection.query(
+            `INSERT INTO room_attempts
+               (session_id, room, attempt, points_delta, passed, is_hint,
+                reason, elapsed_seconds, attempted_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              sessionId,
+              attempt.room,
+              attempt.attempt,
+              attempt.delta,
+              attempt.passed,
+              attempt.hint,
+              attempt.reason,
+              attempt.elapsed,
+              attempt.at,
+            ]
+          );
+          if (attempt.items.length > 0) {
+            await connection.query(
+              `INSERT INTO attempt_answers
+                 (attempt_id, item_id, value, is_correct)
+               VALUES ?`,
+              [
+                attempt.items.map((item) => [
+                  row.insertId,
+                  item.itemId,
+                  item.value,
+                  item.correct,
+                ]),
+              ]
+            );
+          }
+        }
+
+        if (session.rooms.length > 0) {
+          await connection.query(
+            `INSERT INTO room_times (session_id, room, points, time_seconds)
+             VALUES ?`,
+            [
+              session.rooms.map((room) => [
+                sessionId,
+                room.room,
+                room.points,
+                room.time,
+              ]),
+            ]
+          );
+        }
+
+        await connection.commit();
+        return sessionId;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+    },
+
+    rankScores(filters) {
+      return sql.rankScores(query, filters);
+    },
+
+    analytics(filters) {
+      return sql.analytics(query, filters, DIALECT);
+    },
+  };
+}
+
+module.exports = { createMysqlStorage };
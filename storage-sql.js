@@ -0,0 +1,177 @@
+// Zapytania wspólne dla magazynów SQL (storage-mysql.js, storage-sqlite.js):
+// ranking (GET /api/scores) i statystyki nauczania (GET /api/analytics).
+// query(sql, params) magazynu zwraca wiersze, a dialect opisuje różnice
+// składni: nextDay - wyrażenie „dzień po dacie z parametru”.
+
+const Ranking = require("./ranking");
+
+// Warunki filtrów rankingu dla tabeli scores o aliasie alias.
+// LIKE z jawnym znakiem ucieczki (!) działa tak samo w MySQL i SQLite.
+function rankingConditions(filters, alias) {
+  const conditions = [];
+  const params = [];
+  if (filters.mode) {
+    conditions.push(`${alias}.mode = ?`);
+    params.push(filters.mode);
+  }
+  if (filters.scenario) {
+    conditions.push(`${alias}.scenario_id = ?`);
+    params.push(filters.scenario);
+  }
+  const since = Ranking.periodStart(filters.period);
+  if (since) {
+    conditions.push(`${alias}.created_at >= ?`);
+    params.push(since);
+  }
+  if (filters.team) {
+    conditions.push(`${alias}.team_name LIKE ? ESCAPE '!'`);
+    params.push(`%${filters.team.replace(/[!%_]/g, "!$&")}%`);
+  }
+  return { conditions, params };
+}
+
+// Ranking z filtrami i stronicowaniem. Widok best=1 zostawia dla każdej
+// drużyny tylko jej najlepszy wynik spełniający filtry.
+function rankingQuery(filters) {
+  const { conditions, params } = rankingConditions(filters, "s");
+  if (filters.best) {
+    const inner = rankingConditions(filters, "b");
+    conditions.push(
+      `s.id = (
+        SELECT b.id FROM scores b
+        WHERE ${["b.team_name = s.team_name", ...inner.conditions].join(
+          " AND "
+        )}
+        ORDER BY b.score DESC, b.time_seconds ASC, b.id ASC
+        LIMIT 1
+      )`
+    );
+    params.push(...inner.params);
+  }
+
+  let orderBy = "s.score DESC, s.time_seconds ASC";
+  if (filters.sort === "time") {
+    orderBy = "s.time_seconds ASC, s.score DESC";
+  } else if (filters.sort === "date") {
+    orderBy = "s.created_at DESC";
+  }
+
+  return {
+    where: conditions.length > 0 ? conditions.join(" AND ") : "1 = 1",
+    params,
+    orderBy,
+  };
+}
+
+// Strona rankingu: { scores, total }
+async function rankScores(query, filters) {
+  const { where, params, orderBy } = rankingQuery(filters);
+  const [{ total }] = await query(
+    `SELECT COUNT(*) AS total FROM scores s WHERE ${where}`,
+    params
+  );
+  const rows = await query(
+    `SELECT s.id, s.team_name, s.score, s.time_seconds, s.mode,
+            s.scenario_id, s.created_at
+     FROM scores s
+     WHERE ${where}
+     ORDER BY ${orderBy}
+     LIMIT ? OFFSET ?`,
+    [...params, filters.pageSize, (filters.page - 1) * filters.pageSize]
+  );
+
+  return {
+    total: Number(total),
+    scores: rows.map((row) => ({
+      id: row.id,
+      teamName: row.team_name,
+      score: row.score,
+      time: row.time_seconds,
+      mode: row.mode,
+      scenarioId: row.scenario_id,
+      date: new Date(row.created_at).toISOString(),
+    })),
+  };
+}
+
+// Warunki filtrów analityki dla tabeli game_sessions o aliasie s
+function analyticsConditions(filters, dialect) {
+  const conditions = ["s.scenario_id = ?"];
+  const params = [filters.scenario];
+  if (filters.from) {
+    conditions.push("s.created_at >= ?");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push(`s.created_at < ${dialect.nextDay}`);
+    params.push(filters.to);
+  }
+  if (filters.session) {
+    conditions.push("s.room_code = ?");
+    params.push(filters.session);
+  }
+  return { where: conditions.join(" AND "), params };
+}
+
+// Odpowiedzi, czasy pokoi i liczba gier dla analytics-stats.js
+async function analytics(query, filters, dialect) {
+  const { where, params } = analyticsConditions(filters, dialect);
+  const answerRows = await query(
+    `SELECT r.room, a.item_id, a.value, r.attempt = 1 AS first_try,
+            a.is_correct, COUNT(*) AS answers
+     FROM attempt_answers a
+     JOIN room_attempts r ON r.id = a.attempt_id
+     JOIN game_sessions s ON s.id = r.session_id
+     WHERE ${where}
+     GROUP BY r.room, a.item_id, a.value, first_try, a.is_correct`,
+    params
+  );
+  const timeRows = await query(
+    `SELECT t.room, COUNT(*) AS games, AVG(t.time_seconds) AS average_seconds
+     FROM room_times t
+     JOIN game_sessions s ON s.id = t.session_id
+     WHERE ${where}
+     GROUP BY t.room`,
+    params
+  );
+  const [totals] = await query(
+    `SELECT COUNT(*) AS sessions, AVG(s.score) AS average_score
+     FROM game_sessions s WHERE ${where}`,
+    params
+  );
+  const codeRows = await query(
+    `SELECT room_code, MAX(created_at) AS last_played
+     FROM game_sessions
+     WHERE scenario_id = ? AND room_code IS NOT NULL
+     GROUP BY room_code
+     ORDER BY last_played DESC
+     LIMIT 50`,
+    [filters.scenario]
+  );
+
+  return {
+    answerRows,
+    timeRows,
+    sessions: Number(totals.sessions),
+    averageScore:
+      totals.average_score === null ? null : Number(totals.average_score),
+    roomCodes: codeRows.map((row) => row.room_code),
+  };
+}
+
+// Wyzwanie Versus z wiersza tabeli challenges
+function challengeFromRow(row) {
+  return {
+    id: row.id,
+    scenarioId: row.scenario_id,
+    seed: row.seed,
+    teamName: row.team_name,
+    score: row.score,
+    time: row.time_seconds,
+    breakdown: JSON.parse(row.breakdown),
+    settings: row.settings ? JSON.parse(row.settings) : null,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+module.exports = { analytics, challengeFromRow, rankScores };
@@ -0,0 +1,305 @@
+// Magazyn danych w pliku SQLite (STORAGE=sqlite) - działa bez instalowania
+// serwera bazy danych. Plik z SQLITE_FILE w .env (domyślnie
+// data/escape-room.sqlite), katalog jest tworzony przy starcie.
+// Daty są zapisywane jako tekst ISO 8601 (UTC), więc porównują się
+// alfabetycznie.
+
+const fs = require("fs");
+const path = require("path");
+const sql = require("./storage-sql");
+
+const DEFAULT_FILE = path.join(__dirname, "data", "escape-room.sqlite");
+const DIALECT = { nextDay: "date(?, '+1 day')" };
+
+// Schemat odpowiada bazie MySQL po wszystkich migracjach (migrations.js)
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    team_name TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    time_seconds INTEGER NOT NULL,
+    mode TEXT NOT NULL,
+    scenario_id TEXT NULL,
+    client_id TEXT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_scores_score ON scores (score DESC);
+  CREATE INDEX IF NOT EXISTS idx_scores_scenario ON scores (scenario_id);
+  CREATE INDEX IF NOT EXISTS idx_scores_team ON scores (team_name);
+
+  CREATE TABLE IF NOT EXISTS scenarios (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS challenges (
+    id TEXT PRIMARY KEY,
+    scenario_id TEXT NOT NULL,
+    seed INTEGER NOT NULL,
+    team_name TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    time_seconds INTEGER NOT NULL,
+    breakdown TEXT NOT NULL,
+    settings TEXT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS game_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    score_id INTEGER NULL REFERENCES scores(id) ON DELETE SET NULL,
+    room_code TEXT NULL,
+    scenario_id TEXT NOT NULL,
+    seed INTEGER NULL,
+    team_name TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    time_seconds INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_session_scenario
+    ON game_sessions (scenario_id);
+  CREATE INDEX IF NOT EXISTS idx_session_room ON game_sessions (room_code);
+
+  CREATE TABLE IF NOT EXISTS room_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL
+      REFERENCES game_sessions(id) ON DELETE CASCADE,
+    room TEXT NOT NULL,
+    attempt INTEGER NOT NULL,
+    points_delta INTEGER NOT NULL,
+    passed INTEGER NOT NULL DEFAULT 0,
+    is_hint INTEGER NOT NULL DEFAULT 0,
+    reason TEXT NOT NULL DEFAULT '',
+    elapsed_seconds INTEGER NOT NULL,
+    attempted_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS attempt_answers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    attempt_id INTEGER NOT NULL
+      REFERENCES room_attempts(id) ON DELETE CASCADE,
+    item_id TEXT NOT NULL,
+    value TEXT NULL,
+    is_correct INTEGER NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_answer_item ON attempt_answers (item_id);
+
+  CREATE TABLE IF NOT EXISTS room_times (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id INTEGER NOT NULL
+      REFERENCES game_sessions(id) ON DELETE CASCADE,
+    room TEXT NOT NULL,
+    points INTEGER NOT NULL,
+    time_seconds INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS used_runs (
+    run_key TEXT PRIMARY KEY,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_used_runs_expires ON used_runs (expires_at);
+`;
+
+// SQLite przyjmuje tylko liczby, tekst i null
+function toParam(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+function createSqliteStorage(env = process.env) {
+  const file = env.SQLITE_FILE || DEFAULT_FILE;
+  let db = null;
+
+  function run(statement, params = []) {
+    return db.prepare(statement).run(...params.map(toParam));
+  }
+
+  async function query(statement, params = []) {
+    return db.prepare(statement).all(...params.map(toParam));
+  }
+
+  return {
+    name: "sqlite",
+    persistent: file !== ":memory:",
+
+    async init() {
+      // Bez better-sqlite3 (np. brak kompilatora) magazyn jest niedostępny
+      const Database = require("better-sqlite3");
+      if (file !== ":memory:") {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+      }
+      db = new Database(file);
+      db.pragma("journal_mode = WAL");
+      db.pragma("foreign_keys = ON");
+      db.exec(SCHEMA);
+      // Plik z wcześniejszej wersji gry nie ma jeszcze kolumny client_id
+      const columns = db
+        .pragma("table_info(scores)")
+        .map((column) => column.name);
+      if (!columns.includes("client_id")) {
+        db.exec("ALTER TABLE scores ADD COLUMN client_id TEXT NULL");
+      }
+      db.exec(
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_scores_client ON scores (client_id)"
+      );
+    },
+
+    async close() {
+      if (db) db.close();
+    },
+
+    loadScenarios() {
+      return query("SELECT id, data FROM scenarios");
+    },
+
+    async saveScenario(scenario) {
+      const now = new Date();
+      run(
+        `INSERT INTO scenarios (id, name, data, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET
+           name = excluded.name,
+           data = excluded.data,
+           updated_at = excluded.updated_at`,
+        [scenario.id, scenario.name, JSON.stringify(scenario), now, now]
+      );
+    },
+
+    async saveChallenge(challenge) {
+      run(
+        `INSERT INTO challenges
+           (id, scenario_id, seed, team_name, score, time_seconds, breakdown,
+            settings, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          challenge.id,
+          challenge.scenarioId,
+          challenge.seed,
+          challenge.teamName,
+          challenge.score,
+          challenge.time,
+          JSON.stringify(challenge.breakdown),
+          JSON.stringify(challenge.settings),
+          challenge.createdAt,
+        ]
+      );
+    },
+
+    async getChallenge(id) {
+      const rows = await query(
+        `SELECT id, scenario_id, seed, team_name, score, time_seconds,
+                breakdown, settings, created_at
+         FROM challenges WHERE id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? sql.challengeFromRow(rows[0]) : null;
+    },
+
+    async saveScore({ teamName, score, time, mode, scenarioId, clientId }) {
+      const result = run(
+        `INSERT INTO scores
+           (team_name, score, time_seconds, mode, scenario_id, client_id,
+            created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [teamName, score, time, mode, scenarioId, clientId, new Date()]
+      );
+      return Number(result.lastInsertRowid);
+    },
+
+    async findScoreByClientId(clientId) {
+      const rows = await query("SELECT id FROM scores WHERE client_id = ?", [
+        clientId,
+      ]);
+      return rows.length > 0 ? rows[0].id : null;
+    },
+
+    async useRun(key, expiresAt) {
+      run("DELETE FROM used_runs WHERE expires_at <= ?", [new Date()]);
+      const result = run(
+        "INSERT OR IGNORE INTO used_runs (run_key, expires_at) VALUES (?, ?)",
+        [key, expiresAt]
+      );
+      return result.changes === 1;
+    },
+
+    async releaseRun(key) {
+      run("DELETE FROM used_runs WHERE run_key = ?", [key]);
+    },
+
+    // Przebieg gry z próbami i odpowiedziami (jedna transakcja)
+    async saveGameSession(session) {
+      const save = db.transaction(() => {
+        const inserted = run(
+          `INSERT INTO game_sessions
+             (score_id, room_code, scenario_id, seed, team_name, mode, score,
+              time_seconds, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            session.scoreId,
+            session.roomCode,
+            session.scenarioId,
+            session.seed,
+            session.teamName,
+            session.mode,
+            session.score,
+            session.time,
+            new Date(),
+          ]
+        );
+        const sessionId = Number(inserted.lastInsertRowid);
+
+        session.attempts.forEach((attempt) => {
+          const row = run(
+            `INSERT INTO room_attempts
+               (session_id, room, attempt, points_delta, passed, is_hint,
+                reason, elapsed_seconds, attempted_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              sessionId,
+              attempt.room,
+              attempt.attempt,
+              attempt.delta,
+              attempt.passed,
+              attempt.hint,
+              attempt.reason,
+              attempt.elapsed,
+              attempt.at,
+            ]
+          );
+          attempt.items.forEach((item) => {
+            run(
+              `INSERT INTO attempt_answers
+                 (attempt_id, item_id, value, is_correct)
+               VALUES (?, ?, ?, ?)`,
+              [row.lastInsertRowid, item.itemId, item.value, item.correct]
+            );
+          });
+        });
+
+        session.rooms.forEach((room) => {
+          run(
+            `INSERT INTO room_times (session_id, room, points, time_seconds)
+             VALUES (?, ?, ?, ?)`,
+            [sessionId, room.room, room.points, room.time]
+          );
+        });
+        return sessionId;
+      });
+      return save();
+    },
+
+    rankScores(filters) {
+      return sql.rankScores(query, filters);
+    },
+
+    analytics(filters) {
+      return sql.analytics(query, filters, DIALECT);
+    },
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,60 @@
+// Magazyn danych serwera: wyniki, historia gier, wyzwania Versus i scenariusze
+// z edytora. STORAGE w .env wybiera magazyn: mysql, sqlite albo memory.
+// Bez STORAGE serwer próbuje kolejno MySQL i SQLite, więc gra działa od razu
+// także na komputerze bez MySQL. Gdy wybrany magazyn nie działa, dane
+// zostają w pamięci do restartu serwera.
+//
+// Każdy magazyn ma te same metody (wszystkie async):
+//   init(), close()
+//   loadScenarios() -> [{ id, data }]  (data - scenariusz jako JSON)
+//   saveScenario(scenario)
+//   saveChallenge(challenge), getChallenge(id) -> wyzwanie albo null
+//   saveScore({ teamName, score, time, mode, scenarioId, clientId })
+//     -> id wyniku (clientId - opcjonalny, unikalny identyfikator z gry)
+//   findScoreByClientId(clientId) -> id wyniku albo null
+//   useRun(key, expiresAt) -> true, gdy token gry nie był jeszcze
+//     wykorzystany (wpis znika po expiresAt), releaseRun(key)
+//   saveGameSession(session) -> id przebiegu (session z server.js)
+//   rankScores(filters) -> { scores, total }  (filtry z ranking.js)
+//   analytics(filters) -> { answerRows, timeRows, sessions, averageScore,
+//                           roomCodes }
+// name - rodzaj magazynu, persistent - czy dane przetrwają restart serwera.
+
+const { createMemoryStorage } = require("./storage-memory");
+const { createMysqlStorage } = require("./storage-mysql");
+const { createSqliteStorage } = require("./storage-sqlite");
+
+const FACTORIES = {
+  mysql: createMysqlStorage,
+  sqlite: createSqliteStorage,
+  memory: createMemoryStorage,
+};
+const AUTO_ORDER = ["mysql", "sqlite"];
+
+// Pierwszy działający magazyn (po init); nigdy nie kończy się błędem
+async function createStorage(env = process.env) {
+  const kind = (env.STORAGE || "").trim().toLowerCase();
+  let candidates = AUTO_ORDER;
+  if (kind && FACTORIES[kind]) {
+    candidates = [kind];
+  } else if (kind) {
+    console.error(`⚠️ Nieznany magazyn danych STORAGE=${kind}`);
+  }
+
+  for (const candidate of candidates) {
+    const storage = FACTORIES[candidate](env);
+    try {
+      await storage.init();
+      return storage;
+    } catch (error) {
+      console.error(`⚠️ Magazyn ${candidate} niedostępny:`, error.message);
+    }
+  }
+
+  console.error("⚠️ Dane będą przechowywane w pamięci do restartu serwera");
+  const memory = createMemoryStorage();
+  await memory.init();
+  return memory;
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,91 @@
+// Nazwa zespołu: długość, dozwolone znaki i słowa niedozwolone - wspólne dla
+// ekranu startowego (globalne TeamName) i serwera (require). Serwer sprawdza
+// nazwę przy zapisie wyniku i przy wejściu do pokoju multiplayer.
+
+(function (root) {
+  const MAX_LENGTH = 30;
+
+  // Początki wulgaryzmów (PL, UA, EN) - słowo nazwy jest niedozwolone, gdy
+  // zaczyna się od jednego z nich (po sprowadzeniu do małych liter bez
+  // znaków diakrytycznych i cyfr udających litery)
+  const BLOCKED_WORDS = [
+    "kurw",
+    "chuj",
+    "huj",
+    "pierdol",
+    "jeba",
+    "jebi",
+    "pizd",
+    "skurwy",
+    "cwel",
+    "suka",
+    "хуй",
+    "хуе",
+    "пизд",
+    "бляд",
+    "єба",
+    "йоба",
+    "сука",
+    "fuck",
+    "shit",
+    "cunt",
+    "bitch",
+    "nigger",
+    "whore",
+  ];
+
+  const LOOKALIKES = {
+    0: "o",
+    1: "i",
+    3: "e",
+    4: "a",
+    5: "s",
+    7: "t",
+    "@": "a",
+    $: "s",
+  };
+
+  // Słowa nazwy; litery pisane osobno („k.u.r.w.a”, „f u c k”) są
+  // sklejane w jedno słowo
+  function words(name) {
+    const normalized = name
+      .toLowerCase()
+      .replace(/ł/g, "l")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[013457@$]/g, (char) => LOOKALIKES[char]);
+    const list = normalized.split(/[^\p{L}]+/u).filter(Boolean);
+    const spelled = list.filter((word) => word.length === 1).join("");
+    return spelled.length > 1 ? [...list, spelled] : list;
+  }
+
+  // Kod błędu nazwy albo null, gdy nazwa jest poprawna:
+  // "empty", "too-long", "invalid-chars", "profanity"
+  function validateTeamName(name) {
+    if (typeof name !== "string" || !name.trim()) return "empty";
+    if (name.trim().length > MAX_LENGTH) return "too-long";
+    if (/[\p{C}<>]/u.test(name)) return "invalid-chars";
+    const blocked = words(name).some((word) =>
+      BLOCKED_WORDS.some((stem) => word.startsWith(stem)),
+    );
+    if (blocked) {
+      return "profanity";
+    }
+    return null;
+  }
+
+  const MESSAGES = {
+    empty: "Brak nazwy zespołu",
+    "too-long": `Nazwa zespołu może mieć najwyżej ${MAX_LENGTH} znaków`,
+    "invalid-chars": "Nazwa zespołu zawiera niedozwolone znaki",
+    profanity: "Nazwa zespołu zawiera niedozwolone słowa",
+  };
+
+  const api = { MAX_LENGTH, MESSAGES, validateTeamName };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = api;
+  } else {
+    root.TeamName = api;
+  }
+})(this);
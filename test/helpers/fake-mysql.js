@@ -0,0 +1,83 @@
+// Baza w pamięci zamiast MySQL dla testów serwera - podmienia moduł
+// mysql2/promise, zanim server.js go wczyta. INSERT zapisuje wiersz w tabeli
+// (kolumny z listy w zapytaniu), SELECT bez WHERE zwraca wszystkie wiersze
+// tabeli, SELECT z jednym warunkiem „kolumna = ?” - pasujące wiersze,
+// DELETE z takim warunkiem usuwa pasujące wiersze, pozostałe zapytania
+// (CREATE, ALTER, inne SELECT i DELETE) nic nie zwracają.
+const Module = require("module");
+
+function createFakeMysql() {
+  const tables = {};
+  const queries = [];
+  let nextId = 1;
+
+  async function query(sql, params = []) {
+    queries.push({ sql, params });
+    const insert = sql.match(/INSERT INTO\s+(\w+)\s*\(([^)]*)\)/i);
+    if (insert) {
+      const [, table, columnList] = insert;
+      const row = { id: nextId++ };
+      columnList.split(",").forEach((column, index) => {
+        row[column.trim()] = params[index];
+      });
+      (tables[table] = tables[table] || []).push(row);
+      return [{ insertId: row.id, affectedRows: 1 }, undefined];
+    }
+    const remove = sql.match(
+      /^\s*DELETE FROM\s+(\w+)\s+WHERE\s+(\w+)\s*=\s*\?\s*$/i,
+    );
+    if (remove) {
+      const [, table, column] = remove;
+      const before = (tables[table] || []).length;
+      tables[table] = (tables[table] || []).filter(
+        (row) => row[column] !== params[0],
+      );
+      return [{ affectedRows: before - tables[table].length }, undefined];
+    }
+    const select = sql.match(/^\s*SELECT[\s\S]*?\sFROM\s+(\w+)/i);
+    const rows = () => (tables[select[1]] || []).map((row) => ({ ...row }));
+    if (select && !/\sWHERE\s/i.test(sql)) {
+      return [rows(), []];
+    }
+    const where = select && sql.match(/\sWHERE\s+(\w+)\s*=\s*\?\s*$/i);
+    if (where) {
+      return [rows().filter((row) => row[where[1]] === params[0]), []];
+    }
+    return [select ? [] : { affectedRows: 0 }, undefined];
+  }
+
+  const connection = {
+    query,
+    execute: query,
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    release: () => {},
+    end: async () => {},
+  };
+
+  return {
+    tables,
+    queries,
+    createPool: () => ({
+      query,
+      execute: query,
+      getConnection: async () => connection,
+    }),
+    createConnection: async () => connection,
+  };
+}
+
+// Zwraca bazę, którą dostanie serwer wczytany po tym wywołaniu
+function installFakeMysql() {
+  const fake = createFakeMysql();
+  const filename = require.resolve("mysql2/promise");
+  const stub = new Module(filename);
+  stub.filename = filename;
+  stub.loaded = true;
+  stub.exports = fake;
+  require.cache[filename] = stub;
+  return fake;
+}
+
+module.exports = { installFakeMysql };
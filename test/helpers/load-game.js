@@ -0,0 +1,87 @@
+// Gra (index.html i skrypty przeglądarki) w jsdom. Bez serwera: fetch zawodzi
+// (poza podanymi scenariuszami), więc gra używa wbudowanego scenariusza
+// i wyników z localStorage.
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..", "..");
+const SCRIPTS = [
+  "i18n.js",
+  "game-settings.js",
+  "room-checks.js",
+  "ranking.js",
+  "team-name.js",
+  "game.js",
+];
+
+// Scenariusz z katalogu scenarios/ bez tłumaczeń - gra pokazuje treść
+// oryginału niezależnie od języka przeglądarki
+function readScenario(id) {
+  const file = path.join(ROOT, "scenarios", `${id}.json`);
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  delete scenario.translations;
+  return scenario;
+}
+
+// Odpowiedzi API scenariuszy (/api/scenarios i /api/scenarios/:id)
+function scenarioFetch(scenarios) {
+  const reply = (body) => ({ ok: true, json: async () => body });
+  return async (url) => {
+    const { pathname } = new URL(url, "http://localhost/");
+    if (pathname === "/api/scenarios" && scenarios.length > 0) {
+      return reply({
+        success: true,
+        scenarios: scenarios.map(({ id, name, description }) => ({
+          id,
+          name,
+          description,
+        })),
+      });
+    }
+    const scenario = scenarios.find(
+      (s) => pathname === `/api/scenarios/${encodeURIComponent(s.id)}`,
+    );
+    if (scenario) return reply({ success: true, scenario });
+    throw new Error("Brak serwera");
+  };
+}
+
+// storage - wpisy localStorage ustawiane przed startem gry,
+// scenarios - scenariusze, które gra może pobrać zamiast wbudowanego
+async function loadGame({ storage = {}, scenarios = [] } = {}) {
+  const html = fs
+    .readFileSync(path.join(ROOT, "index.html"), "utf8")
+    .replace(/<script[^>]*><\/script>/g, "");
+  const dom = new JSDOM(html, {
+    url: "http://localhost/",
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+  });
+  const { window } = dom;
+  window.fetch = scenarioFetch(scenarios);
+  Object.keys(storage).forEach((key) => {
+    window.localStorage.setItem(key, JSON.stringify(storage[key]));
+  });
+  SCRIPTS.forEach((file) => {
+    window.eval(fs.readFileSync(path.join(ROOT, file), "utf8"));
+  });
+
+  await new Promise((resolve) => window.addEventListener("load", resolve));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  return window;
+}
+
+// Gra solo w wybranym scenariuszu; po teście wywołaj window.close(),
+// żeby zatrzymać zegar gry
+async function startSoloGame(window, scenarioId, teamName = "Testerzy") {
+  const $ = (selector) => window.document.querySelector(selector);
+  $("#team-name").value = teamName;
+  $("#mode-select").value = "solo";
+  $("#scenario-select").value = scenarioId;
+  $("#btn-start").click();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+module.exports = { loadGame, readScenario, startSoloGame };
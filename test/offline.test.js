@@ -0,0 +1,116 @@
+// Gra bez sieci w przeglądarce (jsdom): wynik, którego nie udało się
+// wysłać, czeka w kolejce w localStorage, jest oznaczony w rankingu i trafia
+// na serwer, gdy /health znów odpowiada. Solo offline gra z zapasowym
+// tokenem, a multiplayer jest wyłączony.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadGame,
+  readScenario,
+  startSoloGame,
+} = require("./helpers/load-game");
+
+const scenario = readScenario("login-release");
+
+// Serwer, który można wyłączyć (server.online). Każdy token gry jest inny.
+function fakeServer(window) {
+  const server = { online: true, runs: 0, posts: [] };
+  const base = window.fetch;
+  const reply = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+  });
+  window.fetch = async (url, options = {}) => {
+    const { pathname } = new URL(url, "http://localhost/");
+    if (["/api/runs", "/health", "/api/scores"].includes(pathname)) {
+      if (!server.online) throw new Error("Brak sieci");
+      if (pathname === "/api/runs") {
+        server.runs += 1;
+        return reply(201, { token: `run-${server.runs}` });
+      }
+      if (pathname === "/health") return reply(200, { status: "ok" });
+      if (options.method !== "POST") {
+        return reply(200, {
+          scores: [],
+          total: 0,
+          page: 1,
+          pageSize: 20,
+          totalPages: 1,
+        });
+      }
+      server.posts.push(JSON.parse(options.body));
+      return reply(201, { success: true, id: 1, persistent: true });
+    }
+    return base(url, options);
+  };
+  return server;
+}
+
+test("wynik bez połączenia czeka w kolejce i trafia na serwer", async (t) => {
+  const window = await loadGame({ scenarios: [scenario] });
+  t.after(() => window.close());
+  const $ = (selector) => window.document.querySelector(selector);
+  const queue = () =>
+    JSON.parse(window.localStorage.getItem("escapeRoomScoreQueue") || "[]");
+  const server = fakeServer(window);
+  await startSoloGame(window, scenario.id);
+  server.online = false;
+
+  await window.saveScore("Testerzy", 30, 120, "solo");
+  assert.equal(queue().length, 1);
+  assert.equal(queue()[0].body.runToken, "run-1");
+  assert.match(queue()[0].clientId, /^[A-Za-z0-9-]{8,64}$/);
+  assert.ok($("#end-save-status").classList.contains("warning"));
+
+  // Ranking bez serwera pokazuje wynik jako oczekujący
+  await window.showRanking();
+  const row = $("#ranking-tbody tr.pending");
+  assert.ok(row);
+  assert.deepEqual(
+    Array.from(row.cells, (cell) => cell.textContent).slice(0, 3),
+    ["⏳", "Testerzy", "30"],
+  );
+
+  // Serwer wrócił - wynik wysłany z tym samym identyfikatorem
+  server.online = true;
+  await window.syncScoreQueue();
+  assert.equal(server.posts.length, 1);
+  assert.equal(
+    server.posts[0].clientId,
+    JSON.parse(window.localStorage.getItem("escapeRoomScores"))[0].clientId,
+  );
+  assert.deepEqual(queue(), []);
+  assert.equal($("#ranking-tbody tr.pending"), null);
+});
+
+test("solo bez sieci gra z zapasowym tokenem, multiplayer wyłączony", async (t) => {
+  const window = await loadGame({ scenarios: [scenario] });
+  t.after(() => window.close());
+  const $ = (selector) => window.document.querySelector(selector);
+  const multiplayer = $('#mode-select option[value="multiplayer"]');
+
+  // Bez socket.io (jak po starcie bez sieci) multiplayer jest niedostępny
+  assert.equal(multiplayer.disabled, true);
+  assert.ok(!$("#mode-offline-note").classList.contains("hidden"));
+
+  // Serwer działa - gra pobiera zapasowy token dla wybranego scenariusza
+  const server = fakeServer(window);
+  window.io = () => {};
+  window.dispatchEvent(new window.Event("online"));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(multiplayer.disabled, false);
+  assert.ok($("#mode-offline-note").classList.contains("hidden"));
+  const reserve = JSON.parse(
+    window.localStorage.getItem("escapeRoomReserveRun"),
+  );
+  assert.equal(reserve.token, "run-1");
+
+  // Bez sieci gra solo używa zapasowego tokenu, a wynik czeka w kolejce
+  server.online = false;
+  await startSoloGame(window, scenario.id);
+  await window.saveScore("Testerzy", 30, 120, "solo");
+  const queue = JSON.parse(window.localStorage.getItem("escapeRoomScoreQueue"));
+  assert.equal(queue[0].body.runToken, "run-1");
+  assert.equal(window.localStorage.getItem("escapeRoomReserveRun"), null);
+});
@@ -0,0 +1,99 @@
+// Nazwy drużyn i treść scenariuszy są wyświetlane dosłownie - znaczniki
+// HTML z bazy danych lub edytora scenariuszy nie tworzą elementów.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadGame, readScenario } = require("./helpers/load-game");
+
+const HOSTILE = '<img src="x" onerror="window.hacked = true">';
+
+function assertLiteral(container, text) {
+  assert.equal(container.querySelector("img, script"), null);
+  assert.ok(
+    container.textContent.includes(text),
+    `brak dosłownego tekstu w ${container.id || container.className}`,
+  );
+}
+
+test("ranking wyświetla wrogą nazwę drużyny jako tekst", async () => {
+  const window = await loadGame({
+    storage: {
+      escapeRoomScores: [
+        {
+          teamName: HOSTILE,
+          score: 50,
+          time: 120,
+          mode: "solo",
+          scenarioId: "login-release",
+          date: new Date().toISOString(),
+        },
+      ],
+    },
+  });
+
+  await window.eval("showRanking()");
+
+  const cells = window.document.querySelectorAll("#ranking-tbody td");
+  assert.equal(cells[1].textContent, HOSTILE);
+  assertLiteral(window.document.querySelector("#ranking-tbody"), HOSTILE);
+  assert.equal(window.hacked, undefined);
+});
+
+test("pokoje wyświetlają wrogą treść scenariusza jako tekst", async () => {
+  const window = await loadGame();
+  const scenario = readScenario("login-release");
+  scenario.quiz[0].question = `${HOSTILE} pytanie`;
+  scenario.quiz[0].options[0].text = `${HOSTILE} odpowiedź`;
+  scenario.backlog[0].title = `${HOSTILE} element`;
+  scenario.backlog[0].priority = "<b>Must</b>";
+  scenario.stories.forEach((story) => {
+    story.text = `${HOSTILE} ${story.id}`;
+  });
+  scenario.tests[0].text = `${HOSTILE} test`;
+
+  window.eval(`
+    setScenario(${JSON.stringify(scenario)});
+    buildQuiz();
+    buildBacklog();
+    buildStories();
+    buildTests();
+  `);
+  const $ = (selector) => window.document.querySelector(selector);
+
+  assertLiteral($("#quiz-container"), `${HOSTILE} pytanie`);
+  assertLiteral($("#quiz-container"), `${HOSTILE} odpowiedź`);
+  assertLiteral($("#product-backlog"), `${HOSTILE} element`);
+  assertLiteral($("#product-backlog"), "<b>Must</b>");
+  assert.equal($("#product-backlog b"), null);
+  assertLiteral($("#stories-pool"), HOSTILE);
+  assertLiteral($("#tests-pool"), `${HOSTILE} test`);
+
+  // Pokój testów powtarza treść historii wybranych do Sprintu
+  $("#stories-pool")
+    .querySelectorAll(".card")
+    .forEach((card) => $("#stories-sprint").appendChild(card));
+  window.eval("updateTestsRoom()");
+  const container = $("#tests-stories-container");
+  assertLiteral(container, `${HOSTILE} ${scenario.stories[0].id}`);
+  assert.equal(
+    container.querySelectorAll(".test-list").length,
+    scenario.stories.length,
+  );
+  assert.equal(window.hacked, undefined);
+});
+
+test("odpowiedzi quizu zachowują identyfikatory opcji", async () => {
+  const window = await loadGame();
+  const scenario = readScenario("login-release");
+  scenario.quiz[0].options[0].id = 'a" data-correct="true';
+
+  window.eval(`setScenario(${JSON.stringify(scenario)}); buildQuiz();`);
+
+  const inputs = window.document.querySelectorAll(
+    `input[name="quiz-${scenario.quiz[0].id}"]`,
+  );
+  assert.equal(inputs[0].value, 'a" data-correct="true');
+  assert.equal(
+    inputs[0].dataset.correct,
+    String(scenario.quiz[0].options[0].correct),
+  );
+});
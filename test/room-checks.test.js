@@ -0,0 +1,312 @@
+// Reguły pokoi (room-checks.js) i punktacja serwera (game-rules.js) bez
+// przeglądarki i bez serwera.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const RoomChecks = require("../room-checks");
+const rules = require("../game-rules");
+const GameSettings = require("../game-settings");
+const { readScenario } = require("./helpers/load-game");
+
+const scenario = readScenario("login-release");
+const normal = GameSettings.presetSettings("normal");
+const sprintStoryIds = scenario.stories
+  .filter((story) => story.matchesGoal)
+  .map((story) => story.id);
+
+function quizAnswers(correct) {
+  const answers = {};
+  scenario.quiz.forEach((question) => {
+    answers[question.id] = question.options.find(
+      (option) => option.correct === correct,
+    ).id;
+  });
+  return answers;
+}
+
+// Każdy test przy swojej historii; testy historii spoza Sprintu przy
+// pierwszej historii w Sprincie
+function correctAssignments() {
+  const assignments = {};
+  sprintStoryIds.forEach((storyId) => {
+    assignments[storyId] = [];
+  });
+  scenario.tests.forEach((test) => {
+    const storyId = sprintStoryIds.includes(test.storyId)
+      ? test.storyId
+      : sprintStoryIds[0];
+    assignments[storyId].push(test.id);
+  });
+  return assignments;
+}
+
+test("quiz: wszystkie poprawne odpowiedzi zaliczają pokój", () => {
+  const result = RoomChecks.checkQuiz(scenario, {
+    answers: quizAnswers(true),
+  });
+  assert.equal(result.passed, true);
+  assert.equal(result.delta, RoomChecks.PASS_POINTS.quiz);
+  assert.deepEqual(result.wrongIds, []);
+});
+
+test("quiz: punkty częściowe tylko w pierwszej próbie", () => {
+  const answers = quizAnswers(true);
+  const wrongQuestion = scenario.quiz[0];
+  answers[wrongQuestion.id] = wrongQuestion.options.find((o) => !o.correct).id;
+
+  const first = RoomChecks.checkQuiz(scenario, { answers });
+  assert.equal(first.passed, false);
+  assert.equal(first.reason, "wrong-answers");
+  assert.equal(first.correct, scenario.quiz.length - 1);
+  assert.equal(
+    first.delta,
+    (scenario.quiz.length - 1) * RoomChecks.QUIZ_POINTS_PER_ANSWER,
+  );
+  assert.deepEqual(first.wrongIds, [wrongQuestion.id]);
+
+  const second = RoomChecks.checkQuiz(
+    scenario,
+    { answers },
+    {
+      wrongAttempts: 1,
+    },
+  );
+  assert.equal(second.delta, 0);
+});
+
+test("quiz: brak odpowiedzi nie zmienia punktów", () => {
+  const answers = quizAnswers(true);
+  delete answers[scenario.quiz[1].id];
+  const result = RoomChecks.checkQuiz(scenario, { answers });
+  assert.equal(result.reason, "unanswered");
+  assert.equal(result.delta, 0);
+});
+
+test("backlog: elementy must have są obowiązkowe", () => {
+  const optional = scenario.backlog.filter((item) => !item.mustHave);
+  const result = RoomChecks.checkBacklog(
+    scenario,
+    { itemIds: optional.map((item) => item.id) },
+    normal,
+  );
+  assert.equal(result.reason, "missing-must-have");
+  assert.equal(result.delta, -RoomChecks.MAX_PENALTY);
+  assert.deepEqual(
+    result.missingIds,
+    scenario.backlog.filter((item) => item.mustHave).map((item) => item.id),
+  );
+});
+
+test("backlog: pojemność i minimum Sprintu zależą od ustawień", () => {
+  const all = { itemIds: scenario.backlog.map((item) => item.id) };
+  const over = RoomChecks.checkBacklog(scenario, all, normal);
+  assert.equal(over.reason, "over-capacity");
+  assert.equal(over.capacity, scenario.sprintCapacity);
+  assert.equal(over.delta, -3);
+
+  const mustHave = {
+    itemIds: scenario.backlog
+      .filter((item) => item.mustHave)
+      .map((item) => item.id),
+  };
+  assert.equal(
+    RoomChecks.checkBacklog(scenario, mustHave, normal).passed,
+    true,
+  );
+
+  const hard = RoomChecks.checkBacklog(
+    scenario,
+    mustHave,
+    GameSettings.normalizeSettings({
+      ...normal,
+      difficulty: "custom",
+      minPointsDelta: 10,
+    }),
+  );
+  assert.equal(hard.reason, "under-capacity");
+  assert.equal(hard.delta, -2);
+});
+
+test("historie: każda musi trafić do właściwej kolumny", () => {
+  const later = scenario.stories
+    .filter((story) => !story.matchesGoal)
+    .map((story) => story.id);
+  const ok = RoomChecks.checkStories(scenario, {
+    sprint: sprintStoryIds,
+    later,
+  });
+  assert.equal(ok.passed, true);
+  assert.equal(ok.delta, RoomChecks.PASS_POINTS.stories);
+
+  const swapped = RoomChecks.checkStories(scenario, {
+    sprint: [...sprintStoryIds.slice(1), later[0]],
+    later: [sprintStoryIds[0], ...later.slice(1)],
+  });
+  assert.equal(swapped.reason, "misclassified");
+  assert.equal(swapped.correct, scenario.stories.length - 2);
+  assert.equal(swapped.delta, -3);
+});
+
+test("pola odpowiedzi o złym typie liczą się jak puste", () => {
+  const garbage = [
+    ["quiz", { answers: null }, "unanswered"],
+    ["quiz", { answers: "abc" }, "unanswered"],
+    ["backlog", { itemIds: 5 }, "missing-must-have"],
+    ["stories", { sprint: null, later: {} }, "misclassified"],
+    ["tests", { assignments: { [sprintStoryIds[0]]: 5 } }, "unassigned-tests"],
+    ["tests", { assignments: [] }, "unassigned-tests"],
+    ["quiz", null, "unanswered"],
+    ["conflict", 5, "unknown-choice"],
+  ];
+  garbage.forEach(([room, answer, reason]) => {
+    const result = RoomChecks.checkRoom(
+      scenario,
+      room,
+      answer,
+      { wrongAttempts: 0, sprintStoryIds },
+      normal,
+    );
+    assert.equal(result.passed, false);
+    assert.equal(result.reason, reason, `${room} ${JSON.stringify(answer)}`);
+  });
+});
+
+test("historie: ta sama historia w obu kolumnach lub dwa razy się nie liczy", () => {
+  const all = scenario.stories.map((story) => story.id);
+  const both = RoomChecks.checkStories(scenario, { sprint: all, later: all });
+  assert.equal(both.passed, false);
+  assert.equal(both.correct, 0);
+
+  const later = scenario.stories
+    .filter((story) => !story.matchesGoal)
+    .map((story) => story.id);
+  const twice = RoomChecks.checkStories(scenario, {
+    sprint: [...sprintStoryIds, sprintStoryIds[0]],
+    later,
+  });
+  assert.equal(twice.passed, false);
+  assert.equal(twice.correct, scenario.stories.length - 1);
+
+  const missing = RoomChecks.checkStories(scenario, {
+    sprint: sprintStoryIds,
+    later: later.slice(1),
+  });
+  assert.equal(missing.passed, false);
+});
+
+test("testy: test przypisany do kilku historii to błędne przypisanie", () => {
+  const allTests = scenario.tests.map((test) => test.id);
+  const assignments = {};
+  sprintStoryIds.forEach((storyId) => {
+    assignments[storyId] = allTests;
+  });
+  const result = RoomChecks.checkTests(
+    scenario,
+    { assignments },
+    sprintStoryIds,
+  );
+  assert.equal(result.passed, false);
+  assert.equal(result.reason, "wrong-assignment");
+  assert.equal(result.delta, -RoomChecks.MAX_PENALTY);
+
+  const once = correctAssignments();
+  once[sprintStoryIds[1]].push(once[sprintStoryIds[0]][0]);
+  assert.equal(
+    RoomChecks.checkTests(scenario, { assignments: once }, sprintStoryIds)
+      .reason,
+    "wrong-assignment",
+  );
+});
+
+test("testy: poprawne przypisanie zalicza pokój", () => {
+  const result = RoomChecks.checkTests(
+    scenario,
+    { assignments: correctAssignments() },
+    sprintStoryIds,
+  );
+  assert.equal(result.passed, true);
+  assert.equal(result.delta, RoomChecks.PASS_POINTS.tests);
+  assert.deepEqual(result.correctStoryIds, sprintStoryIds);
+});
+
+test("testy: nieprzypisane testy i historie bez testów", () => {
+  const assignments = correctAssignments();
+  const dropped = assignments[sprintStoryIds[0]].pop();
+  const unassigned = RoomChecks.checkTests(
+    scenario,
+    { assignments },
+    sprintStoryIds,
+  );
+  assert.equal(unassigned.reason, "unassigned-tests");
+  assert.equal(unassigned.unassigned, 1);
+
+  assignments[sprintStoryIds[1]].push(dropped);
+  assignments[sprintStoryIds[1]].push(...assignments[sprintStoryIds[2]]);
+  assignments[sprintStoryIds[2]] = [];
+  const empty = RoomChecks.checkTests(
+    scenario,
+    { assignments },
+    sprintStoryIds,
+  );
+  assert.equal(empty.reason, "story-without-tests");
+  assert.equal(empty.withoutTests, 1);
+  assert.equal(empty.delta, -3);
+});
+
+test("testy: historia bez pasującego testu to błędne przypisanie", () => {
+  const [first, second] = sprintStoryIds;
+  const assignments = correctAssignments();
+  [assignments[first], assignments[second]] = [
+    assignments[second],
+    assignments[first],
+  ];
+  const result = RoomChecks.checkTests(
+    scenario,
+    { assignments },
+    sprintStoryIds,
+  );
+  assert.equal(result.reason, "wrong-assignment");
+  assert.equal(result.delta, -RoomChecks.MAX_PENALTY);
+  assert.ok(!result.correctStoryIds.includes(first));
+  assert.ok(!result.correctStoryIds.includes(second));
+});
+
+test("konflikt: punkty i koniec gry według wybranej opcji", () => {
+  scenario.conflict.options.forEach((option) => {
+    const result = RoomChecks.checkConflict(scenario, { choice: option.id });
+    assert.equal(result.delta, option.points);
+    assert.equal(result.finished, Boolean(option.endsGame));
+    assert.equal(result.option, option);
+  });
+  const unknown = RoomChecks.checkConflict(scenario, { choice: "brak" });
+  assert.equal(unknown.reason, "unknown-choice");
+  assert.equal(RoomChecks.checkRoom(scenario, "brak", {}), null);
+});
+
+test("serwer skaluje kary według poziomu trudności", () => {
+  const answer = { itemIds: [] };
+  const easy = rules.checkAnswer(
+    scenario,
+    "backlog",
+    answer,
+    {},
+    GameSettings.presetSettings("easy"),
+  );
+  const hard = rules.checkAnswer(
+    scenario,
+    "backlog",
+    answer,
+    {},
+    GameSettings.presetSettings("hard"),
+  );
+  assert.ok(easy.delta > -RoomChecks.MAX_PENALTY);
+  assert.ok(hard.delta < -RoomChecks.MAX_PENALTY);
+
+  const passed = rules.checkAnswer(
+    scenario,
+    "quiz",
+    { answers: quizAnswers(true) },
+    { wrongAttempts: 0 },
+    GameSettings.presetSettings("hard"),
+  );
+  assert.equal(passed.delta, RoomChecks.PASS_POINTS.quiz);
+});
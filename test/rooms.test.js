@@ -0,0 +1,165 @@
+// Pokoje w przeglądarce (jsdom): drużyna układa karty i zaznacza odpowiedzi,
+// a gra ocenia je regułami z room-checks.js i zmienia punkty w HUD.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  loadGame,
+  readScenario,
+  startSoloGame,
+} = require("./helpers/load-game");
+
+const scenario = readScenario("ecommerce-checkout");
+
+async function playRoom(room) {
+  const window = await loadGame({ scenarios: [scenario] });
+  await startSoloGame(window, scenario.id);
+  window.eval(`goToRoom(${JSON.stringify(room)})`);
+  const $ = (selector) => window.document.querySelector(selector);
+  const score = () => Number($("#hud-score").textContent);
+  const moveCard = (id, listSelector) => {
+    $(listSelector).appendChild($(`.card[data-id="${id}"]`));
+  };
+  return { window, $, score, moveCard };
+}
+
+function feedbackState(element) {
+  return element.classList.contains("ok") ? "ok" : "error";
+}
+
+test("quiz: punkty częściowe za pierwszą próbę, potem przejście", async (t) => {
+  const { window, $, score } = await playRoom("quiz");
+  t.after(() => window.close());
+  const choose = (wrongIds) => {
+    scenario.quiz.forEach((question) => {
+      const option = question.options.find(
+        (o) => o.correct !== wrongIds.includes(question.id),
+      );
+      $(`input[name="quiz-${question.id}"][value="${option.id}"]`).checked =
+        true;
+    });
+  };
+  const wrong = scenario.quiz[0];
+
+  choose([wrong.id]);
+  $("#btn-validate-quiz").click();
+  assert.equal(feedbackState($("#feedback-quiz")), "error");
+  assert.equal(score(), (scenario.quiz.length - 1) * 3);
+  assert.ok(
+    $(`input[name="quiz-${wrong.id}"]:checked`)
+      .closest(".quiz-option")
+      .classList.contains("wrong"),
+  );
+
+  choose([wrong.id]);
+  $("#btn-validate-quiz").click();
+  assert.equal(score(), (scenario.quiz.length - 1) * 3);
+
+  choose([]);
+  $("#btn-validate-quiz").click();
+  assert.equal(feedbackState($("#feedback-quiz")), "ok");
+  assert.equal(score(), (scenario.quiz.length - 1) * 3 + 15);
+});
+
+test("backlog: must have, pojemność Sprintu i przejście", async (t) => {
+  const { window, $, score, moveCard } = await playRoom("backlog");
+  t.after(() => window.close());
+  const optional = scenario.backlog.filter((item) => !item.mustHave);
+  const mustHave = scenario.backlog.filter((item) => item.mustHave);
+
+  optional.forEach((item) => moveCard(item.id, "#sprint-backlog"));
+  $("#btn-validate-backlog").click();
+  assert.equal(feedbackState($("#feedback-backlog")), "error");
+  assert.equal(score(), -5);
+
+  mustHave.forEach((item) => moveCard(item.id, "#sprint-backlog"));
+  $("#btn-validate-backlog").click();
+  assert.equal(score(), -8);
+
+  // Zostaw must have i najmniejszy element, który mieści się w Sprincie
+  const [smallest, ...rest] = optional
+    .slice()
+    .sort((a, b) => a.points - b.points);
+  rest.forEach((item) => moveCard(item.id, "#product-backlog"));
+  assert.ok(
+    mustHave.reduce((sum, item) => sum + item.points, smallest.points) <=
+      scenario.sprintCapacity,
+  );
+  $("#btn-validate-backlog").click();
+  assert.equal(feedbackState($("#feedback-backlog")), "ok");
+  assert.equal(score(), 7);
+  assert.ok($("#room-stories").classList.contains("active"));
+});
+
+test("historie i testy: klasyfikacja oraz przypisanie testów", async (t) => {
+  const { window, $, score, moveCard } = await playRoom("stories");
+  t.after(() => window.close());
+  const inSprint = scenario.stories.filter((story) => story.matchesGoal);
+
+  scenario.stories.forEach((story) => moveCard(story.id, "#stories-sprint"));
+  $("#btn-validate-stories").click();
+  assert.equal(feedbackState($("#feedback-stories")), "error");
+  assert.equal(score(), -3);
+
+  scenario.stories
+    .filter((story) => !story.matchesGoal)
+    .forEach((story) => moveCard(story.id, "#stories-later"));
+  $("#btn-validate-stories").click();
+  assert.equal(score(), 12);
+  assert.ok($("#room-tests").classList.contains("active"));
+  assert.equal(
+    window.document.querySelectorAll(".story-test-pair").length,
+    inSprint.length,
+  );
+
+  const list = (storyId) => `.test-list[data-story-id="${storyId}"]`;
+  const target = (test) =>
+    inSprint.some((story) => story.id === test.storyId)
+      ? test.storyId
+      : inSprint[0].id;
+  const [kept, ...placed] = scenario.tests;
+  placed.forEach((test) => moveCard(test.id, list(target(test))));
+  $("#btn-validate-tests").click();
+  assert.equal(feedbackState($("#feedback-tests")), "error");
+  assert.equal(score(), 7);
+
+  // Testy pierwszych dwóch historii zamienione miejscami
+  moveCard(kept.id, list(target(kept)));
+  const [first, second] = inSprint;
+  scenario.tests.forEach((test) => {
+    if (test.storyId === first.id) moveCard(test.id, list(second.id));
+    if (test.storyId === second.id) moveCard(test.id, list(first.id));
+  });
+  $("#btn-validate-tests").click();
+  assert.equal(score(), 2);
+  assert.ok(
+    $(`.story-test-pair[data-story-id="${first.id}"]`).classList.contains(
+      "wrong-pair",
+    ),
+  );
+
+  scenario.tests.forEach((test) => moveCard(test.id, list(target(test))));
+  $("#btn-validate-tests").click();
+  assert.equal(feedbackState($("#feedback-tests")), "ok");
+  assert.equal(score(), 22);
+});
+
+test("konflikt: zła decyzja kosztuje punkty, dobra kończy grę", async (t) => {
+  const { window, $, score } = await playRoom("conflict");
+  t.after(() => window.close());
+  const choice = (id) => $(`.choice-btn[data-choice="${id}"]`);
+  const bad = scenario.conflict.options.find(
+    (option) => !option.correct && !option.endsGame,
+  );
+  const good = scenario.conflict.options.find((option) => option.correct);
+
+  choice(bad.id).click();
+  assert.ok(choice(bad.id).classList.contains("wrong"));
+  assert.equal(score(), bad.points);
+  assert.ok($("#screen-game").classList.contains("active"));
+
+  choice(good.id).click();
+  assert.equal(feedbackState($("#feedback-conflict")), "ok");
+  assert.equal(score(), bad.points + good.points);
+  await new Promise((resolve) => setTimeout(resolve, 1600));
+  assert.ok($("#screen-end").classList.contains("active"));
+});
@@ -0,0 +1,27 @@
+// Scenariusz wbudowany w game.js (gra bez serwera, np. z pliku index.html)
+// musi być dokładną kopią scenarios/login-release.json - zmiana scenariusza
+// bez zmiany kopii zostałaby niezauważona.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// Literał obiektu DEFAULT_SCENARIO z kodu gry
+function defaultScenario() {
+  const source = fs.readFileSync(path.join(ROOT, "game.js"), "utf8");
+  const start = source.indexOf("const DEFAULT_SCENARIO = {");
+  assert.notEqual(start, -1, "brak DEFAULT_SCENARIO w game.js");
+  const from = source.indexOf("{", start);
+  const to = source.indexOf("\n};\n", from);
+  return vm.runInNewContext(`(${source.slice(from, to + 2)})`);
+}
+
+test("wbudowany scenariusz jest kopią scenarios/login-release.json", () => {
+  const file = path.join(ROOT, "scenarios", "login-release.json");
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+  // Przez JSON - obiekty z innego kontekstu vm mają inne prototypy
+  assert.deepEqual(JSON.parse(JSON.stringify(defaultScenario())), scenario);
+});
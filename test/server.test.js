@@ -0,0 +1,701 @@
+// Serwer multiplayer (socket.io) z bazą w pamięci zamiast MySQL: pokój,
+// dołączenie, start, odpowiedzi sprawdzane przez serwer, koniec gry i zapis
+// wyniku w rankingu.
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { io: connect } = require("socket.io-client");
+const { installFakeMysql } = require("./helpers/fake-mysql");
+const { readScenario } = require("./helpers/load-game");
+
+const db = installFakeMysql();
+process.env.STORAGE = "mysql";
+mock.method(console, "log", () => {});
+const { io, server, storageReady } = require("../server");
+
+const scenario = readScenario("login-release");
+const clients = [];
+let url;
+
+before(async () => {
+  await storageReady;
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  clients.forEach((client) => client.disconnect());
+  io.close();
+});
+
+function client() {
+  const socket = connect(url, { transports: ["websocket"], forceNew: true });
+  clients.push(socket);
+  return socket;
+}
+
+// Pierwsze zdarzenie o podanej nazwie (z limitem czasu)
+function next(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(
+      () => reject(new Error(`Brak zdarzenia ${event}`)),
+      2000,
+    );
+    socket.once(event, (data) => {
+      clearTimeout(timeout);
+      resolve(data);
+    });
+  });
+}
+
+function postScore(body) {
+  return fetch(`${url}/api/scores`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+// Drużyna przechodzi quiz i backlog (same elementy must have)
+async function passToStories(socket, roomId) {
+  socket.emit("submitAnswer", {
+    roomId,
+    room: "quiz",
+    answer: { answers: quizAnswers() },
+  });
+  assert.equal((await next(socket, "answerResult")).passed, true);
+  socket.emit("submitAnswer", {
+    roomId,
+    room: "backlog",
+    answer: {
+      itemIds: scenario.backlog
+        .filter((item) => item.mustHave)
+        .map((item) => item.id),
+    },
+  });
+  assert.equal((await next(socket, "answerResult")).passed, true);
+}
+
+function quizAnswers() {
+  const answers = {};
+  scenario.quiz.forEach((question) => {
+    answers[question.id] = question.options.find((o) => o.correct).id;
+  });
+  return answers;
+}
+
+test("serwer tworzy schemat bazy przy starcie", () => {
+  assert.ok((db.tables.schema_migrations || []).length > 0);
+});
+
+test("createRoom → joinRoom → startGame → gameFinished", async () => {
+  const host = client();
+  const guest = client();
+
+  host.emit("createRoom", { teamName: "Alfa", scenarioId: scenario.id });
+  const { roomId } = await next(host, "roomCreated");
+  guest.emit("joinRoom", { roomId, teamName: "Beta" });
+  await next(guest, "roomJoined");
+
+  const starts = [next(host, "gameStart"), next(guest, "gameStart")];
+  host.emit("startGame", { roomId });
+  const [hostStart, guestStart] = await Promise.all(starts);
+  assert.equal(hostStart.scenarioId, scenario.id);
+  assert.ok(hostStart.runToken);
+  assert.notEqual(hostStart.runToken, guestStart.runToken);
+
+  // Serwer sam sprawdza odpowiedzi - punkty od klienta nie mają znaczenia
+  const rivalUpdate = next(guest, "opponentUpdate");
+  host.emit("submitAnswer", {
+    roomId,
+    room: "quiz",
+    answer: { answers: quizAnswers() },
+  });
+  const passed = await next(host, "answerResult");
+  assert.deepEqual(
+    { passed: passed.passed, delta: passed.delta, score: passed.score },
+    { passed: true, delta: 15, score: 15 },
+  );
+  // Rywal widzi przejście do kolejnego pokoju, nie tylko punkty
+  assert.deepEqual(await rivalUpdate, {
+    teamName: "Alfa",
+    score: 15,
+    room: "backlog",
+    roomIndex: 1,
+    wrongAttempts: 0,
+    hintsUsed: 0,
+    finished: false,
+  });
+
+  // Odpowiedź z pokoju, do którego drużyna jeszcze nie doszła, jest pomijana
+  guest.emit("submitAnswer", {
+    roomId,
+    room: "backlog",
+    answer: { itemIds: [] },
+  });
+  const attempt = next(host, "opponentUpdate");
+  guest.emit("submitAnswer", { roomId, room: "quiz", answer: {} });
+  const unanswered = await next(guest, "answerResult");
+  assert.equal(unanswered.reason, "unanswered");
+  assert.equal(unanswered.score, 0);
+  const guestProgress = await attempt;
+  assert.equal(guestProgress.room, "quiz");
+  assert.equal(guestProgress.wrongAttempts, 1);
+
+  const waiting = next(guest, "opponentFinished");
+  host.emit("gameFinished", { roomId, score: 9999 });
+  assert.equal((await waiting).teamName, "Alfa");
+
+  const results = [next(host, "gameResult"), next(guest, "gameResult")];
+  guest.emit("gameFinished", { roomId });
+  const [hostResult, guestResult] = await Promise.all(results);
+  assert.equal(hostResult.myScore, 15);
+  assert.equal(hostResult.isWinner, true);
+  assert.equal(guestResult.myPlace, 2);
+  assert.deepEqual(
+    hostResult.standings.map((team) => team.teamName),
+    ["Alfa", "Beta"],
+  );
+
+  // Wynik z tokenem gry trafia do bazy tylko raz
+  const score = {
+    teamName: "Alfa",
+    score: hostResult.myScore,
+    time: hostResult.myTime,
+    mode: "multiplayer",
+    runToken: hostStart.runToken,
+  };
+  const saved = await postScore(score);
+  assert.equal(saved.status, 201);
+  assert.equal((await saved.json()).persistent, true);
+  const row = db.tables.scores.find((entry) => entry.team_name === "Alfa");
+  assert.equal(row.score, 15);
+  assert.equal(row.mode, "multiplayer");
+  assert.equal(row.scenario_id, scenario.id);
+  assert.equal((await postScore(score)).status, 409);
+});
+
+test("wynik wysłany ponownie z kolejki offline nie dubluje się", async () => {
+  const host = client();
+  const guest = client();
+  host.emit("createRoom", { teamName: "Gamma", scenarioId: scenario.id });
+  const { roomId } = await next(host, "roomCreated");
+  guest.emit("joinRoom", { roomId, teamName: "Delta" });
+  await next(guest, "roomJoined");
+  const start = next(host, "gameStart");
+  host.emit("startGame", { roomId });
+  const { runToken } = await start;
+
+  // Przed końcem gry serwer nie zna jeszcze wyniku drużyny
+  const early = await postScore({
+    teamName: "Gamma",
+    score: 0,
+    time: 0,
+    mode: "multiplayer",
+    runToken,
+  });
+  assert.equal(early.status, 400);
+
+  const finished = next(guest, "opponentFinished");
+  host.emit("gameFinished", { roomId });
+  const { time } = await finished;
+
+  const score = {
+    teamName: "Gamma",
+    score: 0,
+    time,
+    mode: "multiplayer",
+    runToken,
+    clientId: "kolejka-0001",
+  };
+  // Punkty muszą być tymi, które policzył serwer
+  const forged = await postScore({ ...score, score: 90 });
+  assert.equal(forged.status, 400);
+
+  const saved = await postScore(score);
+  assert.equal(saved.status, 201);
+  const { id } = await saved.json();
+
+  const again = await postScore(score);
+  assert.equal(again.status, 200);
+  assert.deepEqual({ id: (await again.json()).id }, { id });
+  assert.equal(
+    db.tables.scores.filter((row) => row.client_id === "kolejka-0001").length,
+    1,
+  );
+
+  const invalid = await postScore({ ...score, clientId: "<zły>" });
+  assert.equal(invalid.status, 400);
+});
+
+test("wynik solo wysłany zaraz po starcie gry jest odrzucany", async () => {
+  const run = await fetch(`${url}/api/runs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      mode: "solo",
+      scenarioId: scenario.id,
+      settings: { difficulty: "normal" },
+    }),
+  });
+  const { token } = await run.json();
+
+  const response = await postScore({
+    teamName: "Iota",
+    score: 90,
+    time: 0,
+    mode: "solo",
+    runToken: token,
+  });
+  assert.equal(response.status, 400);
+  assert.ok((await response.json()).errors.includes("Gra trwała zbyt krótko"));
+});
+
+test("serwer odrzuca niedozwoloną nazwę i nieznany pokój", async () => {
+  const socket = client();
+  socket.emit("createRoom", { teamName: "<b>Alfa</b>" });
+  assert.equal((await next(socket, "error")).code, "invalid-team-name");
+
+  socket.emit("joinRoom", { roomId: "ZZZZZZ", teamName: "Gamma" });
+  assert.equal((await next(socket, "error")).code, "room-not-found");
+});
+
+test("widz śledzi pokój bez zajmowania miejsca drużyny", async () => {
+  const host = client();
+  const guest = client();
+  const viewer = client();
+
+  host.emit("createRoom", { teamName: "Gamma", scenarioId: scenario.id });
+  const { roomId } = await next(host, "roomCreated");
+
+  const watching = next(viewer, "watchStarted");
+  const lobbyBoard = next(viewer, "roomBoard");
+  viewer.emit("watchRoom", { roomId });
+  assert.equal((await watching).scenarioName, scenario.name);
+  const lobby = await lobbyBoard;
+  assert.deepEqual(
+    lobby.teams.map((team) => team.teamName),
+    ["Gamma"],
+  );
+
+  // Pokój na dwie drużyny przyjmuje gościa mimo obecności widza
+  const joined = next(viewer, "roomBoard");
+  guest.emit("joinRoom", { roomId, teamName: "Delta" });
+  await next(guest, "roomJoined");
+  assert.equal((await joined).teams.length, 2);
+
+  let viewerStarted = false;
+  viewer.on("gameStart", () => {
+    viewerStarted = true;
+  });
+  const started = next(viewer, "roomBoard");
+  host.emit("startGame", { roomId });
+  const board = await started;
+  assert.equal(board.started, true);
+  assert.ok(board.remainingSeconds > 0);
+  assert.equal(board.teams[0].room, "quiz");
+
+  const progress = next(viewer, "roomBoard");
+  host.emit("submitAnswer", {
+    roomId,
+    room: "quiz",
+    answer: { answers: quizAnswers() },
+  });
+  const afterQuiz = await progress;
+  assert.deepEqual(
+    afterQuiz.teams.map((team) => [team.teamName, team.score, team.room]),
+    [
+      ["Gamma", 15, "backlog"],
+      ["Delta", 0, "quiz"],
+    ],
+  );
+
+  const waiting = next(viewer, "roomBoard");
+  host.emit("gameFinished", { roomId });
+  assert.equal((await waiting).teams[0].finished, true);
+  const result = next(guest, "gameResult");
+  const final = next(viewer, "roomBoard");
+  guest.emit("gameFinished", { roomId });
+  await result;
+  const ended = await final;
+  assert.equal(ended.ended, true);
+  assert.deepEqual(
+    ended.standings.map((team) => [team.teamName, team.place]),
+    [
+      ["Gamma", 1],
+      ["Delta", 2],
+    ],
+  );
+  assert.equal(viewerStarted, false);
+
+  viewer.emit("watchRoom", { roomId: "ZZZZZZ" });
+  assert.equal((await next(viewer, "error")).code, "room-not-found");
+});
+
+test("odpowiedź o złym typie nie zatrzymuje serwera", async () => {
+  const host = client();
+  const guest = client();
+
+  host.emit("createRoom", { teamName: "Epsilon", scenarioId: scenario.id });
+  const { roomId } = await next(host, "roomCreated");
+  guest.emit("joinRoom", { roomId, teamName: "Zeta" });
+  await next(guest, "roomJoined");
+  const started = next(host, "gameStart");
+  host.emit("startGame", { roomId });
+  await started;
+
+  host.emit("submitAnswer", {
+    roomId,
+    room: "quiz",
+    answer: { answers: null },
+  });
+  assert.equal((await next(host, "answerResult")).reason, "unanswered");
+
+  host.emit("submitAnswer", {
+    roomId,
+    room: "quiz",
+    answer: { answers: quizAnswers() },
+  });
+  assert.equal((await next(host, "answerResult")).passed, true);
+  host.emit("submitAnswer", {
+    roomId,
+    room: "backlog",
+    answer: { itemIds: 5 },
+  });
+  assert.equal((await next(host, "answerResult")).passed, false);
+
+  // Serwer nadal obsługuje drużyny
+  const other = client();
+  other.emit("createRoom", { teamName: "Eta", scenarioId: scenario.id });
+  assert.ok((await next(other, "roomCreated")).roomId);
+});
+
+test("zdarzenia bez danych nie zatrzymują serwera", async () => {
+  const socket = client();
+  [
+    "createRoom",
+    "createSession",
+    "sessionControl",
+    "joinRoom",
+    "resumeSession",
+    "watchRoom",
+    "startGame",
+    "pauseGame",
+    "submitAnswer",
+    "requestHint",
+    "saveProgress",
+    "gameFinished",
+  ].forEach((event) => {
+    socket.emit(event, null);
+    socket.emit(event, 5);
+  });
+
+  socket.emit("createRoom", { teamName: "Theta", scenarioId: scenario.id });
+  assert.ok((await next(socket, "roomCreated")).roomId);
+});
+
+test("scenariusz z pustymi elementami list jest odrzucany", async () => {
+  const broken = [
+    { quiz: [null] },
+    {
+      ...scenario,
+      id: "zepsuty",
+      quiz: [null, 5],
+      backlog: [null],
+      stories: [null],
+      tests: [null],
+      hints: [null],
+      conflict: { ...scenario.conflict, options: [null, null] },
+      translations: { en: { quiz: { [scenario.quiz[0].id]: null } } },
+    },
+  ];
+  for (const body of broken) {
+    const response = await fetch(`${url}/api/scenarios`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    assert.equal(response.status, 400);
+    const { errors } = await response.json();
+    assert.ok(errors.some((error) => error.includes("brak identyfikatora")));
+  }
+});
+
+test("serwer udostępnia tylko pliki gry", async () => {
+  // Każdy lokalny plik, do którego odwołują się strony, jest dostępny
+  const root = path.join(__dirname, "..");
+  const pages = fs.readdirSync(root).filter((file) => file.endsWith(".html"));
+  for (const page of pages) {
+    const html = fs.readFileSync(path.join(root, page), "utf8");
+    const links = [...html.matchAll(/(?:href|src)="([^"#:]+)"/g)].map(
+      (match) => match[1],
+    );
+    for (const link of [page, ...links]) {
+      const response = await fetch(`${url}/${link.replace(/^\//, "")}`);
+      assert.equal(response.status, 200, `${page}: ${link}`);
+    }
+  }
+
+  for (const file of [
+    "data/escape-room.sqlite",
+    "server.js",
+    "package.json",
+    ".env",
+  ]) {
+    assert.equal((await fetch(`${url}/${file}`)).status, 404, file);
+  }
+});
+
+test("błąd magazynu przy rankingu to błąd, a nie pusty ranking", async (t) => {
+  const storage = await storageReady;
+  t.mock.method(storage, "rankScores", async () => {
+    throw new Error("baza niedostępna");
+  });
+  t.mock.method(console, "error", () => {});
+
+  const response = await fetch(`${url}/api/scores`);
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).success, false);
+});
+
+test("historie w obu kolumnach naraz nie zaliczają pokoju", async () => {
+  const host = client();
+  const guest = client();
+  host.emit("createRoom", { teamName: "Kappa", scenarioId: scenario.id });
+  const { roomId } = await next(host, "roomCreated");
+  guest.emit("joinRoom", { roomId, teamName: "Lambda" });
+  await next(guest, "roomJoined");
+  const started = next(host, "gameStart");
+  host.emit("startGame", { roomId });
+  await started;
+  await passToStories(host, roomId);
+
+  const all = scenario.stories.map((story) => story.id);
+  host.emit("submitAnswer", {
+    roomId,
+    room: "stories",
+    answer: { sprint: all, later: all },
+  });
+  const result = await next(host, "answerResult");
+  assert.equal(result.passed, false);
+  assert.equal(result.reason, "misclassified");
+});
+
+test("po upływie czasu serwer odrzuca odpowiedzi i sam kończy grę", async () => {
+  const host = client();
+  const guest = client();
+  host.emit("createRoom", { teamName: "Mi", scenarioId: scenario.id });
+  const { roomId } = await next(host, "roomCreated");
+  guest.emit("joinRoom", { roomId, teamName: "Ni" });
+  await next(guest, "roomJoined");
+  const started = next(host, "gameStart");
+  host.emit("startGame", { roomId });
+  await started;
+
+  // Zegar serwera przesunięty poza najdłuższy możliwy czas gry. Klient
+  // socket.io sprawdza Date.now przy emit, więc przesunięcie zaczyna się
+  // dopiero po wysłaniu zdarzenia.
+  const now = Date.now.bind(Date);
+  const clock = mock.method(Date, "now", now);
+  function emitLate(socket, event, data) {
+    clock.mock.mockImplementation(now);
+    socket.emit(event, data);
+    clock.mock.mockImplementation(() => now() + 31 * 60 * 1000);
+  }
+  try {
+    const rejected = next(host, "error");
+    emitLate(host, "submitAnswer", {
+      roomId,
+      room: "quiz",
+      answer: { answers: quizAnswers() },
+    });
+    assert.equal((await rejected).code, "time-up");
+
+    // Żadna drużyna nie wysłała gameFinished - wynik i tak przychodzi
+    const results = [next(host, "gameResult"), next(guest, "gameResult")];
+    const paused = next(host, "timerSync");
+    emitLate(host, "pauseGame", { roomId, paused: true });
+    await paused;
+    emitLate(host, "pauseGame", { roomId, paused: false });
+    const [hostResult, guestResult] = await Promise.all(results);
+    assert.equal(hostResult.standings.length, 2);
+    assert.equal(guestResult.reasonCode, "draw");
+  } finally {
+    clock.mock.restore();
+  }
+});
+
+test("wyzwanie wymaga tokenu gry Versus i poprawnego wyniku", async () => {
+  async function runToken(mode) {
+    const response = await fetch(`${url}/api/runs`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        mode,
+        scenarioId: scenario.id,
+        settings: { difficulty: "normal" },
+      }),
+    });
+    return (await response.json()).token;
+  }
+  function postChallenge(body) {
+    return fetch(`${url}/api/challenges`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  }
+
+  const challenge = {
+    scenarioId: scenario.id,
+    seed: 42,
+    teamName: "Omikron",
+    score: 50,
+    time: 120,
+    breakdown: { quiz: { points: 10, time: 20 } },
+    runToken: await runToken("versus"),
+  };
+  assert.equal(
+    (await postChallenge({ ...challenge, runToken: undefined })).status,
+    403,
+  );
+  assert.equal(
+    (await postChallenge({ ...challenge, runToken: await runToken("solo") }))
+      .status,
+    400,
+  );
+
+  // Gra trwała dwie minuty
+  const now = Date.now.bind(Date);
+  const clock = mock.method(Date, "now", () => now() + 2 * 60 * 1000);
+  try {
+    assert.equal(
+      (await postChallenge({ ...challenge, score: 100000 })).status,
+      400,
+    );
+    assert.equal(
+      (await postChallenge({ ...challenge, teamName: "kurwa" })).status,
+      400,
+    );
+    assert.equal((await postChallenge({ ...challenge, time: 10 })).status, 400);
+
+    const created = await postChallenge(challenge);
+    assert.equal(created.status, 201);
+    const { id } = await created.json();
+    const stored = await fetch(`${url}/api/challenges/${id}`);
+    assert.equal((await stored.json()).challenge.settings.difficulty, "normal");
+
+    assert.equal((await postChallenge(challenge)).status, 409);
+  } finally {
+    clock.mock.restore();
+  }
+});
+
+test("tokeny gry są podpisane kluczem zapisanym w data/score-secret", async () => {
+  const response = await fetch(`${url}/api/runs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      mode: "solo",
+      scenarioId: scenario.id,
+      settings: { difficulty: "normal" },
+    }),
+  });
+  const { token } = await response.json();
+  const [payload, signature] = token.split(".");
+
+  const secret = fs
+    .readFileSync(path.join(__dirname, "..", "data", "score-secret"), "utf8")
+    .trim();
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+  assert.equal(signature, expected);
+});
+
+test("gospodarz, który wyszedł z trwającej gry, przekazuje rolę innej drużynie", async () => {
+  const host = client();
+  const guest = client();
+  host.emit("createRoom", { teamName: "Rho", scenarioId: scenario.id });
+  const { roomId } = await next(host, "roomCreated");
+  guest.emit("joinRoom", { roomId, teamName: "Sigma" });
+  await next(guest, "roomJoined");
+  const started = next(guest, "gameStart");
+  host.emit("startGame", { roomId });
+  await started;
+
+  // Czas na powrót rozłączonej drużyny skrócony do zera
+  const realSetTimeout = setTimeout;
+  const grace = mock.method(globalThis, "setTimeout", (callback, delay) =>
+    realSetTimeout(callback, delay === 60 * 1000 ? 0 : delay),
+  );
+  try {
+    const changed = next(guest, "hostChanged");
+    host.disconnect();
+    assert.equal((await changed).teamName, "Sigma");
+  } finally {
+    grace.mock.restore();
+  }
+
+  // Nowy gospodarz może wstrzymać grę
+  const paused = next(guest, "timerSync");
+  guest.emit("pauseGame", { roomId, paused: true });
+  assert.equal((await paused).paused, true);
+});
+
+test("serwer odrzuca odpowiedź po limicie czasu na pokój", async () => {
+  const host = client();
+  const guest = client();
+  host.emit("createRoom", {
+    teamName: "Tau",
+    scenarioId: scenario.id,
+    settings: { difficulty: "hard" },
+  });
+  const { roomId } = await next(host, "roomCreated");
+  guest.emit("joinRoom", { roomId, teamName: "Ypsilon" });
+  await next(guest, "roomJoined");
+  const started = next(host, "gameStart");
+  host.emit("startGame", { roomId });
+  await started;
+
+  // Zegar serwera przesuwany po wysłaniu zdarzenia (jak przy końcu czasu gry)
+  const now = Date.now.bind(Date);
+  const clock = mock.method(Date, "now", now);
+  function emitAt(socket, seconds, event, data) {
+    clock.mock.mockImplementation(now);
+    socket.emit(event, data);
+    clock.mock.mockImplementation(() => now() + seconds * 1000);
+  }
+  try {
+    // Gospodarz wchodzi do backlogu po 100 s gry
+    const passed = next(host, "answerResult");
+    emitAt(host, 100, "submitAnswer", {
+      roomId,
+      room: "quiz",
+      answer: { answers: quizAnswers() },
+    });
+    assert.equal((await passed).passed, true);
+
+    // Po 3 min: limit 2 min minął w quizie, a w backlogu jeszcze nie
+    const rejected = next(guest, "error");
+    emitAt(guest, 180, "submitAnswer", {
+      roomId,
+      room: "quiz",
+      answer: { answers: quizAnswers() },
+    });
+    assert.equal((await rejected).code, "room-time-up");
+
+    const accepted = next(host, "answerResult");
+    emitAt(host, 180, "submitAnswer", {
+      roomId,
+      room: "backlog",
+      answer: { itemIds: [] },
+    });
+    assert.equal((await accepted).room, "backlog");
+  } finally {
+    clock.mock.restore();
+  }
+});
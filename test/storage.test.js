@@ -0,0 +1,330 @@
+// Magazyny danych (storage-memory.js, storage-sqlite.js) - te same wyniki
+// rankingu, wyzwań, scenariuszy i analityki niezależnie od magazynu.
+const { describe, test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { MIGRATIONS } = require("../migrations");
+const Ranking = require("../ranking");
+const { createStorage } = require("../storage");
+const { createMemoryStorage } = require("../storage-memory");
+const { createSqliteStorage } = require("../storage-sqlite");
+
+const STORAGES = {
+  memory: () => createMemoryStorage(),
+  sqlite: () => createSqliteStorage({ SQLITE_FILE: ":memory:" }),
+};
+
+// better-sqlite3 jest opcjonalną zależnością - bez niej test SQLite jest pomijany
+function sqliteMissing() {
+  try {
+    require.resolve("better-sqlite3");
+    return false;
+  } catch {
+    return "brak better-sqlite3";
+  }
+}
+
+function filters(query = {}) {
+  return Ranking.parseRankingQuery(query).filters;
+}
+
+function session(overrides = {}) {
+  return {
+    scoreId: null,
+    roomCode: "ABC123",
+    scenarioId: "login-release",
+    seed: 42,
+    teamName: "Alfa",
+    mode: "multiplayer",
+    score: 30,
+    time: 300,
+    attempts: [
+      {
+        room: "quiz",
+        attempt: 1,
+        delta: -3,
+        passed: false,
+        hint: false,
+        reason: "wrong",
+        elapsed: 40,
+        at: new Date(),
+        items: [
+          { itemId: "q1", value: "a", correct: true },
+          { itemId: "q2", value: "b", correct: false },
+        ],
+      },
+      {
+        room: "quiz",
+        attempt: 2,
+        delta: 15,
+        passed: true,
+        hint: false,
+        reason: "",
+        elapsed: 60,
+        at: new Date(),
+        items: [{ itemId: "q2", value: "c", correct: true }],
+      },
+    ],
+    rooms: [{ room: "quiz", points: 12, time: 60 }],
+    ...overrides,
+  };
+}
+
+Object.entries(STORAGES).forEach(([name, create]) => {
+  const skip = name === "sqlite" && sqliteMissing();
+  describe(`magazyn ${name}`, { skip }, () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = create();
+      await storage.init();
+    });
+
+    afterEach(() => storage.close());
+
+    test("ranking z filtrami, widokiem best i stronicowaniem", async () => {
+      await storage.saveScore({
+        teamName: "Alfa",
+        score: 40,
+        time: 500,
+        mode: "solo",
+        scenarioId: "login-release",
+      });
+      await storage.saveScore({
+        teamName: "Alfa",
+        score: 60,
+        time: 400,
+        mode: "solo",
+        scenarioId: "login-release",
+      });
+      await storage.saveScore({
+        teamName: "Beta",
+        score: 60,
+        time: 300,
+        mode: "multiplayer",
+        scenarioId: "ecommerce-checkout",
+      });
+      await storage.saveScore({
+        teamName: "50% zespołu",
+        score: 10,
+        time: 900,
+        mode: "solo",
+        scenarioId: null,
+      });
+
+      const all = await storage.rankScores(filters());
+      assert.equal(all.total, 4);
+      assert.deepEqual(
+        all.scores.map((entry) => [entry.teamName, entry.score]),
+        [
+          ["Beta", 60],
+          ["Alfa", 60],
+          ["Alfa", 40],
+          ["50% zespołu", 10],
+        ],
+      );
+      assert.equal(all.scores[0].scenarioId, "ecommerce-checkout");
+      assert.ok(!Number.isNaN(Date.parse(all.scores[0].date)));
+
+      const best = await storage.rankScores(
+        filters({ best: "1", mode: "solo" }),
+      );
+      assert.deepEqual(
+        best.scores.map((entry) => [entry.teamName, entry.score]),
+        [
+          ["Alfa", 60],
+          ["50% zespołu", 10],
+        ],
+      );
+
+      const byTime = await storage.rankScores(
+        filters({ sort: "time", pageSize: "1", page: "2" }),
+      );
+      assert.equal(byTime.total, 4);
+      assert.equal(byTime.scores.length, 1);
+      assert.equal(byTime.scores[0].time, 400);
+
+      // % w nazwie to zwykły znak, nie wzorzec LIKE
+      const search = await storage.rankScores(filters({ team: "%" }));
+      assert.deepEqual(
+        search.scores.map((entry) => entry.teamName),
+        ["50% zespołu"],
+      );
+      const scenario = await storage.rankScores(
+        filters({ scenario: "login-release", team: "alf" }),
+      );
+      assert.equal(scenario.total, 2);
+    });
+
+    test("wyzwania Versus i scenariusze z edytora", async () => {
+      const challenge = {
+        id: "abc123",
+        scenarioId: "login-release",
+        seed: 7,
+        teamName: "Alfa",
+        score: 55,
+        time: 321,
+        breakdown: { quiz: 15 },
+        settings: { difficulty: "hard" },
+        createdAt: new Date().toISOString(),
+      };
+      await storage.saveChallenge(challenge);
+      const stored = await storage.getChallenge("abc123");
+      assert.deepEqual(
+        { ...stored, createdAt: undefined },
+        { ...challenge, createdAt: undefined },
+      );
+      assert.equal(await storage.getChallenge("nope"), null);
+
+      await storage.saveScenario({ id: "moj", name: "Mój" });
+      await storage.saveScenario({ id: "moj", name: "Mój 2" });
+      const scenarios = await storage.loadScenarios();
+      assert.equal(scenarios.length, 1);
+      assert.equal(JSON.parse(scenarios[0].data).name, "Mój 2");
+    });
+
+    test("token gry można wykorzystać raz", async () => {
+      const later = new Date(Date.now() + 60 * 1000);
+      assert.equal(await storage.useRun("score:a", later), true);
+      assert.equal(await storage.useRun("score:a", later), false);
+      assert.equal(await storage.useRun("challenge:a", later), true);
+
+      await storage.releaseRun("score:a");
+      assert.equal(await storage.useRun("score:a", later), true);
+
+      // Wpis wygasłego tokenu jest usuwany
+      const earlier = new Date(Date.now() - 1000);
+      assert.equal(await storage.useRun("score:b", earlier), true);
+      assert.equal(await storage.useRun("score:b", later), true);
+    });
+
+    test("historia gier w analityce", async () => {
+      await storage.saveGameSession(session());
+      await storage.saveGameSession(
+        session({ roomCode: "XYZ789", score: 50, attempts: [], rooms: [] }),
+      );
+      await storage.saveGameSession(session({ scenarioId: "inny" }));
+
+      const all = await storage.analytics({
+        scenario: "login-release",
+        from: "",
+        to: "",
+        session: "",
+      });
+      assert.equal(all.sessions, 2);
+      assert.equal(all.averageScore, 40);
+      assert.deepEqual(all.roomCodes, ["XYZ789", "ABC123"]);
+      assert.deepEqual(
+        all.timeRows.map((row) => [
+          row.room,
+          Number(row.games),
+          Number(row.average_seconds),
+        ]),
+        [["quiz", 1, 60]],
+      );
+      const answers = all.answerRows
+        .map((row) => ({
+          room: row.room,
+          item: row.item_id,
+          value: row.value,
+          firstTry: Number(row.first_try),
+          correct: Number(row.is_correct),
+          answers: Number(row.answers),
+        }))
+        .sort((a, b) => (a.item + a.value).localeCompare(b.item + b.value));
+      assert.deepEqual(answers, [
+        {
+          room: "quiz",
+          item: "q1",
+          value: "a",
+          firstTry: 1,
+          correct: 1,
+          answers: 1,
+        },
+        {
+          room: "quiz",
+          item: "q2",
+          value: "b",
+          firstTry: 1,
+          correct: 0,
+          answers: 1,
+        },
+        {
+          room: "quiz",
+          item: "q2",
+          value: "c",
+          firstTry: 0,
+          correct: 1,
+          answers: 1,
+        },
+      ]);
+
+      const one = await storage.analytics({
+        scenario: "login-release",
+        from: "2000-01-01",
+        to: "2999-12-31",
+        session: "XYZ789",
+      });
+      assert.equal(one.sessions, 1);
+      assert.equal(one.averageScore, 50);
+
+      const past = await storage.analytics({
+        scenario: "login-release",
+        from: "",
+        to: "2000-01-01",
+        session: "",
+      });
+      assert.equal(past.sessions, 0);
+      assert.equal(past.averageScore, null);
+    });
+  });
+});
+
+test("bez działającego magazynu dane zostają w pamięci", async () => {
+  mock.method(console, "error", () => {});
+  const storage = await createStorage({
+    STORAGE: "sqlite",
+    SQLITE_FILE: "/dev/null/escape-room.sqlite",
+  });
+  assert.equal(storage.name, "memory");
+  assert.equal(storage.persistent, false);
+  assert.equal(
+    await storage.saveScore({
+      teamName: "Alfa",
+      score: 1,
+      time: 1,
+      mode: "solo",
+      scenarioId: null,
+    }),
+    1,
+  );
+});
+
+test("database.sql odpowiada bazie po wszystkich migracjach", () => {
+  const script = fs.readFileSync(
+    path.join(__dirname, "..", "database.sql"),
+    "utf8",
+  );
+  const seeded = Array.from(
+    script.matchAll(/^\s*\((\d+), '([^']+)'\)/gm),
+    ([, version, name]) => ({ version: Number(version), name }),
+  );
+  assert.deepEqual(
+    seeded,
+    MIGRATIONS.map(({ version, name }) => ({ version, name })),
+  );
+
+  // Kolumny, tabele i indeksy dodane przez migracje
+  [
+    "is_hint TINYINT(1)",
+    "settings TEXT NULL",
+    "CREATE TABLE IF NOT EXISTS room_times",
+    "scenario_id VARCHAR(64) NULL",
+    "INDEX idx_scores_scenario (scenario_id)",
+    "INDEX idx_scores_team (team_name)",
+    "client_id VARCHAR(64) NULL",
+    "UNIQUE INDEX idx_scores_client (client_id)",
+    "CREATE TABLE IF NOT EXISTS used_runs",
+  ].forEach((definition) => assert.ok(script.includes(definition), definition));
+});